@@ -44,3 +44,781 @@ CREATE TRIGGER update_likes_count_trigger
 AFTER INSERT OR DELETE ON blueprint_likes
 FOR EACH ROW
 EXECUTE FUNCTION update_blueprint_likes_count();
+
+-- Blueprint version, bumped whenever a blueprint file is replaced.
+-- Embedded in the afMD metadata chunk of downloaded files to detect outdated local copies.
+ALTER TABLE blueprints
+ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Parse jobs: one row per file sent to the blueprint parser, updated by the /api/blueprint-parsed webhook
+-- and read through /api/parse-status so clients never resubmit the file to poll
+CREATE TABLE IF NOT EXISTS parse_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  blueprint_id UUID NOT NULL REFERENCES blueprints(id) ON DELETE CASCADE,
+  part_number INTEGER,
+  file_hash TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'parsing', 'done', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  error TEXT,
+  parser_version TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS parse_jobs_blueprint_hash_idx ON parse_jobs (blueprint_id, file_hash);
+
+-- Files that aren't on the hub are parsed as jobs without a blueprint, owned by the user who queued them
+ALTER TABLE parse_jobs ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE parse_jobs ALTER COLUMN blueprint_id DROP NOT NULL;
+
+-- /api/queue-parse counts a user's recent jobs without a blueprint to rate-limit them
+CREATE INDEX IF NOT EXISTS parse_jobs_user_created_idx ON parse_jobs (user_id, created_at DESC);
+
+ALTER TABLE parse_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Owners can read their jobs; only /api/queue-parse and the webhook (service role) create or update them
+DROP POLICY IF EXISTS "Owners can view their parse jobs" ON parse_jobs;
+CREATE POLICY "Owners can view their parse jobs" ON parse_jobs FOR SELECT
+  USING (
+    user_id = (SELECT auth.uid())
+    OR EXISTS (SELECT 1 FROM blueprints b WHERE b.id = blueprint_id AND b.user_id = (SELECT auth.uid()))
+  );
+
+CREATE OR REPLACE FUNCTION touch_parse_job_updated_at()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS parse_jobs_updated_at_trigger ON parse_jobs;
+CREATE TRIGGER parse_jobs_updated_at_trigger
+BEFORE UPDATE ON parse_jobs
+FOR EACH ROW
+EXECUTE FUNCTION touch_parse_job_updated_at();
+
+-- Parser webhook deliveries already applied, keyed by their signature (HMAC over timestamp and body; the
+-- x-alchemy-delivery header isn't signed). /api/blueprint-parsed claims a row before writing so a replayed
+-- delivery is a no-op.
+-- The webhook prunes rows older than a day: stale timestamps are rejected before this table is checked.
+CREATE TABLE IF NOT EXISTS parser_webhook_deliveries (
+  delivery_id TEXT PRIMARY KEY,
+  job_id UUID REFERENCES parse_jobs(id) ON DELETE SET NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS parser_webhook_deliveries_received_idx ON parser_webhook_deliveries (received_at);
+
+-- Rejected webhook calls (bad/missing signature, stale timestamp, malformed body), one row per reason,
+-- source IP and hour with a running count, so unauthenticated traffic can't grow the table per request.
+CREATE TABLE IF NOT EXISTS parser_webhook_rejection_counts (
+  reason TEXT NOT NULL,
+  remote_ip TEXT NOT NULL DEFAULT '',
+  window_start TIMESTAMPTZ NOT NULL,
+  count INTEGER NOT NULL DEFAULT 1,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_user_agent TEXT,
+  last_body_sha256 TEXT,
+  PRIMARY KEY (reason, remote_ip, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS parser_webhook_rejection_counts_window_idx ON parser_webhook_rejection_counts (window_start DESC);
+
+-- Service role only
+ALTER TABLE parser_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE parser_webhook_rejection_counts ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION record_parser_webhook_rejection(p_reason TEXT, p_remote_ip TEXT, p_user_agent TEXT, p_body_sha256 TEXT)
+RETURNS VOID
+LANGUAGE sql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  INSERT INTO parser_webhook_rejection_counts (reason, remote_ip, window_start, last_user_agent, last_body_sha256)
+  VALUES (p_reason, COALESCE(p_remote_ip, ''), date_trunc('hour', NOW()), p_user_agent, p_body_sha256)
+  ON CONFLICT (reason, remote_ip, window_start) DO UPDATE
+  SET count = parser_webhook_rejection_counts.count + 1,
+      last_seen_at = NOW(),
+      last_user_agent = EXCLUDED.last_user_agent,
+      last_body_sha256 = EXCLUDED.last_body_sha256;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_parser_webhook_rejection(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Merge parsed data into the blueprint file it belongs to, identified by its payload hash.
+-- Multi-part: only the part whose file_hash matches is touched, under a row lock, so parts that finish
+-- parsing at the same time can't overwrite each other. Single-part: sets parsed when filehash matches
+-- (or is not set yet). The top-level filehash of multi-part blueprints is left alone.
+-- Local decoder results (parser_version 'local-…') are skipped once the file holds the parser's result,
+-- so a provisional decode saved after the webhook can't overwrite it.
+-- Returns the updated part_number (0 for single-part blueprints) or NULL when nothing matched.
+-- SECURITY INVOKER: owners go through the blueprints RLS policies, the webhook uses the service role.
+CREATE OR REPLACE FUNCTION merge_blueprint_parsed(p_blueprint_id UUID, p_file_hash TEXT, p_parsed JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_is_multi_part BOOLEAN;
+  v_filehash TEXT;
+  v_parsed JSONB;
+  v_parts JSONB;
+  v_index INTEGER;
+BEGIN
+  SELECT is_multi_part, filehash, parsed, parts
+  INTO v_is_multi_part, v_filehash, v_parsed, v_parts
+  FROM blueprints
+  WHERE id = p_blueprint_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_is_multi_part THEN
+    SELECT e.ordinality - 1
+    INTO v_index
+    FROM jsonb_array_elements(COALESCE(v_parts, '[]'::jsonb)) WITH ORDINALITY AS e(part, ordinality)
+    WHERE e.part->>'file_hash' = p_file_hash
+    LIMIT 1;
+
+    IF v_index IS NULL THEN
+      RETURN NULL;
+    END IF;
+
+    -- A provisional local decode never replaces the parser's result
+    IF p_parsed->>'parser_version' LIKE 'local-%'
+       AND jsonb_typeof(v_parts->v_index->'parsed') = 'object'
+       AND COALESCE(v_parts->v_index->'parsed'->>'parser_version', '') NOT LIKE 'local-%' THEN
+      RETURN COALESCE((v_parts->v_index->>'part_number')::INTEGER, v_index + 1);
+    END IF;
+
+    UPDATE blueprints
+    SET parts = jsonb_set(parts, ARRAY[v_index::TEXT, 'parsed'], p_parsed, true)
+    WHERE id = p_blueprint_id;
+
+    RETURN COALESCE((v_parts->v_index->>'part_number')::INTEGER, v_index + 1);
+  END IF;
+
+  IF v_filehash IS NOT NULL AND v_filehash <> p_file_hash THEN
+    RETURN NULL;
+  END IF;
+
+  IF p_parsed->>'parser_version' LIKE 'local-%'
+     AND jsonb_typeof(v_parsed) = 'object'
+     AND COALESCE(v_parsed->>'parser_version', '') NOT LIKE 'local-%' THEN
+    RETURN 0;
+  END IF;
+
+  UPDATE blueprints
+  SET parsed = p_parsed, filehash = p_file_hash
+  WHERE id = p_blueprint_id;
+
+  RETURN 0;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION merge_blueprint_parsed(UUID, TEXT, JSONB) TO authenticated, service_role;
+
+-- Backfill for files stored before hashes were taken over the stripped payload: legacy rows hold the hash
+-- of the whole uploaded PNG, which the parser never reports back, so merge_blueprint_parsed can't find them.
+-- /api/admin-reparse rehashes each stored file and swaps the legacy hash for the payload hash before queuing.
+-- Returns the updated part_number (0 for single-part blueprints) or NULL when p_old_hash matched nothing.
+CREATE OR REPLACE FUNCTION rehash_blueprint_file(p_blueprint_id UUID, p_old_hash TEXT, p_new_hash TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  v_is_multi_part BOOLEAN;
+  v_filehash TEXT;
+  v_parts JSONB;
+  v_index INTEGER;
+BEGIN
+  SELECT is_multi_part, filehash, parts
+  INTO v_is_multi_part, v_filehash, v_parts
+  FROM blueprints
+  WHERE id = p_blueprint_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_is_multi_part THEN
+    SELECT e.ordinality - 1
+    INTO v_index
+    FROM jsonb_array_elements(COALESCE(v_parts, '[]'::jsonb)) WITH ORDINALITY AS e(part, ordinality)
+    WHERE e.part->>'file_hash' = p_old_hash
+    LIMIT 1;
+
+    IF v_index IS NULL THEN
+      RETURN NULL;
+    END IF;
+
+    UPDATE blueprints
+    SET parts = jsonb_set(parts, ARRAY[v_index::TEXT, 'file_hash'], to_jsonb(p_new_hash), true)
+    WHERE id = p_blueprint_id;
+
+    RETURN COALESCE((v_parts->v_index->>'part_number')::INTEGER, v_index + 1);
+  END IF;
+
+  IF v_filehash IS DISTINCT FROM p_old_hash THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE blueprints
+  SET filehash = p_new_hash
+  WHERE id = p_blueprint_id;
+
+  RETURN 0;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION rehash_blueprint_file(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION rehash_blueprint_file(UUID, TEXT, TEXT) TO service_role;
+
+-- Full-text search: a weighted tsvector (ranking, word stems) plus lowercased search text with a trigram
+-- index (typo tolerance, e.g. "athanr"). Both are kept up to date by a trigger from the title, description,
+-- tags, creator name, parsed Title/ItemName and the display names of the parsed buildings and materials.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE blueprints
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR,
+ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+CREATE INDEX IF NOT EXISTS blueprints_search_vector_idx ON blueprints USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS blueprints_search_text_trgm_idx ON blueprints USING GIN (search_text gin_trgm_ops);
+
+-- Display names of parser item keys (MATERIAL_MAPPINGS / BUILDING_MAPPINGS, aliases included).
+-- The seed below is printed by scripts/item-display-names-sql.mjs.
+CREATE TABLE IF NOT EXISTS item_display_names (
+  item_key TEXT PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('material', 'building')),
+  display_name TEXT NOT NULL
+);
+
+ALTER TABLE item_display_names ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Anyone can view item display names" ON item_display_names;
+CREATE POLICY "Anyone can view item display names" ON item_display_names FOR SELECT USING (true);
+
+INSERT INTO item_display_names (item_key, kind, display_name) VALUES
+  ('Brick', 'material', 'Brick'),
+  ('BronzeIngot', 'material', 'Bronze Ingot'),
+  ('BronzeRivet', 'material', 'Bronze Rivet'),
+  ('ChamomileSeed', 'material', 'Chamomile Seeds'),
+  ('Clay', 'material', 'Clay'),
+  ('CopperBearing', 'material', 'Copper Bearing'),
+  ('CopperIngot', 'material', 'Copper Ingot'),
+  ('GentianSeed', 'material', 'Gentian Seeds'),
+  ('FlaxSeed', 'material', 'Flax Seeds'),
+  ('Glass', 'material', 'Glass'),
+  ('GloomFungus', 'material', 'Gloomfungus'),
+  ('GoldIngot', 'material', 'Gold Ingot'),
+  ('LargeWoodGear', 'material', 'Large Wood Gear'),
+  ('IronIngot', 'material', 'Iron Ingot'),
+  ('Nails', 'material', 'Nails'),
+  ('LavenderSeed', 'material', 'Lavender Seeds'),
+  ('Logs', 'material', 'Logs'),
+  ('LinenRope', 'material', 'Linen Rope'),
+  ('WoodBoard', 'material', 'Wood Board'),
+  ('RedcurrantSeed', 'material', 'Redcurrant Seeds'),
+  ('RottenLog', 'material', 'Rotten Log'),
+  ('PortalSigil', 'material', 'Portal Sigil'),
+  ('SageSeed', 'material', 'Sage Seeds'),
+  ('SteelGear', 'material', 'Steel Gear'),
+  ('SilverIngot', 'material', 'Silver Ingot'),
+  ('WoodGear', 'material', 'Wood Gear'),
+  ('SteelIngot', 'material', 'Steel Ingot'),
+  ('Stone', 'material', 'Stone'),
+  ('WorldTreeSeed', 'material', 'World Tree Seeds'),
+  ('Linen', 'material', 'Linen'),
+  ('None', 'material', 'None'),
+  ('Omni-Machine', 'building', 'Advanced Assembler'),
+  ('AdvancedAthanor', 'building', 'Advanced Athanor'),
+  ('AdvancedShaper', 'building', 'Advanced Shaper'),
+  ('AdvancedBlender', 'building', 'Advanced Blender'),
+  ('AdvancedBlender_Sym', 'building', 'Advanced Blender'),
+  ('Alembic', 'building', 'Alembic'),
+  ('ArcaneProcessor', 'building', 'Arcane Processor'),
+  ('AetherShaper', 'building', 'Arcane Shaper'),
+  ('Assembler', 'building', 'Assembler'),
+  ('Assembler_Sym', 'building', 'Assembler'),
+  ('Athanor', 'building', 'Athanor'),
+  ('AutoCheckout', 'building', 'Auto Checkout'),
+  ('AutoNursery', 'building', 'Auto Nursery'),
+  ('Belt', 'building', 'Belt'),
+  ('Beam3', 'building', 'Beam'),
+  ('Beam5', 'building', 'Beam'),
+  ('Beam10', 'building', 'Beam'),
+  ('Beam18', 'building', 'Beam'),
+  ('BeltInclinedUp', 'building', 'Belt Inclined Up'),
+  ('BeltInclinedDown', 'building', 'Belt Inclined Up'),
+  ('BeltSlopeUp', 'building', 'Belt Slope Up'),
+  ('BeltSlopeDown', 'building', 'Belt Slope Up'),
+  ('NoticeBoard', 'building', 'Notice Board'),
+  ('NoticeBoard_2', 'building', 'Notice Board'),
+  ('BlastFurnace', 'building', 'Blast Furnace'),
+  ('Blender', 'building', 'Blender'),
+  ('BounceShroom', 'building', 'Bounce Shroom'),
+  ('BrickBlock', 'building', 'Brick Block'),
+  ('BronzeBlock', 'building', 'Bronze Block'),
+  ('CandleHanging', 'building', 'Candle Hanging'),
+  ('Candle', 'building', 'Candle'),
+  ('Cannon', 'building', 'Cannon'),
+  ('catapult', 'building', 'Catapult'),
+  ('Cauldron', 'building', 'Cauldron'),
+  ('CoinBalance', 'building', 'Coin Balance'),
+  ('CheckoutTable', 'building', 'Checkout Table'),
+  ('Column', 'building', 'Column'),
+  ('ConicalFlask', 'building', 'Conical Flask'),
+  ('ConveyerLift_Upwards', 'building', 'Conveyer Lift Upwards'),
+  ('ConveyorTunnel', 'building', 'Conveyor Tunnel'),
+  ('CopperBlock', 'building', 'Copper Block'),
+  ('CrossTunnel', 'building', 'Crossway Tunnel'),
+  ('Crucible', 'building', 'Crucible'),
+  ('Portal_Wholesaling', 'building', 'Dispatch Portal'),
+  ('DrawBridge', 'building', 'Draw Bridge'),
+  ('DrawBridgeR', 'building', 'Draw Bridge'),
+  ('EnhancedGrinder', 'building', 'Enhanced Grinder'),
+  ('Extractor', 'building', 'Extractor'),
+  ('Filter_Vert', 'building', 'Filter Splitter'),
+  ('Filter_Sym', 'building', 'Filter Splitter'),
+  ('FrameSingle', 'building', 'Frame Single'),
+  ('GoldBlock', 'building', 'Gold Block'),
+  ('Grinder', 'building', 'Grinder'),
+  ('IronBlock', 'building', 'Iron Block'),
+  ('Hopper', 'building', 'Hopper'),
+  ('IronSmelter', 'building', 'Iron Smelter'),
+  ('JewelryStand', 'building', 'Jewelry Stand'),
+  ('JunkBarrel', 'building', 'Junk Barrel'),
+  ('Kiln', 'building', 'Kiln'),
+  ('KnowledgeAltar', 'building', 'Knowledge Altar'),
+  ('IronStand', 'building', 'Lab Stands'),
+  ('IronStandDuo', 'building', 'Lab Stands'),
+  ('MediumStand', 'building', 'Medium Stand'),
+  ('LargeStand', 'building', 'Large Stand'),
+  ('MetalContainer', 'building', 'Metal Container'),
+  ('MetalStand', 'building', 'Metal Stand'),
+  ('ModularWall', 'building', 'Modular Wall'),
+  ('ModularFloor', 'building', 'Modular Floor'),
+  ('ParadoxCrucible', 'building', 'Paradox Crucible'),
+  ('Platform_Wood', 'building', 'Platform Wood'),
+  ('PotionStand', 'building', 'Potion Stand'),
+  ('Portal_Bank', 'building', 'Portal Bank'),
+  ('Pipe', 'building', 'Pipe'),
+  ('Pipe_Vertical', 'building', 'Pipe'),
+  ('Merger_Vert', 'building', 'Priority Merger'),
+  ('Merger_Sym', 'building', 'Priority Merger'),
+  ('Splitter_Vert', 'building', 'Priority Splitter'),
+  ('Splitter', 'building', 'Priority Splitter'),
+  ('Processor', 'building', 'Processor'),
+  ('Processor_Sym', 'building', 'Processor'),
+  ('Portal_AlchGuild', 'building', 'Purchasing Portal'),
+  ('RailRamp', 'building', 'Rail Ramp'),
+  ('RailStation', 'building', 'Rail Station'),
+  ('RailDown', 'building', 'Rail Down'),
+  ('RailRoad', 'building', 'Railroad'),
+  ('RailTurn', 'building', 'Rail Turn'),
+  ('RailUp', 'building', 'Rail Up'),
+  ('SmallPlatform', 'building', 'Reinforced Platform'),
+  ('MediumPlatform', 'building', 'Reinforced Platform'),
+  ('CrossPlatform', 'building', 'Reinforced Platform'),
+  ('Refiner', 'building', 'Refiner'),
+  ('RoofHalf', 'building', 'Roof Half'),
+  ('SeedPlot', 'building', 'Seed Plot'),
+  ('SilverBlock', 'building', 'Silver Block'),
+  ('Shaper', 'building', 'Shaper'),
+  ('RelicStandSmall', 'building', 'Relic Stand Small'),
+  ('SimpleCrate', 'building', 'Simple Crate'),
+  ('SmallContainer', 'building', 'Small Container'),
+  ('SmallContainer_Side', 'building', 'Small Container'),
+  ('SmallContainer_Sym', 'building', 'Small Container'),
+  ('SmallContainer_Vert', 'building', 'Small Container'),
+  ('SmallContainer_Vert_Sym', 'building', 'Small Container'),
+  ('SmallBase', 'building', 'Small Base'),
+  ('SphereFlask', 'building', 'Sphere Flask'),
+  ('StackableCrucible', 'building', 'Stackable Crucible'),
+  ('Stairs2Wood', 'building', 'Stairs 2 Wood'),
+  ('StoneBlock', 'building', 'Stone Block'),
+  ('StairsWood', 'building', 'Stairs Wood'),
+  ('StoneFurnace', 'building', 'Stone Furnace'),
+  ('StoneCrusher', 'building', 'Stone Crusher'),
+  ('StoneStove', 'building', 'Stone Stove'),
+  ('TableSaw', 'building', 'Table Saw'),
+  ('ThermalExtractor', 'building', 'Thermal Extractor'),
+  ('StoneWall', 'building', 'Stone Wall'),
+  ('Trolley', 'building', 'Trolley'),
+  ('VerticalSplitter', 'building', 'Vertical Splitter'),
+  ('WallShelf', 'building', 'Wall Shelf'),
+  ('WoodBed', 'building', 'Wood Bed'),
+  ('WoodContainer', 'building', 'Wood Container'),
+  ('WoodContainer_Vert', 'building', 'Wood Container'),
+  ('WoodBlock', 'building', 'Wood Block'),
+  ('WoodCrate', 'building', 'Wood Crate'),
+  ('WoodGrinder', 'building', 'Wood Grinder'),
+  ('WoodRailing', 'building', 'Wood Railing'),
+  ('WoodTable', 'building', 'Wood Table'),
+  ('Workbench', 'building', 'Workbench'),
+  ('WorldTreeNursery', 'building', 'World Tree Nursery'),
+  ('AdvancedAlembic', 'building', 'Advanced Alembic'),
+  ('LiquidSupplier', 'building', 'Liquid Supplier')
+ON CONFLICT (item_key) DO UPDATE SET kind = EXCLUDED.kind, display_name = EXCLUDED.display_name;
+
+-- Parsed Title/ItemName and building/material display names of a blueprint (every part for multi-part).
+-- Keys without a display name fall back to splitting the CamelCase key ("CopperIngot" -> "Copper Ingot").
+CREATE OR REPLACE FUNCTION blueprint_search_names(p_parsed JSONB, p_parts JSONB)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  WITH sources AS (
+    SELECT p_parsed AS parsed
+    WHERE jsonb_typeof(p_parsed) = 'object'
+    UNION ALL
+    SELECT part->'parsed'
+    FROM jsonb_array_elements(CASE WHEN jsonb_typeof(p_parts) = 'array' THEN p_parts ELSE '[]'::jsonb END) AS e(part)
+    WHERE jsonb_typeof(part->'parsed') = 'object'
+  ),
+  item_keys AS (
+    SELECT jsonb_object_keys(CASE WHEN jsonb_typeof(parsed->'Materials') = 'object' THEN parsed->'Materials' ELSE '{}'::jsonb END) AS item_key
+    FROM sources
+    UNION
+    SELECT jsonb_object_keys(CASE WHEN jsonb_typeof(parsed->'Buildings') = 'object' THEN parsed->'Buildings' ELSE '{}'::jsonb END)
+    FROM sources
+  ),
+  names AS (
+    SELECT parsed->>'Title' AS name FROM sources
+    UNION
+    SELECT parsed->>'ItemName' FROM sources
+    UNION
+    SELECT COALESCE(n.display_name, regexp_replace(k.item_key, '([a-z])([A-Z])', '\1 \2', 'g'))
+    FROM item_keys k
+    LEFT JOIN item_display_names n ON n.item_key = k.item_key
+    WHERE k.item_key <> 'None'
+  )
+  SELECT string_agg(name, ' ' ORDER BY name)
+  FROM names
+  WHERE name IS NOT NULL AND name <> '';
+$$;
+
+CREATE OR REPLACE FUNCTION update_blueprint_search_index()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_names TEXT := COALESCE(blueprint_search_names(NEW.parsed, NEW.parts), '');
+  v_tags TEXT := COALESCE(array_to_string(NEW.tags, ' '), '');
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+    setweight(to_tsvector('english', v_tags || ' ' || v_names), 'B') ||
+    setweight(to_tsvector('simple', COALESCE(NEW.creator_name, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(NEW.description, '')), 'C');
+  -- Description is left out: trigram matching is for short names, where typos happen
+  NEW.search_text := lower(concat_ws(' ', NEW.title, v_tags, NEW.creator_name, v_names));
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS blueprints_search_index_trigger ON blueprints;
+CREATE TRIGGER blueprints_search_index_trigger
+BEFORE INSERT OR UPDATE OF title, description, tags, creator_name, parsed, parts ON blueprints
+FOR EACH ROW
+EXECUTE FUNCTION update_blueprint_search_index();
+
+-- Index existing rows; run again after re-seeding item_display_names
+UPDATE blueprints SET title = title;
+
+-- Filter columns for the gallery feed and search, kept in step with parsed/parts by a trigger. Same rules as
+-- summarizeRequirements() in api/_lib/blueprintRows.js: highest MinTierRequired across parts, GridArea summed
+-- across parts (unversioned data may store it as [x, y]), NULL when no part reports one. item_keys lists
+-- 'building:<key>' / 'material:<key>' for every item some part uses (count > 0, numeric strings included,
+-- 'None' left out); the building/material filters and blueprint_item_facets both read it.
+ALTER TABLE blueprints ADD COLUMN IF NOT EXISTS part_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE blueprints ADD COLUMN IF NOT EXISTS min_tier INTEGER;
+ALTER TABLE blueprints ADD COLUMN IF NOT EXISTS grid_x INTEGER;
+ALTER TABLE blueprints ADD COLUMN IF NOT EXISTS grid_y INTEGER;
+ALTER TABLE blueprints ADD COLUMN IF NOT EXISTS item_keys TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS blueprints_min_tier_idx ON blueprints (min_tier);
+CREATE INDEX IF NOT EXISTS blueprints_item_keys_idx ON blueprints USING GIN (item_keys);
+
+CREATE OR REPLACE FUNCTION update_blueprint_filter_columns()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  v_sources JSONB[];
+  v_parsed JSONB;
+  v_grid JSONB;
+BEGIN
+  IF NEW.is_multi_part AND jsonb_typeof(NEW.parts) = 'array' THEN
+    NEW.part_count := jsonb_array_length(NEW.parts);
+    SELECT COALESCE(array_agg(e.part->'parsed'), '{}') INTO v_sources
+    FROM jsonb_array_elements(NEW.parts) AS e(part);
+  ELSE
+    NEW.part_count := 1;
+    v_sources := ARRAY[NEW.parsed];
+  END IF;
+
+  NEW.min_tier := NULL;
+  NEW.grid_x := NULL;
+  NEW.grid_y := NULL;
+  NEW.item_keys := '{}';
+  FOREACH v_parsed IN ARRAY v_sources LOOP
+    CONTINUE WHEN jsonb_typeof(v_parsed) IS DISTINCT FROM 'object';
+
+    NEW.item_keys := NEW.item_keys || ARRAY(
+      SELECT i.kind || ':' || i.key
+      FROM (
+        SELECT 'material' AS kind, m.key, m.value
+        FROM jsonb_each(CASE WHEN jsonb_typeof(v_parsed->'Materials') = 'object' THEN v_parsed->'Materials' ELSE '{}'::jsonb END) AS m
+        UNION ALL
+        SELECT 'building', k.key, k.value
+        FROM jsonb_each(CASE WHEN jsonb_typeof(v_parsed->'Buildings') = 'object' THEN v_parsed->'Buildings' ELSE '{}'::jsonb END) AS k
+      ) AS i
+      WHERE i.key <> 'None'
+        AND CASE jsonb_typeof(i.value)
+          WHEN 'number' THEN (i.value #>> '{}')::NUMERIC > 0
+          WHEN 'string' THEN i.value #>> '{}' ~ '^\d+$' AND (i.value #>> '{}')::NUMERIC > 0
+          ELSE false
+        END
+    );
+
+    IF jsonb_typeof(v_parsed->'MinTierRequired') = 'number' AND v_parsed->>'MinTierRequired' ~ '^-?\d+$' THEN
+      NEW.min_tier := GREATEST(COALESCE(NEW.min_tier, 0), (v_parsed->>'MinTierRequired')::INTEGER);
+    END IF;
+
+    v_grid := CASE
+      WHEN jsonb_typeof(v_parsed->'GridArea') = 'object' THEN v_parsed->'GridArea'
+      WHEN jsonb_typeof(v_parsed->'GridArea') = 'array' AND jsonb_array_length(v_parsed->'GridArea') = 2
+        THEN jsonb_build_object('x', v_parsed->'GridArea'->0, 'y', v_parsed->'GridArea'->1)
+    END;
+    IF v_grid IS NOT NULL THEN
+      NEW.grid_x := COALESCE(NEW.grid_x, 0) + CASE WHEN jsonb_typeof(v_grid->'x') = 'number' THEN round((v_grid->>'x')::NUMERIC)::INTEGER ELSE 0 END;
+      NEW.grid_y := COALESCE(NEW.grid_y, 0) + CASE WHEN jsonb_typeof(v_grid->'y') = 'number' THEN round((v_grid->>'y')::NUMERIC)::INTEGER ELSE 0 END;
+    END IF;
+  END LOOP;
+  NEW.item_keys := ARRAY(SELECT DISTINCT unnest(NEW.item_keys) ORDER BY 1);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS blueprints_filter_columns_trigger ON blueprints;
+CREATE TRIGGER blueprints_filter_columns_trigger
+BEFORE INSERT OR UPDATE OF parsed, parts, is_multi_part ON blueprints
+FOR EACH ROW
+EXECUTE FUNCTION update_blueprint_filter_columns();
+
+-- Fill the filter columns for existing rows
+UPDATE blueprints SET is_multi_part = is_multi_part;
+
+-- Gallery feed rows plus the trending sort keys (uploaded in the last 7 days first, then likes * 2 + downloads),
+-- so /api/blueprints orders and pages every sort in SQL. Dropped and recreated because b.* is expanded when the
+-- view is created; keep it after every ALTER TABLE blueprints above.
+DROP VIEW IF EXISTS blueprint_feed;
+CREATE VIEW blueprint_feed WITH (security_invoker = true) AS
+SELECT
+  b.*,
+  b.created_at > NOW() - INTERVAL '7 days' AS trending_recent,
+  COALESCE(b.likes, 0) * 2 + COALESCE(b.downloads, 0) AS trending_score
+FROM blueprints b;
+
+GRANT SELECT ON blueprint_feed TO anon, authenticated, service_role;
+
+-- Catalogue-wide totals for the gallery dashboard (/api/catalogue-stats). Periods go by upload date, in the
+-- database's time zone: since midnight, the last 7 days and since the 1st of the month; their downloads are
+-- those of the blueprints uploaded in the period.
+CREATE OR REPLACE FUNCTION blueprint_catalogue_stats()
+RETURNS TABLE (
+  blueprint_count BIGINT,
+  creator_count BIGINT,
+  total_downloads BIGINT,
+  rating_count BIGINT,
+  rating_sum NUMERIC,
+  blueprints_today BIGINT,
+  blueprints_week BIGINT,
+  blueprints_month BIGINT,
+  downloads_today BIGINT,
+  downloads_week BIGINT,
+  downloads_month BIGINT
+)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT
+    COUNT(*),
+    COUNT(DISTINCT b.creator_name) FILTER (WHERE b.creator_name <> ''),
+    COALESCE(SUM(b.downloads), 0)::BIGINT,
+    COALESCE(SUM(b.rating_count), 0)::BIGINT,
+    COALESCE(SUM(COALESCE(b.rating_average, 0) * COALESCE(b.rating_count, 0)), 0)::NUMERIC,
+    COUNT(*) FILTER (WHERE b.created_at >= date_trunc('day', NOW())),
+    COUNT(*) FILTER (WHERE b.created_at >= NOW() - INTERVAL '7 days'),
+    COUNT(*) FILTER (WHERE b.created_at >= date_trunc('month', NOW())),
+    COALESCE(SUM(b.downloads) FILTER (WHERE b.created_at >= date_trunc('day', NOW())), 0)::BIGINT,
+    COALESCE(SUM(b.downloads) FILTER (WHERE b.created_at >= NOW() - INTERVAL '7 days'), 0)::BIGINT,
+    COALESCE(SUM(b.downloads) FILTER (WHERE b.created_at >= date_trunc('month', NOW())), 0)::BIGINT
+  FROM blueprints b;
+$$;
+
+GRANT EXECUTE ON FUNCTION blueprint_catalogue_stats() TO anon, authenticated, service_role;
+
+-- Ranked search behind /api/search. Matches on the tsvector (stems, websearch syntax) or by trigram word
+-- similarity (typos), optionally narrowed by tags (all required) and creator. p_filters holds the feed's other
+-- filters (see api/search.js): excludeTags, ids, items (groups of item_keys spellings, one from each group
+-- required), excludeItems (spellings none of which may appear), and inclusive bounds tierMin/tierMax,
+-- partsMin/partsMax, sizeMinX/sizeMinY/sizeMaxX/sizeMaxY on the filter columns above. p_sort takes the gallery sort keys plus
+-- 'relevance'. Highlights wrap matched words in ⦃ ⦄ so the client can mark them up without HTML.
+DROP FUNCTION IF EXISTS search_blueprints(TEXT, TEXT[], TEXT, TEXT, INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION search_blueprints(
+  p_query TEXT,
+  p_tags TEXT[] DEFAULT '{}',
+  p_creator TEXT DEFAULT NULL,
+  p_sort TEXT DEFAULT 'relevance',
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_filters JSONB DEFAULT '{}'::jsonb
+)
+RETURNS TABLE (id UUID, rank REAL, title_highlight TEXT, snippet TEXT, total_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  WITH search_query AS (
+    SELECT websearch_to_tsquery('english', p_query) AS tsq, lower(p_query) AS raw
+  ),
+  hits AS (
+    SELECT
+      b.*,
+      (ts_rank_cd(b.search_vector, search_query.tsq, 32) + word_similarity(search_query.raw, b.search_text) * 0.5)::REAL AS score,
+      count(*) OVER () AS total
+    FROM blueprints b, search_query
+    WHERE (b.search_vector @@ search_query.tsq OR search_query.raw <% b.search_text)
+      AND (COALESCE(cardinality(p_tags), 0) = 0 OR b.tags @> p_tags)
+      AND (p_creator IS NULL OR lower(b.creator_name) = lower(p_creator))
+      AND NOT COALESCE(b.tags && ARRAY(SELECT jsonb_array_elements_text(p_filters->'excludeTags')), false)
+      AND (p_filters->'ids' IS NULL OR b.id::TEXT IN (SELECT jsonb_array_elements_text(p_filters->'ids')))
+      AND NOT EXISTS (
+        SELECT 1
+        FROM jsonb_array_elements(COALESCE(p_filters->'items', '[]'::jsonb)) AS g(spellings)
+        WHERE NOT b.item_keys && ARRAY(SELECT jsonb_array_elements_text(g.spellings))
+      )
+      AND NOT b.item_keys && ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_filters->'excludeItems', '[]'::jsonb)))
+      AND (p_filters->>'tierMin' IS NULL OR b.min_tier >= (p_filters->>'tierMin')::INTEGER)
+      AND (p_filters->>'tierMax' IS NULL OR b.min_tier <= (p_filters->>'tierMax')::INTEGER)
+      AND (p_filters->>'partsMin' IS NULL OR b.part_count >= (p_filters->>'partsMin')::INTEGER)
+      AND (p_filters->>'partsMax' IS NULL OR b.part_count <= (p_filters->>'partsMax')::INTEGER)
+      AND (p_filters->>'sizeMinX' IS NULL OR b.grid_x >= (p_filters->>'sizeMinX')::INTEGER)
+      AND (p_filters->>'sizeMinY' IS NULL OR b.grid_y >= (p_filters->>'sizeMinY')::INTEGER)
+      AND (p_filters->>'sizeMaxX' IS NULL OR b.grid_x <= (p_filters->>'sizeMaxX')::INTEGER)
+      AND (p_filters->>'sizeMaxY' IS NULL OR b.grid_y <= (p_filters->>'sizeMaxY')::INTEGER)
+  ),
+  page AS (
+    SELECT
+      hits.*,
+      row_number() OVER (
+        ORDER BY
+          CASE WHEN p_sort = 'relevance' THEN score END DESC,
+          CASE WHEN p_sort = 'newest' THEN created_at END DESC,
+          CASE WHEN p_sort = 'oldest' THEN created_at END ASC,
+          CASE WHEN p_sort = 'alphabetical' THEN title END ASC,
+          CASE WHEN p_sort = 'popular' THEN rating_average END DESC NULLS LAST,
+          CASE WHEN p_sort = 'popular' THEN rating_count END DESC NULLS LAST,
+          CASE WHEN p_sort = 'updated' THEN COALESCE(updated_at, created_at) END DESC,
+          CASE WHEN p_sort = 'downloaded' THEN downloads END DESC NULLS LAST,
+          CASE WHEN p_sort = 'ipm-high' THEN production_rate END DESC NULLS LAST,
+          CASE WHEN p_sort = 'ipm-low' THEN production_rate END ASC NULLS FIRST,
+          CASE WHEN p_sort = 'trending' THEN created_at > NOW() - INTERVAL '7 days' END DESC,
+          CASE WHEN p_sort = 'trending' THEN COALESCE(likes, 0) * 2 + COALESCE(downloads, 0) END DESC,
+          score DESC,
+          id
+      ) AS position
+    FROM hits
+    ORDER BY position
+    LIMIT p_limit OFFSET p_offset
+  )
+  -- Headlines only for the returned page
+  SELECT
+    page.id,
+    page.score,
+    ts_headline('english', page.title, search_query.tsq, 'HighlightAll=true, StartSel=⦃, StopSel=⦄'),
+    ts_headline(
+      'english',
+      concat_ws(' · ', NULLIF(page.description, ''), blueprint_search_names(page.parsed, page.parts)),
+      search_query.tsq,
+      'StartSel=⦃, StopSel=⦄, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "'
+    ),
+    page.total
+  FROM page, search_query
+  ORDER BY page.position;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_blueprints(TEXT, TEXT[], TEXT, TEXT, INTEGER, INTEGER, JSONB) TO anon, authenticated, service_role;
+
+-- How many blueprints use each building and material, for /api/item-facets. Counted from item_keys, the column
+-- the feed's building/material filters match on, so a picker's count is the number of blueprints it finds.
+-- p_aliases ({"alias": "key"}, from the mappings) folds alias keys into their item first so a blueprint using
+-- both isn't counted twice.
+CREATE OR REPLACE FUNCTION blueprint_item_facets(p_aliases JSONB DEFAULT '{}'::jsonb)
+RETURNS TABLE (kind TEXT, item_key TEXT, blueprint_count BIGINT)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  WITH items AS (
+    SELECT b.id, split_part(k.item, ':', 1) AS kind, substr(k.item, strpos(k.item, ':') + 1) AS key
+    FROM blueprints b
+    CROSS JOIN LATERAL unnest(b.item_keys) AS k(item)
+  )
+  SELECT kind, COALESCE(p_aliases->>key, key), COUNT(DISTINCT id)
+  FROM items
+  GROUP BY 1, 2;
+$$;
+
+GRANT EXECUTE ON FUNCTION blueprint_item_facets(JSONB) TO anon, authenticated, service_role;
+
+-- Deleted blueprints and their owners, written by a trigger so /api/cache-invalidate can confirm a
+-- "delete" report comes from the owner of a row that is really gone. Each report consumes its row;
+-- unreported rows are pruned by the same route after a day. Service role only.
+CREATE TABLE IF NOT EXISTS deleted_blueprints (
+  blueprint_id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS deleted_blueprints_deleted_at_idx ON deleted_blueprints (deleted_at);
+
+ALTER TABLE deleted_blueprints ENABLE ROW LEVEL SECURITY;
+
+-- SECURITY DEFINER: owners delete through RLS but can't write this table
+CREATE OR REPLACE FUNCTION record_deleted_blueprint()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO deleted_blueprints (blueprint_id, user_id)
+  VALUES (OLD.id, OLD.user_id)
+  ON CONFLICT (blueprint_id) DO UPDATE SET user_id = EXCLUDED.user_id, deleted_at = NOW();
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS blueprints_deleted_trigger ON blueprints;
+CREATE TRIGGER blueprints_deleted_trigger
+AFTER DELETE ON blueprints
+FOR EACH ROW
+EXECUTE FUNCTION record_deleted_blueprint();
@@ -0,0 +1,80 @@
+/**
+ * Blueprint Cache
+ * Server-side caching for the read endpoints (feed, detail, creator and catalogue stats, popular tags, item
+ * facets) on top of cacheManager, ETag handling, and the invalidation rules for each kind of blueprint change.
+ */
+
+import { createHash } from "crypto";
+import cacheManager from "../../src/lib/cacheManager.js";
+
+export { cacheManager };
+
+// Browsers revalidate every time (cheap 304s); freshness comes from invalidating the server cache,
+// so the CDN isn't allowed to hold a copy that invalidation can't reach
+const REVALIDATE_CACHE_CONTROL = "public, no-cache";
+
+/**
+ * Events that change a blueprint row, and what each one can affect:
+ *   parsed  - parsed data (card requirements, detail, item facets)
+ *   upload  - a new row (feed, tags, item facets, creator and catalogue stats)
+ *   edit    - title, description, tags, images or files (re-uploaded files are re-parsed)
+ *   delete  - row removed
+ *   rating  - rating average/count (feed order, detail, creator and catalogue stats)
+ */
+export const BLUEPRINT_EVENTS = ["parsed", "upload", "edit", "delete", "rating"];
+
+const EVENTS_CHANGING_TAGS = new Set(["upload", "edit", "delete"]);
+const EVENTS_CHANGING_STATS = new Set(["upload", "delete", "rating"]);
+const EVENTS_CHANGING_FACETS = new Set(["parsed", "upload", "edit", "delete"]);
+
+/**
+ * Wrap a response body with its ETag so cache hits don't re-hash it
+ */
+export function toCacheEntry(body) {
+  const etag = `W/"${createHash("sha1").update(JSON.stringify(body)).digest("base64url")}"`;
+  return { etag, body };
+}
+
+/**
+ * Send a cached entry, or 304 when the client already has this version
+ */
+export function sendCacheEntry(req, res, { etag, body }) {
+  res.setHeader("Cache-Control", REVALIDATE_CACHE_CONTROL);
+  res.setHeader("ETag", etag);
+
+  const ifNoneMatch = String(req.headers["if-none-match"] || "");
+  if (ifNoneMatch.split(",").some(tag => tag.trim() === etag || tag.trim() === "*")) {
+    return res.status(304).end();
+  }
+  return res.status(200).json(body);
+}
+
+/**
+ * Drop every cached response a change to this blueprint can make stale
+ * @param {{event: string, blueprintId: string, ownerId?: string}} change
+ */
+export async function invalidateBlueprintCaches({ event, blueprintId, ownerId = null }) {
+  try {
+    const tasks = [
+      cacheManager.invalidateFeed(),
+      cacheManager.invalidateTrending(),
+      cacheManager.invalidateBlueprint(blueprintId),
+    ];
+    if (EVENTS_CHANGING_TAGS.has(event)) {
+      tasks.push(cacheManager.invalidateTags());
+    }
+    if (EVENTS_CHANGING_FACETS.has(event)) {
+      tasks.push(cacheManager.invalidateFacets());
+    }
+    if (EVENTS_CHANGING_STATS.has(event)) {
+      tasks.push(cacheManager.invalidateCatalogueStats());
+      if (ownerId) {
+        tasks.push(cacheManager.invalidateUserStats(ownerId));
+      }
+    }
+    await Promise.all(tasks);
+  } catch (error) {
+    // Entries still expire by TTL; a failed invalidation must not fail the write that triggered it
+    console.error(`Cache invalidation failed (${event} ${blueprintId}):`, error);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Blueprint Rows
+ * Lean gallery card rows: every column a card, download or install check needs, without the parsed
+ * JSON. Parts keep their file info but lose `parsed`; a `requirements` summary (combined Materials,
+ * Buildings, GridArea and MinTierRequired) is added so cards can still run save compatibility checks.
+ */
+
+import { upgradeParsedData, CURRENT_SCHEMA_VERSION } from "../../src/lib/parsedDataSchema.js";
+
+export const CARD_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "tags",
+  "slug",
+  "user_id",
+  "creator_name",
+  "file_url",
+  "filehash",
+  "image_url",
+  "image_url_2",
+  "image_url_3",
+  "image_url_4",
+  "is_multi_part",
+  "version",
+  "production_rate",
+  "likes",
+  "downloads",
+  "rating_average",
+  "rating_count",
+  "created_at",
+  "updated_at",
+].join(", ");
+
+// Columns read to build a card row; parsed and parts are reduced before the row leaves the server
+export const CARD_SOURCE_COLUMNS = `${CARD_COLUMNS}, parsed, parts`;
+
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Same totals as combineParts(): counts and grid sizes summed across parts, highest tier wins
+ */
+export function summarizeRequirements(row) {
+  const sources = row.is_multi_part && Array.isArray(row.parts)
+    ? row.parts.map(part => part?.parsed)
+    : [row.parsed];
+
+  const requirements = { Materials: {}, Buildings: {}, GridArea: null, MinTierRequired: null, schemaVersion: CURRENT_SCHEMA_VERSION };
+  sources.forEach(source => {
+    const parsed = upgradeParsedData(source);
+    if (!isPlainObject(parsed)) return;
+
+    ["Materials", "Buildings"].forEach(field => {
+      Object.entries(isPlainObject(parsed[field]) ? parsed[field] : {}).forEach(([key, count]) => {
+        if (typeof count === "number" && count >= 0) {
+          requirements[field][key] = (requirements[field][key] || 0) + count;
+        }
+      });
+    });
+
+    if (isPlainObject(parsed.GridArea)) {
+      const { x, y } = parsed.GridArea;
+      const area = requirements.GridArea || { x: 0, y: 0 };
+      requirements.GridArea = {
+        x: area.x + (typeof x === "number" ? x : 0),
+        y: area.y + (typeof y === "number" ? y : 0),
+      };
+    }
+
+    if (Number.isInteger(parsed.MinTierRequired)) {
+      requirements.MinTierRequired = Math.max(requirements.MinTierRequired ?? 0, parsed.MinTierRequired);
+    }
+  });
+  return requirements;
+}
+
+export function toCardRow({ parsed, parts, ...row }) {
+  return {
+    ...row,
+    parts: Array.isArray(parts) ? parts.map(({ parsed: partParsed, ...part }) => part) : parts,
+    requirements: summarizeRequirements({ ...row, parsed, parts }),
+  };
+}
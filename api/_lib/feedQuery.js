@@ -0,0 +1,135 @@
+/**
+ * Feed Query
+ * Query-string parsing shared by /api/blueprints (browse) and /api/search (ranked full-text search).
+ */
+
+import { BUILDING_MAPPINGS, MATERIAL_MAPPINGS } from "../../src/lib/blueprintMappings.js";
+
+export const DEFAULT_PAGE_SIZE = 8;
+export const MAX_PAGE_SIZE = 48;
+export const MAX_ALL_ROWS = 1000;
+export const MAX_SEARCH_LENGTH = 100;
+const MAX_TAGS = 10;
+const MAX_ITEMS = 10;
+// Bookmarked ids per request; the gallery filters longer bookmark lists itself
+export const MAX_IDS = 100;
+
+// Inclusive integer bounds on the filter columns (see SUPABASE_MIGRATION.sql)
+export const FEED_BOUNDS = ["tierMin", "tierMax", "partsMin", "partsMax", "sizeMinX", "sizeMinY", "sizeMaxX", "sizeMaxY"];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Gallery sort keys; search adds "relevance"
+export const FEED_SORTS = ["newest", "oldest", "alphabetical", "popular", "trending", "updated", "downloaded", "ipm-high", "ipm-low"];
+
+const parsePositiveInt = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Stored tags are lowercase slugs (src/lib/tags.js); anything that can't be one matches nothing, so it's dropped
+const parseTags = (value) => [...new Set(String(value || "")
+  .split(",")
+  .map(tag => tag.trim().toLowerCase().replace(/[\s_]+/g, "-"))
+  .filter(tag => /^[a-z0-9-]+$/.test(tag)))]
+  .slice(0, MAX_TAGS);
+
+// Sorted so the same bookmarks give the same page key
+const parseIds = (value) => (value === undefined
+  ? null
+  : [...new Set(String(value).split(",").map(id => id.trim().toLowerCase()).filter(id => UUID_PATTERN.test(id)))].sort().slice(0, MAX_IDS));
+
+// Mapping keys (or raw parser keys for unmapped items), as the gallery's pickers and search box send them
+const parseItemKeys = (value) => [...new Set(String(value || "")
+  .split(",")
+  .map(key => key.trim())
+  .filter(key => /^[A-Za-z0-9_-]+$/.test(key)))]
+  .slice(0, MAX_ITEMS);
+
+const parseBounds = (query) => Object.fromEntries(FEED_BOUNDS
+  .filter(name => query[name] !== undefined && query[name] !== "" && Number.isInteger(Number(query[name])))
+  .map(name => [name, Number(query[name])]));
+
+/**
+ * Validate and normalise sort, page, pageSize, tags, excludeTags, creator, ids, buildings, excludeBuildings,
+ * materials, excludeMaterials, the FEED_BOUNDS and all=1.
+ * Malformed tags, ids, item keys and bounds are skipped rather than rejected, so a stale link still shows the gallery.
+ * `ids` is null without the parameter; an empty ids= matches nothing.
+ * @returns {{sort, page, pageSize, tags, excludeTags, creator, ids, items, bounds, all} | {error: string}}
+ */
+export function parseFeedQuery(query, { sorts = FEED_SORTS, defaultSort = "newest" } = {}) {
+  const sort = query.sort || defaultSort;
+  if (!sorts.includes(sort)) {
+    return { error: `Unknown sort "${sort}"` };
+  }
+
+  const page = parsePositiveInt(query.page, 1);
+  const pageSize = parsePositiveInt(query.pageSize, DEFAULT_PAGE_SIZE);
+  if (page === null || pageSize === null || pageSize > MAX_PAGE_SIZE) {
+    return { error: `page must be a positive integer and pageSize between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  return {
+    sort,
+    page,
+    pageSize,
+    tags: parseTags(query.tags),
+    excludeTags: parseTags(query.excludeTags),
+    creator: String(query.creator || "").trim().slice(0, MAX_SEARCH_LENGTH),
+    ids: parseIds(query.ids),
+    items: {
+      buildings: { include: parseItemKeys(query.buildings), exclude: parseItemKeys(query.excludeBuildings) },
+      materials: { include: parseItemKeys(query.materials), exclude: parseItemKeys(query.excludeMaterials) },
+    },
+    bounds: parseBounds(query),
+    all: query.all === "1",
+  };
+}
+
+const ITEM_KINDS = [["building", "buildings", BUILDING_MAPPINGS], ["material", "materials", MATERIAL_MAPPINGS]];
+
+/**
+ * Building/material filters as item_keys entries ('building:<key>'), each key with its alias spellings:
+ * include holds one group per required item (any spelling matches), exclude every spelling to rule out
+ * @returns {{include: string[][], exclude: string[]}}
+ */
+export function toItemKeyFilters({ items }) {
+  const include = [];
+  const exclude = [];
+  ITEM_KINDS.forEach(([kind, field, mappings]) => {
+    const spellings = (key) => [key, ...(mappings[key]?.aliases || [])].map(spelling => `${kind}:${spelling}`);
+    items[field].include.forEach(key => include.push(spellings(key)));
+    items[field].exclude.forEach(key => exclude.push(...spellings(key)));
+  });
+  return { include, exclude };
+}
+
+// Row range for the requested page (or every row up to MAX_ALL_ROWS)
+export const toRowRange = ({ all, page, pageSize }) => {
+  const from = all ? 0 : (page - 1) * pageSize;
+  return { from, to: all ? MAX_ALL_ROWS - 1 : from + pageSize - 1 };
+};
+
+// Same query, same key: filters are already normalised by parseFeedQuery
+export const toPageKey = ({ sort, tags, excludeTags, search = "", creator, ids, items, bounds, all, page, pageSize }) =>
+  [
+    sort,
+    tags.join(","),
+    excludeTags.join(","),
+    search.toLowerCase(),
+    creator.toLowerCase(),
+    ids ? `ids:${ids.join(",")}` : "",
+    ITEM_KINDS.map(([, field]) => `${items[field].include.join(",")}/${items[field].exclude.join(",")}`).join("/"),
+    FEED_BOUNDS.filter(name => name in bounds).map(name => `${name}=${bounds[name]}`).join(","),
+    all ? "all" : `${page}x${pageSize}`,
+  ].join("|");
+
+// truncated: all=1 matched more than MAX_ALL_ROWS rows, so filters run over the returned rows are incomplete
+export const toFeedResponse = (feed, blueprints, total) => ({
+  blueprints,
+  total,
+  page: feed.all ? 1 : feed.page,
+  pageSize: feed.all ? blueprints.length : feed.pageSize,
+  truncated: feed.all && total > blueprints.length,
+});
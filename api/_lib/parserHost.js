@@ -0,0 +1,7 @@
+/**
+ * Parser Host
+ * Base URL of the alchemy-save-parser service. Point PARSER_HOST at the bundled mock
+ * (npm run mock-parser) to run the upload -> parse -> webhook loop offline.
+ */
+
+export const PARSER_HOST = (process.env.PARSER_HOST || "https://alchemy-save-parser.faulty.ws").replace(/\/+$/, "");
@@ -0,0 +1,147 @@
+/**
+ * Parser Queue
+ * Server-side submission of blueprint files to the parser and the parse job rows that track them.
+ * Shared by /api/queue-parse (owner uploads) and /api/admin-reparse (catalogue re-parse).
+ */
+
+import { PARSER_HOST } from "./parserHost.js";
+
+const PARSER_API_URL = `${PARSER_HOST}/queueBlueprint`;
+const SITE_ID = "alchemy-factory-blueprints.vercel.app";
+const PARSER_RETRIES = 3;
+
+// Jobs the parser never called back about count as failed after this long, so the client can retry
+const STALE_JOB_MS = 10 * 60 * 1000;
+const PENDING_STATUSES = ["queued", "parsing"];
+
+// Same shape as /api/parse-status
+export const toJob = (row) => row && ({
+  id: row.id,
+  blueprintId: row.blueprint_id,
+  partNumber: row.part_number,
+  status: row.status,
+  attempts: row.attempts,
+  error: row.error,
+  parserVersion: row.parser_version,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  completedAt: row.completed_at,
+});
+
+// blueprintId is null for a file that isn't on the hub; userId records who asked for the parse
+export async function createParseJob(supabase, { blueprintId, partNumber, fileHash, userId = null }) {
+  const { data, error } = await supabase
+    .from("parse_jobs")
+    .insert({ blueprint_id: blueprintId, user_id: userId, part_number: partNumber, file_hash: fileHash, status: "queued" })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Jobs this user opened for files that aren't on the hub within the last windowMs
+export async function countUnattachedParseJobs(supabase, userId, windowMs) {
+  const { count, error } = await supabase
+    .from("parse_jobs")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .is("blueprint_id", null)
+    .gte("created_at", new Date(Date.now() - windowMs).toISOString());
+
+  if (error) throw error;
+  return count || 0;
+}
+
+export function isStaleParseJob(row) {
+  return PENDING_STATUSES.includes(row.status) && Date.now() - new Date(row.updated_at).getTime() > STALE_JOB_MS;
+}
+
+/**
+ * Persist the timeout for every stale job. Runs on the queue paths (never on status polls),
+ * so a sweep only happens when an authenticated caller is already writing jobs.
+ */
+export async function failStaleParseJobs(supabase) {
+  const { error } = await supabase
+    .from("parse_jobs")
+    .update({ status: "failed", error: "Timed out waiting for the parser" })
+    .in("status", PENDING_STATUSES)
+    .lt("updated_at", new Date(Date.now() - STALE_JOB_MS).toISOString());
+
+  if (error) {
+    console.error("Error failing stale parse jobs:", error);
+  }
+}
+
+export async function updateParseJob(supabase, jobId, updates) {
+  const { data, error } = await supabase
+    .from("parse_jobs")
+    .update(updates)
+    .eq("id", jobId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Error updating parse job:", error);
+    return null;
+  }
+  return data;
+}
+
+// Configured, never taken from the request: a forged Host header must not redirect signed callbacks
+export function getWebhookUrl() {
+  const baseUrl = process.env.PARSER_WEBHOOK_BASE_URL;
+  if (!baseUrl) {
+    throw new Error("PARSER_WEBHOOK_BASE_URL is not set");
+  }
+  return new URL("/api/blueprint-parsed", baseUrl).toString();
+}
+
+/**
+ * POST a file to the parser's queue, retrying network errors and 5xx responses
+ * @returns {Promise<Object>} - Parser response ({ duplicate, queued, parsed, ... })
+ */
+export async function forwardToParser({ fileBuffer, filename, blueprintId, jobId = null, webhookUrl }) {
+  const parserUrl = new URL(PARSER_API_URL);
+  parserUrl.searchParams.append("webhookUrl", webhookUrl);
+
+  for (let attempt = 1; attempt <= PARSER_RETRIES; attempt++) {
+    const formData = new FormData();
+    formData.append("file", new Blob([fileBuffer], { type: "application/octet-stream" }), filename);
+    formData.append("siteId", SITE_ID);
+    if (blueprintId) {
+      formData.append("customId", blueprintId);
+    }
+    // Echoed back in the signed callback body, unlike a webhook URL parameter
+    if (jobId) {
+      formData.append("jobId", jobId);
+    }
+
+    let response;
+    try {
+      response = await fetch(parserUrl.toString(), {
+        method: "POST",
+        headers: { "x-alchemy-secret": process.env.PARSER_API_KEY },
+        body: formData,
+      });
+    } catch (error) {
+      if (attempt < PARSER_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        continue;
+      }
+      throw error;
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const errorText = await response.text();
+    console.error(`Parser error (${response.status}): ${errorText}`);
+    if ((response.status >= 500 || response.status === 408) && attempt < PARSER_RETRIES) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      continue;
+    }
+    throw new Error(`Parser API error: ${response.status}`);
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Parser Webhook Signatures
+ * The parser signs each callback with HMAC-SHA256 over `${timestamp}.${rawBody}` using PARSER_WEBHOOK_SECRET:
+ *
+ *   x-alchemy-timestamp: 1712345678            (unix seconds)
+ *   x-alchemy-signature: sha256=<hex digest>
+ *   x-alchemy-delivery:  <delivery id>         (optional, logging only: it isn't signed)
+ *
+ * Everything the webhook acts on (fileHash, customId, jobId) must come from the signed body.
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+// Deliveries older (or further in the future) than this are rejected as stale
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const SIGNATURE_PREFIX = "sha256=";
+
+export function signWebhookPayload(secret, timestamp, rawBody) {
+  const hmac = createHmac("sha256", secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody);
+  return `${SIGNATURE_PREFIX}${hmac.digest("hex")}`;
+}
+
+/**
+ * Check a delivery's signature and freshness
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function verifyWebhookSignature({ secret, timestamp, signature, rawBody, now = Date.now() }) {
+  if (!timestamp || !signature) {
+    return { valid: false, reason: "missing_signature" };
+  }
+
+  const seconds = Number(timestamp);
+  if (!/^\d+$/.test(String(timestamp)) || !Number.isSafeInteger(seconds)) {
+    return { valid: false, reason: "invalid_timestamp" };
+  }
+  if (Math.abs(now / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { valid: false, reason: "stale_timestamp" };
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody));
+  const provided = Buffer.from(String(signature));
+  if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+    return { valid: false, reason: "bad_signature" };
+  }
+
+  return { valid: true };
+}
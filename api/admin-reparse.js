@@ -0,0 +1,226 @@
+/**
+ * Catalogue Re-parse (admin only)
+ * Re-queues every blueprint file whose parsed data is missing or older than the target parser version,
+ * first replacing legacy whole-file hashes with the payload hash so the parser's result can be merged.
+ * Works through the catalogue in batches so each call fits in one function invocation; call it again
+ * with the returned cursor until `done` (scripts/reparse-outdated.mjs does this).
+ *
+ * POST /api/admin-reparse?cursor=&limit=&targetVersion=&dryRun=1
+ * Authorization: Bearer <Supabase access token of a user listed in ADMIN_USER_IDS>
+ */
+
+import { createHash } from "crypto";
+import { createClient } from "@supabase/supabase-js";
+import { extractBearerToken } from "../src/lib/corsConfig.js";
+import { CURRENT_PARSER_VERSION, getParserVersion, isParserVersionOutdated, stampParserVersion } from "../src/lib/parserVersion.js";
+import { upgradeParsedData, validateParsedDataStrict, formatSchemaErrors } from "../src/lib/parsedDataSchema.js";
+import { PNG_SIGNATURE, IEND_CHUNK, hasPngSignature, readPngContainer, getBlueprintPayload, concatBytes } from "../src/lib/pngContainer.js";
+import { toJob, createParseJob, updateParseJob, failStaleParseJobs, getWebhookUrl, forwardToParser } from "./_lib/parserQueue.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "").split(",").map(id => id.trim()).filter(Boolean);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+
+const DEFAULT_BATCH_SIZE = 5;
+const MAX_BATCH_SIZE = 25;
+
+// Storage path of a stored file: multi-part files by filename, single-part files from their public URL
+function getStoragePath(blueprint, part) {
+  if (part) {
+    return `${blueprint.user_id}/${part.filename}`;
+  }
+  const marker = "/public/blueprints/";
+  const index = blueprint.file_url?.indexOf(marker) ?? -1;
+  return index === -1 ? null : decodeURIComponent(blueprint.file_url.slice(index + marker.length));
+}
+
+// Files of a blueprint whose parsed data needs refreshing
+function getOutdatedFiles(blueprint, targetVersion) {
+  if (blueprint.is_multi_part && Array.isArray(blueprint.parts)) {
+    return blueprint.parts
+      .filter(part => isParserVersionOutdated(part.parsed, targetVersion))
+      .map(part => ({ part, partNumber: part.part_number, currentVersion: getParserVersion(part.parsed) }));
+  }
+  if (isParserVersionOutdated(blueprint.parsed, targetVersion)) {
+    return [{ part: null, partNumber: null, currentVersion: getParserVersion(blueprint.parsed) }];
+  }
+  return [];
+}
+
+// Stored files carry hub branding and metadata; the parser gets the stripped form the hub hashes
+async function downloadStrippedFile(path) {
+  const { data: blob, error } = await supabase.storage.from("blueprints").download(path);
+  if (error) throw new Error(`Download failed: ${error.message}`);
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (!hasPngSignature(bytes)) {
+    throw new Error("Stored file is not a PNG blueprint");
+  }
+  const payload = getBlueprintPayload(readPngContainer(bytes, { verifyCrc: false }));
+  if (!payload || payload.length === 0) {
+    throw new Error("Stored file has no blueprint data");
+  }
+  return Buffer.from(concatBytes([PNG_SIGNATURE, IEND_CHUNK, payload]));
+}
+
+// Legacy rows store the hash of the whole uploaded PNG; swap it for the payload hash the parser reports
+async function backfillFileHash(blueprint, part, fileHash) {
+  const storedHash = part ? part.file_hash : blueprint.filehash;
+  if (storedHash === fileHash) return;
+
+  const { data: updatedPart, error } = await supabase.rpc("rehash_blueprint_file", {
+    p_blueprint_id: blueprint.id,
+    p_old_hash: storedHash ?? null,
+    p_new_hash: fileHash,
+  });
+  if (error) throw error;
+  if (updatedPart === null) throw new Error("Stored file hash changed during re-parse");
+}
+
+async function requeueFile(blueprint, { part, partNumber }) {
+  const path = getStoragePath(blueprint, part);
+  if (!path) throw new Error("Blueprint has no stored file");
+
+  const fileBuffer = await downloadStrippedFile(path);
+  const fileHash = createHash("sha256").update(fileBuffer).digest("hex");
+  await backfillFileHash(blueprint, part, fileHash);
+
+  let job = await createParseJob(supabase, { blueprintId: blueprint.id, partNumber, fileHash });
+
+  try {
+    const data = await forwardToParser({
+      fileBuffer,
+      filename: path.split("/").pop(),
+      blueprintId: blueprint.id,
+      jobId: job.id,
+      webhookUrl: getWebhookUrl(),
+    });
+
+    if (data.duplicate && data.parsed) {
+      // Cached result: store it now, the parser won't call back
+      const parsed = stampParserVersion(upgradeParsedData(data.parsed), data.parserVersion || data.version || CURRENT_PARSER_VERSION);
+      const validation = validateParsedDataStrict(parsed);
+      if (!validation.valid) {
+        throw new Error(`Invalid parsed data: ${formatSchemaErrors(validation.errors)}`);
+      }
+      const { data: mergedPart, error: mergeError } = await supabase.rpc("merge_blueprint_parsed", {
+        p_blueprint_id: blueprint.id,
+        p_file_hash: fileHash,
+        p_parsed: parsed,
+      });
+      if (mergeError) throw mergeError;
+      if (mergedPart === null) throw new Error("No blueprint file matches this hash");
+
+      job = await updateParseJob(supabase, job.id, { status: "done", parser_version: parsed.parser_version, completed_at: new Date().toISOString() }) || job;
+    } else {
+      job = await updateParseJob(supabase, job.id, { status: "parsing" }) || job;
+    }
+    return job;
+  } catch (error) {
+    await updateParseJob(supabase, job.id, {
+      status: "failed",
+      error: String(error.message).slice(0, 500),
+      completed_at: new Date().toISOString(),
+    });
+    throw error;
+  }
+}
+
+export default async function handler(req, res) {
+  if (!process.env.PARSER_API_KEY || !process.env.PARSER_WEBHOOK_BASE_URL) {
+    console.error("PARSER_API_KEY and PARSER_WEBHOOK_BASE_URL environment variables must be set");
+    return res.status(500).json({ error: "Server configuration error" });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  const token = extractBearerToken(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { data: { user } = {}, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !user) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  if (!ADMIN_USER_IDS.includes(user.id)) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+
+  const { cursor = null } = req.query;
+  const targetVersion = req.query.targetVersion || CURRENT_PARSER_VERSION;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+  const dryRun = req.query.dryRun === "1" || req.query.dryRun === "true";
+
+  if (cursor && !UUID_PATTERN.test(cursor)) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+  if (!VERSION_PATTERN.test(targetVersion)) {
+    return res.status(400).json({ error: "Invalid targetVersion" });
+  }
+
+  try {
+    let query = supabase
+      .from("blueprints")
+      .select("id, title, user_id, is_multi_part, file_url, filehash, parsed, parts")
+      .order("id", { ascending: true })
+      .limit(limit);
+    if (cursor) {
+      query = query.gt("id", cursor);
+    }
+
+    const { data: blueprints, error } = await query;
+    if (error) throw error;
+
+    const queued = [];
+    const failed = [];
+
+    if (!dryRun) {
+      await failStaleParseJobs(supabase);
+    }
+
+    for (const blueprint of blueprints) {
+      for (const file of getOutdatedFiles(blueprint, targetVersion)) {
+        const entry = { blueprintId: blueprint.id, title: blueprint.title, partNumber: file.partNumber, fromVersion: file.currentVersion };
+
+        if (dryRun) {
+          queued.push(entry);
+          continue;
+        }
+
+        try {
+          const job = await requeueFile(blueprint, file);
+          queued.push({ ...entry, job: toJob(job) });
+        } catch (fileError) {
+          console.error(`Re-parse failed for ${blueprint.id}${file.partNumber ? ` part ${file.partNumber}` : ""}:`, fileError.message);
+          failed.push({ ...entry, error: fileError.message });
+        }
+      }
+    }
+
+    const nextCursor = blueprints.length === limit ? blueprints[blueprints.length - 1].id : null;
+
+    return res.status(200).json({
+      targetVersion,
+      dryRun,
+      scanned: blueprints.length,
+      queued,
+      failed,
+      nextCursor,
+      done: nextCursor === null,
+    });
+  } catch (error) {
+    console.error("Admin re-parse error:", error);
+    return res.status(500).json({ error: "Failed to re-parse blueprints" });
+  }
+}
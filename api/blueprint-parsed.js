@@ -1,15 +1,120 @@
+import { createHash } from "crypto";
 import { createClient } from "@supabase/supabase-js";
+import { verifyWebhookSignature } from "./_lib/parserWebhookSignature.js";
+import { CURRENT_PARSER_VERSION, stampParserVersion } from "../src/lib/parserVersion.js";
+import { upgradeParsedData, validateParsedDataStrict, formatSchemaErrors } from "../src/lib/parsedDataSchema.js";
+import { invalidateBlueprintCaches } from "./_lib/blueprintCache.js";
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-const PARSER_API_KEY = process.env.PARSER_API_KEY;
+// Separate from PARSER_API_KEY (used by /api/queue-parse) so the callback can't be forged with the queueing key
+const PARSER_WEBHOOK_SECRET = process.env.PARSER_WEBHOOK_SECRET;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_BODY_SIZE = 2 * 1024 * 1024;
+const UNIQUE_VIOLATION = "23505";
+
+// Far beyond the signature's timestamp tolerance, so a pruned delivery can't be replayed
+const DELIVERY_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// The signature covers the exact bytes sent, so the body is read from the stream instead of the parsed req.body
+async function readRawBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Audit trail for forged, stale or malformed deliveries, counted per reason, source IP and hour
+// so unauthenticated requests can't grow the table without bound
+async function recordRejection(req, reason, rawBody = null) {
+  const { error } = await supabase.rpc("record_parser_webhook_rejection", {
+    p_reason: reason,
+    p_remote_ip: String(req.headers["x-forwarded-for"] || req.socket?.remoteAddress || "").split(",")[0].trim().slice(0, 64),
+    p_user_agent: String(req.headers["user-agent"] || "").slice(0, 300) || null,
+    p_body_sha256: rawBody ? createHash("sha256").update(rawBody).digest("hex") : null,
+  });
+  if (error) {
+    console.error("Error recording webhook rejection:", error);
+  }
+}
+
+/**
+ * Claim a delivery so replays of it are no-ops. Keyed by the signature, which covers the timestamp and
+ * the exact body, so resending a captured delivery under a new x-alchemy-delivery id is still a replay.
+ * @returns {Promise<boolean>} - false if this delivery was already applied
+ */
+async function claimDelivery(deliveryId, jobId) {
+  const { error } = await supabase
+    .from("parser_webhook_deliveries")
+    .insert({ delivery_id: deliveryId, job_id: jobId });
+
+  if (error?.code === UNIQUE_VIOLATION) return false;
+  if (error) throw error;
+  return true;
+}
+
+// Replays of old deliveries fail the timestamp check before reaching this table, so their claims can go
+async function pruneDeliveries() {
+  const { error } = await supabase
+    .from("parser_webhook_deliveries")
+    .delete()
+    .lt("received_at", new Date(Date.now() - DELIVERY_RETENTION_MS).toISOString());
+  if (error) {
+    console.error("Error pruning webhook deliveries:", error);
+  }
+}
+
+// Let the parser redeliver when we failed to apply it
+async function releaseDelivery(deliveryId) {
+  const { error } = await supabase
+    .from("parser_webhook_deliveries")
+    .delete()
+    .eq("delivery_id", deliveryId);
+  if (error) {
+    console.error("Error releasing webhook delivery:", error);
+  }
+}
+
+// Record the outcome on the parse job (by the signed jobId, else any pending job for this file).
+// A jobId only reaches the job queued for the same blueprint and file.
+async function updateParseJob({ jobId, blueprintId, fileHash }, updates) {
+  let query = supabase.from("parse_jobs").update(updates);
+
+  if (jobId) {
+    query = query.eq("id", jobId);
+    if (blueprintId) {
+      query = query.eq("blueprint_id", blueprintId);
+    }
+    if (fileHash) {
+      query = query.eq("file_hash", fileHash);
+    }
+  } else if (blueprintId && fileHash) {
+    query = query
+      .eq("blueprint_id", blueprintId)
+      .eq("file_hash", fileHash)
+      .in("status", ["queued", "parsing"]);
+  } else {
+    return;
+  }
+
+  const { error } = await query;
+  if (error) {
+    console.error("Error updating parse job:", error);
+  }
+}
 
 export default async function handler(req, res) {
-  if (!PARSER_API_KEY) {
-    console.error("PARSER_API_KEY environment variable is not set");
+  if (!PARSER_WEBHOOK_SECRET) {
+    console.error("PARSER_WEBHOOK_SECRET environment variable is not set");
     return res.status(500).json({ error: "Server configuration error" });
   }
 
@@ -17,17 +122,118 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const providedSecret = req.headers["x-alchemy-secret"];
-  if (providedSecret !== PARSER_API_KEY) {
-    console.error("Invalid parser secret");
+  const rawBody = await readRawBody(req);
+  if (!rawBody) {
+    await recordRejection(req, "body_too_large");
+    return res.status(413).json({ error: "Payload too large" });
+  }
+
+  const signature = req.headers["x-alchemy-signature"];
+  const verification = verifyWebhookSignature({
+    secret: PARSER_WEBHOOK_SECRET,
+    timestamp: req.headers["x-alchemy-timestamp"],
+    signature,
+    rawBody,
+  });
+  if (!verification.valid) {
+    console.error(`Rejected parser webhook: ${verification.reason}`);
+    await recordRejection(req, verification.reason, rawBody);
     return res.status(401).json({ error: "Unauthorized" });
   }
 
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString("utf8"));
+  } catch {
+    await recordRejection(req, "invalid_json", rawBody);
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    await recordRejection(req, "invalid_json", rawBody);
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  const jobId = UUID_PATTERN.test(String(payload.jobId || "")) ? payload.jobId : null;
+  const deliveryId = String(signature);
+
+  try {
+    if (!(await claimDelivery(deliveryId, jobId))) {
+      console.log(`Ignoring replayed parser delivery ${req.headers["x-alchemy-delivery"] || deliveryId}`);
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+  } catch (error) {
+    console.error("Error recording webhook delivery:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+
+  const result = await applyDelivery(payload, jobId);
+  if (result.status >= 500) {
+    await releaseDelivery(deliveryId);
+  }
+  await pruneDeliveries();
+  return res.status(result.status).json(result.body);
+}
+
+async function isUnattachedJob(jobId) {
+  const { data, error } = await supabase
+    .from("parse_jobs")
+    .select("blueprint_id")
+    .eq("id", jobId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data) && !data.blueprint_id;
+}
+
+// Store the parsed result; returns the response instead of sending it so a failed delivery can be released first
+async function applyDelivery(body, jobId) {
   try {
-    const { fileHash, parsed, customId } = req.body;
+    const { fileHash, customId, error: parserError } = body;
+    // Results are stamped with the reporting parser's version (or the version current when they arrived)
+    const parserVersion = body.parserVersion || body.version || body.parsed?.parser_version || CURRENT_PARSER_VERSION;
+    const parsed = body.parsed ? stampParserVersion(upgradeParsedData(body.parsed), parserVersion) : body.parsed;
+
+    // The parser reports failures through the same callback
+    if (parserError && !parsed) {
+      await updateParseJob({ jobId, blueprintId: customId, fileHash }, {
+        status: "failed",
+        error: String(parserError).slice(0, 500),
+        parser_version: parserVersion,
+        completed_at: new Date().toISOString(),
+      });
+      return { status: 200, body: { success: true, failed: true } };
+    }
 
     if (!fileHash || !parsed) {
-      return res.status(400).json({ error: "Missing fileHash or parsed data" });
+      return { status: 400, body: { error: "Missing fileHash or parsed data" } };
+    }
+    if (!/^[0-9a-f]{64}$/i.test(fileHash)) {
+      return { status: 400, body: { error: "Invalid fileHash" } };
+    }
+
+    // A file that isn't on the hub has nowhere to store the result; the parser keeps it for the next request
+    if (jobId && !customId && (await isUnattachedJob(jobId))) {
+      const valid = validateParsedDataStrict(parsed).valid;
+      await updateParseJob({ jobId, fileHash }, {
+        status: valid ? "done" : "failed",
+        error: valid ? null : "Invalid parsed data",
+        parser_version: parserVersion,
+        completed_at: new Date().toISOString(),
+      });
+      return { status: 200, body: { success: valid } };
+    }
+
+    const validation = validateParsedDataStrict(parsed);
+    if (!validation.valid) {
+      const message = `Invalid parsed data: ${formatSchemaErrors(validation.errors)}`;
+      console.error(`Rejected parsed data for fileHash ${fileHash}: ${message}`);
+      await updateParseJob({ jobId, blueprintId: customId, fileHash }, {
+        status: "failed",
+        error: message.slice(0, 500),
+        parser_version: parserVersion,
+        completed_at: new Date().toISOString(),
+      });
+      return { status: 422, body: { error: "Invalid parsed data", details: validation.errors.slice(0, 50) } };
     }
 
     console.log(`Received parsed data for fileHash: ${fileHash}${customId ? ` (customId: ${customId})` : ""}`);
@@ -49,66 +255,66 @@ export default async function handler(req, res) {
       const result = await supabase
         .from("blueprints")
         .select("id")
-        .eq("filehash", fileHash)
-        .single();
+        .or(`filehash.eq.${fileHash},parts.cs.[{"file_hash":"${fileHash}"}]`)
+        .limit(1)
+        .maybeSingle();
       blueprint = result.data;
       findError = result.error;
     }
 
     if (findError || !blueprint) {
       console.error("Blueprint not found for fileHash:", fileHash);
-      return res.status(404).json({ error: "Blueprint not found" });
+      await updateParseJob({ jobId, fileHash }, {
+        status: "failed",
+        error: "Blueprint not found",
+        parser_version: parserVersion,
+        completed_at: new Date().toISOString(),
+      });
+      return { status: 404, body: { error: "Blueprint not found" } };
     }
 
-    // Check if this is a multi-part blueprint
-    const { data: blueprintData, error: selectError } = await supabase
-      .from("blueprints")
-      .select("is_multi_part, parts")
-      .eq("id", blueprint.id)
-      .single();
+    // Merge into the matching file only; parts finishing at the same time can't clobber each other
+    const { data: partNumber, error: updateError } = await supabase.rpc("merge_blueprint_parsed", {
+      p_blueprint_id: blueprint.id,
+      p_file_hash: fileHash,
+      p_parsed: parsed,
+    });
 
-    if (selectError) {
-      console.error("Error fetching blueprint details:", selectError);
-      return res.status(500).json({ error: "Failed to fetch blueprint details" });
+    if (updateError) {
+      console.error("Error updating blueprint:", updateError);
+      await updateParseJob({ jobId, blueprintId: blueprint.id, fileHash }, {
+        status: "failed",
+        error: "Failed to store parsed data",
+        parser_version: parserVersion,
+        completed_at: new Date().toISOString(),
+      });
+      return { status: 500, body: { error: "Failed to update blueprint" } };
     }
 
-    let updateData;
-
-    if (blueprintData.is_multi_part && blueprintData.parts) {
-      // Multi-part blueprint - update the specific part's parsed data
-      const updatedParts = blueprintData.parts.map(part => {
-        if (part.file_hash === fileHash) {
-          return { ...part, parsed: parsed };
-        }
-        return part;
+    if (partNumber === null) {
+      console.error(`No file on blueprint ${blueprint.id} matches fileHash: ${fileHash}`);
+      await updateParseJob({ jobId, blueprintId: blueprint.id, fileHash }, {
+        status: "failed",
+        error: "No blueprint file matches this hash",
+        parser_version: parserVersion,
+        completed_at: new Date().toISOString(),
       });
-
-      updateData = {
-        parts: updatedParts,
-        filehash: fileHash
-      };
-    } else {
-      // Single-part blueprint - update parsed directly
-      updateData = {
-        parsed: parsed,
-        filehash: fileHash
-      };
+      return { status: 404, body: { error: "No blueprint file matches this hash" } };
     }
 
-    const { error: updateError } = await supabase
-      .from("blueprints")
-      .update(updateData)
-      .eq("id", blueprint.id);
+    await updateParseJob({ jobId, blueprintId: blueprint.id, fileHash }, {
+      status: "done",
+      error: null,
+      parser_version: parserVersion,
+      completed_at: new Date().toISOString(),
+    });
 
-    if (updateError) {
-      console.error("Error updating blueprint:", updateError);
-      return res.status(500).json({ error: "Failed to update blueprint" });
-    }
+    await invalidateBlueprintCaches({ event: "parsed", blueprintId: blueprint.id });
 
     console.log(`Successfully updated blueprint ${blueprint.id} with parsed data`);
-    return res.status(200).json({ success: true, blueprintId: blueprint.id });
+    return { status: 200, body: { success: true, blueprintId: blueprint.id } };
   } catch (error) {
     console.error("Webhook handler error:", error);
-    return res.status(500).json({ error: "Internal server error" });
+    return { status: 500, body: { error: "Internal server error" } };
   }
 }
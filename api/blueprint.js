@@ -0,0 +1,47 @@
+/**
+ * Blueprint Detail
+ * GET /api/blueprint?id= - the full blueprint row (parsed data included) for the detail view.
+ * Cached per blueprint until it is parsed, edited, rated or deleted; responses carry an ETag.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { cacheManager, toCacheEntry, sendCacheEntry } from "./_lib/blueprintCache.js";
+
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_ANON_KEY
+);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { id } = req.query;
+  if (!id || !UUID_PATTERN.test(id)) {
+    return res.status(400).json({ error: "Missing or invalid id" });
+  }
+
+  try {
+    const entry = await cacheManager.getFullBlueprint(id, async () => {
+      const { data, error } = await supabase
+        .from("blueprints")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data ? toCacheEntry(data) : null;
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: "Blueprint not found" });
+    }
+    return sendCacheEntry(req, res, entry);
+  } catch (error) {
+    console.error("Blueprint detail error:", error);
+    return res.status(500).json({ error: "Failed to fetch blueprint" });
+  }
+}
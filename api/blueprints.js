@@ -0,0 +1,145 @@
+/**
+ * Blueprint Feed
+ * GET /api/blueprints - filtered, sorted and paginated gallery rows with the total match count, all in SQL
+ * (the blueprint_feed view adds the trending sort keys).
+ * Rows are lean card rows (see _lib/blueprintRows.js); the detail view loads full rows itself.
+ *
+ * Query parameters:
+ *   sort         newest | oldest | alphabetical | popular | trending | updated | downloaded | ipm-high | ipm-low
+ *   tags         comma-separated, every tag must be present
+ *   excludeTags  comma-separated, none may be present
+ *   creator      creator name (case-insensitive exact match)
+ *   ids          comma-separated blueprint ids (bookmarks, up to MAX_IDS)
+ *   buildings, materials, excludeBuildings, excludeMaterials
+ *                comma-separated mapping keys; every included item must be used (under any alias spelling),
+ *                no excluded one may be
+ *   tierMin, tierMax, partsMin, partsMax, sizeMinX, sizeMinY, sizeMaxX, sizeMaxY
+ *                inclusive bounds on the minimum tier, part count and grid size
+ *   page         1-based page number
+ *   pageSize     rows per page (max MAX_PAGE_SIZE)
+ *   all=1        every matching row (up to MAX_ALL_ROWS), for gallery filters that need the player's save
+ *                or local folder; truncated is true when more rows matched than were returned
+ *
+ * Text search lives in /api/search, which takes the same parameters plus q.
+ *
+ * Responses are cached per query (trending lists under their own key) and carry an ETag.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { CARD_SOURCE_COLUMNS, toCardRow } from "./_lib/blueprintRows.js";
+import { cacheManager, toCacheEntry, sendCacheEntry } from "./_lib/blueprintCache.js";
+import { parseFeedQuery, toItemKeyFilters, toRowRange, toPageKey, toFeedResponse } from "./_lib/feedQuery.js";
+
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_ANON_KEY
+);
+
+// Column orderings, matching the gallery's former in-memory sort; blueprint_feed adds the trending keys
+const SORTS = {
+  newest: [["created_at", { ascending: false }]],
+  oldest: [["created_at", { ascending: true }]],
+  alphabetical: [["title", { ascending: true }]],
+  popular: [["rating_average", { ascending: false, nullsFirst: false }], ["rating_count", { ascending: false, nullsFirst: false }]],
+  updated: [["updated_at", { ascending: false, nullsFirst: false }], ["created_at", { ascending: false }]],
+  downloaded: [["downloads", { ascending: false, nullsFirst: false }]],
+  "ipm-high": [["production_rate", { ascending: false, nullsFirst: false }]],
+  "ipm-low": [["production_rate", { ascending: true, nullsFirst: true }]],
+  // Uploaded in the last 7 days first, then likes * 2 + downloads
+  trending: [["trending_recent", { ascending: false }], ["trending_score", { ascending: false }]],
+};
+
+// Bound parameter -> filter column and comparison
+const BOUND_FILTERS = {
+  tierMin: ["min_tier", "gte"],
+  tierMax: ["min_tier", "lte"],
+  partsMin: ["part_count", "gte"],
+  partsMax: ["part_count", "lte"],
+  sizeMinX: ["grid_x", "gte"],
+  sizeMinY: ["grid_y", "gte"],
+  sizeMaxX: ["grid_x", "lte"],
+  sizeMaxY: ["grid_y", "lte"],
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+function applyFilters(request, feed) {
+  const { tags, excludeTags, creator, ids, bounds } = feed;
+  let filtered = request;
+  if (tags.length > 0) {
+    filtered = filtered.contains("tags", tags);
+  }
+  if (excludeTags.length > 0) {
+    // Tags are normalised slugs, safe inside the filter syntax; untagged rows have nothing to exclude
+    filtered = filtered.or(`tags.is.null,tags.not.ov.{${excludeTags.join(",")}}`);
+  }
+  if (creator) {
+    filtered = filtered.ilike("creator_name", escapeLike(creator));
+  }
+  if (ids) {
+    filtered = filtered.in("id", ids);
+  }
+  // Item keys are [A-Za-z0-9_-] with a kind prefix, safe inside the array literal
+  const items = toItemKeyFilters(feed);
+  items.include.forEach(spellings => {
+    filtered = filtered.overlaps("item_keys", spellings);
+  });
+  if (items.exclude.length > 0) {
+    filtered = filtered.not("item_keys", "ov", `{${items.exclude.join(",")}}`);
+  }
+  Object.entries(bounds).forEach(([name, value]) => {
+    const [column, comparison] = BOUND_FILTERS[name];
+    filtered = filtered[comparison](column, value);
+  });
+  return filtered;
+}
+
+async function fetchSortedPage(feed, from, to) {
+  let request = applyFilters(
+    supabase.from("blueprint_feed").select(CARD_SOURCE_COLUMNS, { count: "exact" }),
+    feed
+  );
+  SORTS[feed.sort].forEach(([column, options]) => {
+    request = request.order(column, options);
+  });
+
+  // Tie-breaker keeps pages stable when sort values are equal
+  const { data: rows, count, error } = await request.order("id", { ascending: true }).range(from, to);
+  // Page past the last match
+  if (error?.code === "PGRST103") {
+    return { rows: [], total: count ?? 0 };
+  }
+  if (error) throw error;
+  return { rows, total: count ?? 0 };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const feed = parseFeedQuery(req.query);
+  if (feed.error) {
+    return res.status(400).json({ error: feed.error });
+  }
+
+  const { from, to } = toRowRange(feed);
+
+  const loadPage = async () => {
+    const { rows, total } = await fetchSortedPage(feed, from, to);
+
+    return toCacheEntry(toFeedResponse(feed, rows.map(toCardRow), total));
+  };
+
+  try {
+    const pageKey = toPageKey(feed);
+    const entry = feed.sort === "trending"
+      ? await cacheManager.getTrendingBlueprints(pageKey, loadPage)
+      : await cacheManager.getBlueprintFeed(pageKey, loadPage);
+
+    return sendCacheEntry(req, res, entry);
+  } catch (error) {
+    console.error("Blueprint feed error:", error);
+    return res.status(500).json({ error: "Failed to fetch blueprints" });
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Blueprint Cache Invalidation
+ * Uploads, edits, deletes, ratings and client-side parse results are written straight to Supabase by
+ * the browser; afterwards it reports the change here so the cached API responses for that blueprint
+ * are dropped. Parser webhook deliveries invalidate in /api/blueprint-parsed instead.
+ *
+ * POST /api/cache-invalidate
+ * Body: { blueprintId, event: "parsed" | "upload" | "edit" | "delete" | "rating" }
+ *
+ * Invalidation scans the cache, so callers are limited per user. "rating" reports only invalidate when
+ * the blueprint's rating totals differ from the last report; "delete" reports are checked against the
+ * deleted_blueprints rows the delete trigger writes, and only the owner's first report invalidates.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { extractBearerToken } from "../src/lib/corsConfig.js";
+import { BLUEPRINT_EVENTS, cacheManager, invalidateBlueprintCaches } from "./_lib/blueprintCache.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Only the owner changes a row's content; anyone signed in can rate it
+const OWNER_EVENTS = new Set(["parsed", "upload", "edit"]);
+
+// Reports per user per window; generous for uploads of multi-part blueprints and rating a few in a row
+const RATE_LIMIT_MAX = 30;
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+
+// Deletes are reported right after they happen; older unreported rows are dropped
+const DELETED_ROW_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Consume the caller's deleted_blueprints row for this blueprint
+ * @returns {Promise<boolean>} - false if the caller didn't delete it, or already reported it
+ */
+async function claimDeletedBlueprint(blueprintId, userId) {
+  const { data, error } = await supabase
+    .from("deleted_blueprints")
+    .delete()
+    .eq("blueprint_id", blueprintId)
+    .eq("user_id", userId)
+    .select("blueprint_id");
+  if (error) throw error;
+
+  const { error: pruneError } = await supabase
+    .from("deleted_blueprints")
+    .delete()
+    .lt("deleted_at", new Date(Date.now() - DELETED_ROW_RETENTION_MS).toISOString());
+  if (pruneError) {
+    console.error("Error pruning deleted blueprints:", pruneError);
+  }
+
+  return data.length > 0;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  const token = extractBearerToken(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { data: { user } = {}, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !user) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { blueprintId, event } = req.body || {};
+  if (!blueprintId || !UUID_PATTERN.test(blueprintId)) {
+    return res.status(400).json({ error: "Missing or invalid blueprintId" });
+  }
+  if (!BLUEPRINT_EVENTS.includes(event)) {
+    return res.status(400).json({ error: "Unknown event" });
+  }
+
+  try {
+    if ((await cacheManager.countRateLimited("cache-invalidate", user.id, RATE_LIMIT_WINDOW_SECONDS)) > RATE_LIMIT_MAX) {
+      return res.status(429).json({ error: "Too many cache invalidation requests" });
+    }
+
+    if (event === "delete") {
+      if (!(await claimDeletedBlueprint(blueprintId, user.id))) {
+        return res.status(404).json({ error: "No unreported deletion of your blueprint with this id" });
+      }
+      await invalidateBlueprintCaches({ event, blueprintId, ownerId: user.id });
+      return res.status(200).json({ success: true });
+    }
+
+    const { data: blueprint, error } = await supabase
+      .from("blueprints")
+      .select("id, user_id, likes, rating_average, rating_count")
+      .eq("id", blueprintId)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!blueprint) {
+      return res.status(404).json({ error: "Blueprint not found" });
+    }
+    if (OWNER_EVENTS.has(event) && blueprint.user_id !== user.id) {
+      return res.status(403).json({ error: "You can only report changes to your own blueprints" });
+    }
+
+    if (event === "rating") {
+      const { likes, rating_average: ratingAverage, rating_count: ratingCount } = blueprint;
+      if (!(await cacheManager.recordBlueprintState(blueprintId, { likes, ratingAverage, ratingCount }))) {
+        // Nothing cached shows has changed since the last report
+        return res.status(200).json({ success: true });
+      }
+    }
+
+    await invalidateBlueprintCaches({ event, blueprintId, ownerId: blueprint.user_id });
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Cache invalidation error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Catalogue Stats
+ * GET /api/catalogue-stats - catalogue-wide totals for the gallery dashboard, aggregated in SQL:
+ *   { blueprintCount, creatorCount, totalDownloads, ratingCount, averageRating,
+ *     blueprints: { today, week, month }, downloads: { today, week, month } }
+ * Period downloads are those of the blueprints uploaded in the period.
+ * Cached until an upload, delete or rating changes the totals (downloads catch up by TTL); responses carry an ETag.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { cacheManager, toCacheEntry, sendCacheEntry } from "./_lib/blueprintCache.js";
+
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_ANON_KEY
+);
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const entry = await cacheManager.getCatalogueStats(async () => {
+      const { data, error } = await supabase.rpc("blueprint_catalogue_stats").single();
+      if (error) throw error;
+
+      const ratingCount = Number(data.rating_count);
+      return toCacheEntry({
+        blueprintCount: Number(data.blueprint_count),
+        creatorCount: Number(data.creator_count),
+        totalDownloads: Number(data.total_downloads),
+        ratingCount,
+        averageRating: ratingCount > 0 ? Number(data.rating_sum) / ratingCount : 0,
+        blueprints: {
+          today: Number(data.blueprints_today),
+          week: Number(data.blueprints_week),
+          month: Number(data.blueprints_month),
+        },
+        downloads: {
+          today: Number(data.downloads_today),
+          week: Number(data.downloads_week),
+          month: Number(data.downloads_month),
+        },
+      });
+    });
+
+    return sendCacheEntry(req, res, entry);
+  } catch (error) {
+    console.error("Catalogue stats error:", error);
+    return res.status(500).json({ error: "Failed to fetch catalogue stats" });
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Creator Stats
+ * GET /api/creator-stats?userId= - totals across one creator's blueprints for the creator card.
+ * Cached until one of their blueprints is uploaded, deleted or rated; responses carry an ETag.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { cacheManager, toCacheEntry, sendCacheEntry } from "./_lib/blueprintCache.js";
+
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_ANON_KEY
+);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { userId } = req.query;
+  if (!userId || !UUID_PATTERN.test(userId)) {
+    return res.status(400).json({ error: "Missing or invalid userId" });
+  }
+
+  try {
+    const entry = await cacheManager.getUserStats(userId, async () => {
+      const { data, error } = await supabase
+        .from("blueprints")
+        .select("likes, downloads, rating_average, rating_count")
+        .eq("user_id", userId);
+      if (error) throw error;
+
+      const ratingCount = data.reduce((sum, bp) => sum + (bp.rating_count || 0), 0);
+      const ratingSum = data.reduce((sum, bp) => sum + (bp.rating_average || 0) * (bp.rating_count || 0), 0);
+      return toCacheEntry({
+        userId,
+        blueprintCount: data.length,
+        totalDownloads: data.reduce((sum, bp) => sum + (bp.downloads || 0), 0),
+        totalLikes: data.reduce((sum, bp) => sum + (bp.likes || 0), 0),
+        ratingCount,
+        averageRating: ratingCount > 0 ? ratingSum / ratingCount : null,
+      });
+    });
+
+    return sendCacheEntry(req, res, entry);
+  } catch (error) {
+    console.error("Creator stats error:", error);
+    return res.status(500).json({ error: "Failed to fetch creator stats" });
+  }
+}
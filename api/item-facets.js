@@ -0,0 +1,53 @@
+/**
+ * Item Facets
+ * GET /api/item-facets - how many blueprints use each building and material, most used first:
+ *   { buildings: [{ key, count }], materials: [{ key, count }] }
+ * Keys are BUILDING_MAPPINGS / MATERIAL_MAPPINGS keys (aliases are folded into their item).
+ * Cached until parsed data changes or a blueprint is uploaded, edited or deleted; responses carry an ETag.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { BUILDING_MAPPINGS, MATERIAL_MAPPINGS } from "../src/lib/blueprintMappings.js";
+import { cacheManager, toCacheEntry, sendCacheEntry } from "./_lib/blueprintCache.js";
+
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_ANON_KEY
+);
+
+// Parser alias -> mapping key, folded in SQL so each item is counted once per blueprint
+const ALIASES = Object.fromEntries(
+  [...Object.entries(BUILDING_MAPPINGS), ...Object.entries(MATERIAL_MAPPINGS)]
+    .flatMap(([key, { aliases = [] }]) => aliases.map(alias => [alias, key]))
+);
+
+function toFacets(rows, kind) {
+  return rows
+    .filter(row => row.kind === kind)
+    .map(row => ({ key: row.item_key, count: Number(row.blueprint_count) }))
+    .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const entry = await cacheManager.getItemFacets(async () => {
+      // One row per item with its blueprint count, computed over the whole catalogue in the database
+      const { data, error } = await supabase.rpc("blueprint_item_facets", { p_aliases: ALIASES });
+      if (error) throw error;
+
+      return toCacheEntry({
+        buildings: toFacets(data, "building"),
+        materials: toFacets(data, "material"),
+      });
+    });
+
+    return sendCacheEntry(req, res, entry);
+  } catch (error) {
+    console.error("Item facets error:", error);
+    return res.status(500).json({ error: "Failed to fetch item facets" });
+  }
+}
@@ -1,37 +1,131 @@
 /**
  * Game Save Parser
- * Handles parsing of game save files for blueprint compatibility checking
+ * Handles parsing of game save files for blueprint compatibility checking.
+ *
+ * POST multipart/form-data with the .sav file in the `save` field. The upload is read as a stream
+ * with a size cap, checked for the GVAS header, and sent to the parser. The parser's progress is
+ * relayed back as typed server-sent events:
+ *
+ *   event: progress   data: { "progress": 0-100 }
+ *   event: save-data  data: parsed save (JSONC-packed fields as sent by the parser)
+ *   event: error      data: { "error": "message" }
+ *   event: done       data: {}
+ *
+ * Only the site's own origin may call it (vercel.json narrows the API-wide CORS origin for this route).
  */
 
+import { PARSER_HOST } from './_lib/parserHost.js';
+
+// Default stays under the serverless request body limit
+const MAX_SAVE_SIZE = Number(process.env.MAX_SAVE_UPLOAD_BYTES) || 4 * 1024 * 1024;
+const GVAS_MAGIC = [0x47, 0x56, 0x41, 0x53]; // "GVAS"
+
+const PROGRESS_EVENTS = new Set(['parser', 'progress']);
+
+class UploadError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Yields request chunks, failing as soon as the running total passes the cap
+async function* limitBodySize(req, maxBytes) {
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new UploadError(413, `Save file must be smaller than ${Math.round(maxBytes / (1024 * 1024))} MB`);
+    }
+    yield chunk;
+  }
+}
+
+async function readSaveFile(req) {
+  const contentType = req.headers['content-type'] || '';
+  if (!contentType.startsWith('multipart/form-data')) {
+    throw new UploadError(415, 'Expected multipart/form-data');
+  }
+  if (Number(req.headers['content-length']) > MAX_SAVE_SIZE) {
+    throw new UploadError(413, `Save file must be smaller than ${Math.round(MAX_SAVE_SIZE / (1024 * 1024))} MB`);
+  }
+
+  const request = new Request('http://localhost/api/parse-save', {
+    method: 'POST',
+    headers: { 'content-type': contentType },
+    body: ReadableStream.from(limitBodySize(req, MAX_SAVE_SIZE)),
+    duplex: 'half',
+  });
+
+  let formData;
+  try {
+    formData = await request.formData();
+  } catch (error) {
+    if (error instanceof UploadError) throw error;
+    if (error.cause instanceof UploadError) throw error.cause;
+    throw new UploadError(400, 'Malformed multipart body');
+  }
+
+  const saveFile = formData.get('save');
+  if (!saveFile || typeof saveFile === 'string') {
+    throw new UploadError(400, 'No save file provided');
+  }
+
+  const header = new Uint8Array(await saveFile.slice(0, GVAS_MAGIC.length).arrayBuffer());
+  if (header.length < GVAS_MAGIC.length || GVAS_MAGIC.some((byte, i) => header[i] !== byte)) {
+    throw new UploadError(422, 'Not an Alchemy Factory save file (missing GVAS header)');
+  }
+
+  return saveFile;
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Map the parser's event names onto ours
+function relayParserEvent(res, event, data) {
+  let payload;
+  try {
+    payload = JSON.parse(data);
+  } catch {
+    payload = { message: data };
+  }
+
+  if (PROGRESS_EVENTS.has(event)) {
+    if (payload.progress !== undefined) {
+      writeEvent(res, 'progress', { progress: Math.max(0, Math.min(100, Math.round(Number(payload.progress) || 0))) });
+    }
+  } else if (event === 'save-data') {
+    writeEvent(res, 'save-data', payload);
+  } else if (event === 'error' || payload.error) {
+    writeEvent(res, 'error', { error: String(payload.error || payload.message || 'Parser error') });
+  }
+}
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { saveFile } = req.body;
-
-  if (!saveFile) {
-    return res.status(400).json({ error: 'No save file provided' });
+  let saveFile;
+  try {
+    saveFile = await readSaveFile(req);
+  } catch (error) {
+    const status = error instanceof UploadError ? error.status : 400;
+    return res.status(status).json({ error: error.message });
   }
 
-  try {
-    // Set up SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
+  // Set up SSE headers
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-store');
+  res.setHeader('Connection', 'keep-alive');
 
+  try {
     const formData = new FormData();
-    
-    // Convert base64 or blob to file if needed
-    if (typeof saveFile === 'string') {
-      const buffer = Buffer.from(saveFile, 'base64');
-      formData.append('save', new Blob([buffer], { type: 'application/octet-stream' }), 'save.dat');
-    } else {
-      formData.append('save', saveFile);
-    }
+    formData.append('save', saveFile, saveFile.name || 'save.sav');
 
-    const parserResponse = await fetch('https://alchemy-save-parser.faulty.ws/uploadTest', {
+    const parserResponse = await fetch(`${PARSER_HOST}/uploadTest`, {
       method: 'POST',
       body: formData,
     });
@@ -43,36 +137,42 @@ export default async function handler(req, res) {
     const reader = parserResponse.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
+    let event = 'message';
+    let dataLines = [];
 
     while (true) {
       const { done, value } = await reader.read();
-
-      if (done) {
-        res.write('data: [DONE]\n\n');
-        res.end();
-        break;
-      }
+      if (done) break;
 
       buffer += decoder.decode(value, { stream: true });
       const lines = buffer.split('\n');
+      buffer = lines.pop();
 
-      for (let i = 0; i < lines.length - 1; i++) {
-        const line = lines[i];
-
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          res.write(`data: ${data}\n\n`);
-        } else if (line.startsWith('event: ')) {
-          const event = line.slice(7);
-          res.write(`event: ${event}\n`);
+      for (const rawLine of lines) {
+        const line = rawLine.replace(/\r$/, '');
+        if (line === '') {
+          // Blank line ends an SSE message
+          if (dataLines.length > 0) {
+            relayParserEvent(res, event, dataLines.join('\n'));
+          }
+          event = 'message';
+          dataLines = [];
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
         }
       }
+    }
 
-      buffer = lines[lines.length - 1];
+    if (dataLines.length > 0) {
+      relayParserEvent(res, event, dataLines.join('\n'));
     }
+    writeEvent(res, 'done', {});
+    res.end();
   } catch (error) {
     console.error('Save parser error:', error);
-    res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
+    writeEvent(res, 'error', { error: 'Failed to parse save file' });
     res.end();
   }
 }
@@ -0,0 +1,66 @@
+/**
+ * Parse Job Status
+ * GET /api/parse-status?jobId= - read-only, for the job's or its blueprint's owner; a job the parser never
+ * called back about is reported as failed (the queue routes persist that timeout via failStaleParseJobs).
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { toJob, isStaleParseJob } from "./_lib/parserQueue.js";
+import { extractBearerToken } from "../src/lib/corsConfig.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Job state changes between polls, so no response (errors included) may be cached
+  res.setHeader("Cache-Control", "no-store");
+
+  const token = extractBearerToken(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { jobId } = req.query;
+  if (!jobId || !UUID_PATTERN.test(jobId)) {
+    return res.status(400).json({ error: "Missing or invalid jobId" });
+  }
+
+  try {
+    const { data: { user } = {}, error: authError } = await supabase.auth.getUser(token);
+    if (authError || !user) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const { data: job, error } = await supabase
+      .from("parse_jobs")
+      .select("*, blueprints(user_id)")
+      .eq("id", jobId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error fetching parse job:", error);
+      return res.status(500).json({ error: "Failed to fetch parse job" });
+    }
+    // Other users' jobs are reported as missing
+    if (!job || (job.user_id !== user.id && job.blueprints?.user_id !== user.id)) {
+      return res.status(404).json({ error: "Parse job not found" });
+    }
+
+    if (isStaleParseJob(job)) {
+      return res.status(200).json({ job: { ...toJob(job), status: "failed", error: "Timed out waiting for the parser" } });
+    }
+
+    return res.status(200).json({ job: toJob(job) });
+  } catch (error) {
+    console.error("Parse status error:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
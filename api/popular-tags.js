@@ -0,0 +1,47 @@
+/**
+ * Popular Tags
+ * GET /api/popular-tags - blueprint count per tag, most used first.
+ * Cached until an upload, edit or delete changes the tags in use; responses carry an ETag.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { cacheManager, toCacheEntry, sendCacheEntry } from "./_lib/blueprintCache.js";
+
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_ANON_KEY
+);
+
+const MAX_TAGS = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const entry = await cacheManager.getPopularTags(async () => {
+      const { data, error } = await supabase.from("blueprints").select("tags");
+      if (error) throw error;
+
+      const counts = new Map();
+      data.forEach(({ tags }) => {
+        // Count each tag once per blueprint, whatever its casing
+        new Set((tags || []).map(tag => String(tag).toLowerCase())).forEach(tag => {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+      });
+
+      const tags = [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        .slice(0, MAX_TAGS);
+      return toCacheEntry({ tags });
+    });
+
+    return sendCacheEntry(req, res, entry);
+  } catch (error) {
+    console.error("Popular tags error:", error);
+    return res.status(500).json({ error: "Failed to fetch tags" });
+  }
+}
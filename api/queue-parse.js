@@ -0,0 +1,182 @@
+/**
+ * Blueprint Parser Proxy
+ * Forwards a blueprint file to the parser on behalf of a signed-in user. The parser secret and the
+ * parse job bookkeeping stay on the server; the client only sends the file and its Supabase session token.
+ *
+ * POST /api/queue-parse?blueprintId=&partNumber=&jobId=&filename=
+ * Body: the raw (stripped) blueprint file
+ *
+ * Without a blueprintId (a file that isn't on the hub) the parse is still recorded as a job for the
+ * caller, and each user may queue at most MAX_UNATTACHED_PARSES of those per hour.
+ */
+
+import { createHash } from "crypto";
+import { createClient } from "@supabase/supabase-js";
+import { extractBearerToken } from "../src/lib/corsConfig.js";
+import { stampParserVersion } from "../src/lib/parserVersion.js";
+import { toJob, createParseJob, countUnattachedParseJobs, updateParseJob, failStaleParseJobs, getWebhookUrl, forwardToParser } from "./_lib/parserQueue.js";
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const PARSER_API_KEY = process.env.PARSER_API_KEY;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Stripped blueprint payloads are small; this also stays under the platform's request body limit
+const MAX_FILE_SIZE = 4 * 1024 * 1024;
+
+const MAX_UNATTACHED_PARSES = 20;
+const UNATTACHED_PARSE_WINDOW_MS = 60 * 60 * 1000;
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function readRawBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_FILE_SIZE) {
+      throw new RequestError(413, "File too large");
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Reuse the caller's failed job when retrying, otherwise open a new one
+async function openParseJob({ blueprintId, partNumber, fileHash, jobId, userId }) {
+  if (jobId) {
+    const { data: existing, error } = await supabase
+      .from("parse_jobs")
+      .select("*")
+      .eq("id", jobId)
+      .eq("blueprint_id", blueprintId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!existing) {
+      throw new RequestError(404, "Parse job not found");
+    }
+
+    return updateParseJob(supabase, existing.id, {
+      status: "queued",
+      attempts: (existing.attempts || 1) + 1,
+      file_hash: fileHash,
+      error: null,
+      completed_at: null,
+    });
+  }
+
+  return createParseJob(supabase, { blueprintId, partNumber, fileHash, userId });
+}
+
+export default async function handler(req, res) {
+  if (!PARSER_API_KEY || !process.env.PARSER_WEBHOOK_BASE_URL) {
+    console.error("PARSER_API_KEY and PARSER_WEBHOOK_BASE_URL environment variables must be set");
+    return res.status(500).json({ error: "Server configuration error" });
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+
+  const token = extractBearerToken(req.headers.authorization);
+  if (!token) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { data: { user } = {}, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !user) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { blueprintId = null, jobId = null } = req.query;
+  const partNumber = req.query.partNumber ? parseInt(req.query.partNumber, 10) : null;
+  const filename = String(req.query.filename || "blueprint.png").slice(0, 255);
+
+  if (blueprintId && !UUID_PATTERN.test(blueprintId)) {
+    return res.status(400).json({ error: "Invalid blueprintId" });
+  }
+  if (jobId && (!blueprintId || !UUID_PATTERN.test(jobId))) {
+    return res.status(400).json({ error: "Invalid jobId" });
+  }
+  if (partNumber !== null && (!Number.isInteger(partNumber) || partNumber < 1)) {
+    return res.status(400).json({ error: "Invalid partNumber" });
+  }
+
+  let job = null;
+
+  try {
+    if (blueprintId) {
+      const { data: blueprint, error: findError } = await supabase
+        .from("blueprints")
+        .select("id, user_id")
+        .eq("id", blueprintId)
+        .maybeSingle();
+
+      if (findError) throw findError;
+      if (!blueprint) {
+        return res.status(404).json({ error: "Blueprint not found" });
+      }
+      if (blueprint.user_id !== user.id) {
+        return res.status(403).json({ error: "You can only parse your own blueprints" });
+      }
+    } else if ((await countUnattachedParseJobs(supabase, user.id, UNATTACHED_PARSE_WINDOW_MS)) >= MAX_UNATTACHED_PARSES) {
+      return res.status(429).json({ error: "Too many parse requests. Please try again later." });
+    }
+
+    const fileBuffer = await readRawBody(req);
+    if (fileBuffer.length === 0) {
+      return res.status(400).json({ error: "No file provided" });
+    }
+    const fileHash = createHash("sha256").update(fileBuffer).digest("hex");
+
+    await failStaleParseJobs(supabase);
+    job = await openParseJob({ blueprintId, partNumber, fileHash, jobId, userId: user.id });
+
+    const data = await forwardToParser({
+      fileBuffer,
+      filename,
+      blueprintId,
+      jobId: job?.id,
+      webhookUrl: getWebhookUrl(),
+    });
+
+    const parserVersion = data.parserVersion || data.version || null;
+    const parsed = data.parsed ? stampParserVersion(data.parsed, parserVersion) : data.parsed;
+
+    if (job) {
+      // Cached hits come back parsed; otherwise the webhook reports the result
+      job = data.duplicate && parsed
+        ? await updateParseJob(supabase, job.id, { status: "done", parser_version: parsed.parser_version, completed_at: new Date().toISOString() }) || job
+        : await updateParseJob(supabase, job.id, { status: "parsing" }) || job;
+    }
+
+    return res.status(200).json({ ...data, parsed, fileHash, job: toJob(job) });
+  } catch (error) {
+    if (job) {
+      job = await updateParseJob(supabase, job.id, {
+        status: "failed",
+        error: String(error.message).slice(0, 500),
+        completed_at: new Date().toISOString(),
+      }) || job;
+    }
+
+    if (error instanceof RequestError) {
+      return res.status(error.status).json({ error: error.message, job: toJob(job) });
+    }
+
+    console.error("Queue parse error:", error);
+    return res.status(502).json({ error: "Failed to queue blueprint for parsing", job: toJob(job) });
+  }
+}
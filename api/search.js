@@ -0,0 +1,118 @@
+/**
+ * Blueprint Search
+ * GET /api/search?q= - ranked full-text search (word stems, websearch syntax, typo tolerance) over
+ * title, description, tags, creator, parsed Title/ItemName and building/material display names.
+ * Takes the /api/blueprints parameters too; sort defaults to "relevance".
+ *
+ * Rows are lean card rows with a `highlight` ({ title, snippet, rank }); matched words are wrapped
+ * in HIGHLIGHT_START / HIGHLIGHT_END (src/lib/searchHighlight.js).
+ * Responses are cached with the feed pages and carry an ETag.
+ */
+
+import { createClient } from "@supabase/supabase-js";
+import { CARD_SOURCE_COLUMNS, toCardRow } from "./_lib/blueprintRows.js";
+import { cacheManager, toCacheEntry, sendCacheEntry } from "./_lib/blueprintCache.js";
+import { FEED_SORTS, MAX_SEARCH_LENGTH, parseFeedQuery, toItemKeyFilters, toRowRange, toPageKey, toFeedResponse } from "./_lib/feedQuery.js";
+
+const supabase = createClient(
+  process.env.VITE_SUPABASE_URL,
+  process.env.VITE_SUPABASE_ANON_KEY
+);
+
+// Keeps .in() filters well under URL length limits when all=1 asks for up to MAX_ALL_ROWS hits
+const ROW_CHUNK_SIZE = 100;
+
+async function fetchCardRows(ids) {
+  const rows = [];
+  for (let start = 0; start < ids.length; start += ROW_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from("blueprints")
+      .select(CARD_SOURCE_COLUMNS)
+      .in("id", ids.slice(start, start + ROW_CHUNK_SIZE));
+    if (error) throw error;
+    rows.push(...data);
+  }
+  return rows;
+}
+
+// The feed filters search_blueprints takes as p_filters; absent keys don't filter
+const toSearchFilters = (feed) => {
+  const { include, exclude } = toItemKeyFilters(feed);
+  return {
+    ...feed.bounds,
+    ...(feed.excludeTags.length > 0 ? { excludeTags: feed.excludeTags } : {}),
+    ...(feed.ids ? { ids: feed.ids } : {}),
+    ...(include.length > 0 ? { items: include } : {}),
+    ...(exclude.length > 0 ? { excludeItems: exclude } : {}),
+  };
+};
+
+async function fetchSearchPage(feed, from, to) {
+  const { data: hits, error } = await supabase.rpc("search_blueprints", {
+    p_query: feed.search,
+    p_tags: feed.tags,
+    p_creator: feed.creator || null,
+    p_sort: feed.sort,
+    p_limit: to - from + 1,
+    p_offset: from,
+    p_filters: toSearchFilters(feed),
+  });
+  if (error) throw error;
+  if (hits.length === 0) {
+    // Past the last hit the window count is lost, so count from the first page
+    return { rows: [], total: from > 0 ? await countHits(feed) : 0 };
+  }
+
+  const rowsById = new Map((await fetchCardRows(hits.map(hit => hit.id))).map(row => [row.id, row]));
+  const rows = hits
+    .filter(hit => rowsById.has(hit.id))
+    .map(hit => ({
+      ...toCardRow(rowsById.get(hit.id)),
+      highlight: { title: hit.title_highlight, snippet: hit.snippet, rank: hit.rank },
+    }));
+  return { rows, total: Number(hits[0].total_count) };
+}
+
+async function countHits(feed) {
+  const { data, error } = await supabase.rpc("search_blueprints", {
+    p_query: feed.search,
+    p_tags: feed.tags,
+    p_creator: feed.creator || null,
+    p_sort: "relevance",
+    p_limit: 1,
+    p_offset: 0,
+    p_filters: toSearchFilters(feed),
+  });
+  if (error) throw error;
+  return data.length > 0 ? Number(data[0].total_count) : 0;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const search = String(req.query.q || "").trim().slice(0, MAX_SEARCH_LENGTH);
+  if (!search) {
+    return res.status(400).json({ error: "Missing q" });
+  }
+
+  const query = parseFeedQuery(req.query, { sorts: ["relevance", ...FEED_SORTS], defaultSort: "relevance" });
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+  const feed = { ...query, search };
+  const { from, to } = toRowRange(feed);
+
+  try {
+    const entry = await cacheManager.getBlueprintFeed(`search|${toPageKey(feed)}`, async () => {
+      const { rows, total } = await fetchSearchPage(feed, from, to);
+      return toCacheEntry(toFeedResponse(feed, rows, total));
+    });
+
+    return sendCacheEntry(req, res, entry);
+  } catch (error) {
+    console.error("Blueprint search error:", error);
+    return res.status(500).json({ error: "Failed to search blueprints" });
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Mock parser fixtures
+ * Deterministic parsed blueprint / save data derived from a file's SHA-256, so the same file always
+ * produces the same result. Drop a `<hash>.json` file into mock-parser/fixtures/ to pin exact data.
+ */
+
+import { readFile } from "fs/promises";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { MATERIAL_MAPPINGS, BUILDING_MAPPINGS } from "../src/lib/blueprintMappings.js";
+import { CURRENT_PARSER_VERSION } from "../src/lib/parserVersion.js";
+import { CURRENT_SCHEMA_VERSION } from "../src/lib/parsedDataSchema.js";
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+const MATERIAL_KEYS = Object.keys(MATERIAL_MAPPINGS).filter(key => key !== "None").sort();
+const BUILDING_KEYS = Object.keys(BUILDING_MAPPINGS).filter(key => key !== "None").sort();
+
+// mulberry32 seeded from the first 8 hex digits of the hash
+function createRandom(hash) {
+  let seed = parseInt(hash.slice(0, 8), 16) >>> 0;
+  return () => {
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+function pickDistinct(random, keys, count) {
+  const pool = [...keys];
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return picked.sort();
+}
+
+async function loadPinnedFixture(hash) {
+  try {
+    return JSON.parse(await readFile(join(FIXTURES_DIR, `${hash}.json`), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Parsed blueprint data in the same shape the real parser sends to the webhook
+ */
+export async function getBlueprintFixture(hash) {
+  const pinned = await loadPinnedFixture(hash);
+  if (pinned) return pinned;
+
+  const random = createRandom(hash);
+  const buildings = pickDistinct(random, BUILDING_KEYS, randomInt(random, 2, 6));
+  const materials = pickDistinct(random, MATERIAL_KEYS, randomInt(random, 2, 5));
+
+  const Buildings = {};
+  const Materials = {};
+  const BuildingBreakdownCost = {};
+
+  buildings.forEach(building => {
+    const count = randomInt(random, 1, 12);
+    Buildings[building] = count;
+    BuildingBreakdownCost[building] = {};
+    materials.forEach(material => {
+      if (random() < 0.6) {
+        const cost = count * randomInt(random, 1, 40);
+        BuildingBreakdownCost[building][material] = cost;
+        Materials[material] = (Materials[material] || 0) + cost;
+      }
+    });
+  });
+
+  return {
+    Title: `Mock Blueprint ${hash.slice(0, 6)}`,
+    Materials,
+    Buildings,
+    BuildingBreakdownCost,
+    SupplyItems: {},
+    Recipes: {},
+    GridArea: { x: randomInt(random, 4, 40), y: randomInt(random, 4, 40) },
+    MinTierRequired: randomInt(random, 0, 6),
+    InventorySlotsRequired: Object.keys(Materials).length,
+    parser_version: CURRENT_PARSER_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+  };
+}
+
+// Rows of objects packed as { _: keys, v: rows } like the real parser's JSONC payloads
+function toJsonCompressed(rows) {
+  const keys = Object.keys(rows[0] || {});
+  return { _: keys, v: rows.map(row => keys.map(key => row[key])) };
+}
+
+/**
+ * Parsed save data as sent in the `save-data` SSE event (JSONC-packed where the real parser packs it)
+ */
+export async function getSaveFixture(hash) {
+  const pinned = await loadPinnedFixture(hash);
+  if (pinned) return pinned;
+
+  const random = createRandom(hash);
+  const unlockedMaterials = pickDistinct(random, MATERIAL_KEYS, Math.ceil(MATERIAL_KEYS.length * 0.7));
+  const unlockedBuildings = pickDistinct(random, BUILDING_KEYS, Math.ceil(BUILDING_KEYS.length * 0.7));
+
+  return {
+    UnlockData: {
+      CraftingOptionList: unlockedMaterials,
+      ConstructOptionList: unlockedBuildings,
+    },
+    Inventory: toJsonCompressed(unlockedMaterials.map(item => ({ Item: item, Count: randomInt(random, 0, 500) }))),
+    PlayerTier: randomInt(random, 1, 8),
+  };
+}
@@ -0,0 +1,234 @@
+/**
+ * Mock alchemy-save-parser
+ * Offline stand-in for the parser service with deterministic results keyed by file hash.
+ *
+ *   npm run mock-parser                      (listens on MOCK_PARSER_PORT, default 8787)
+ *
+ * Point the API routes at it with PARSER_HOST=http://localhost:8787 and
+ * PARSER_WEBHOOK_BASE_URL at the local API (e.g. http://localhost:3000 under `vercel dev`).
+ * Uses the same PARSER_API_KEY / PARSER_WEBHOOK_SECRET as the API routes.
+ *
+ *   POST /queueBlueprint?webhookUrl=   first sight of a file: queued, then a signed webhook callback;
+ *                                      afterwards: duplicate with parsed data inline
+ *   GET  /logs/create/stream           open a log stream for /parseSave
+ *   GET  /logs/stream/:id              SSE: `parser` progress events, then `save-data`
+ *   POST /parseSave                    multipart (file, id) -> results on the log stream
+ *   POST /uploadTest                   multipart (save) -> SSE response with progress and `save-data`
+ */
+
+import { createServer } from "http";
+import { createHash, randomUUID } from "crypto";
+import { getBlueprintFixture, getSaveFixture } from "./fixtures.mjs";
+import { signWebhookPayload } from "../api/_lib/parserWebhookSignature.js";
+import { CURRENT_PARSER_VERSION } from "../src/lib/parserVersion.js";
+
+const PORT = Number(process.env.MOCK_PARSER_PORT || 8787);
+const PARSER_API_KEY = process.env.PARSER_API_KEY || null;
+const PARSER_WEBHOOK_SECRET = process.env.PARSER_WEBHOOK_SECRET || "mock-webhook-secret";
+const PARSE_DELAY_MS = Number(process.env.MOCK_PARSE_DELAY_MS || 1500);
+const PROGRESS_STEPS = [10, 35, 60, 85, 100];
+
+// fileHash -> parsed, for files that have already been "parsed"
+const parsedBlueprints = new Map();
+// log stream id -> { res, pending } (pending holds events written before the client connected)
+const logStreams = new Map();
+
+const sha256 = (bytes) => createHash("sha256").update(bytes).digest("hex");
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+  res.end(JSON.stringify(body));
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+}
+
+// Reuse the fetch API's multipart parser
+async function readFormData(req) {
+  const request = new Request(`http://localhost${req.url}`, {
+    method: req.method,
+    headers: req.headers,
+    body: req,
+    duplex: "half",
+  });
+  return request.formData();
+}
+
+async function readFile(formData, field) {
+  const file = formData.get(field);
+  if (!file || typeof file === "string") return null;
+  return new Uint8Array(await file.arrayBuffer());
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function deliverWebhook(webhookUrl, payload) {
+  const rawBody = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(webhookUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-alchemy-timestamp": String(timestamp),
+        "x-alchemy-signature": signWebhookPayload(PARSER_WEBHOOK_SECRET, timestamp, rawBody),
+        "x-alchemy-delivery": randomUUID(),
+      },
+      body: rawBody,
+    });
+    console.log(`[mock-parser] webhook ${webhookUrl} -> ${response.status}`);
+  } catch (error) {
+    console.error(`[mock-parser] webhook ${webhookUrl} failed: ${error.message}`);
+  }
+}
+
+async function handleQueueBlueprint(req, res, url) {
+  if (PARSER_API_KEY && req.headers["x-alchemy-secret"] !== PARSER_API_KEY) {
+    return sendJson(res, 401, { error: "Unauthorized" });
+  }
+
+  const formData = await readFormData(req);
+  const bytes = await readFile(formData, "file");
+  if (!bytes) {
+    return sendJson(res, 400, { error: "Missing file" });
+  }
+
+  const fileHash = sha256(bytes);
+  const customId = formData.get("customId") || null;
+  const jobId = formData.get("jobId") || null;
+
+  if (parsedBlueprints.has(fileHash)) {
+    return sendJson(res, 200, { duplicate: true, queued: false, fileHash, parsed: parsedBlueprints.get(fileHash), parserVersion: CURRENT_PARSER_VERSION });
+  }
+
+  sendJson(res, 200, { duplicate: false, queued: true, fileHash });
+
+  const parsed = await getBlueprintFixture(fileHash);
+  await delay(PARSE_DELAY_MS);
+  parsedBlueprints.set(fileHash, parsed);
+
+  const webhookUrl = url.searchParams.get("webhookUrl");
+  if (webhookUrl) {
+    await deliverWebhook(webhookUrl, { fileHash, customId, jobId, parsed, parserVersion: CURRENT_PARSER_VERSION });
+  }
+}
+
+function handleCreateStream(res) {
+  const id = randomUUID();
+  logStreams.set(id, { res: null, pending: [] });
+  sendJson(res, 200, { id, streamUrl: `/logs/stream/${id}` });
+}
+
+function handleStream(req, res, id) {
+  const stream = logStreams.get(id);
+  if (!stream) {
+    return sendJson(res, 404, { error: "Unknown stream" });
+  }
+
+  openEventStream(res);
+  stream.res = res;
+  stream.pending.forEach(([event, data]) => writeEvent(res, event, data));
+  stream.pending = [];
+  req.on("close", () => logStreams.delete(id));
+}
+
+function emitToStream(id, event, data) {
+  const stream = logStreams.get(id);
+  if (!stream) return;
+  if (stream.res) {
+    writeEvent(stream.res, event, data);
+  } else {
+    stream.pending.push([event, data]);
+  }
+}
+
+async function handleParseSave(req, res) {
+  const formData = await readFormData(req);
+  const bytes = await readFile(formData, "file");
+  const id = formData.get("id");
+  if (!bytes || !id || !logStreams.has(id)) {
+    return sendJson(res, 400, { error: "Missing file or unknown stream id" });
+  }
+
+  sendJson(res, 200, { ok: true, id });
+
+  const saveData = await getSaveFixture(sha256(bytes));
+  for (const progress of PROGRESS_STEPS) {
+    await delay(PARSE_DELAY_MS / PROGRESS_STEPS.length);
+    emitToStream(id, "parser", { progress });
+  }
+  emitToStream(id, "save-data", saveData);
+  logStreams.get(id)?.res?.end();
+}
+
+async function handleUploadTest(req, res) {
+  const formData = await readFormData(req);
+  const bytes = await readFile(formData, "save");
+  if (!bytes) {
+    return sendJson(res, 400, { error: "Missing save file" });
+  }
+
+  const saveData = await getSaveFixture(sha256(bytes));
+  openEventStream(res);
+  for (const progress of PROGRESS_STEPS) {
+    await delay(PARSE_DELAY_MS / PROGRESS_STEPS.length);
+    writeEvent(res, "progress", { progress });
+  }
+  writeEvent(res, "save-data", saveData);
+  res.end();
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(`[mock-parser] ${req.method} ${url.pathname}`);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, x-alchemy-secret",
+    });
+    return res.end();
+  }
+
+  try {
+    if (req.method === "POST" && url.pathname === "/queueBlueprint") {
+      return await handleQueueBlueprint(req, res, url);
+    }
+    if (req.method === "GET" && url.pathname === "/logs/create/stream") {
+      return handleCreateStream(res);
+    }
+    const streamMatch = url.pathname.match(/^\/logs\/stream\/([0-9a-f-]+)$/);
+    if (req.method === "GET" && streamMatch) {
+      return handleStream(req, res, streamMatch[1]);
+    }
+    if (req.method === "POST" && url.pathname === "/parseSave") {
+      return await handleParseSave(req, res);
+    }
+    if (req.method === "POST" && url.pathname === "/uploadTest") {
+      return await handleUploadTest(req, res);
+    }
+    return sendJson(res, 404, { error: "Not found" });
+  } catch (error) {
+    console.error("[mock-parser] error:", error);
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock-parser] listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,24 @@
+/**
+ * Print the item_display_names seed for SUPABASE_MIGRATION.sql from the material and building mappings.
+ * Search indexes blueprints by these display names, so re-run this and apply the output whenever
+ * blueprintMappings.js gains or renames an item, then refresh the index (see the migration).
+ *
+ *   node scripts/item-display-names-sql.mjs
+ */
+
+import { MATERIAL_MAPPINGS, BUILDING_MAPPINGS } from "../src/lib/blueprintMappings.js";
+
+const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+const rows = [];
+const addRows = (kind, mappings) => {
+  Object.entries(mappings).forEach(([key, { name, aliases = [] }]) => {
+    [key, ...aliases].forEach(itemKey => rows.push(`  (${quote(itemKey)}, ${quote(kind)}, ${quote(name)})`));
+  });
+};
+addRows("material", MATERIAL_MAPPINGS);
+addRows("building", BUILDING_MAPPINGS);
+
+console.log(`INSERT INTO item_display_names (item_key, kind, display_name) VALUES
+${rows.join(",\n")}
+ON CONFLICT (item_key) DO UPDATE SET kind = EXCLUDED.kind, display_name = EXCLUDED.display_name;`);
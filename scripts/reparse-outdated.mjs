@@ -0,0 +1,70 @@
+/**
+ * Re-parse every blueprint whose parsed data is older than the current parser version.
+ * Calls /api/admin-reparse batch by batch and prints progress and failures.
+ *
+ *   ADMIN_TOKEN=<Supabase access token> npm run reparse:outdated -- https://alchemy-factory-blueprints.vercel.app [--dry-run] [--target 1.1.0] [--batch 5]
+ */
+
+const args = process.argv.slice(2);
+const VALUE_FLAGS = ["--target", "--batch"];
+const siteUrl = args.find((arg, i) => !arg.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+const getFlag = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const token = process.env.ADMIN_TOKEN;
+if (!siteUrl || !token) {
+  console.error("Usage: ADMIN_TOKEN=<token> node scripts/reparse-outdated.mjs <site url> [--dry-run] [--target <version>] [--batch <size>]");
+  process.exit(1);
+}
+
+const dryRun = args.includes("--dry-run");
+const targetVersion = getFlag("--target");
+const batchSize = getFlag("--batch");
+
+let cursor = null;
+let scanned = 0;
+let queued = 0;
+const failures = [];
+
+do {
+  const url = new URL("/api/admin-reparse", siteUrl);
+  if (cursor) url.searchParams.set("cursor", cursor);
+  if (targetVersion) url.searchParams.set("targetVersion", targetVersion);
+  if (batchSize) url.searchParams.set("limit", batchSize);
+  if (dryRun) url.searchParams.set("dryRun", "1");
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    console.error(`Request failed (${response.status}): ${result.error || "Unknown error"}`);
+    process.exit(1);
+  }
+
+  scanned += result.scanned;
+  queued += result.queued.length;
+  failures.push(...result.failed);
+
+  for (const entry of result.queued) {
+    const part = entry.partNumber ? ` part ${entry.partNumber}` : "";
+    console.log(`${dryRun ? "would queue" : "queued"}  ${entry.title}${part} (${entry.fromVersion || "unversioned"} -> ${result.targetVersion})`);
+  }
+  for (const entry of result.failed) {
+    const part = entry.partNumber ? ` part ${entry.partNumber}` : "";
+    console.log(`FAILED  ${entry.title}${part}: ${entry.error}`);
+  }
+  console.log(`-- scanned ${scanned} blueprints, ${queued} files ${dryRun ? "outdated" : "queued"}, ${failures.length} failed`);
+
+  cursor = result.nextCursor;
+} while (cursor);
+
+if (failures.length > 0) {
+  console.log(`\n${failures.length} file(s) failed:`);
+  failures.forEach(entry => console.log(`  ${entry.blueprintId}${entry.partNumber ? ` part ${entry.partNumber}` : ""}: ${entry.error}`));
+  process.exit(1);
+}
@@ -0,0 +1,103 @@
+/**
+ * Check the local payload decoder against the remote parser.
+ * For every <name>.png in the samples folder that has a <name>.json next to it (the `parsed` object the
+ * parser returned for that exact file), decodes the PNG with src/lib/blueprintPayloadDecoder.js and
+ * prints every field that differs. Exits 1 on any mismatch, or when there are no samples to check.
+ *
+ *   npm run verify:decoder -- [samples folder, default scripts/fixtures/blueprints]
+ *
+ * Add a sample whenever the game changes its blueprint format: export the blueprint in game, queue it
+ * through the real parser and save the webhook's `parsed` payload as the .json file.
+ */
+
+import { readdir, readFile } from "fs/promises";
+import { join, dirname, basename } from "path";
+import { fileURLToPath } from "url";
+import { runnerImport } from "vite";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const samplesDir = process.argv[2] || join(ROOT, "scripts", "fixtures", "blueprints");
+
+// Fields the local decoder produces; parser-only fields (e.g. parser_version) are not compared
+const COMPARED_FIELDS = [
+  "Materials",
+  "Buildings",
+  "BuildingBreakdownCost",
+  "SupplyItems",
+  "Recipes",
+  "MinTierRequired",
+  "InventorySlotsRequired",
+  "GridArea",
+  "Title",
+  "Description",
+  "ItemName",
+  "Icon",
+  "Color",
+];
+
+// Object key order differs between the parser and the decoder
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+  }
+  return value;
+};
+
+const [{ module: extractor }, { module: decoder }, { module: schema }] = await Promise.all([
+  runnerImport(join(ROOT, "src/lib/pngBlueprintExtractor.js")),
+  runnerImport(join(ROOT, "src/lib/blueprintPayloadDecoder.js")),
+  runnerImport(join(ROOT, "src/lib/parsedDataSchema.js")),
+]);
+
+let files;
+try {
+  files = await readdir(samplesDir);
+} catch (error) {
+  console.error(`Cannot read ${samplesDir}: ${error.message}`);
+  process.exit(1);
+}
+
+const samples = files.filter(file => file.toLowerCase().endsWith(".png") && files.includes(`${basename(file, ".png")}.json`));
+if (samples.length === 0) {
+  console.error(`No <name>.png + <name>.json samples in ${samplesDir}`);
+  process.exit(1);
+}
+
+let failures = 0;
+for (const sample of samples) {
+  const bytes = new Uint8Array(await readFile(join(samplesDir, sample)));
+  const expected = schema.upgradeParsedData(JSON.parse(await readFile(join(samplesDir, `${basename(sample, ".png")}.json`), "utf8")));
+
+  let result;
+  try {
+    result = decoder.decodeBlueprintPayload(extractor.extractBlueprintPayload(bytes.buffer));
+  } catch (error) {
+    console.log(`FAILED  ${sample}: ${error.message}`);
+    failures++;
+    continue;
+  }
+  if (!result.supported) {
+    console.log(`FAILED  ${sample}: payload version ${result.version ?? "unknown"} is not supported locally`);
+    failures++;
+    continue;
+  }
+
+  const mismatches = COMPARED_FIELDS
+    .filter(field => field in expected)
+    .filter(field => JSON.stringify(canonical(result.parsed[field])) !== JSON.stringify(canonical(expected[field])));
+
+  if (mismatches.length === 0) {
+    console.log(`ok      ${sample} (payload v${result.version})`);
+    continue;
+  }
+
+  failures++;
+  console.log(`FAILED  ${sample} (payload v${result.version})`);
+  mismatches.forEach(field => {
+    console.log(`  ${field}\n    parser:  ${JSON.stringify(canonical(expected[field]))}\n    decoder: ${JSON.stringify(canonical(result.parsed[field]))}`);
+  });
+}
+
+console.log(`-- ${samples.length - failures}/${samples.length} samples match the parser`);
+process.exit(failures > 0 ? 1 : 0);
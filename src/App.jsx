@@ -2,8 +2,9 @@ import { useState, useEffect, lazy, Suspense } from "react";
 import { supabase } from "./lib/supabase";
 import { isValidUUID } from "./lib/sanitization";
 import { isUUID } from "./lib/slugUtils";
-import { Upload, X, BookOpen, Info, ChevronDown } from "lucide-react";
+import { Upload, X, BookOpen, Info, ChevronDown, FolderOpen } from "lucide-react";
 import { useTheme } from "./lib/ThemeContext";
+import { useBlueprintFolder } from "./lib/BlueprintFolderContext";
 import ErrorBoundary from "./components/ErrorBoundary";
 import DiscordLogin from "./components/DiscordLogin";
 import BlueprintGallery from "./components/BlueprintGallery";
@@ -13,6 +14,7 @@ import ThemeToggle from "./components/ThemeToggle";
 const UploadModal = lazy(() => import("./components/UploadModal"));
 const BlueprintFolderSync = lazy(() => import("./components/BlueprintFolderSync"));
 const SavegameSync = lazy(() => import("./components/SavegameSync"));
+const MyFolderModal = lazy(() => import("./components/MyFolderModal"));
 
 // Simple loading fallback for lazy components
 function LazyComponentFallback() {
@@ -266,6 +268,9 @@ export default function App() {
   const [loading, setLoading] = useState(true);
   const [refreshGallery, setRefreshGallery] = useState(0);
   const [isUploadModalOpen, setIsUploadModalOpen] = useState(false);
+  const [uploadPrefill, setUploadPrefill] = useState(null); // { file, title } from My Folder "Publish"
+  const [isMyFolderOpen, setIsMyFolderOpen] = useState(false);
+  const { hasFolderSelected } = useBlueprintFolder();
   const [isHowToOpen, setIsHowToOpen] = useState(false);
   const [isInfoModalOpen, setIsInfoModalOpen] = useState(false);
   const [initialBlueprintId, setInitialBlueprintId] = useState(null);
@@ -418,6 +423,21 @@ export default function App() {
               <Suspense fallback={null}>
                 <BlueprintFolderSync />
               </Suspense>
+              {hasFolderSelected && (
+                <button
+                  onClick={() => setIsMyFolderOpen(true)}
+                  style={{
+                    backgroundColor: `${theme.colors.tertiary}80`,
+                    borderColor: theme.colors.headerBorder,
+                    color: theme.colors.textPrimary,
+                  }}
+                  className="flex items-center gap-2 text-sm sm:text-base border-2 font-semibold py-2 px-3 sm:px-4 rounded-lg transition shadow-lg hover:shadow-xl hover:scale-105 hover:opacity-70 whitespace-nowrap"
+                  data-tooltip="Browse every blueprint in your synced folder" data-tooltip-position="bottom"
+                >
+                  <FolderOpen className="w-4 h-4 flex-shrink-0" />
+                  <span className="hidden sm:inline">My Folder</span>
+                </button>
+              )}
               <button
                 onClick={() => setIsInfoModalOpen(true)}
                 style={{
@@ -516,13 +536,36 @@ export default function App() {
           <Suspense fallback={<LazyComponentFallback />}>
             <UploadModal
               isOpen={isUploadModalOpen}
-              onClose={() => setIsUploadModalOpen(false)}
+              onClose={() => {
+                setIsUploadModalOpen(false);
+                setUploadPrefill(null);
+              }}
               user={user}
               onUploadSuccess={handleUploadSuccess}
+              initialFile={uploadPrefill?.file}
+              initialTitle={uploadPrefill?.title}
             />
           </Suspense>
         </ErrorBoundary>
 
+        {/* My Folder (local library) */}
+        {isMyFolderOpen && (
+          <ErrorBoundary name="MyFolderModalWrapper">
+            <Suspense fallback={<LazyComponentFallback />}>
+              <MyFolderModal
+                isOpen={isMyFolderOpen}
+                onClose={() => setIsMyFolderOpen(false)}
+                user={user}
+                onPublish={(file, title) => {
+                  setIsMyFolderOpen(false);
+                  setUploadPrefill({ file, title });
+                  setIsUploadModalOpen(true);
+                }}
+              />
+            </Suspense>
+          </ErrorBoundary>
+        )}
+
         {/* How to Use Modal */}
         {isHowToOpen && (
           <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4 backdrop-blur-sm" onClick={() => setIsHowToOpen(false)}>
@@ -642,8 +685,9 @@ export default function App() {
                   <ol className="list-decimal list-inside space-y-2 ml-2">
                     <li>Click the <b>Sync</b> folder button in the header.</li>
                     <li>Go into your Alchemy Factory Blueprints folder and click upload.</li>
-                    <li>The site will match your local blueprints by filenames/timestamp.</li>
-                    <li>The site will now display if a blueprint is installed or has an available update.</li>
+                    <li>The site will match your local blueprints by their content, so renamed or copied files are still recognised.</li>
+                    <li>The site will now display if a blueprint is installed, has an available update or was modified locally.</li>
+                    <li>Open <b>My Folder</b> to browse every local blueprint and publish the ones not yet on the hub.</li>
                   </ol>
                   <code style={{
                     backgroundColor: `${theme.colors.elementBgDark}`,
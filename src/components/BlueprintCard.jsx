@@ -6,9 +6,12 @@ import { getThumbnailUrl, getDetailViewUrl, prefetchImage } from "../lib/imageOp
 import { stripDiscordDiscriminator } from "../lib/discordUtils";
 import { sanitizeCreatorName } from "../lib/sanitization";
 import { useBlueprintFolder } from "../lib/BlueprintFolderContext";
-import { checkBlueprintCompatibility, hasSaveData } from "../lib/saveManager";
+import { checkBlueprintCompatibility } from "../lib/saveManager";
+import { useSaveProfiles } from "../lib/SaveProfileContext";
 import { getTagDisplay, TAG_EMOJIS } from "../lib/tags";
+import { hasHighlights } from "../lib/searchHighlight";
 import RatingHearts from "./BlueprintRating";
+import HighlightedText from "./HighlightedText";
 
 function BlueprintCardComponent({
   blueprint,
@@ -25,6 +28,7 @@ function BlueprintCardComponent({
   onDelete,
   onSearchByCreator,
   isFirstPage = false,
+  isNewlyBuildable = false,
 }) {
   const { theme } = useTheme();
   const [isHovered, setIsHovered] = useState(false);
@@ -33,10 +37,11 @@ function BlueprintCardComponent({
   const [showEmojiOnly, setShowEmojiOnly] = useState(false);
   const tagsContainerRef = useRef(null);
   const { getInstallStatus, cacheDownloadedBlueprint } = useBlueprintFolder();
+  const { saveData } = useSaveProfiles();
 
   const blueprintCompatibility = useMemo(
-    () => blueprint ? checkBlueprintCompatibility(blueprint) : { compatible: true, missingMaterials: {} },
-    [blueprint?.id]
+    () => blueprint && saveData ? checkBlueprintCompatibility(blueprint, saveData) : { compatible: true, missingMaterials: {} },
+    [blueprint?.id, saveData]
   );
 
   // Get available images
@@ -151,7 +156,7 @@ function BlueprintCardComponent({
         )}
 
         {/* Compatibility Badge */}
-        {hasSaveData() && (() => {
+        {saveData && (() => {
           const isCompatible = blueprintCompatibility.compatible;
           const bgColor = isCompatible ? '#1464119f' : '#6411119f';
           const borderColor = isCompatible ? '#148d0491' : '#8d040491';
@@ -163,8 +168,9 @@ function BlueprintCardComponent({
               backgroundColor: bgColor,
               borderColor: borderColor,
               color: textColor,
-            }}>
+            }} data-tooltip={isNewlyBuildable ? 'Buildable since your last save sync' : blueprintCompatibility.reason}>
               <IconComponent size={16} />
+              {isNewlyBuildable && <span className="text-xs pr-0.5">New</span>}
             </div>
           );
         })()}
@@ -222,11 +228,14 @@ function BlueprintCardComponent({
         {/* Title and Description */}
         <div>
           <h3 style={{ color: theme.colors.accentYellow }} className="text-md font-bold truncate group-hover:opacity-80 transition">
-            {blueprint.title}
+            {blueprint.highlight?.title ? <HighlightedText text={blueprint.highlight.title} /> : blueprint.title}
           </h3>
 
           <p style={{ color: theme.colors.textSecondary }} className="text-sm line-clamp-3 mt-1">
-            {blueprint.description || "No description provided."}
+            {/* Search hits show the matching passage instead of the start of the description */}
+            {hasHighlights(blueprint.highlight?.snippet)
+              ? <HighlightedText text={blueprint.highlight.snippet} />
+              : blueprint.description || "No description provided."}
           </p>
         </div>
 
@@ -316,6 +325,12 @@ function BlueprintCardComponent({
                 bgColor: `${theme.colors.buttonBg2}80`,
                 textColor: `${theme.colors.accentYellow}`,
               },
+              'modified-locally': {
+                icon: AlertCircle,
+                text: 'Modified Locally',
+                bgColor: `${theme.colors.buttonBg2}80`,
+                textColor: `${theme.colors.accentYellow}90`,
+              },
               'not-installed': {
                 icon: Download,
                 text: 'Download',
@@ -402,6 +417,8 @@ export default memo(BlueprintCardComponent, (prevProps, nextProps) => {
   // Return false if props are different (re-render)
   return (
     prevProps.blueprint.id === nextProps.blueprint.id &&
+    prevProps.blueprint.highlight?.snippet === nextProps.blueprint.highlight?.snippet &&
+    prevProps.blueprint.highlight?.title === nextProps.blueprint.highlight?.title &&
     prevProps.isLiked === nextProps.isLiked &&
     prevProps.downloadingId === nextProps.downloadingId &&
     prevProps.deleting === nextProps.deleting &&
@@ -411,6 +428,7 @@ export default memo(BlueprintCardComponent, (prevProps, nextProps) => {
     prevProps.onLike === nextProps.onLike &&
     prevProps.onDelete === nextProps.onDelete &&
     prevProps.onSearchByCreator === nextProps.onSearchByCreator &&
-    prevProps.isFirstPage === nextProps.isFirstPage
+    prevProps.isFirstPage === nextProps.isFirstPage &&
+    prevProps.isNewlyBuildable === nextProps.isNewlyBuildable
   );
 });
@@ -11,19 +11,30 @@ import { useTheme } from "../lib/ThemeContext";
 import { useBlueprintFolder } from "../lib/BlueprintFolderContext";
 import { transformParsedMaterials, transformParsedBuildings } from "../lib/blueprintMappings";
 import { validateParsedData } from "../lib/parsedDataValidator";
-import { getParsedData, getPartByNumber, getPartDownloadInfo } from "../lib/blueprintUtils";
-import { checkBlueprintCompatibility, checkRecipesAndSupplyUnlocks, hasSaveData } from "../lib/saveManager";
+import { getParsedData, getPartByNumber, getPartDownloadInfo, isLeanBlueprint } from "../lib/blueprintUtils";
+import { fetchFullBlueprint } from "../lib/blueprintService";
+import { checkBlueprintCompatibility, checkRecipesAndSupplyUnlocks } from "../lib/saveManager";
+import { useSaveProfiles } from "../lib/SaveProfileContext";
 import { handleError } from "../lib/errorHandler";
 import { getTagDisplay } from "../lib/tags";
 import { ErrorAlert, SuccessAlert } from "./Alerts";
 import ErrorBoundary from "./ErrorBoundary";
 import BlueprintEdit from "./BlueprintEdit";
 import BlueprintStats from "./BlueprintStats";
+import SaveProfileCompare from "./SaveProfileCompare";
 import RatingHearts from "./BlueprintRating";
 
+const PART_STATUS_LABELS = {
+  'installed': 'Installed',
+  'update-available': 'Update available',
+  'modified-locally': 'Modified locally',
+  'not-installed': 'Not installed',
+};
+
 function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange, onRatingChange, userRating = 0, onSearchByCreator, onBlueprintUpdate, onDownload, userLikes = new Set(), blueprints = [], currentBlueprintIndex = -1, onNavigate }) {
   const { theme } = useTheme();
-  const { cacheDownloadedBlueprint, getInstallStatus } = useBlueprintFolder();
+  const { cacheDownloadedBlueprint, getInstallStatus, getPartInstallStatuses } = useBlueprintFolder();
+  const { saveData } = useSaveProfiles();
   const [currentRating, setCurrentRating] = useState(userRating);
   const [ratingAverage, setRatingAverage] = useState(blueprint?.rating_average ?? 0);
   const [ratingCount, setRatingCount] = useState(blueprint?.rating_count ?? 0);
@@ -59,16 +70,16 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
   const hasMultipleImages = availableImages.length > 1;
 
   const blueprintCompatibility = useMemo(
-    () => blueprint && hasSaveData() ? checkBlueprintCompatibility(blueprint) : { missingMaterials: {} },
-    [blueprint?.id]
+    () => blueprint && saveData ? checkBlueprintCompatibility(blueprint, saveData) : { missingMaterials: {} },
+    [blueprint, saveData]
   );
 
   const partCompatibility = useMemo(() => {
     if (!blueprint || !blueprint.is_multi_part || !blueprint.parts) return { missingMaterials: {} };
     const part = blueprint.parts[selectedPart - 1];
     if (!part || !part.parsed) return { missingMaterials: {} };
-    return hasSaveData() ? checkBlueprintCompatibility({ parsed: part.parsed }) : { missingMaterials: {} };
-  }, [blueprint?.id, selectedPart]);
+    return saveData ? checkBlueprintCompatibility({ parsed: part.parsed }, saveData) : { missingMaterials: {} };
+  }, [blueprint, selectedPart, saveData]);
 
   useEffect(() => {
     setLikeCount(blueprint?.likes ?? 0);
@@ -200,11 +211,18 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
     setLikeCount(currentlyLiked ? likeCount - 1 : likeCount + 1);
   };
 
+  // Install status follows the selected part tab for multi-part blueprints
+  const partInstallStatuses = blueprint ? getPartInstallStatuses(blueprint) : [];
+  const selectedPartStatus = selectedPart > 0
+    ? partInstallStatuses.find(p => p.part_number === blueprint.parts?.[selectedPart - 1]?.part_number)?.status
+    : null;
+  const installStatus = selectedPartStatus || (blueprint ? getInstallStatus(blueprint) : 'not-installed');
+
   const handleDownloadClick = async () => {
     // If multi-part and on a specific part tab (not Combined), pass the part number
     const partNumber = (blueprint.is_multi_part && selectedPart > 0) ? selectedPart : null;
     onDownload?.(blueprint, partNumber);
-    cacheDownloadedBlueprint(blueprint);
+    cacheDownloadedBlueprint(blueprint, partNumber);
   };
 
   const handleShareBlueprint = () => {
@@ -547,9 +565,14 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
                             color: selectedPart === idx + 1 ? theme.colors.buttonText : theme.colors.textPrimary,
                             borderColor: theme.colors.cardBorder,
                           }}
-                          className="px-4 py-2 border rounded-lg font-medium transition hover:opacity-80"
+                          className="px-4 py-2 border rounded-lg font-medium transition hover:opacity-80 flex items-center gap-1"
+                          title={PART_STATUS_LABELS[partInstallStatuses[idx]?.status]}
                         >
                           Part {part.part_number}
+                          {partInstallStatuses[idx]?.status === 'installed' && <Check className="w-4 h-4" />}
+                          {(partInstallStatuses[idx]?.status === 'update-available' || partInstallStatuses[idx]?.status === 'modified-locally') && (
+                            <AlertCircle className="w-4 h-4" />
+                          )}
                         </button>
                       ))}
                     </div>
@@ -572,10 +595,13 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
                       buildingBreakdownCost={validatedParsed.BuildingBreakdownCost || {}}
                       multiPartLabel="Combined (All Parts)"
                       missingMaterials={compatibility.missingMaterials}
+                      materialCounts={compatibility.materialCounts}
+                      shortfalls={compatibility.shortfalls}
+                      tiersOutOfReach={compatibility.tiersOutOfReach}
                       recipes={validatedParsed.Recipes || {}}
                       supplyItems={validatedParsed.SupplyItems || {}}
-                      recipeUnlocks={hasSaveData() ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}).recipes : {}}
-                      supplyUnlocks={hasSaveData() ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}).supplyItems : {}}
+                      recipeUnlocks={saveData ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}, saveData).recipes : {}}
+                      supplyUnlocks={saveData ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}, saveData).supplyItems : {}}
                     />
                   ) : (() => {
                       const part = blueprint.parts[selectedPart - 1];
@@ -597,10 +623,13 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
                             buildingBreakdownCost={partParsed.BuildingBreakdownCost || {}}
                             multiPartLabel={`Part ${selectedPart} of ${blueprint.parts.length}`}
                             missingMaterials={partCompatibility.missingMaterials}
+                            materialCounts={partCompatibility.materialCounts}
+                            shortfalls={partCompatibility.shortfalls}
+                            tiersOutOfReach={partCompatibility.tiersOutOfReach}
                             recipes={partParsed.Recipes || {}}
                             supplyItems={partParsed.SupplyItems || {}}
-                            recipeUnlocks={hasSaveData() ? checkRecipesAndSupplyUnlocks(partParsed.Recipes || {}, partParsed.SupplyItems || {}).recipes : {}}
-                            supplyUnlocks={hasSaveData() ? checkRecipesAndSupplyUnlocks(partParsed.Recipes || {}, partParsed.SupplyItems || {}).supplyItems : {}}
+                            recipeUnlocks={saveData ? checkRecipesAndSupplyUnlocks(partParsed.Recipes || {}, partParsed.SupplyItems || {}, saveData).recipes : {}}
+                            supplyUnlocks={saveData ? checkRecipesAndSupplyUnlocks(partParsed.Recipes || {}, partParsed.SupplyItems || {}, saveData).supplyItems : {}}
                           />
                           {part.file_hash && (
                             <div 
@@ -646,15 +675,21 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
                   productionRate={blueprint.production_rate}
                   buildingBreakdownCost={validatedParsed.BuildingBreakdownCost || {}}
                   missingMaterials={compatibility.missingMaterials}
+                  materialCounts={compatibility.materialCounts}
+                  shortfalls={compatibility.shortfalls}
+                  tiersOutOfReach={compatibility.tiersOutOfReach}
                   recipes={validatedParsed.Recipes || {}}
                   supplyItems={validatedParsed.SupplyItems || {}}
-                  recipeUnlocks={hasSaveData() ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}).recipes : {}}
-                  supplyUnlocks={hasSaveData() ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}).supplyItems : {}}
+                  recipeUnlocks={saveData ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}, saveData).recipes : {}}
+                  supplyUnlocks={saveData ? checkRecipesAndSupplyUnlocks(validatedParsed.Recipes || {}, validatedParsed.SupplyItems || {}, saveData).supplyItems : {}}
                 />
               );
             })()
           )}
 
+          {/* Compatibility across save profiles */}
+          <SaveProfileCompare blueprint={blueprint} />
+
           {/* Skills */}
               {blueprint.skills && blueprint.skills.length > 0 && (
                 <div>
@@ -803,38 +838,47 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
             style={{
               backgroundColor: `${theme.colors.tertiary}80`,
               borderColor: 
-                getInstallStatus(blueprint) === 'installed' ? `${theme.colors.accentYellow}40` :
-                getInstallStatus(blueprint) === 'update-available' ? `${theme.colors.accentYellow}90` :
+                installStatus === 'installed' ? `${theme.colors.accentYellow}40` :
+                installStatus === 'update-available' ? `${theme.colors.accentYellow}90` :
+                installStatus === 'modified-locally' ? `${theme.colors.accentYellow}70` :
                 theme.colors.headerBorder,
               color: isDownloadHovered ? (
-                getInstallStatus(blueprint) === 'installed' ? theme.colors.accentYellow :
-                getInstallStatus(blueprint) === 'update-available' ? "#22c55e" :
+                installStatus === 'installed' ? theme.colors.accentYellow :
+                installStatus === 'update-available' ? "#22c55e" :
                 "#22c55e"
               ) : (
-                getInstallStatus(blueprint) === 'installed' ? `${theme.colors.accentYellow}60` :
-                getInstallStatus(blueprint) === 'update-available' ? theme.colors.accentYellow :
+                installStatus === 'installed' ? `${theme.colors.accentYellow}60` :
+                installStatus === 'update-available' ? theme.colors.accentYellow :
+                installStatus === 'modified-locally' ? theme.colors.accentYellow :
                 theme.colors.textPrimary
               ),
             }}
             className="flex-1 min-w-0 border-2 hover:scale-105 py-2 sm:py-2 rounded-lg font-semibold transition flex items-center justify-center gap-1 sm:gap-2 text-sm sm:text-base"
             title={
-              getInstallStatus(blueprint) === 'update-available' ? 'A newer version is available' :
-              getInstallStatus(blueprint) === 'installed' ? 'Blueprint already downloaded' :
+              installStatus === 'update-available' ? 'A newer version is available' :
+              installStatus === 'modified-locally' ? 'Your local copy differs from the hub version - downloading will replace it' :
+              installStatus === 'installed' ? 'Blueprint already downloaded' :
               'Download this blueprint'
             }
           >
-            {getInstallStatus(blueprint) === 'installed' ? (
+            {installStatus === 'installed' ? (
               <>
                 <Check className="w-4 h-4 sm:w-5 sm:h-5" />
                 <span className="hidden sm:inline">Installed</span>
                 <span className="sm:hidden">Installed</span>
               </>
-            ) : getInstallStatus(blueprint) === 'update-available' ? (
+            ) : installStatus === 'update-available' ? (
               <>
                 <Download className="w-4 h-4 sm:w-5 sm:h-5" />
                 <span className="hidden sm:inline">Update</span>
                 <span className="sm:hidden">Update</span>
               </>
+            ) : installStatus === 'modified-locally' ? (
+              <>
+                <AlertCircle className="w-4 h-4 sm:w-5 sm:h-5" />
+                <span className="hidden sm:inline">Modified Locally</span>
+                <span className="sm:hidden">Modified</span>
+              </>
             ) : (
               <>
                 <Download className="w-4 h-4 sm:w-5 sm:h-5" />
@@ -1023,12 +1067,44 @@ function BlueprintDetailContent({ blueprint, isOpen, onClose, user, onLikeChange
   );
 }
 
+/**
+ * Gallery rows are lean (no parsed data); load the full row once the detail view opens.
+ * Counters stay on the gallery row so likes and ratings update live.
+ */
+function useFullBlueprint(blueprint, isOpen) {
+  const [fullRow, setFullRow] = useState(null);
+  const needsFullRow = isOpen && isLeanBlueprint(blueprint);
+
+  useEffect(() => {
+    if (!needsFullRow || fullRow?.id === blueprint.id) return;
+
+    let cancelled = false;
+    fetchFullBlueprint(blueprint.id).then(result => {
+      if (cancelled) return;
+      if (result.success) {
+        setFullRow(result.data);
+      } else {
+        console.error(result);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [needsFullRow, blueprint?.id, fullRow?.id]);
+
+  return useMemo(() => {
+    if (!needsFullRow || fullRow?.id !== blueprint.id) return blueprint;
+    const { requirements, ...row } = blueprint;
+    return { ...row, parsed: fullRow.parsed, parts: fullRow.parts };
+  }, [blueprint, needsFullRow, fullRow]);
+}
+
 // Wrap with error boundary
 function BlueprintDetail({ blueprint, isOpen, onClose, user, onLikeChange, onRatingChange, userRating = 0, onSearchByCreator, onBlueprintUpdate, onDownload, userLikes = new Set(), blueprints = [], currentBlueprintIndex = -1, onNavigate }) {
+  const detailBlueprint = useFullBlueprint(blueprint, isOpen);
+
   return (
     <ErrorBoundary name="BlueprintDetail">
       <BlueprintDetailContent 
-        blueprint={blueprint}
+        blueprint={detailBlueprint}
         isOpen={isOpen}
         onClose={onClose}
         user={user}
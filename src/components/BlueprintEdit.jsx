@@ -10,14 +10,17 @@ import { uploadToCloudinary } from "../lib/cloudinary";
 import { deleteCloudinaryImage } from "../lib/cloudinaryDelete";
 import imageCompression from "browser-image-compression";
 import { ClientRateLimiter, checkServerRateLimit } from "../lib/rateLimiter";
-import { sendBlueprintToParser } from "../lib/blueprintParser";
-import { validateParsedData } from "../lib/parsedDataValidator";
+import { parseBlueprint, PARSE_JOB_STATUS } from "../lib/blueprintParser";
+import { saveParsedResult, notifyBlueprintChanged } from "../lib/blueprintService";
+import { upgradeParsedData, validateParsedDataStrict, formatSchemaErrors } from "../lib/parsedDataSchema";
 import { extractBlueprintFromPng, isPngBlueprint, formatBytes } from "../lib/pngBlueprintExtractor";
 import { AVAILABLE_TAGS, getTagDisplay } from "../lib/tags";
 import { createIndependentBlueprintFile, populateExtractedImageForPart } from "../lib/pngBlueprintProcessor";
 import { handleError } from "../lib/errorHandler";
+import { buildBlueprintMetadata, embedBlueprintMetadata, hashBlueprintPayload } from "../lib/pngBlueprintMetadata";
 import { ErrorAlert, SuccessAlert } from "./Alerts";
 import ErrorBoundary from "./ErrorBoundary";
+import ParseJobStatus from "./ParseJobStatus";
 
 // Constants for validation
 const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
@@ -139,6 +142,10 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
   const [multiPartFiles, setMultiPartFiles] = useState([null, null, null, null]);
   const [multiPartCompressionInfo, setMultiPartCompressionInfo] = useState([null, null, null, null]);
   const [multiPartDragActive, setMultiPartDragActive] = useState([false, false, false, false]);
+  const [parseJobs, setParseJobs] = useState({}); // key -> parse job state ("single" or "part-N")
+  const [retryingParse, setRetryingParse] = useState(new Set());
+  const [pendingClose, setPendingClose] = useState(null); // set when a parse failed, holds the update message
+  const parseTasksRef = useRef({});
   const fileInputRef = useRef(null);
   const imageInputRef = useRef(null);
   const scrollableRef = useRef(null);
@@ -425,6 +432,66 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
     }
   };
 
+  const updateParseJobState = (key, job) => {
+    if (!job) return;
+    setParseJobs(prev => ({ ...prev, [key]: job }));
+  };
+
+  // Send a replaced file to the parser and follow its job; returns false if parsing failed
+  const runParseTask = async (key, task) => {
+    parseTasksRef.current[key] = task;
+    try {
+      const parserResponse = await parseBlueprint(task.file, blueprint.id, 3, true, {
+        partNumber: task.partNumber,
+        job: task.job,
+        onJobUpdate: (job) => updateParseJobState(key, job),
+      });
+
+      if (parserResponse.duplicate && parserResponse.parsed) {
+        // Parser has already processed this file; check it against the schema and store it immediately
+        const upgraded = upgradeParsedData(parserResponse.parsed);
+        const validation = validateParsedDataStrict(upgraded);
+        const result = validation.valid ? await saveParsedResult(blueprint.id, parserResponse.fileHash, upgraded) : null;
+        if (!result?.success) {
+          const error = validation.valid
+            ? `Could not save the parsed data: ${result.error.message}`
+            : `The parser returned invalid data: ${formatSchemaErrors(validation.errors)}`;
+          console.error(`[Parser] ${key}: ${error}`);
+          setParseJobs(prev => ({ ...prev, [key]: { ...prev[key], status: PARSE_JOB_STATUS.FAILED, error } }));
+          return false;
+        }
+        console.log(`${task.partNumber ? `Part ${task.partNumber}` : "Blueprint"} updated with new parsed data`);
+      }
+      return !parserResponse.failed;
+    } catch (parserError) {
+      // Parser error is non-blocking - blueprint edit is already complete
+      console.error("Parser API error (non-blocking):", parserError);
+      return false;
+    }
+  };
+
+  const handleRetryParse = async (key) => {
+    const task = parseTasksRef.current[key];
+    if (!task) return;
+
+    setRetryingParse(prev => new Set(prev).add(key));
+    await runParseTask(key, { ...task, job: parseJobs[key] });
+    setRetryingParse(prev => {
+      const next = new Set(prev);
+      next.delete(key);
+      return next;
+    });
+  };
+
+  const finishEdit = (message) => {
+    if (message && onUpdate) {
+      onUpdate(message);
+    } else {
+      onUpdate?.();
+    }
+    onClose();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -480,6 +547,19 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
 
       let fileUrl = blueprint.file_url;
 
+      // Replacing any blueprint file bumps the version stored in the hub metadata chunk
+      const fileReplaced = Boolean(blueprintFile) || multiPartFiles.some(Boolean);
+      const nextVersion = (Number.isInteger(blueprint.version) ? blueprint.version : 1) + (fileReplaced ? 1 : 0);
+      const embedHubMetadata = async (file, partNumber = null) => {
+        try {
+          const metadata = buildBlueprintMetadata({ ...blueprint, version: nextVersion }, { partNumber });
+          return new File([await embedBlueprintMetadata(file, metadata)], file.name, { type: 'image/png' });
+        } catch (metadataError) {
+          console.warn('Failed to embed hub metadata:', metadataError.message);
+          return file;
+        }
+      };
+
       // Upload new blueprint file if provided
       if (blueprintFile) {
         // Delete old file from storage BEFORE uploading new one
@@ -512,7 +592,7 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
           const blueprintPath = `${user.id}/${blueprintFileNameWithTimestamp}`;
           const { error: blueprintError } = await supabase.storage
             .from("blueprints")
-            .upload(blueprintPath, blueprintFile);
+            .upload(blueprintPath, await embedHubMetadata(blueprintFile));
 
           if (blueprintError) throw blueprintError;
 
@@ -575,6 +655,7 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
         image_url_3: imageUrl3,
         tags: tags.length > 0 ? tags : null,
         changelog: changelogValidation.sanitized,
+        version: nextVersion,
         updated_at: new Date().toISOString(),
       };
 
@@ -582,6 +663,12 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
         updateData.image_url_4 = imageUrl4;
       }
 
+      // The webhook matches results to the new file by this hash
+      if (blueprintFile) {
+        updateData.filehash = await hashBlueprintPayload(blueprintFile);
+        updateData.parsed = null; // Reset parsed data since we have a new file
+      }
+
       const { error: dbError } = await supabase
         .from("blueprints")
         .update(updateData)
@@ -589,6 +676,10 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
 
       if (dbError) throw dbError;
 
+      let parserFailed = false;
+      setParseJobs({});
+      parseTasksRef.current = {};
+
       // Handle multi-part file updates
       if (blueprint?.is_multi_part && blueprint?.parts) {
         // Find which parts have been updated
@@ -605,7 +696,7 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
           try {
             const { error: uploadError } = await supabase.storage
               .from("blueprints")
-              .upload(partPath, multiPartFiles[idx]);
+              .upload(partPath, await embedHubMetadata(multiPartFiles[idx], partNumber));
             
             if (uploadError) throw uploadError;
 
@@ -641,37 +732,9 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
               .eq("id", blueprint.id);
 
             // Send updated part file to parser
-            try {
-              console.log(`Sending updated part ${partNumber} to parser...`);
-              const parserResponse = await sendBlueprintToParser(multiPartFiles[idx], blueprint.id);
-
-              if (parserResponse.duplicate && parserResponse.parsed) {
-                // Parser has already processed this file, update it immediately
-                const validatedParsed = validateParsedData(parserResponse.parsed);
-                console.log(`Part ${partNumber} already parsed, updating database...`);
-                
-                const updatedParts2 = updatedParts.map(part => {
-                  if (part.part_number === partNumber) {
-                    return {
-                      ...part,
-                      parsed: validatedParsed
-                    };
-                  }
-                  return part;
-                });
-
-                await supabase
-                  .from("blueprints")
-                  .update({ parts: updatedParts2 })
-                  .eq("id", blueprint.id);
-
-                console.log(`Part ${partNumber} updated with new parsed data`);
-              } else if (parserResponse.queued) {
-                // Will be updated via webhook callback
-                console.log(`Part ${partNumber} queued for parsing, fileHash:`, parserResponse.fileHash);
-              }
-            } catch (parserError) {
-              console.error(`Parser error for part ${partNumber}:`, parserError);
+            console.log(`Sending updated part ${partNumber} to parser...`);
+            if (!(await runParseTask(`part-${partNumber}`, { file: multiPartFiles[idx], partNumber }))) {
+              parserFailed = true;
             }
           } catch (err) {
             throw new Error(`Failed to update blueprint part ${partNumber}: ${err.message}`);
@@ -685,48 +748,29 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
 
       // If a new blueprint file was uploaded (for single-part), send it to the parser to update materials/buildings
       if (blueprintFile && !blueprint?.is_multi_part) {
-        try {
-          console.log("Sending updated blueprint to parser...");
-          const parserResponse = await sendBlueprintToParser(blueprintFile, blueprint.id);
-
-          if (parserResponse.duplicate && parserResponse.parsed) {
-            // Validate and sanitize parsed data before saving
-            const validatedParsed = validateParsedData(parserResponse.parsed);
-            console.log("Blueprint already parsed, updating database...");
-            await supabase
-              .from("blueprints")
-              .update({
-                parsed: validatedParsed,
-                filehash: parserResponse.fileHash,
-              })
-              .eq("id", blueprint.id);
-
-            console.log("Blueprint updated with new parsed data");
-          } else if (parserResponse.queued) {
-            // Store the fileHash for webhook callback
-            console.log("Blueprint queued for parsing, fileHash:", parserResponse.fileHash);
-            await supabase
-              .from("blueprints")
-              .update({ filehash: parserResponse.fileHash })
-              .eq("id", blueprint.id);
-          }
-        } catch (parserError) {
-          // Parser error is non-blocking - blueprint edit is already complete
-          console.error("Parser API error (non-blocking):", parserError);
+        console.log("Sending updated blueprint to parser...");
+        if (!(await runParseTask("single", { file: blueprintFile, partNumber: null }))) {
+          parserFailed = true;
         }
       }
 
+      await notifyBlueprintChanged(blueprint.id, "edit");
+
       // Record the edit attempt in client-side rate limiter
       const clientLimiter = new ClientRateLimiter(user.id, 'edits');
       clientLimiter.recordAttempt();
 
       // Pass update message to parent if blueprint data was updated
-      if (blueprintFile && onUpdate) {
-        onUpdate("Your blueprint has been updated! It may take a couple minutes for the changes to appear in the gallery and search results.");
-      } else {
-        onUpdate?.();
+      const updateMessage = blueprintFile
+        ? "Your blueprint has been updated! It may take a couple minutes for the changes to appear in the gallery and search results."
+        : null;
+
+      // Stay open so failed parse jobs can be retried
+      if (parserFailed) {
+        setPendingClose({ message: updateMessage });
+        return;
       }
-      onClose();
+      finishEdit(updateMessage);
     } catch (err) {
       console.error("Update error:", err);
       setError(err.message || "Failed to update blueprint");
@@ -1175,7 +1219,38 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
           <SuccessAlert message={success} onDismiss={() => setSuccess("")} />
           <ErrorAlert error={error ? { message: error } : null} onDismiss={() => setError("")} />
 
+          <ParseJobStatus
+            items={Object.entries(parseJobs).map(([key, job]) => ({
+              key,
+              label: key === "single" ? "Blueprint" : `Part ${key.replace("part-", "")}`,
+              job,
+            }))}
+            onRetry={pendingClose ? handleRetryParse : null}
+            retrying={retryingParse}
+          />
+
+          {pendingClose && (
+            <div className="space-y-2">
+              <p style={{ color: theme.colors.textSecondary }} className="text-sm">
+                Your changes were saved, but parsing the new file failed. Retry it now, or finish and the old stats stay cleared for now.
+              </p>
+              <button
+                type="button"
+                onClick={() => finishEdit(pendingClose.message)}
+                disabled={retryingParse.size > 0}
+                style={{
+                  backgroundImage: `linear-gradient(to right, ${theme.colors.buttonBg}, ${theme.colors.accentGold})`,
+                  color: theme.colors.buttonText
+                }}
+                className="w-full py-3 rounded-lg font-semibold transition disabled:opacity-50 flex items-center justify-center hover:opacity-70"
+              >
+                Finish
+              </button>
+            </div>
+          )}
+
           {/* Submit */}
+          {!pendingClose && (
           <div className="flex gap-3 pt-4">
             <button
               type="submit"
@@ -1205,6 +1280,7 @@ function BlueprintEditContent({ blueprint, isOpen, onClose, user, onUpdate }) {
               Cancel
             </button>
           </div>
+          )}
         </form>
         </div>
       </div>
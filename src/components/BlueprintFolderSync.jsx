@@ -11,12 +11,27 @@ export default function BlueprintFolderSync() {
     isScanning, 
     localBlueprints, 
     handleFolderSelect, 
+    pickFolder,
+    hasWritableFolder,
     clearFolderSelection 
   } = useBlueprintFolder();
   const fileInputRef = useRef(null);
   const [showFeedback, setShowFeedback] = useState(false);
 
-  const handleFolderClick = () => {
+  const handleFolderClick = async () => {
+    // Prefer the File System Access API (remembered folder, direct installs); fall back to the input
+    try {
+      const picked = await pickFolder();
+      if (picked !== false) {
+        if (picked) {
+          setShowFeedback(true);
+          setTimeout(() => setShowFeedback(false), 3000);
+        }
+        return;
+      }
+    } catch (error) {
+      console.error('Error opening blueprint folder:', error);
+    }
     fileInputRef.current?.click();
   };
 
@@ -63,7 +78,7 @@ export default function BlueprintFolderSync() {
           color: hasFolderSelected ? theme.colors.accentYellow : theme.colors.textPrimary,
         }}
         data-tooltip={hasFolderSelected 
-          ? `${localBlueprints.size} blueprints synced. Click to update or press the X to clear.` 
+          ? `${localBlueprints.size} blueprints synced${hasWritableFolder ? ' - downloads install straight into this folder' : ''}. Click to update or press the X to clear.` 
           : 'Select your blueprints folder to sync all your blueprints install/version with the site.'}
         data-tooltip-position="bottom"
       >
@@ -1,33 +1,89 @@
 import { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import { motion } from "framer-motion";
 import { supabase } from "../lib/supabase";
-import { Search, Download, Trash2, Loader, Heart, X, User, Tag, ListFilter, Clock, History, SortAsc, RefreshCw, TrendingUp, ArrowUp, ArrowDown, Bookmark, Check, AlertCircle, Save } from "lucide-react";
+import { Search, Download, Trash2, Loader, Heart, User, Tag, ListFilter, Clock, History, SortAsc, RefreshCw, TrendingUp, ArrowUp, ArrowDown, Bookmark, Check, AlertCircle, Save, Package, Layers, Sparkles, Factory, Gem } from "lucide-react";
 import { stripDiscordDiscriminator } from "../lib/discordUtils";
 import { sanitizeCreatorName } from "../lib/sanitization";
 import { getThumbnailUrl, prefetchImage } from "../lib/imageOptimization";
 import { transformParsedMaterials, transformParsedBuildings } from "../lib/blueprintMappings";
 import { validateParsedData } from "../lib/parsedDataValidator";
-import { getParsedData } from "../lib/blueprintUtils";
+import { getParsedData, getBlueprintTier } from "../lib/blueprintUtils";
 import { useTheme } from "../lib/ThemeContext";
 import { deleteCloudinaryImage } from "../lib/cloudinaryDelete";
 import { AVAILABLE_TAGS, getTagDisplay } from "../lib/tags";
+import { parseSearchQuery, matchesSearchFilters, mergeItemFilters, toFeedBounds, formatQueryValue } from "../lib/searchQuery";
 import { ClientRateLimiter } from "../lib/rateLimiter";
-import { hasSaveData, checkBlueprintCompatibility } from "../lib/saveManager";
+import { checkBlueprintCompatibility, getInventoryCounts, getPlayerTier, getNewlyBuildableIds } from "../lib/saveManager";
+import { useSaveProfiles } from "../lib/SaveProfileContext";
 import { useBlueprintFolder } from "../lib/BlueprintFolderContext";
-import { fetchAllBlueprints, fetchUserLikes as fetchUserLikesService, fetchUserRatings, rateBlueprint, likeBlueprint, unlikeBlueprint, deleteBlueprint as deleteBlueprintService } from "../lib/blueprintService";
+import { getEntryHashes } from "../lib/blueprintFolderMatching";
+import { fetchBlueprintFeed, fetchCatalogueStats, fetchCreatorStats, fetchPopularTags, fetchItemFacets, fetchBlueprintByIdentifier, fetchBlueprintsForLocalFiles, fetchUserLikes as fetchUserLikesService, fetchUserRatings, rateBlueprint, likeBlueprint, unlikeBlueprint, deleteBlueprint as deleteBlueprintService } from "../lib/blueprintService";
 import { handleError } from "../lib/errorHandler";
+import { buildBlueprintMetadata, embedBlueprintMetadata } from "../lib/pngBlueprintMetadata";
 import { ErrorAlert, SuccessAlert } from "./Alerts";
 import ErrorBoundary from "./ErrorBoundary";
 import BlueprintDetail from "./BlueprintDetail";
 import BlueprintCard from "./BlueprintCard";
 import CreatorCard from "./CreatorCard";
+import GallerySearchBox from "./GallerySearchBox";
+import ItemFacetPicker from "./ItemFacetPicker";
+
+// Pause after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Tiers always offered by the tier filter, even before a blueprint that high has been loaded
+const DEFAULT_TIER_OPTIONS = 6;
+
+// Bookmarks the feed filters by id (MAX_IDS in api/_lib/feedQuery.js); longer lists are filtered in the browser
+const MAX_FEED_IDS = 100;
+
+// Refresh the hub metadata chunk so a downloaded file identifies this exact blueprint and version
+const withHubMetadata = async (blob, blueprint, partNumber = null) => {
+  try {
+    return await embedBlueprintMetadata(blob, buildBlueprintMetadata(blueprint, { partNumber }));
+  } catch (error) {
+    console.warn('Failed to refresh hub metadata:', error.message);
+    return blob;
+  }
+};
+
+// Files to fetch for a download: one part, every part, or the single file
+const getDownloadTargets = (blueprint, partNumber = null) => {
+  if (blueprint.is_multi_part && Array.isArray(blueprint.parts)) {
+    const parts = partNumber !== null
+      ? blueprint.parts.filter(p => p.part_number === partNumber)
+      : blueprint.parts;
+    if (partNumber !== null && parts.length === 0) {
+      throw new Error("Part not found");
+    }
+    return parts.map(part => ({
+      url: supabase.storage.from("blueprints").getPublicUrl(`${blueprint.user_id}/${part.filename}`).data.publicUrl,
+      filename: part.filename,
+      partNumber: part.part_number,
+    }));
+  }
+
+  if (!blueprint.file_url) return [];
+  return [{ url: blueprint.file_url, filename: blueprint.file_url.split('/').pop(), partNumber: null }];
+};
 
 function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, initialMessage, onMessageShown }) {
   const { theme } = useTheme();
-  const { getInstallStatus } = useBlueprintFolder();
+  const { localBlueprints, getInstallStatus, getPartInstallStatuses, hasWritableFolder, refreshFolder, requestFolderWriteAccess, installBlueprintFiles } = useBlueprintFolder();
+  const { saveData, previousSnapshot } = useSaveProfiles();
+  const saveHasInventory = useMemo(() => !!saveData && getInventoryCounts(saveData) !== null, [saveData]);
+  const playerTier = useMemo(() => getPlayerTier(saveData), [saveData]);
   const [blueprints, setBlueprints] = useState([]);
+  const [totalCount, setTotalCount] = useState(0); // matches on the server, across all pages
+  const [feedTruncated, setFeedTruncated] = useState(false); // full-set fetch hit the server's row cap
+  const [catalogueStats, setCatalogueStats] = useState(null); // dashboard totals from /api/catalogue-stats
+  const [creatorStats, setCreatorStats] = useState(null);
+  const [tagCounts, setTagCounts] = useState(new Map());
+  const [itemFacets, setItemFacets] = useState({ buildings: [], materials: [] });
+  const [folderHubBlueprints, setFolderHubBlueprints] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
   const [sortBy, setSortBy] = useState("newest");
   const [sortDropdownOpen, setSortDropdownOpen] = useState(false);
   const [selectedTags, setSelectedTags] = useState([]);
@@ -41,16 +97,45 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
   const [downloadError, setDownloadError] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const initialBlueprintAppliedRef = useRef(false);
-  const [selectedCreator, setSelectedCreator] = useState(null);
   const [showBookmarksOnly, setShowBookmarksOnly] = useState(false);
   const [compatibilityFilter, setCompatibilityFilter] = useState("all");
   const [installFilter, setInstallFilter] = useState("all"); // "all", "installed", "update-available"
+  const [tierRange, setTierRange] = useState({ min: null, max: null }); // null = no bound
+  const [withinMyTier, setWithinMyTier] = useState(false);
+  const [tierDropdownOpen, setTierDropdownOpen] = useState(false);
+  const [itemFilters, setItemFilters] = useState({
+    buildings: { include: [], exclude: [] },
+    materials: { include: [], exclude: [] },
+  });
+  const [updateAllProgress, setUpdateAllProgress] = useState(null); // { done, total } while updating
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   
   // Refs for click-outside detection
   const sortDropdownRef = useRef(null);
   const tagsDropdownRef = useRef(null);
+  const tierDropdownRef = useRef(null);
+
+  // The active save may change to one without inventory data
+  useEffect(() => {
+    if (compatibilityFilter === "affordable" && !saveHasInventory) {
+      setCompatibilityFilter("all");
+    }
+  }, [compatibilityFilter, saveHasInventory]);
+
+  // ...or to one without an earlier sync to compare against
+  useEffect(() => {
+    if (compatibilityFilter === "new" && !previousSnapshot) {
+      setCompatibilityFilter("all");
+    }
+  }, [compatibilityFilter, previousSnapshot]);
+
+  // ...or to one without a readable tier
+  useEffect(() => {
+    if (withinMyTier && playerTier === null) {
+      setWithinMyTier(false);
+    }
+  }, [withinMyTier, playerTier]);
 
   // Auto-dismiss alerts after 10 seconds
   useEffect(() => {
@@ -84,6 +169,9 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
       if (tagsDropdownRef.current && !tagsDropdownRef.current.contains(event.target)) {
         setTagsDropdownOpen(false);
       }
+      if (tierDropdownRef.current && !tierDropdownRef.current.contains(event.target)) {
+        setTierDropdownOpen(false);
+      }
     };
 
     document.addEventListener('mousedown', handleClickOutside);
@@ -110,7 +198,6 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
   }, []);
 
   useEffect(() => {
-    fetchBlueprints();
     if (user) {
       fetchUserLikes();
       fetchUserRatingsData();
@@ -118,17 +205,36 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
     fetchUserBookmarksData();
   }, [refreshTrigger, user]);
 
-  // Handle initial blueprint ID from URL - only apply once
+  // Catalogue-wide numbers for the stats dashboard
   useEffect(() => {
-    if (initialBlueprintId && blueprints.length > 0 && !initialBlueprintAppliedRef.current) {
-      // Try to find by ID first, then by slug
-      const blueprint = blueprints.find((bp) => bp.id === initialBlueprintId || bp.slug === initialBlueprintId);
-      if (blueprint) {
-        setSelectedBlueprint(blueprint);
-        initialBlueprintAppliedRef.current = true;
+    fetchCatalogueStats().then((result) => {
+      if (result.success) {
+        setCatalogueStats(result.data);
       }
-    }
-  }, [initialBlueprintId, blueprints]);
+    });
+    fetchPopularTags().then((result) => {
+      if (result.success) {
+        setTagCounts(new Map(result.data.map(({ tag, count }) => [tag, count])));
+      }
+    });
+    fetchItemFacets().then((result) => {
+      if (result.success) {
+        setItemFacets(result.data);
+      }
+    });
+  }, [refreshTrigger]);
+
+  // Handle initial blueprint ID (or slug) from URL - only apply once
+  useEffect(() => {
+    if (!initialBlueprintId || initialBlueprintAppliedRef.current) return;
+    initialBlueprintAppliedRef.current = true;
+
+    fetchBlueprintByIdentifier(initialBlueprintId).then((result) => {
+      if (result.success && result.data) {
+        setSelectedBlueprint(result.data);
+      }
+    });
+  }, [initialBlueprintId]);
 
   const fetchUserLikes = useCallback(async () => {
     if (!user) return;
@@ -187,17 +293,81 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
     }
   }, [user]);
 
+  // Search box filters (building:, tier<=, creator:, ...) and the free text left over
+  const searchQuery = useMemo(() => parseSearchQuery(debouncedSearch), [debouncedSearch]);
+  // ...plus the building/material pickers
+  const queryFilters = useMemo(() => mergeItemFilters(searchQuery.filters, itemFilters), [searchQuery, itemFilters]);
+
+  // Tags from the dropdown and tag: filters; memoized as a key to avoid reference changes
+  const feedTags = useMemo(
+    () => [...new Set([...selectedTags, ...queryFilters.tags.include])],
+    [selectedTags, queryFilters]
+  );
+  const selectedTagsKey = feedTags.join(',');
+  const excludedTagsKey = queryFilters.tags.exclude.join(',');
+  // Building/material filters from the search box and pickers
+  const feedItems = useMemo(
+    () => ({ buildings: queryFilters.buildings, materials: queryFilters.materials }),
+    [queryFilters]
+  );
+  const feedItemsKey = JSON.stringify(feedItems);
+
+  // Tier, size and part-count bounds for the server; the tier pickers and "within my tier" narrow the same tier bounds
+  const feedBounds = useMemo(() => {
+    const bounds = toFeedBounds(queryFilters);
+    const tierMins = [bounds.tierMin, tierRange.min].filter(Number.isInteger);
+    const tierMaxes = [bounds.tierMax, tierRange.max, withinMyTier ? playerTier : null].filter(Number.isInteger);
+    if (tierMins.length > 0) bounds.tierMin = Math.max(...tierMins);
+    if (tierMaxes.length > 0) bounds.tierMax = Math.min(...tierMaxes);
+    return bounds;
+  }, [queryFilters, tierRange, withinMyTier, playerTier]);
+  const feedBoundsKey = JSON.stringify(feedBounds);
+
+  // Bookmarked ids for the server, or null when not filtering by bookmarks (or there are too many to send)
+  const bookmarksInBrowser = showBookmarksOnly && userBookmarks.size > MAX_FEED_IDS;
+  const feedIdsKey = useMemo(
+    () => (showBookmarksOnly && !bookmarksInBrowser ? Array.from(userBookmarks).sort().join(',') : null),
+    [showBookmarksOnly, bookmarksInBrowser, userBookmarks]
+  );
+
+  // Filters that need the player's save, the local folder or a long bookmark list run in the browser,
+  // over every row matching the server-side filters; otherwise the server pages the results
+  const needsFullSet = bookmarksInBrowser || (!!saveData && compatibilityFilter !== "all") || installFilter !== "all";
+  const creatorFilter = queryFilters.creator || "";
+  const textSearch = searchQuery.text.trim();
+  // "Best match" only exists while searching
+  const feedSort = sortBy === "relevance" && !textSearch ? "newest" : sortBy;
+  const feedPage = needsFullSet ? 1 : currentPage;
+  const feedRequestRef = useRef(0);
+
   const fetchBlueprints = useCallback(async () => {
+    const requestId = ++feedRequestRef.current;
     setLoading(true);
     setError(null);
     try {
-      const result = await fetchAllBlueprints();
-      
+      const result = await fetchBlueprintFeed({
+        sort: feedSort,
+        tags: feedTags,
+        excludeTags: queryFilters.tags.exclude,
+        search: textSearch,
+        creator: creatorFilter,
+        ids: feedIdsKey === null ? null : feedIdsKey.split(',').filter(Boolean),
+        items: feedItems,
+        bounds: feedBounds,
+        page: feedPage,
+        pageSize: itemsPerPage,
+        all: needsFullSet,
+      });
+
+      // A newer request (typing, paging) superseded this one
+      if (requestId !== feedRequestRef.current) return;
+
       if (!result.success) {
-        throw new Error(result.error?.message || 'Failed to fetch blueprints');
+        setError(result.error);
+        return;
       }
 
-      const data = result.data || [];
+      const data = result.data.blueprints || [];
       
       const processedData = (data || []).map(bp => {
         let materials = [];
@@ -231,12 +401,43 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
       });
       
       setBlueprints(processedData);
+      setTotalCount(result.data.total || 0);
+      setFeedTruncated(!!result.data.truncated);
     } catch (err) {
-      console.error("Error fetching blueprints:", err);
+      if (requestId === feedRequestRef.current) {
+        const errorResponse = handleError(err, 'FETCH_BLUEPRINTS');
+        setError(errorResponse.error);
+      }
     } finally {
-      setLoading(false);
+      if (requestId === feedRequestRef.current) {
+        setLoading(false);
+      }
     }
-  }, []);
+  }, [feedSort, selectedTagsKey, excludedTagsKey, textSearch, creatorFilter, feedIdsKey, feedItemsKey, feedBoundsKey, feedPage, itemsPerPage, needsFullSet]);
+
+  useEffect(() => {
+    fetchBlueprints();
+  }, [fetchBlueprints, refreshTrigger]);
+
+  // Hub rows for the files in the synced folder, so "Update all" covers every installed blueprint
+  useEffect(() => {
+    if (!hasWritableFolder || localBlueprints.size === 0) {
+      setFolderHubBlueprints([]);
+      return;
+    }
+
+    let cancelled = false;
+    const entries = Array.from(localBlueprints.values());
+    fetchBlueprintsForLocalFiles(
+      [...new Set(entries.flatMap(getEntryHashes))],
+      [...new Set(entries.map((entry) => entry.hubId).filter(Boolean))]
+    ).then((result) => {
+      if (!cancelled && result.success) {
+        setFolderHubBlueprints(result.data);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [hasWritableFolder, localBlueprints, refreshTrigger]);
 
   const handleLike = useCallback(async (blueprintId, currentlyLiked) => {
     if (!user) {
@@ -434,6 +635,9 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
 
     setDownloadingId(blueprint.id);
     setDownloadError(null);
+
+    // Ask before any await so the browser still sees the click
+    const canInstall = hasWritableFolder && await requestFolderWriteAccess();
     
     try {
       // Record the download attempt for rate limiting
@@ -462,110 +666,61 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
         );
       }
 
-      // Handle multi-part downloads
-      if (blueprint.is_multi_part && blueprint.parts && Array.isArray(blueprint.parts)) {
-        if (selectedPartNumber !== null) {
-          // Download specific part
-          const part = blueprint.parts.find(p => p.part_number === selectedPartNumber);
-          if (!part) {
-            throw new Error("Part not found");
-          }
-
-          const publicUrl = supabase.storage
-            .from("blueprints")
-            .getPublicUrl(`${blueprint.user_id}/${part.filename}`).data.publicUrl;
+      const targets = getDownloadTargets(blueprint, selectedPartNumber);
+      if (targets.length === 0) {
+        setDownloadError("Blueprint file is not available for download");
+        return;
+      }
 
-          try {
-            const response = await fetch(publicUrl);
-            const blob = await response.blob();
-            const blobUrl = URL.createObjectURL(blob);
-            
-            const a = document.createElement("a");
-            a.href = blobUrl;
-            a.download = part.filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            
-            setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
-          } catch (fetchError) {
-            console.error("Error fetching part for download:", fetchError);
-            const a = document.createElement("a");
-            a.href = publicUrl;
-            a.download = part.filename;
-            a.target = "_blank";
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-          }
-        } else {
-          // Download all parts in sequence
-          for (const part of blueprint.parts) {
-            const publicUrl = supabase.storage
-              .from("blueprints")
-              .getPublicUrl(`${blueprint.user_id}/${part.filename}`).data.publicUrl;
-
-            try {
-              const response = await fetch(publicUrl);
-              const blob = await response.blob();
-              const blobUrl = URL.createObjectURL(blob);
-              
-              const a = document.createElement("a");
-              a.href = blobUrl;
-              a.download = part.filename;
-              document.body.appendChild(a);
-              a.click();
-              document.body.removeChild(a);
-              
-              setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
-              
-              // Small delay between downloads
-              await new Promise(resolve => setTimeout(resolve, 200));
-            } catch (fetchError) {
-              console.error(`Error fetching part ${part.part_number} for download:`, fetchError);
-              const a = document.createElement("a");
-              a.href = publicUrl;
-              a.download = part.filename;
-              a.target = "_blank";
-              document.body.appendChild(a);
-              a.click();
-              document.body.removeChild(a);
-            }
-          }
-        }
-      } else {
-        // Single-part download
-        if (!blueprint.file_url) {
-          setDownloadError("Blueprint file is not available for download");
+      // Write straight into the game folder when we have a persistent handle
+      if (canInstall) {
+        try {
+          const files = await Promise.all(targets.map(async (target) => {
+            const response = await fetch(target.url);
+            if (!response.ok) throw new Error(`Failed to fetch ${target.filename}`);
+            return {
+              filename: target.filename,
+              blob: await withHubMetadata(await response.blob(), blueprint, target.partNumber),
+              partNumber: target.partNumber,
+            };
+          }));
+          await installBlueprintFiles(blueprint, files);
+          setSuccess(`Installed "${blueprint.title}" into your blueprints folder`);
           return;
+        } catch (installError) {
+          console.error("Error installing into blueprint folder, falling back to download:", installError);
         }
+      }
 
-        const urlParts = blueprint.file_url.split('/');
-        const filename = urlParts[urlParts.length - 1];
-        
+      for (const target of targets) {
         try {
-          const response = await fetch(blueprint.file_url);
-          const blob = await response.blob();
+          const response = await fetch(target.url);
+          const blob = await withHubMetadata(await response.blob(), blueprint, target.partNumber);
           const blobUrl = URL.createObjectURL(blob);
           
           const a = document.createElement("a");
           a.href = blobUrl;
-          a.download = filename;
+          a.download = target.filename;
           document.body.appendChild(a);
           a.click();
           document.body.removeChild(a);
           
           setTimeout(() => URL.revokeObjectURL(blobUrl), 100);
         } catch (fetchError) {
-          console.error("Error fetching file for download:", fetchError);
+          console.error(`Error fetching ${target.filename} for download:`, fetchError);
           const a = document.createElement("a");
-          a.href = blueprint.file_url;
-          a.download = filename;
+          a.href = target.url;
+          a.download = target.filename;
           a.target = "_blank";
           document.body.appendChild(a);
           a.click();
           document.body.removeChild(a);
         }
+
+        // Small delay between downloads
+        if (targets.length > 1) {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
       }
     } catch (err) {
       console.error("Error downloading:", err);
@@ -573,7 +728,59 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
     } finally {
       setDownloadingId(null);
     }
-  }, [user?.id]);
+  }, [user?.id, hasWritableFolder, requestFolderWriteAccess, installBlueprintFiles]);
+
+  // Hub blueprints whose local copy in the game folder is stale
+  const outdatedBlueprints = useMemo(() => {
+    if (!hasWritableFolder) return [];
+    return folderHubBlueprints.filter(bp => getInstallStatus(bp) === "update-available");
+  }, [folderHubBlueprints, hasWritableFolder, getInstallStatus]);
+
+  const handleUpdateAllOutdated = async () => {
+    if (outdatedBlueprints.length === 0 || updateAllProgress) return;
+
+    if (!(await requestFolderWriteAccess())) {
+      setError({ message: "Permission to write to your blueprints folder was denied" });
+      return;
+    }
+
+    const failed = [];
+    setUpdateAllProgress({ done: 0, total: outdatedBlueprints.length });
+
+    for (let i = 0; i < outdatedBlueprints.length; i++) {
+      const blueprint = outdatedBlueprints[i];
+      try {
+        // Only rewrite stale or missing parts; leave locally modified files alone
+        const partStatuses = new Map(getPartInstallStatuses(blueprint).map(p => [p.part_number, p.status]));
+        const targets = getDownloadTargets(blueprint).filter(target =>
+          target.partNumber === null || !["installed", "modified-locally"].includes(partStatuses.get(target.partNumber))
+        );
+
+        const files = [];
+        for (const target of targets) {
+          const response = await fetch(target.url);
+          if (!response.ok) throw new Error(`Failed to fetch ${target.filename}`);
+          files.push({
+            filename: target.filename,
+            blob: await withHubMetadata(await response.blob(), blueprint, target.partNumber),
+            partNumber: target.partNumber,
+          });
+        }
+        await installBlueprintFiles(blueprint, files);
+      } catch (err) {
+        console.error(`Error updating "${blueprint.title}":`, err);
+        failed.push(blueprint.title);
+      }
+      setUpdateAllProgress({ done: i + 1, total: outdatedBlueprints.length });
+    }
+
+    setUpdateAllProgress(null);
+    if (failed.length > 0) {
+      setError({ message: `Failed to update ${failed.length} blueprint(s): ${failed.join(", ")}` });
+    } else {
+      setSuccess(`Updated ${outdatedBlueprints.length} blueprint(s) in your blueprints folder`);
+    }
+  };
 
   const handleDelete = async (blueprint) => {
     if (!user) {
@@ -647,6 +854,7 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
       }
 
       setBlueprints(blueprints.filter((b) => b.id !== blueprint.id));
+      setTotalCount((count) => Math.max(0, count - 1));
       setSuccess("Blueprint deleted successfully");
     } catch (err) {
       const errorResponse = handleError(err, 'DELETE_BLUEPRINT', { blueprintId: blueprint.id });
@@ -656,112 +864,97 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
     }
   };
 
-  // Memoize tag comparison to avoid reference changes
-  const selectedTagsKey = useMemo(() => selectedTags.join(','), [selectedTags]);
-  
   // Memoize userLikes size and its entries to avoid Set reference changes
   const userLikesKey = useMemo(() => Array.from(userLikes).sort().join(','), [userLikes]);
   
   // Memoize userBookmarks to avoid Set reference changes
   const userBookmarksKey = useMemo(() => Array.from(userBookmarks).sort().join(','), [userBookmarks]);
 
+  // Computed tier per blueprint, and the tiers present for the range pickers
+  const blueprintTiers = useMemo(
+    () => new Map(blueprints.map((bp) => [bp.id, getBlueprintTier(bp)])),
+    [blueprints]
+  );
+  // Server pages only hold a slice of the catalogue, so offer every tier up to the highest seen
+  const tierOptions = useMemo(() => {
+    const highestTier = Math.max(DEFAULT_TIER_OPTIONS, ...[...blueprintTiers.values()].filter((tier) => tier !== null));
+    return Array.from({ length: highestTier }, (_, index) => index + 1);
+  }, [blueprintTiers]);
+  // Blueprints that became buildable between the previous sync and the current save
+  const newlyBuildableIds = useMemo(
+    () => getNewlyBuildableIds(blueprints, previousSnapshot?.save, saveData),
+    [blueprints, previousSnapshot?.id, saveData]
+  );
+
+  const activeTierFilterCount = (tierRange.min !== null ? 1 : 0) + (tierRange.max !== null ? 1 : 0) + (withinMyTier ? 1 : 0);
+
   const filteredBlueprints = useMemo(() => {
-    return blueprints
-      .filter((bp) => {
-        // Filter by bookmarks if active
-        if (showBookmarksOnly && !userBookmarks.has(bp.id)) {
+    // Already filtered, sorted and paged by the server
+    if (!needsFullSet) {
+      return blueprints;
+    }
+
+    // Rows arrive filtered by search/tags/creator and sorted; apply the browser-only filters
+    return blueprints.filter((bp) => {
+      // Buildings, materials, size, tier, part count and excluded tags from the search box
+      if (!matchesSearchFilters(bp, queryFilters)) {
+        return false;
+      }
+      // Filter by bookmarks if active
+      if (showBookmarksOnly && !userBookmarks.has(bp.id)) {
+        return false;
+      }
+      // Filter by compatibility if save is loaded
+      if (saveData && compatibilityFilter !== "all") {
+        const compatibility = checkBlueprintCompatibility(bp, saveData);
+        const isCompatible = compatibility.compatible;
+        
+        if (compatibilityFilter === "compatible" && !isCompatible) {
+          return false;
+        } else if (compatibilityFilter === "incompatible" && isCompatible) {
+          return false;
+        } else if (compatibilityFilter === "affordable" && !compatibility.affordable) {
+          return false;
+        } else if (compatibilityFilter === "new" && !newlyBuildableIds.has(bp.id)) {
           return false;
         }
-        // Filter by selected tags (all selected tags must be present)
-        if (selectedTags.length > 0) {
-          const bpTags = bp.tags || [];
-          const hasAllSelectedTags = selectedTags.every((tag) =>
-            bpTags.some((bpTag) => bpTag.toLowerCase() === tag.toLowerCase())
-          );
-          if (!hasAllSelectedTags) {
-            return false;
-          }
+      }
+      // Filter by computed tier (blueprints without one only pass when no bound applies)
+      if (tierRange.min !== null || tierRange.max !== null || withinMyTier) {
+        const tier = blueprintTiers.get(bp.id);
+        if (tier === null || tier === undefined) {
+          return false;
         }
-        // Filter by compatibility if save is loaded
-        if (hasSaveData() && compatibilityFilter !== "all") {
-          const compatibility = checkBlueprintCompatibility(bp);
-          const isCompatible = Object.keys(compatibility.missingMaterials).length === 0;
-          
-          if (compatibilityFilter === "compatible" && !isCompatible) {
-            return false;
-          } else if (compatibilityFilter === "incompatible" && isCompatible) {
-            return false;
-          }
+        if ((tierRange.min !== null && tier < tierRange.min) || (tierRange.max !== null && tier > tierRange.max)) {
+          return false;
         }
-        // Filter by install status
-        if (installFilter !== "all") {
-          const installStatus = getInstallStatus(bp);
-          if (installFilter === "installed" && installStatus !== "installed") {
-            return false;
-          } else if (installFilter === "update-available" && installStatus !== "update-available") {
-            return false;
-          }
+        if (withinMyTier && playerTier !== null && tier > playerTier) {
+          return false;
         }
-        // Filter by search term
-        return bp.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          (bp.description && bp.description.toLowerCase().includes(searchTerm.toLowerCase())) ||
-          (bp.tags && bp.tags.some((tag) => tag.toLowerCase().includes(searchTerm.toLowerCase()))) ||
-          (bp.creator_name && bp.creator_name.toLowerCase().includes(searchTerm.toLowerCase()));
-      })
-      .sort((a, b) => {
-        if (sortBy === "oldest") {
-          return new Date(a.created_at) - new Date(b.created_at);
-        } else if (sortBy === "alphabetical") {
-          return a.title.localeCompare(b.title);
-        } else if (sortBy === "popular") {
-          // Sort by average rating, then by number of ratings
-          const aRating = a.rating_average || 0;
-          const bRating = b.rating_average || 0;
-          if (Math.abs(aRating - bRating) > 0.01) {
-            return bRating - aRating;
-          }
-          // If ratings are similar, prefer more ratings
-          return (b.rating_count || 0) - (a.rating_count || 0);
-        } else if (sortBy === "trending") {
-          // Trending = engagement score (likes * 2 + downloads) for blueprints from last 7 days
-          const sevenDaysAgo = new Date();
-          sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-          
-          const aIsRecent = new Date(a.created_at) > sevenDaysAgo;
-          const bIsRecent = new Date(b.created_at) > sevenDaysAgo;
-          
-          // Prioritize recent blueprints
-          if (aIsRecent && !bIsRecent) return -1;
-          if (!aIsRecent && bIsRecent) return 1;
-          
-          // Calculate engagement score (likes * 2 + downloads)
-          const aScore = ((a.likes || 0) * 2) + (a.downloads || 0);
-          const bScore = ((b.likes || 0) * 2) + (b.downloads || 0);
-          return bScore - aScore;
-        } else if (sortBy === "updated") {
-          return new Date(b.updated_at || b.created_at) - new Date(a.updated_at || a.created_at);
-        } else if (sortBy === "downloaded") {
-          return (b.downloads || 0) - (a.downloads || 0);
-        } else if (sortBy === "ipm-high") {
-          return (b.production_rate || 0) - (a.production_rate || 0);
-        } else if (sortBy === "ipm-low") {
-          return (a.production_rate || 0) - (b.production_rate || 0);
+      }
+      // Filter by install status
+      if (installFilter !== "all") {
+        const installStatus = getInstallStatus(bp);
+        if (installFilter === "installed" && installStatus !== "installed") {
+          return false;
+        } else if (installFilter === "update-available" && installStatus !== "update-available") {
+          return false;
         }
-        return new Date(b.created_at) - new Date(a.created_at);
-      });
-  }, [blueprints, showBookmarksOnly, userBookmarksKey, selectedTagsKey, searchTerm, sortBy, compatibilityFilter, installFilter, getInstallStatus]);
+      }
+      return true;
+    });
+  }, [blueprints, needsFullSet, queryFilters, showBookmarksOnly, userBookmarksKey, compatibilityFilter, saveData, installFilter, getInstallStatus, blueprintTiers, tierRange, withinMyTier, playerTier, newlyBuildableIds]);
 
   // Pagination
-  const totalPages = Math.ceil(filteredBlueprints.length / itemsPerPage);
+  const totalPages = Math.ceil((needsFullSet ? filteredBlueprints.length : totalCount) / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
-  const paginatedBlueprints = filteredBlueprints.slice(
-    startIndex,
-    startIndex + itemsPerPage
-  );
+  const paginatedBlueprints = needsFullSet
+    ? filteredBlueprints.slice(startIndex, startIndex + itemsPerPage)
+    : filteredBlueprints;
 
-  // Prefetch next page images for faster page transitions
+  // Prefetch next page images for faster page transitions (only possible when every row is loaded)
   useEffect(() => {
-    if (currentPage < totalPages) {
+    if (needsFullSet && currentPage < totalPages) {
       const nextPageStart = currentPage * itemsPerPage;
       const nextPageBlueprints = filteredBlueprints.slice(
         nextPageStart,
@@ -775,10 +968,23 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
         }
       });
     }
-  }, [currentPage, totalPages, filteredBlueprints, itemsPerPage]);
+  }, [needsFullSet, currentPage, totalPages, filteredBlueprints, itemsPerPage]);
 
-  // Reset to page 1 when search changes
+  // Search once typing pauses (clearing applies immediately)
+  useEffect(() => {
+    if (!searchTerm.trim()) {
+      setDebouncedSearch("");
+      return;
+    }
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Reset to page 1 when search changes; a new search starts out ranked by relevance
   const handleSearch = (value) => {
+    if (value.trim() && !searchTerm.trim()) {
+      setSortBy("relevance");
+    }
     setSearchTerm(value);
     setCurrentPage(1);
   };
@@ -799,9 +1005,13 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
     setCurrentPage(1);
   };
 
+  const handleItemFilterChange = (field, selection) => {
+    setItemFilters((prev) => ({ ...prev, [field]: selection }));
+    setCurrentPage(1);
+  };
+
   const handleSearchByCreator = (creatorName) => {
-    handleSearch(creatorName);
-    setSelectedCreator(creatorName);
+    handleSearch(`creator:${formatQueryValue(creatorName)}`);
   };
 
   const toggleBookmarks = () => {
@@ -811,41 +1021,45 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
 
   const showMyUploads = () => {
     if (user && user.user_metadata?.full_name) {
-      handleSearch(user.user_metadata.full_name);
-      setSelectedCreator(user.user_metadata.full_name);
+      handleSearchByCreator(user.user_metadata.full_name);
     }
   };
 
   // Check if current search is a creator search
-  const isCreatorSearch = selectedCreator && searchTerm.toLowerCase() === selectedCreator.toLowerCase();
-  const creatorBlueprints = isCreatorSearch 
-    ? blueprints.filter(bp => bp.creator_name && bp.creator_name.toLowerCase().includes(searchTerm.toLowerCase()))
-    : [];
+  const isCreatorSearch = !!creatorFilter;
+  // Every row in a creator search is theirs
+  const creatorBlueprint = isCreatorSearch
+    ? blueprints.find(bp => bp.creator_name && bp.creator_name.toLowerCase() === creatorFilter.toLowerCase())
+    : null;
   
-  // Calculate creator stats
-  const totalCreatorDownloads = creatorBlueprints.reduce((sum, bp) => sum + (bp.downloads || 0), 0);
-  const totalCreatorLikes = creatorBlueprints.reduce((sum, bp) => sum + (bp.likes || 0), 0);
-
-  // Calculate time-based stats
-  const now = new Date();
-  const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const weekStart = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-
-  const blueprintsToday = blueprints.filter(bp => new Date(bp.created_at) >= todayStart).length;
-  const blueprintsThisWeek = blueprints.filter(bp => new Date(bp.created_at) >= weekStart).length;
-  const blueprintsThisMonth = blueprints.filter(bp => new Date(bp.created_at) >= monthStart).length;
-
-  // Calculate downloads for time periods (from blueprints uploaded in those periods)
-  const downloadsToday = blueprints.filter(bp => new Date(bp.created_at) >= todayStart).reduce((sum, bp) => sum + (bp.downloads || 0), 0);
-  const downloadsThisWeek = blueprints.filter(bp => new Date(bp.created_at) >= weekStart).reduce((sum, bp) => sum + (bp.downloads || 0), 0);
-  const downloadsThisMonth = blueprints.filter(bp => new Date(bp.created_at) >= monthStart).reduce((sum, bp) => sum + (bp.downloads || 0), 0);
-
-  // Calculate detailed stats
-  const totalDownloads = blueprints.reduce((sum, bp) => sum + (bp.downloads || 0), 0);
-  const totalRatings = blueprints.reduce((sum, bp) => sum + (bp.rating_count || 0), 0);
-  const totalRatingSum = blueprints.reduce((sum, bp) => sum + ((bp.rating_average || 0) * (bp.rating_count || 0)), 0);
-  const avgRating = totalRatings > 0 ? (totalRatingSum / totalRatings).toFixed(1) : '0.0';
+  const creatorUserId = creatorBlueprint?.user_id || null;
+
+  // Server-side creator totals for the creator card
+  useEffect(() => {
+    if (!creatorUserId) return;
+    let cancelled = false;
+    fetchCreatorStats(creatorUserId).then((result) => {
+      if (!cancelled && result.success) {
+        setCreatorStats(result.data);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [creatorUserId, refreshTrigger]);
+
+  const hasCreatorStats = !!creatorUserId && creatorStats?.userId === creatorUserId;
+
+  // Dashboard totals (zeros until they load); downloads per period are from blueprints uploaded in that period
+  const blueprintCount = catalogueStats?.blueprintCount ?? 0;
+  const creatorCount = catalogueStats?.creatorCount ?? 0;
+  const blueprintsToday = catalogueStats?.blueprints.today ?? 0;
+  const blueprintsThisWeek = catalogueStats?.blueprints.week ?? 0;
+  const blueprintsThisMonth = catalogueStats?.blueprints.month ?? 0;
+  const downloadsToday = catalogueStats?.downloads.today ?? 0;
+  const downloadsThisWeek = catalogueStats?.downloads.week ?? 0;
+  const downloadsThisMonth = catalogueStats?.downloads.month ?? 0;
+  const totalDownloads = catalogueStats?.totalDownloads ?? 0;
+  const totalRatings = catalogueStats?.ratingCount ?? 0;
+  const avgRating = (catalogueStats?.averageRating ?? 0).toFixed(1);
 
   return (
     <>
@@ -865,7 +1079,7 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
             }} 
             className="text-center p-2 rounded-xl border-2 hover:scale-105 transition-all duration-200"
           >
-            <p style={{ color: theme.colors.accentYellow }} className="font-bold text-2xl sm:text-2xl mb-0.5">{blueprints.length}</p>
+            <p style={{ color: theme.colors.accentYellow }} className="font-bold text-2xl sm:text-2xl mb-0.5">{blueprintCount}</p>
             <p style={{ color: theme.colors.textSecondary }} className="text-xs font-medium mb-1">Total Blueprints</p>
             <div className="flex justify-center gap-1.5 text-xs" style={{ color: theme.colors.textSecondary }}>
               <span className="opacity-80">D: {blueprintsToday}</span>
@@ -886,11 +1100,11 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
             className="text-center p-2 rounded-xl border-2 hover:scale-105 transition-all duration-200"
           >
             <p style={{ color: theme.colors.accentYellow }} className="font-bold text-2xl sm:text-2xl mb-0.5">
-              {new Set(blueprints.map(bp => bp.creator_name).filter(Boolean)).size}
+              {creatorCount}
             </p>
             <p style={{ color: theme.colors.textSecondary }} className="text-xs font-medium mb-1">Total Creators</p>
             <div className="text-xs" style={{ color: theme.colors.textSecondary, opacity: 0.8 }}>
-              {(blueprints.length / new Set(blueprints.map(bp => bp.creator_name).filter(Boolean)).size || 0).toFixed(1)} avg bps per creator
+              {(creatorCount > 0 ? blueprintCount / creatorCount : 0).toFixed(1)} avg bps per creator
             </div>
           </div>
 
@@ -935,35 +1149,8 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
       </div>
 
       {/* Search and Sort */}
-      <div className="flex flex-col sm:flex-row gap-2 mb-6">
-        <div className="flex-1 relative">
-          <label htmlFor="blueprint-search" className="sr-only">Search blueprints</label>
-          <Search style={{ color: theme.colors.textPrimary }} className="absolute left-3 top-3 w-5 h-5" />
-          <input
-            id="blueprint-search"
-            name="blueprint-search"
-            type="text"
-            placeholder="Search for blueprints....."
-            value={searchTerm}
-            onChange={(e) => handleSearch(e.target.value)}
-            style={{
-              borderColor: theme.colors.cardBorder,
-              backgroundColor: `${theme.colors.cardBg}66`,
-              color: theme.colors.textPrimary
-            }}
-            className="w-full pl-10 pr-10 py-2.5 border rounded-lg focus:outline-none focus:ring-2 placeholder-opacity-50 transition-all shadow-sm"
-          />
-          {searchTerm && (
-            <button
-              onClick={() => handleSearch("")}
-              style={{ color: theme.colors.textPrimary }}
-              className="absolute right-3 top-3 hover:opacity-70 transition"
-              title="Clear search"
-            >
-              <X className="w-5 h-5" />
-            </button>
-          )}
-        </div>
+      <div className="flex flex-col sm:flex-row sm:flex-wrap sm:items-start gap-2 mb-6">
+        <GallerySearchBox value={searchTerm} onChange={handleSearch} />
         <div className="relative" ref={sortDropdownRef}>
           <button
             type="button"
@@ -977,13 +1164,26 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
           >
             <span className="flex items-center gap-2">
               <ListFilter className="w-6 h-6" />
-              {sortBy === "newest" ? "Newest First" : sortBy === "oldest" ? "Oldest First" : sortBy === "alphabetical" ? "Alphabetical" : sortBy === "updated" ? "Recently Updated" : sortBy === "downloaded" ? "Most Downloaded" : sortBy === "popular" ? "Highest Rated" : sortBy === "trending" ? "Trending" : sortBy === "ipm-high" ? "Highest IPM" : installFilter === "installed" ? "Installed" : installFilter === "update-available" ? "Update Available" : "Lowest IPM"}
+              {feedSort === "relevance" ? "Best Match" : feedSort === "newest" ? "Newest First" : sortBy === "oldest" ? "Oldest First" : sortBy === "alphabetical" ? "Alphabetical" : sortBy === "updated" ? "Recently Updated" : sortBy === "downloaded" ? "Most Downloaded" : sortBy === "popular" ? "Highest Rated" : sortBy === "trending" ? "Trending" : sortBy === "ipm-high" ? "Highest IPM" : installFilter === "installed" ? "Installed" : installFilter === "update-available" ? "Update Available" : "Lowest IPM"}
             </span>
             <span className={`transition transform ${sortDropdownOpen ? "rotate-180" : ""}`}>▼</span>
           </button>
           
           {sortDropdownOpen && (
             <div style={{ borderColor: theme.colors.cardBorder, backgroundColor: theme.colors.elementBg }} className="absolute top-full right-0 mt-1 border rounded-lg shadow-lg z-50 w-48">
+              {textSearch && (
+                <button
+                  type="button"
+                  onClick={() => { handleSort("relevance"); setSortDropdownOpen(false); }}
+                  style={{ color: theme.colors.textPrimary, borderColor: `${theme.colors.cardBorder}33` }}
+                  className="w-full text-left px-4 py-2.5 transition first:rounded-t-lg border-b flex items-center gap-2"
+                  onMouseEnter={(e) => e.target.style.backgroundColor = `${theme.colors.cardBorder}33`}
+                  onMouseLeave={(e) => e.target.style.backgroundColor = 'transparent'}
+                >
+                  <Search className="w-4 h-4" />
+                  Best Match
+                </button>
+              )}
               <button
                 type="button"
                 onClick={() => { handleSort("newest"); setSortDropdownOpen(false); }}
@@ -1063,7 +1263,7 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
               </button>
 
               {/* Compatibility Filter - Only show if save is loaded */}
-              {hasSaveData() && (
+              {saveData && (
                 <>
                   <button
                     type="button"
@@ -1106,10 +1306,45 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
                     <Save className="w-4 h-4" />
                     Not Compatible
                   </button>
+                  {saveHasInventory && (
+                    <button
+                      type="button"
+                      onClick={() => { setCompatibilityFilter("affordable"); setSortDropdownOpen(false); setCurrentPage(1); }}
+                      style={{ 
+                        color: compatibilityFilter === "affordable" ? theme.colors.accentYellow : theme.colors.textPrimary,
+                        borderColor: `${theme.colors.cardBorder}33`
+                      }}
+                      className="w-full text-left px-4 py-2.5 transition border-b flex items-center gap-2"
+                      onMouseEnter={(e) => e.target.style.backgroundColor = `${theme.colors.cardBorder}33`}
+                      onMouseLeave={(e) => e.target.style.backgroundColor = 'transparent'}
+                      data-tooltip="Unlocked and covered by the items stored in your save"
+                    >
+                      <Package className="w-4 h-4" />
+                      Affordable Now
+                    </button>
+                  )}
+                  {previousSnapshot && (
+                    <button
+                      type="button"
+                      onClick={() => { setCompatibilityFilter("new"); setSortDropdownOpen(false); setCurrentPage(1); }}
+                      style={{ 
+                        color: compatibilityFilter === "new" ? theme.colors.accentYellow : theme.colors.textPrimary,
+                        borderColor: `${theme.colors.cardBorder}33`
+                      }}
+                      className="w-full text-left px-4 py-2.5 transition border-b flex items-center gap-2"
+                      onMouseEnter={(e) => e.target.style.backgroundColor = `${theme.colors.cardBorder}33`}
+                      onMouseLeave={(e) => e.target.style.backgroundColor = 'transparent'}
+                      data-tooltip="Buildable now but not at your previous save sync"
+                    >
+                      <Sparkles className="w-4 h-4" />
+                      New Since Last Sync ({newlyBuildableIds.size})
+                    </button>
+                  )}
                   <button
                     type="button"
                     onClick={() => { 
                       setInstallFilter(installFilter === "installed" ? "all" : "installed"); 
+                      if (installFilter !== "installed" && hasWritableFolder) refreshFolder();
                       setSortDropdownOpen(false); 
                       setCurrentPage(1); 
                     }}
@@ -1128,6 +1363,7 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
                     type="button"
                     onClick={() => { 
                       setInstallFilter(installFilter === "update-available" ? "all" : "update-available"); 
+                      if (installFilter !== "update-available" && hasWritableFolder) refreshFolder();
                       setSortDropdownOpen(false); 
                       setCurrentPage(1); 
                     }}
@@ -1179,7 +1415,7 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
                     borderColor: `${theme.colors.cardBorder}33`,
                     backgroundColor: selectedTags.includes(tag) ? `${theme.colors.accentYellow}33` : 'transparent'
                   }}
-                  className={`w-full text-left px-4 py-2.5 transition ${index === 0 ? 'first:rounded-t-lg' : ''} ${index === AVAILABLE_TAGS.length - 1 ? 'last:rounded-b-lg last:border-b-0' : 'border-b'}`}
+                  className={`w-full text-left px-4 py-2.5 transition flex items-center justify-between gap-2 ${index === 0 ? 'first:rounded-t-lg' : ''} ${index === AVAILABLE_TAGS.length - 1 ? 'last:rounded-b-lg last:border-b-0' : 'border-b'}`}
                   onMouseEnter={(e) => {
                     if (!selectedTags.includes(tag)) {
                       e.target.style.backgroundColor = `${theme.colors.cardBorder}33`;
@@ -1190,6 +1426,11 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
                   }}
                 >
                   {getTagDisplay(tag)}
+                  {tagCounts.has(tag) && (
+                    <span style={{ color: theme.colors.textSecondary }} className="text-xs pointer-events-none">
+                      {tagCounts.get(tag)}
+                    </span>
+                  )}
                 </button>
               ))}
               {selectedTags.length > 0 && (
@@ -1213,6 +1454,102 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
           )}
         </div>
         
+        {/* Building / Material Filters */}
+        <ItemFacetPicker
+          kind="building"
+          label="Buildings"
+          icon={Factory}
+          facets={itemFacets.buildings}
+          selection={itemFilters.buildings}
+          onChange={(selection) => handleItemFilterChange("buildings", selection)}
+        />
+        <ItemFacetPicker
+          kind="material"
+          label="Materials"
+          icon={Gem}
+          facets={itemFacets.materials}
+          selection={itemFilters.materials}
+          onChange={(selection) => handleItemFilterChange("materials", selection)}
+        />
+
+        {/* Tier Filter */}
+        <div className="relative" ref={tierDropdownRef}>
+          <button
+            type="button"
+            onClick={() => setTierDropdownOpen(!tierDropdownOpen)}
+            style={{
+              borderColor: theme.colors.cardBorder,
+              backgroundColor: activeTierFilterCount > 0 ? `${theme.colors.accentYellow}33` : `${theme.colors.cardBg}33`,
+              color: theme.colors.textPrimary
+            }}
+            className="w-full sm:w-auto px-4 py-2.5 border rounded-lg focus:outline-none focus:ring-2 font-medium transition-all shadow-sm hover:opacity-80 flex items-center justify-between gap-2"
+          >
+            <span className="flex items-center gap-2">
+              <Layers className="w-5 h-5" />
+              Tier {activeTierFilterCount > 0 && <span style={{ color: theme.colors.accentYellow }} className="font-bold">({activeTierFilterCount})</span>}
+            </span>
+            <span className={`transition transform ${tierDropdownOpen ? "rotate-180" : ""}`}>▼</span>
+          </button>
+
+          {tierDropdownOpen && (
+            <div style={{ borderColor: theme.colors.cardBorder, backgroundColor: theme.colors.elementBg }} className="absolute top-full right-0 mt-1 border rounded-lg shadow-lg z-50 w-64 p-3 space-y-3">
+              <div className="flex items-center gap-2">
+                {[["min", "From"], ["max", "To"]].map(([bound, label]) => (
+                  <label key={bound} style={{ color: theme.colors.textSecondary }} className="flex-1 text-xs">
+                    {label}
+                    <select
+                      value={tierRange[bound] ?? ""}
+                      onChange={(e) => {
+                        setTierRange({ ...tierRange, [bound]: e.target.value === "" ? null : Number(e.target.value) });
+                        setCurrentPage(1);
+                      }}
+                      style={{ backgroundColor: theme.colors.cardBg, borderColor: theme.colors.cardBorder, color: theme.colors.textPrimary }}
+                      className="mt-1 w-full px-2 py-1.5 border rounded text-sm"
+                    >
+                      <option value="">Any</option>
+                      {tierOptions.map((tier) => (
+                        <option key={tier} value={tier}>Tier {tier}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {playerTier !== null && (
+                <button
+                  type="button"
+                  onClick={() => { setWithinMyTier(!withinMyTier); setCurrentPage(1); }}
+                  style={{
+                    color: withinMyTier ? theme.colors.accentYellow : theme.colors.textPrimary,
+                    borderColor: theme.colors.cardBorder,
+                    backgroundColor: withinMyTier ? `${theme.colors.accentYellow}33` : 'transparent'
+                  }}
+                  className="w-full text-left px-3 py-2 border rounded text-sm flex items-center gap-2 transition hover:opacity-80"
+                  data-tooltip="Hide blueprints above the tier reached in your save"
+                >
+                  <Save className="w-4 h-4" />
+                  Within my tier (≤ {playerTier})
+                </button>
+              )}
+
+              {activeTierFilterCount > 0 && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setTierRange({ min: null, max: null });
+                    setWithinMyTier(false);
+                    setCurrentPage(1);
+                  }}
+                  style={{ color: theme.colors.accentYellow }}
+                  className="w-full text-left text-sm hover:opacity-80 transition"
+                >
+                  Clear Tier Filter
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
         <button
           type="button"
           onClick={toggleBookmarks}
@@ -1244,6 +1581,28 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
             <span className="hidden sm:inline">My Uploads</span>
           </button>
         )}
+
+        {(outdatedBlueprints.length > 0 || updateAllProgress) && (
+          <button
+            type="button"
+            onClick={handleUpdateAllOutdated}
+            disabled={!!updateAllProgress}
+            style={{
+              borderColor: theme.colors.cardBorder,
+              backgroundColor: `${theme.colors.accentYellow}33`,
+              color: theme.colors.accentYellow
+            }}
+            className="px-4 py-2.5 border rounded-lg focus:outline-none focus:ring-2 font-medium transition-all shadow-sm hover:opacity-80 disabled:opacity-60 flex items-center gap-2"
+            data-tooltip="Rewrite every outdated blueprint in your game folder with the latest hub version"
+          >
+            {updateAllProgress ? <Loader className="w-5 h-5 animate-spin" /> : <RefreshCw className="w-5 h-5" />}
+            <span className="hidden sm:inline">
+              {updateAllProgress
+                ? `Updating ${updateAllProgress.done}/${updateAllProgress.total}`
+                : `Update all outdated (${outdatedBlueprints.length})`}
+            </span>
+          </button>
+        )}
       </div>
 
       {/* Loading State */}
@@ -1253,6 +1612,18 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
         </div>
       )}
 
+      {/* Browser-side filters only saw the first rows the server returned */}
+      {!loading && needsFullSet && feedTruncated && (
+        <div
+          style={{ borderColor: theme.colors.cardBorder, backgroundColor: `${theme.colors.accentYellow}1a`, color: theme.colors.textPrimary }}
+          className="mb-4 px-4 py-2.5 border rounded-lg text-sm flex items-center gap-2"
+          role="status"
+        >
+          <AlertCircle style={{ color: theme.colors.accentYellow }} className="w-4 h-4 flex-shrink-0" />
+          Only the first {blueprints.length} of {totalCount} matching blueprints were checked against these filters. Narrow the search or filters to see every match.
+        </div>
+      )}
+
       {/* Empty State */}
       {!loading && filteredBlueprints.length === 0 && (
         <div style={{
@@ -1260,7 +1631,7 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
           borderColor: theme.colors.cardBorder
         }} className="text-center py-12 rounded-lg border">
           <p style={{ color: theme.colors.accentYellow }} className="text-lg">
-            {blueprints.length === 0
+            {blueprintCount === 0
               ? "✨ No blueprints found or could not be loaded."
               : "No blueprints match your search."}
           </p>
@@ -1270,12 +1641,12 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
       {/* Blueprint Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 4k:grid-cols-6 gap-4">
         {/* Creator Card */}
-        {isCreatorSearch && creatorBlueprints.length > 0 && (
+        {isCreatorSearch && hasCreatorStats && (
           <CreatorCard
-            creatorName={selectedCreator}
-            blueprintCount={creatorBlueprints.length}
-            totalDownloads={totalCreatorDownloads}
-            totalLikes={totalCreatorLikes}
+            creatorName={creatorBlueprint.creator_name}
+            blueprintCount={creatorStats.blueprintCount}
+            totalDownloads={creatorStats.totalDownloads}
+            totalLikes={creatorStats.totalLikes}
           />
         )}
         
@@ -1299,6 +1670,7 @@ function BlueprintGalleryContent({ user, refreshTrigger, initialBlueprintId, ini
               onDelete={handleDelete}
               onSearchByCreator={handleSearchByCreator}
               isFirstPage={currentPage === 1}
+              isNewlyBuildable={newlyBuildableIds.has(blueprint.id)}
             />
           );
         })}
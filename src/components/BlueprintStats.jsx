@@ -4,7 +4,8 @@ import { useTheme } from "../lib/ThemeContext";
 import Sprite from "./Sprite";
 import { getMaterialSprite, getBuildingSprite } from "../lib/spriteData";
 import { BUILDING_MAPPINGS, MATERIAL_MAPPINGS } from "../lib/blueprintMappings";
-import { hasSaveData } from "../lib/saveManager";
+import { useSaveProfiles } from "../lib/SaveProfileContext";
+import { formatShortfall } from "../lib/saveManager";
 
 const BlueprintStats = memo(function BlueprintStats({ 
   materials = [], 
@@ -17,12 +18,16 @@ const BlueprintStats = memo(function BlueprintStats({
   buildingBreakdownCost = {},
   multiPartLabel = null,
   missingMaterials = {},
+  materialCounts = {},
+  shortfalls = {},
+  tiersOutOfReach = 0,
   recipes = {},
   supplyItems = {},
   recipeUnlocks = {},
   supplyUnlocks = {}
 }) {
   const { theme } = useTheme();
+  const { hasSave } = useSaveProfiles();
   const [isExpanded, setIsExpanded] = useState(false);
   const [isCompact, setIsCompact] = useState(false);
   const [activeTab, setActiveTab] = useState("materials"); // materials/buildings/breakdown tabs.
@@ -159,6 +164,11 @@ const BlueprintStats = memo(function BlueprintStats({
               >
                 {minTier}
               </span>
+              {hasSave && tiersOutOfReach > 0 && (
+                <span style={{ color: '#ca3030' }} className="text-xs font-semibold">
+                  {tiersOutOfReach} {tiersOutOfReach === 1 ? 'tier' : 'tiers'} above yours
+                </span>
+              )}
             </div>
           )}
           {inventorySlots !== undefined && (
@@ -214,42 +224,83 @@ const BlueprintStats = memo(function BlueprintStats({
       {isExpanded && (
         <div style={{ backgroundImage: `linear-gradient(to right, ${theme.colors.gradientFrom}10, ${theme.colors.gradientTo}10)` }} className="p-3">
           {activeTab === "materials" ? (
-            <div className="grid grid-cols-4 sm:grid-cols-5 lg:grid-cols-7 gap-1.5">
-              {materials.map((material) => {
-                const sprite = getMaterialSprite(material.id);
-                return (
-                  <div
-                    key={material.id}
-                    style={{
-                      backgroundImage: `linear-gradient(to top, ${theme.colors.gradientFrom}30, ${theme.colors.gradientTo}30)`,
-                      borderColor: theme.colors.cardBorder,
-                    }}
-                    className="rounded-lg border-2 shadow-lg p-1 text-center transition hover:shadow-lg flex flex-col items-center justify-center"
-                  >
-                    <div className="rounded flex items-center justify-center overflow-hidden w-16 h-16 mx-auto">
-                      {sprite ? (
-                        <Sprite sprite={sprite} alt={material.name} className="w-full h-full" />
-                      ) : material.icon ? (
-                        <img
-                          src={material.icon}
-                          alt={material.name}
-                          className="w-full h-full object-cover"
-                          loading="lazy"
-                          decoding="async"
-                        />
-                      ) : (
-                        <span style={{ color: theme.colors.textSecondary }} className="text-xs">No icon</span>
+            <div className="space-y-3">
+              <div className="grid grid-cols-4 sm:grid-cols-5 lg:grid-cols-7 gap-1.5">
+                {materials.map((material) => {
+                  const sprite = getMaterialSprite(material.id);
+                  return (
+                    <div
+                      key={material.id}
+                      style={{
+                        backgroundImage: `linear-gradient(to top, ${theme.colors.gradientFrom}30, ${theme.colors.gradientTo}30)`,
+                        borderColor: theme.colors.cardBorder,
+                      }}
+                      className="rounded-lg border-2 shadow-lg p-1 text-center transition hover:shadow-lg flex flex-col items-center justify-center"
+                    >
+                      <div className="rounded flex items-center justify-center overflow-hidden w-16 h-16 mx-auto">
+                        {sprite ? (
+                          <Sprite sprite={sprite} alt={material.name} className="w-full h-full" />
+                        ) : material.icon ? (
+                          <img
+                            src={material.icon}
+                            alt={material.name}
+                            className="w-full h-full object-cover"
+                            loading="lazy"
+                            decoding="async"
+                          />
+                        ) : (
+                          <span style={{ color: theme.colors.textSecondary }} className="text-xs">No icon</span>
+                        )}
+                      </div>
+                      <div className="font-bold -mt-0.5" style={{ color: missingMaterials[material.name] ? '#b31f1f' : theme.colors.accentYellow }}>
+                        {material.quantity}
+                      </div>
+                      <div style={{ color: missingMaterials[material.name] ? '#b31f1f' : theme.colors.textSecondary }} className="text-xs truncate leading-none w-full px-0.5 -mt-0.5">
+                        {material.name}
+                      </div>
+                      {hasSave && materialCounts[material.name] && (
+                        <div
+                          className="grid grid-cols-2 w-full mt-1 pt-0.5 border-t text-[10px] leading-tight"
+                          style={{ borderColor: `${theme.colors.cardBorder}60` }}
+                          data-tooltip={shortfalls[material.name] ? formatShortfall(material.name, shortfalls[material.name]) : 'Enough in storage'}
+                        >
+                          <div className="flex flex-col">
+                            <span style={{ color: theme.colors.textSecondary }} className="opacity-70">Have</span>
+                            <span style={{ color: shortfalls[material.name] ? '#b31f1f' : '#22c55e' }} className="font-bold">
+                              {materialCounts[material.name].have}
+                            </span>
+                          </div>
+                          <div className="flex flex-col">
+                            <span style={{ color: theme.colors.textSecondary }} className="opacity-70">Need</span>
+                            <span style={{ color: theme.colors.accentYellow }} className="font-bold">
+                              {materialCounts[material.name].need}
+                            </span>
+                          </div>
+                        </div>
                       )}
                     </div>
-                    <div className="font-bold -mt-0.5" style={{ color: missingMaterials[material.name] ? '#b31f1f' : theme.colors.accentYellow }}>
-                      {material.quantity}
-                    </div>
-                    <div style={{ color: missingMaterials[material.name] ? '#b31f1f' : theme.colors.textSecondary }} className="text-xs truncate leading-none w-full px-0.5 -mt-0.5">
-                      {material.name}
-                    </div>
-                  </div>
-                );
-              })}
+                  );
+                })}
+              </div>
+              {hasSave && Object.keys(shortfalls).length > 0 && (
+                <div
+                  style={{ backgroundColor: 'rgba(0, 0, 0, 0.12)', borderColor: 'rgb(239, 68, 68, 0.2)' }}
+                  className="border-2 rounded-lg p-3"
+                >
+                  <h4 style={{ color: theme.colors.accentYellow }} className="font-bold text-sm mb-2">
+                    📦 Not enough in storage ({Object.keys(shortfalls).length})
+                  </h4>
+                  <ul className="space-y-1">
+                    {Object.entries(shortfalls)
+                      .sort(([, a], [, b]) => b.short - a.short)
+                      .map(([name, shortfall]) => (
+                        <li key={name} style={{ color: theme.colors.textSecondary }} className="text-sm">
+                          <span style={{ color: '#ca2323' }}>✗</span> {formatShortfall(name, shortfall)}
+                        </li>
+                      ))}
+                  </ul>
+                </div>
+              )}
             </div>
           ) : activeTab === "buildings" ? (
             <div className="grid grid-cols-4 sm:grid-cols-5 lg:grid-cols-7 gap-1.5">
@@ -292,7 +343,7 @@ const BlueprintStats = memo(function BlueprintStats({
           ) : (
             <div className="space-y-3">
               <div className="flex justify-end items-center gap-3 px-1 mb-2">
-                {hasSaveData() && (() => {
+                {hasSave && (() => {
                   const lockedMaterials = materials.filter(m => missingMaterials[m.name]);
                   const lockedBuildings = buildings.filter(b => missingMaterials[b.name]);
                   const lockedRecipes = Object.keys(recipes).filter(recipe => !recipeUnlocks[recipe]);
@@ -327,7 +378,7 @@ const BlueprintStats = memo(function BlueprintStats({
               </div>
 
               {/* Locked/Missing Items Summary */}
-              {hasSaveData() && (() => {
+              {hasSave && (() => {
                 const lockedMaterials = materials.filter(m => missingMaterials[m.name]);
                 const lockedBuildings = buildings.filter(b => missingMaterials[b.name]);
                 const lockedRecipes = Object.keys(recipes).filter(recipe => !recipeUnlocks[recipe]);
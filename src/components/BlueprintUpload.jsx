@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect, useRef } from "react";
 import { supabase } from "../lib/supabase";
 import { stripDiscordDiscriminator } from "../lib/discordUtils";
 import { validateBlueprintTitle, validateBlueprintDescription, validateDescriptionURLs, sanitizeFilename } from "../lib/validation";
@@ -10,9 +10,13 @@ import { put } from "@vercel/blob";
 import { uploadToCloudinary } from "../lib/cloudinary";
 import imageCompression from "browser-image-compression";
 import { m } from "framer-motion";
-import { sendBlueprintToParser } from "../lib/blueprintParser";
+import { parseBlueprint, PARSE_JOB_STATUS } from "../lib/blueprintParser";
+import { saveParsedResult, notifyBlueprintChanged } from "../lib/blueprintService";
+import { decodeBlueprintFile } from "../lib/blueprintDecoder";
+import { buildBlueprintMetadata, embedBlueprintMetadata, readBlueprintMetadata, hashBlueprintPayload } from "../lib/pngBlueprintMetadata";
 import { transformParsedMaterials, transformParsedBuildings } from "../lib/blueprintMappings";
 import { validateParsedData } from "../lib/parsedDataValidator";
+import { upgradeParsedData, validateParsedDataStrict, formatSchemaErrors } from "../lib/parsedDataSchema";
 import { ClientRateLimiter, checkServerRateLimit } from "../lib/rateLimiter";
 import { extractBlueprintFromPng, isPngBlueprint, formatBytes, replaceBlueprintPreviewImage } from "../lib/pngBlueprintExtractor";
 import { AVAILABLE_TAGS, getTagDisplay } from "../lib/tags";
@@ -21,6 +25,7 @@ import { createIndependentBlueprintFile, populateExtractedImageForPart, processS
 import { secureValidateFileUpload } from "../lib/fileSecurityValidation";
 import { ErrorAlert, SuccessAlert } from "./Alerts";
 import ErrorBoundary from "./ErrorBoundary";
+import ParseJobStatus from "./ParseJobStatus";
 
 // Constants for validation
 const MAX_IMAGE_SIZE = 3 * 1024 * 1024; // 3MB
@@ -120,7 +125,15 @@ const validateImageFile = async (file) => {
   });
 };
 
-function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
+// Short stats line for a locally decoded blueprint
+const summarizeParsed = (parsed) => {
+  const buildingCount = Object.values(parsed.Buildings || {}).reduce((sum, count) => sum + count, 0);
+  const materialCount = Object.keys(parsed.Materials || {}).length;
+  const grid = parsed.GridArea ? ` · ${parsed.GridArea.x}x${parsed.GridArea.y} grid` : "";
+  return `${buildingCount} buildings · ${materialCount} materials${grid}`;
+};
+
+function BlueprintUploadContent({ user, onUploadSuccess, isEditMode, initialFile = null, initialTitle = "" }) {
   const { theme } = useTheme();
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
@@ -146,7 +159,35 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
   const [compressionInfo, setCompressionInfo] = useState(null);
   const [blueprintFileExtension, setBlueprintFileExtension] = useState(".png");
   const [processingState, setProcessingState] = useState("");
+  const [parseJobs, setParseJobs] = useState({}); // key -> parse job state ("single" or "part-N")
+  const [retryingParse, setRetryingParse] = useState(new Set());
+  const [pendingFinish, setPendingFinish] = useState(null); // set when a parse failed, holds finishUpload args
+  const parseTasksRef = useRef({});
   const [imageCompressionInfo, setImageCompressionInfo] = useState([null, null, null, null]);
+  const [localParsed, setLocalParsed] = useState(null);
+  const [multiPartLocalParsed, setMultiPartLocalParsed] = useState([null, null, null, null]);
+  const [existingHubBlueprint, setExistingHubBlueprint] = useState(null);
+  const hubLookupRef = useRef(0);
+
+  // Decode selected blueprint files in the background so their stats show before upload
+  useEffect(() => {
+    let cancelled = false;
+    setLocalParsed(null);
+    if (blueprintFile) {
+      decodeBlueprintFile(blueprintFile).then(decoded => {
+        if (!cancelled) setLocalParsed(decoded ? validateParsedData(decoded.parsed) : null);
+      });
+    }
+    return () => { cancelled = true; };
+  }, [blueprintFile]);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(multiPartFiles.map(file => (file ? decodeBlueprintFile(file) : null))).then(results => {
+      if (!cancelled) setMultiPartLocalParsed(results.map(decoded => (decoded ? validateParsedData(decoded.parsed) : null)));
+    });
+    return () => { cancelled = true; };
+  }, [multiPartFiles]);
 
   // Helper function to replace blueprint preview image with blueprint watermark/branding
   const applyBrandingToBlueprint = async (blueprintFile) => {
@@ -251,6 +292,30 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
     }
   };
 
+  // Spot files that were downloaded from the hub (they carry an afMD metadata chunk).
+  // Runs alongside file validation and never throws; only the latest selection's lookup is applied.
+  const detectExistingHubBlueprint = async (file) => {
+    const lookupId = ++hubLookupRef.current;
+    setExistingHubBlueprint(null);
+    try {
+      const metadata = await readBlueprintMetadata(file);
+      if (!metadata) return;
+
+      const { data, error } = await supabase
+        .from("blueprints")
+        .select("id, title, slug, user_id, creator_name")
+        .eq("id", metadata.blueprintId)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (data && lookupId === hubLookupRef.current) {
+        setExistingHubBlueprint({ ...data, version: metadata.version, isOwn: data.user_id === user.id });
+      }
+    } catch (lookupError) {
+      console.warn("Could not check whether this blueprint is already on the hub:", lookupError.message);
+    }
+  };
+
   const handleBlueprintSelect = async (e) => {
     const file = e.target.files?.[0];
     if (file) {
@@ -260,6 +325,7 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
       
       // Validate blueprint file (.png only)
       const validation = await validateBlueprintFile(file);
+      detectExistingHubBlueprint(file);
       
       if (!validation.valid) {
         setProcessingPng(false);
@@ -316,6 +382,13 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
     }
   };
 
+  // Pre-fill from the local library's "Publish" action
+  useEffect(() => {
+    if (!initialFile) return;
+    setTitle(initialTitle);
+    handleBlueprintSelect({ target: { files: [initialFile] } });
+  }, [initialFile]);
+
   const handleBlueprintDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -339,6 +412,7 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
       
       // Validate blueprint file (.png only)
       const validation = await validateBlueprintFile(file);
+      detectExistingHubBlueprint(file);
       
       if (!validation.valid) {
         setProcessingPng(false);
@@ -489,6 +563,7 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
 
       // Validate blueprint file
       const validation = await validateBlueprintFile(file);
+      detectExistingHubBlueprint(file);
 
       if (!validation.valid) {
         setError(validation.error);
@@ -622,6 +697,7 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
 
       // Validate blueprint file
       const validation = await validateBlueprintFile(file);
+      detectExistingHubBlueprint(file);
 
       if (!validation.valid) {
         setError(validation.error);
@@ -772,6 +848,88 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
     setTags(tags.filter((t) => t !== tag));
   };
 
+  const updateParseJobState = (key, job) => {
+    if (!job) return;
+    setParseJobs(prev => ({ ...prev, [key]: job }));
+  };
+
+  // Check the parser's result against the schema before storing it; failures show on the file's job
+  const saveParsedForTask = async (key, blueprintId, parserResponse) => {
+    const upgraded = upgradeParsedData(parserResponse.parsed);
+    const validation = validateParsedDataStrict(upgraded);
+    const result = validation.valid ? await saveParsedResult(blueprintId, parserResponse.fileHash, upgraded) : null;
+    if (result?.success) return true;
+
+    const error = validation.valid
+      ? `Could not save the parsed data: ${result.error.message}`
+      : `The parser returned invalid data: ${formatSchemaErrors(validation.errors)}`;
+    console.error(`[Parser] ${key}: ${error}`);
+    setParseJobs(prev => ({ ...prev, [key]: { ...prev[key], status: PARSE_JOB_STATUS.FAILED, error } }));
+    return false;
+  };
+
+  const handleRetryParse = async (key) => {
+    const task = parseTasksRef.current[key];
+    if (!task) return;
+
+    setRetryingParse(prev => new Set(prev).add(key));
+    try {
+      const parserResponse = await parseBlueprint(task.file, task.blueprintId, 3, true, {
+        partNumber: task.partNumber,
+        job: parseJobs[key],
+        onJobUpdate: (job) => updateParseJobState(key, job),
+      });
+      if (parserResponse.duplicate && parserResponse.parsed) {
+        await saveParsedForTask(key, task.blueprintId, parserResponse);
+      }
+    } catch (retryError) {
+      console.error("Parser retry failed:", retryError);
+    } finally {
+      setRetryingParse(prev => {
+        const next = new Set(prev);
+        next.delete(key);
+        return next;
+      });
+    }
+  };
+
+  const resetForm = () => {
+    setTitle("");
+    setDescription("");
+    setProductionRate("");
+    setBlueprintFile(null);
+    setIsMultiPart(false);
+    setMultiPartFiles([null, null, null, null]);
+    setMultiPartCompressionInfo([null, null, null, null]);
+    setImageFiles([null, null, null, null]);
+    setImagePreviews([null, null, null, null]);
+    setTags([]);
+    setTagInput("");
+    setRateLimitInfo(null);
+    hubLookupRef.current++;
+    setExistingHubBlueprint(null);
+    setProcessingState("");
+    setParseJobs({});
+    setPendingFinish(null);
+    parseTasksRef.current = {};
+  };
+
+  const finishUpload = ({ parserWasRateLimited }) => {
+    resetForm();
+
+    // Show warning if parser was rate-limited
+    if (parserWasRateLimited) {
+      const warningMsg = "⚠️ Parser is busy - your blueprint's data will be parsed in the background. Please refresh in a few minutes to see materials, buildings, and other parsed data.";
+      setError(warningMsg);
+      // Clear the warning after 8 seconds
+      setTimeout(() => setError(null), 8000);
+    }
+
+    if (onUploadSuccess) {
+      onUploadSuccess("Your blueprint has been uploaded! It may take a couple minutes to appear in the gallery.");
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -855,6 +1013,20 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
       let filesToParse = [];
       let insertData;
 
+      // Generate the id up front so it can be embedded in the uploaded files
+      const blueprintId = crypto.randomUUID();
+      const slug = generateSlug(titleValidation.sanitized);
+      const creatorName = stripDiscordDiscriminator(user.user_metadata?.name) || "Anonymous";
+      const embedHubMetadata = async (file, partNumber = null) => {
+        try {
+          const metadata = buildBlueprintMetadata({ id: blueprintId, slug, version: 1, creator_name: creatorName }, { partNumber });
+          return new File([await embedBlueprintMetadata(file, metadata)], file.name, { type: 'image/png' });
+        } catch (metadataError) {
+          console.warn('Failed to embed hub metadata:', metadataError.message);
+          return file;
+        }
+      };
+
       if (isMultiPart) {
         // MULTI-PART BLUEPRINT HANDLING
         setProcessingState("Uploading blueprint parts...");
@@ -866,7 +1038,7 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
           const file = multiPartFiles[i];
           if (!file) continue;
 
-          const brandedFile = await applyBrandingToBlueprint(file);
+          const brandedFile = await embedHubMetadata(await applyBrandingToBlueprint(file), i + 1);
 
           // Upload part file
           const partFileName = `${sanitizeTitleForFilename(title)}_part${i + 1}_${Date.now()}.png`;
@@ -890,17 +1062,20 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
             file_hash: fileHash
           });
 
-          filesToParse.push({ file: brandedFile, partIndex: i + 1, fileHash });
+          // Parse the stripped file so the parser's hash matches the payload hash used for folder sync
+          filesToParse.push({ file, partIndex: i + 1, fileHash });
         }
 
         fileUrl = null;
 
         insertData = {
+          id: blueprintId,
           title: titleValidation.sanitized,
           description: descriptionValidation.sanitized || null,
-          slug: generateSlug(titleValidation.sanitized),
+          slug,
           user_id: user.id,
-          creator_name: stripDiscordDiscriminator(user.user_metadata?.name) || "Anonymous",
+          creator_name: creatorName,
+          version: 1,
           file_url: null,
           is_multi_part: true,
           parts: uploadedParts.map(p => ({
@@ -915,7 +1090,7 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
         // SINGLE-PART BLUEPRINT HANDLING
         setProcessingState("Uploading blueprint...");
 
-        const brandedFile = await applyBrandingToBlueprint(blueprintFile);
+        const brandedFile = await embedHubMetadata(await applyBrandingToBlueprint(blueprintFile));
 
         const blueprintFileName = `${sanitizeTitleForFilename(title)}${blueprintFileExtension}`;
 
@@ -933,15 +1108,19 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
             .getPublicUrl(blueprintPath);
           fileUrl = blueprintData?.publicUrl;
 
-        filesToParse.push({ file: brandedFile, partIndex: null });
+        filesToParse.push({ file: blueprintFile, partIndex: null });
+        const fileHash = await hashBlueprintPayload(blueprintFile);
 
         insertData = {
+          id: blueprintId,
           title: titleValidation.sanitized,
           description: descriptionValidation.sanitized || null,
-          slug: generateSlug(titleValidation.sanitized),
+          slug,
           user_id: user.id,
-          creator_name: stripDiscordDiscriminator(user.user_metadata?.name) || "Anonymous",
+          creator_name: creatorName,
+          version: 1,
           file_url: fileUrl,
+          filehash: fileHash,
           is_multi_part: false,
           tags: tags.length > 0 ? tags : null,
           downloads: 0,
@@ -978,10 +1157,21 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
         .single();
 
       if (dbError) throw dbError;
+      await notifyBlueprintChanged(insertedBlueprint.id, "upload");
 
       // Now parse files with the blueprintId so parser knows where to send webhook callbacks
       let parserWasRateLimited = false;
+      let parserFailed = false;
       if (insertedBlueprint?.id && filesToParse.length > 0) {
+        // Keep the files so failed parse jobs can be retried without reselecting them
+        setParseJobs({});
+        parseTasksRef.current = {};
+        filesToParse.forEach(parseTask => {
+          const key = parseTask.partIndex ? `part-${parseTask.partIndex}` : "single";
+          parseTask.key = key;
+          parseTasksRef.current[key] = { file: parseTask.file, blueprintId: insertedBlueprint.id, partNumber: parseTask.partIndex };
+        });
+
         try {
           setProcessingState("Parsing blueprint...");
           console.log(`Parsing ${filesToParse.length} file(s) for blueprint:`, insertedBlueprint.id);
@@ -994,128 +1184,89 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
             console.log(`[Multi-Parse] Waiting for ${filesToParse.length} files to parse...`);
             const parsePromises = filesToParse.map(async (parseTask) => {
               console.log(`[Parser Task] File name: ${parseTask.file.name}, Size: ${parseTask.file.size}, Type: ${parseTask.file.type}`);
-              return await sendBlueprintToParser(parseTask.file, insertedBlueprint.id, 3, true);
+              try {
+                return await parseBlueprint(parseTask.file, insertedBlueprint.id, 3, true, {
+                  partNumber: parseTask.partIndex,
+                  onJobUpdate: (job) => updateParseJobState(parseTask.key, job),
+                });
+              } catch (partError) {
+                console.error(`[Multi-Parse] Part ${parseTask.partIndex} failed:`, partError);
+                return { failed: true, error: partError.message };
+              }
             });
             
             const parserResponses = await Promise.all(parsePromises);
             console.log(`[Multi-Parse] All ${parserResponses.length} files parsed`);
             
-            // Update parts with parsed data
-            let updatedParts = insertedBlueprint.parts || [];
-            let allParsed = true;
-            
+            // Store direct results part by part; the webhook fills in queued parts
             for (let i = 0; i < parserResponses.length; i++) {
               const parserResponse = parserResponses[i];
               const parseTask = filesToParse[i];
               
-              console.log(`[Parser Response] Part ${parseTask.partIndex}: Status: ${parserResponse.queued ? 'QUEUED' : 'PARSED'}`);
+              console.log(`[Parser Response] Part ${parseTask.partIndex}: Status: ${parserResponse.failed ? 'FAILED' : parserResponse.queued ? 'QUEUED' : 'PARSED'}`);
               
-              // Find and update the corresponding part
-              const partIndex = updatedParts.findIndex(p => p.part_number === parseTask.partIndex);
-              if (partIndex !== -1) {
-                if (parserResponse.duplicate && parserResponse.parsed) {
-                  const validatedParsed = validateParsedData(parserResponse.parsed);
-                  updatedParts[partIndex] = {
-                    ...updatedParts[partIndex],
-                    parsed: validatedParsed,
-                    file_hash: parserResponse.fileHash
-                  };
-                  console.log(`[Multi-Parse] Part ${parseTask.partIndex} parsed successfully`);
-                } else if (parserResponse.queued) {
-                  // Still queued - will be updated via webhook
-                  allParsed = false;
-                  updatedParts[partIndex] = {
-                    ...updatedParts[partIndex],
-                    file_hash: parserResponse.fileHash
-                  };
-                  console.log(`[Multi-Parse] Part ${parseTask.partIndex} queued for background parsing`);
-                  parserWasRateLimited = true;
+              if (parserResponse.failed) {
+                parserFailed = true;
+                continue;
+              }
+
+              if (parserResponse.duplicate && parserResponse.parsed) {
+                if (!(await saveParsedForTask(parseTask.key, insertedBlueprint.id, parserResponse))) {
+                  parserFailed = true;
+                  continue;
                 }
+                console.log(`[Multi-Parse] Part ${parseTask.partIndex} parsed successfully`);
+              } else if (parserResponse.queued) {
+                console.log(`[Multi-Parse] Part ${parseTask.partIndex} queued for background parsing`);
+                parserWasRateLimited = true;
               }
             }
-            
-            // Update blueprint with all parts
-            console.log("Updating database with parsed parts...");
-            
-            await supabase
-              .from("blueprints")
-              .update({
-                parts: updatedParts
-              })
-              .eq("id", insertedBlueprint.id);
-            
-            console.log("Blueprint updated with all parsed parts");
           } else {
             // Single file or single-part: Parse one at a time
             for (const parseTask of filesToParse) {
               console.log(`[Parser Task] File name: ${parseTask.file.name}, Size: ${parseTask.file.size}, Type: ${parseTask.file.type}`);
-              const parserResponse = await sendBlueprintToParser(parseTask.file, insertedBlueprint.id, 3, true);
+              const parserResponse = await parseBlueprint(parseTask.file, insertedBlueprint.id, 3, true, {
+                onJobUpdate: (job) => updateParseJobState(parseTask.key, job),
+              });
               
-              console.log(`[Parser Response] Status: ${parserResponse.queued ? 'QUEUED' : 'PARSED'}`);
+              console.log(`[Parser Response] Status: ${parserResponse.failed ? 'FAILED' : parserResponse.queued ? 'QUEUED' : 'PARSED'}`);
               
-              if (parserResponse.duplicate && parserResponse.parsed) {
+              if (parserResponse.failed) {
+                parserFailed = true;
+              } else if (parserResponse.duplicate && parserResponse.parsed) {
                 // Parser immediately returned parsed data
-                const validatedParsed = validateParsedData(parserResponse.parsed);
                 console.log("Blueprint parsed, updating database...");
-                
-                await supabase
-                  .from("blueprints")
-                  .update({
-                    parsed: validatedParsed,
-                    filehash: parserResponse.fileHash
-                  })
-                  .eq("id", insertedBlueprint.id);
-                
-                console.log("Blueprint updated with parsed data");
+                if (await saveParsedForTask(parseTask.key, insertedBlueprint.id, parserResponse)) {
+                  console.log("Blueprint updated with parsed data");
+                } else {
+                  parserFailed = true;
+                }
               } else if (parserResponse.queued) {
-                // Parser queued the request - will send data via webhook
+                // Parser queued the request - the webhook matches it by the filehash stored at insert
                 console.log("Parser queued the request. Data will be parsed in background via webhook, fileHash:", parserResponse.fileHash);
                 parserWasRateLimited = true;
-                
-                // Store the fileHash for webhook callback
-                await supabase
-                  .from("blueprints")
-                  .update({ filehash: parserResponse.fileHash })
-                  .eq("id", insertedBlueprint.id);
               }
             }
           }
         } catch (parserError) {
           // Parser error is non-blocking - blueprint is already uploaded
           console.error("Parser error (non-blocking):", parserError);
+          parserFailed = true;
         }
       }
 
-      // Reset form
-      setTitle("");
-      setDescription("");
-      setProductionRate("");
-      setBlueprintFile(null);
-      setIsMultiPart(false);
-      setMultiPartFiles([null, null, null, null]);
-      setMultiPartCompressionInfo([null, null, null, null]);
-      setImageFiles([null, null, null, null]);
-      setImagePreviews([null, null, null, null]);
-      setTags([]);
-      setTagInput("");
-      setRateLimitInfo(null);
-      setProcessingState("");
-
-      // Show warning if parser was rate-limited
-      if (parserWasRateLimited) {
-        const warningMsg = "⚠️ Parser is busy - your blueprint's data will be parsed in the background. Please refresh in a few minutes to see materials, buildings, and other parsed data.";
-        setError(warningMsg);
-        // Clear the warning after 8 seconds
-        setTimeout(() => setError(null), 8000);
-      }
-
       // Record the upload attempt in client-side rate limiter
       const clientLimiter = new ClientRateLimiter(user.id, 'uploads');
       clientLimiter.recordAttempt();
 
-      if (onUploadSuccess) {
-        onUploadSuccess("Your blueprint has been uploaded! It may take a couple minutes to appear in the gallery.");
+      // Keep the form open so failed parse jobs can be retried
+      if (parserFailed) {
+        setPendingFinish({ parserWasRateLimited });
+        return;
       }
+
+      finishUpload({ parserWasRateLimited });
+
     } catch (err) {
       setError(err.message || "Failed to upload blueprint");
       console.error(err);
@@ -1375,6 +1526,11 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
                     PNG optimized: {formatBytes(compressionInfo.originalSize)} → {formatBytes(compressionInfo.strippedSize)} ({compressionInfo.savedSpace}%)
                   </p>
                 )}
+                {localParsed && (
+                  <p style={{ color: theme.colors.accentYellow }} className="text-xs">
+                    {summarizeParsed(localParsed)}
+                  </p>
+                )}
               </div>
             </label>
           </div>
@@ -1450,6 +1606,11 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
                           }
                         </p>
                       )}
+                      {multiPartLocalParsed[index] && (
+                        <p style={{ color: theme.colors.accentYellow }} className="text-xs mt-1">
+                          {summarizeParsed(multiPartLocalParsed[index])}
+                        </p>
+                      )}
                     </label>
                   ) : (
                     <label
@@ -1579,6 +1740,20 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
           </div>
         </div>
 
+        {/* Re-upload of a blueprint that is already on the hub */}
+        {existingHubBlueprint && (
+          <div style={{ backgroundColor: `${theme.colors.cardBg}33`, borderColor: theme.colors.accentGold, color: theme.colors.textPrimary }} className="p-4 border rounded-lg text-sm">
+            <p>
+              ⚠️ This file was downloaded from the hub: <span style={{ color: theme.colors.accentYellow }} className="font-semibold">{existingHubBlueprint.title}</span> by {existingHubBlueprint.creator_name} (v{existingHubBlueprint.version}).
+            </p>
+            <p style={{ color: theme.colors.textSecondary }} className="text-xs mt-1">
+              {existingHubBlueprint.isOwn
+                ? "This is your blueprint - edit it instead to update the existing listing."
+                : "Please don't re-upload other creators' blueprints."}
+            </p>
+          </div>
+        )}
+
         <SuccessAlert message={success} onDismiss={() => setSuccess(null)} />
         <ErrorAlert error={error ? { message: error } : null} onDismiss={() => setError(null)} />
 
@@ -1590,6 +1765,37 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
         )}
 
         {/* Submit Button */}
+        <ParseJobStatus
+          items={Object.entries(parseJobs).map(([key, job]) => ({
+            key,
+            label: key === "single" ? "Blueprint" : `Part ${key.replace("part-", "")}`,
+            job,
+          }))}
+          onRetry={pendingFinish ? handleRetryParse : null}
+          retrying={retryingParse}
+        />
+
+        {pendingFinish && (
+          <div className="space-y-2">
+            <p style={{ color: theme.colors.textSecondary }} className="text-sm">
+              Your blueprint was uploaded, but parsing failed. Retry it now, or finish and it will show without materials and buildings for now.
+            </p>
+            <button
+              type="button"
+              onClick={() => finishUpload(pendingFinish)}
+              disabled={retryingParse.size > 0}
+              style={{
+                backgroundImage: `linear-gradient(to right, ${theme.colors.buttonBg}, ${theme.colors.accentGold})`,
+                color: theme.colors.buttonText
+              }}
+              className="w-full font-semibold py-3 rounded-lg transition flex items-center justify-center shadow-lg hover:opacity-70 disabled:opacity-50"
+            >
+              Finish
+            </button>
+          </div>
+        )}
+
+        {!pendingFinish && (
         <button
           type="submit"
           disabled={loading || processingPng}
@@ -1611,16 +1817,17 @@ function BlueprintUploadContent({ user, onUploadSuccess, isEditMode }) {
             </>
           )}
         </button>
+        )}
       </form>
     </div>
   );
 }
 
 // Wrap with error boundary
-function BlueprintUpload({ user, onUploadSuccess, isEditMode }) {
+function BlueprintUpload({ user, onUploadSuccess, isEditMode, initialFile, initialTitle }) {
   return (
     <ErrorBoundary name="BlueprintUpload">
-      <BlueprintUploadContent user={user} onUploadSuccess={onUploadSuccess} isEditMode={isEditMode} />
+      <BlueprintUploadContent user={user} onUploadSuccess={onUploadSuccess} isEditMode={isEditMode} initialFile={initialFile} initialTitle={initialTitle} />
     </ErrorBoundary>
   );
 }
@@ -0,0 +1,158 @@
+import { useState, useMemo, useRef, useEffect } from "react";
+import { Search, X, AlertCircle } from "lucide-react";
+import { useTheme } from "../lib/ThemeContext";
+import { parseSearchQuery, getQuerySuggestions } from "../lib/searchQuery";
+import { getMaterialSprite, getBuildingSprite } from "../lib/spriteData";
+import Sprite from "./Sprite";
+
+const ERROR_COLOR = "#ef4444";
+
+/**
+ * Gallery search input for the query syntax in lib/searchQuery: suggests filter keys and
+ * building/material/tag values for the word under the cursor and shows parse errors inline
+ */
+export default function GallerySearchBox({ value, onChange }) {
+  const { theme } = useTheme();
+  const inputRef = useRef(null);
+  const [cursor, setCursor] = useState(0);
+  const [suggestionsOpen, setSuggestionsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const { errors } = useMemo(() => parseSearchQuery(value), [value]);
+  const completion = useMemo(() => getQuerySuggestions(value, cursor), [value, cursor]);
+  const suggestions = suggestionsOpen ? completion.suggestions : [];
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [completion]);
+
+  const syncCursor = (e) => setCursor(e.target.selectionStart ?? e.target.value.length);
+
+  const applySuggestion = (suggestion) => {
+    const next = `${value.slice(0, completion.start)}${suggestion.insert}${value.slice(completion.end)}`;
+    const nextCursor = completion.start + suggestion.insert.length;
+    onChange(next);
+    setCursor(nextCursor);
+    // Keys ("building:") go straight on to their values
+    setSuggestionsOpen(true);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(nextCursor, nextCursor);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((activeIndex + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((activeIndex - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      applySuggestion(suggestions[activeIndex]);
+    } else if (e.key === "Escape") {
+      setSuggestionsOpen(false);
+    }
+  };
+
+  return (
+    <div className="flex-1 min-w-[16rem] relative">
+      <label htmlFor="blueprint-search" className="sr-only">Search blueprints</label>
+      <Search style={{ color: theme.colors.textPrimary }} className="absolute left-3 top-3 w-5 h-5" />
+      <input
+        ref={inputRef}
+        id="blueprint-search"
+        name="blueprint-search"
+        type="text"
+        autoComplete="off"
+        spellCheck={false}
+        placeholder="Search, or filter: building:BlastFurnace tier<=3 -tag:experimental"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          syncCursor(e);
+          setSuggestionsOpen(true);
+        }}
+        onSelect={syncCursor}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setSuggestionsOpen(true)}
+        onBlur={() => setSuggestionsOpen(false)}
+        aria-invalid={errors.length > 0}
+        aria-describedby={errors.length > 0 ? "blueprint-search-errors" : undefined}
+        style={{
+          borderColor: errors.length > 0 ? ERROR_COLOR : theme.colors.cardBorder,
+          backgroundColor: `${theme.colors.cardBg}66`,
+          color: theme.colors.textPrimary
+        }}
+        className="w-full pl-10 pr-10 py-2.5 border rounded-lg focus:outline-none focus:ring-2 placeholder-opacity-50 transition-all shadow-sm"
+      />
+      {value && (
+        <button
+          onClick={() => onChange("")}
+          style={{ color: theme.colors.textPrimary }}
+          className="absolute right-3 top-3 hover:opacity-70 transition"
+          title="Clear search"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      )}
+
+      {errors.length > 0 && (
+        <ul id="blueprint-search-errors" className="mt-1 space-y-0.5">
+          {errors.map((error) => (
+            <li key={`${error.start}-${error.message}`} style={{ color: ERROR_COLOR }} className="text-xs flex items-center gap-1">
+              <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+              <span className="font-mono">{value.slice(error.start, error.end)}</span>
+              <span>- {error.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {suggestions.length > 0 && (
+        <ul
+          role="listbox"
+          style={{ borderColor: theme.colors.cardBorder, backgroundColor: theme.colors.elementBg }}
+          className="absolute top-12 left-0 right-0 border rounded-lg shadow-lg z-50 max-h-72 overflow-y-auto"
+        >
+          {suggestions.map((suggestion, index) => {
+            const sprite = suggestion.kind === "building"
+              ? getBuildingSprite(suggestion.spriteId)
+              : suggestion.kind === "material" ? getMaterialSprite(suggestion.spriteId) : null;
+            return (
+              <li
+                key={suggestion.insert}
+                role="option"
+                aria-selected={index === activeIndex}
+                // Keep focus in the input
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  applySuggestion(suggestion);
+                }}
+                onMouseEnter={() => setActiveIndex(index)}
+                style={{
+                  color: theme.colors.textPrimary,
+                  borderColor: `${theme.colors.cardBorder}33`,
+                  backgroundColor: index === activeIndex ? `${theme.colors.cardBorder}33` : "transparent"
+                }}
+                className="px-4 py-2 cursor-pointer border-b last:border-0 first:rounded-t-lg last:rounded-b-lg flex items-center gap-2"
+              >
+                {suggestion.kind && (
+                  <div className="w-6 h-6 rounded overflow-hidden flex-shrink-0">
+                    {sprite && <Sprite sprite={sprite} alt={suggestion.label} className="w-full h-full" size={0.375} />}
+                  </div>
+                )}
+                <span className="font-medium">{suggestion.label}</span>
+                <span style={{ color: theme.colors.textSecondary }} className="text-xs ml-auto truncate">
+                  {suggestion.description}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
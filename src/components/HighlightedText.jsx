@@ -0,0 +1,23 @@
+import { useTheme } from "../lib/ThemeContext";
+import { splitHighlights } from "../lib/searchHighlight";
+
+/**
+ * Text from /api/search with its matched words marked
+ */
+export default function HighlightedText({ text }) {
+  const { theme } = useTheme();
+
+  return splitHighlights(text).map((segment, index) =>
+    segment.highlighted ? (
+      <mark
+        key={index}
+        style={{ backgroundColor: `${theme.colors.accentYellow}40`, color: "inherit" }}
+        className="rounded-sm px-0.5"
+      >
+        {segment.text}
+      </mark>
+    ) : (
+      segment.text
+    )
+  );
+}
@@ -0,0 +1,167 @@
+import { useState, useMemo, useRef, useEffect } from "react";
+import { Check, Ban, Search } from "lucide-react";
+import { useTheme } from "../lib/ThemeContext";
+import { BUILDING_MAPPINGS, MATERIAL_MAPPINGS } from "../lib/blueprintMappings";
+import { getMaterialSprite, getBuildingSprite } from "../lib/spriteData";
+import Sprite from "./Sprite";
+
+const KINDS = {
+  building: { mappings: BUILDING_MAPPINGS, getSprite: getBuildingSprite },
+  material: { mappings: MATERIAL_MAPPINGS, getSprite: getMaterialSprite },
+};
+
+/**
+ * Include/exclude dropdown for the buildings or materials blueprints use
+ * @param {Object} props
+ * @param {'building'|'material'} props.kind
+ * @param {Array<{key: string, count: number}>} props.facets - from /api/item-facets
+ * @param {{include: string[], exclude: string[]}} props.selection
+ * @param {Function} props.onChange - called with the new selection
+ */
+export default function ItemFacetPicker({ kind, label, icon: Icon, facets, selection, onChange }) {
+  const { theme } = useTheme();
+  const dropdownRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [filter, setFilter] = useState("");
+  const { mappings, getSprite } = KINDS[kind];
+  const selectedCount = selection.include.length + selection.exclude.length;
+
+  useEffect(() => {
+    if (!open) return;
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  // Selected items first, then by use count; selections stay listed even without a count
+  const items = useMemo(() => {
+    const counts = new Map(facets.map(({ key, count }) => [key, count]));
+    [...selection.include, ...selection.exclude].forEach(key => {
+      if (!counts.has(key)) counts.set(key, 0);
+    });
+    const needle = filter.trim().toLowerCase();
+    const isSelected = (key) => selection.include.includes(key) || selection.exclude.includes(key);
+
+    return [...counts.entries()]
+      .map(([key, count]) => ({ key, count, name: mappings[key]?.name || key, id: mappings[key]?.id }))
+      .filter(item => !needle || item.name.toLowerCase().includes(needle) || item.key.toLowerCase().includes(needle))
+      .sort((a, b) => Number(isSelected(b.key)) - Number(isSelected(a.key)) || b.count - a.count || a.name.localeCompare(b.name));
+  }, [facets, selection, filter, mappings]);
+
+  const toggle = (key, mode) => {
+    const other = mode === "include" ? "exclude" : "include";
+    const active = selection[mode].includes(key);
+    onChange({
+      [mode]: active ? selection[mode].filter(k => k !== key) : [...selection[mode], key],
+      [other]: selection[other].filter(k => k !== key),
+    });
+  };
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        style={{
+          borderColor: theme.colors.cardBorder,
+          backgroundColor: selectedCount > 0 ? `${theme.colors.accentYellow}33` : `${theme.colors.cardBg}33`,
+          color: theme.colors.textPrimary
+        }}
+        className="w-full sm:w-auto px-4 py-2.5 border rounded-lg focus:outline-none focus:ring-2 font-medium transition-all shadow-sm hover:opacity-80 flex items-center justify-between gap-2"
+      >
+        <span className="flex items-center gap-2">
+          <Icon className="w-5 h-5" />
+          {label} {selectedCount > 0 && <span style={{ color: theme.colors.accentYellow }} className="font-bold">({selectedCount})</span>}
+        </span>
+        <span className={`transition transform ${open ? "rotate-180" : ""}`}>▼</span>
+      </button>
+
+      {open && (
+        <div style={{ borderColor: theme.colors.cardBorder, backgroundColor: theme.colors.elementBg }} className="absolute top-full right-0 mt-1 border rounded-lg shadow-lg z-50 w-72 flex flex-col max-h-96">
+          <div style={{ borderColor: `${theme.colors.cardBorder}33` }} className="relative p-2 border-b">
+            <Search style={{ color: theme.colors.textSecondary }} className="absolute left-4 top-4 w-4 h-4" />
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder={`Find a ${kind}...`}
+              autoFocus
+              style={{ backgroundColor: theme.colors.cardBg, borderColor: theme.colors.cardBorder, color: theme.colors.textPrimary }}
+              className="w-full pl-8 pr-2 py-1.5 border rounded text-sm focus:outline-none"
+            />
+          </div>
+
+          <ul className="overflow-y-auto flex-1">
+            {items.length === 0 && (
+              <li style={{ color: theme.colors.textSecondary }} className="px-4 py-3 text-sm">
+                {facets.length === 0 ? "No parsed blueprints yet" : `No ${kind} matches "${filter}"`}
+              </li>
+            )}
+            {items.map(item => {
+              const included = selection.include.includes(item.key);
+              const excluded = selection.exclude.includes(item.key);
+              const sprite = item.id ? getSprite(item.id) : null;
+              return (
+                <li
+                  key={item.key}
+                  style={{
+                    borderColor: `${theme.colors.cardBorder}33`,
+                    backgroundColor: included ? `${theme.colors.accentYellow}33` : excluded ? '#ef444426' : 'transparent'
+                  }}
+                  className="px-3 py-1.5 border-b last:border-b-0 flex items-center gap-2"
+                >
+                  <div className="w-8 h-8 rounded overflow-hidden bg-black/20 flex-shrink-0">
+                    {sprite && <Sprite sprite={sprite} alt={item.name} className="w-full h-full" size={0.5} />}
+                  </div>
+                  <span
+                    style={{ color: included ? theme.colors.accentYellow : theme.colors.textPrimary }}
+                    className={`flex-1 text-sm truncate ${excluded ? 'line-through opacity-70' : ''}`}
+                  >
+                    {item.name} <span style={{ color: theme.colors.textSecondary }} className="text-xs">({item.count})</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => toggle(item.key, "include")}
+                    style={{ color: included ? theme.colors.accentYellow : theme.colors.textSecondary }}
+                    className="p-1 rounded hover:opacity-70 transition"
+                    title={`Only blueprints that use ${item.name}`}
+                    aria-pressed={included}
+                  >
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => toggle(item.key, "exclude")}
+                    style={{ color: excluded ? '#ef4444' : theme.colors.textSecondary }}
+                    className="p-1 rounded hover:opacity-70 transition"
+                    title={`Hide blueprints that use ${item.name}`}
+                    aria-pressed={excluded}
+                  >
+                    <Ban className="w-4 h-4" />
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          {selectedCount > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange({ include: [], exclude: [] })}
+              style={{ color: theme.colors.accentYellow, borderColor: `${theme.colors.cardBorder}33` }}
+              className="w-full text-left px-4 py-2.5 transition border-t rounded-b-lg"
+              onMouseEnter={(e) => e.target.style.backgroundColor = `${theme.colors.cardBorder}33`}
+              onMouseLeave={(e) => e.target.style.backgroundColor = 'transparent'}
+            >
+              Clear {label}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
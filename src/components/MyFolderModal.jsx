@@ -0,0 +1,320 @@
+import { X, FolderOpen, Loader, Upload, Check, AlertCircle } from "lucide-react";
+import { useState, useEffect } from "react";
+import { useTheme } from "../lib/ThemeContext";
+import { useBlueprintFolder } from "../lib/BlueprintFolderContext";
+import { extractBlueprintFromPng } from "../lib/pngBlueprintExtractor";
+import { parseBlueprint } from "../lib/blueprintParser";
+import { decodeBlueprintFile } from "../lib/blueprintDecoder";
+import { validateParsedData } from "../lib/parsedDataValidator";
+import { getParsedData } from "../lib/blueprintUtils";
+import { transformParsedMaterials, transformParsedBuildings } from "../lib/blueprintMappings";
+import { fetchBlueprintsForLocalFiles } from "../lib/blueprintService";
+import { extractBaseName, getEntryHashes } from "../lib/blueprintFolderMatching";
+import ErrorBoundary from "./ErrorBoundary";
+
+// Payload hash -> parser result for files sent to the parser this session, so reopening doesn't resend them
+const parserResults = new Map();
+
+// "my_cool-factory_1712345678.png" -> "my cool factory"
+const titleFromFilename = (filename) => extractBaseName(filename).replace(/[-_]+/g, " ").trim();
+
+// Hub blueprint a local entry belongs to, by content hash first and embedded hub id second
+const findHubBlueprint = (entry, hubBlueprints) => {
+  if (!entry) return null;
+  const hashes = getEntryHashes(entry);
+  return hubBlueprints.find(bp =>
+    hashes.some(hash => bp.filehash === hash || (bp.parts || []).some(p => p.file_hash === hash)) ||
+    (entry.hubId && bp.id === entry.hubId)
+  ) || null;
+};
+
+function LibraryItem({ item, parsed, onPublish, onReadWithParser }) {
+  const { theme } = useTheme();
+  const materials = parsed ? transformParsedMaterials(parsed.Materials).slice(0, 4) : [];
+  const buildings = parsed ? transformParsedBuildings(parsed.Buildings).slice(0, 4) : [];
+
+  return (
+    <div
+      style={{ backgroundColor: `${theme.colors.cardBg}33`, borderColor: theme.colors.cardBorder }}
+      className="border rounded-lg overflow-hidden flex flex-col"
+    >
+      <div style={{ backgroundColor: theme.colors.elementBgDark }} className="aspect-video flex items-center justify-center">
+        {item.previewUrl ? (
+          <img src={item.previewUrl} alt={item.title} className="w-full h-full object-cover" />
+        ) : (
+          <FolderOpen style={{ color: theme.colors.textSecondary }} className="w-8 h-8" />
+        )}
+      </div>
+
+      <div className="p-3 flex flex-col gap-2 flex-1">
+        <div>
+          <h3 style={{ color: theme.colors.textPrimary }} className="font-semibold truncate" title={item.title}>{item.title}</h3>
+          <p style={{ color: theme.colors.textSecondary }} className="text-xs truncate" title={item.path}>{item.path}</p>
+        </div>
+
+        <div style={{ color: theme.colors.textSecondary }} className="text-xs space-y-1 flex-1">
+          {item.isLegacy ? (
+            <p>Legacy .af file - re-export it from the game as .png to publish</p>
+          ) : parsed === undefined ? (
+            <p className="flex items-center gap-1"><Loader className="w-3 h-3 animate-spin" /> Reading stats...</p>
+          ) : parsed === null ? (
+            item.strippedFile ? (
+              <p>
+                Can't read this blueprint version here.{" "}
+                <button
+                  type="button"
+                  onClick={() => onReadWithParser(item)}
+                  style={{ color: theme.colors.accentYellow }}
+                  className="underline hover:opacity-70"
+                >
+                  Send it to the parser
+                </button>
+              </p>
+            ) : (
+              <p>Stats unavailable</p>
+            )
+          ) : (
+            <>
+              {buildings.length > 0 && (
+                <p><span style={{ color: theme.colors.accentYellow }}>Buildings:</span> {buildings.map(b => `${b.quantity}x ${b.name}`).join(", ")}</p>
+              )}
+              {materials.length > 0 && (
+                <p><span style={{ color: theme.colors.accentYellow }}>Materials:</span> {materials.map(m => `${m.quantity}x ${m.name}`).join(", ")}</p>
+              )}
+            </>
+          )}
+        </div>
+
+        {item.hubBlueprint ? (
+          <div style={{ color: theme.colors.accentYellow }} className="text-sm font-medium flex items-center gap-1" title={item.hubBlueprint.title}>
+            <Check className="w-4 h-4" />
+            On the hub
+          </div>
+        ) : !item.isLegacy && (
+          <button
+            type="button"
+            onClick={() => onPublish(item)}
+            style={{ backgroundColor: `${theme.colors.buttonBg2}80`, color: theme.colors.textPrimary }}
+            className="font-semibold py-2 rounded-lg transition shadow-md hover:opacity-60 flex items-center justify-center gap-1 text-sm"
+          >
+            <Upload className="w-4 h-4" />
+            Publish
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function MyFolderModalContent({ isOpen, onClose, user, onPublish }) {
+  const { theme } = useTheme();
+  const { localBlueprints, getFolderFiles, hasWritableFolder } = useBlueprintFolder();
+  const [items, setItems] = useState([]);
+  const [parsedByPath, setParsedByPath] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped by "Allow access" so the listing reruns with the permission just granted
+  const [accessGrantedAt, setAccessGrantedAt] = useState(0);
+
+  const handleAllowAccess = async () => {
+    if ((await getFolderFiles({ request: true })).length > 0) {
+      setAccessGrantedAt(Date.now());
+    }
+  };
+
+  // Explicit fallback for payload versions the local decoder doesn't know
+  const handleReadWithParser = async (item) => {
+    setParsedByPath(prev => ({ ...prev, [item.path]: undefined }));
+    let parsed = null;
+    try {
+      const response = await parseBlueprint(item.strippedFile, null, 1, false);
+      parsed = response?.parsed ? validateParsedData(response.parsed) : null;
+    } catch (parseError) {
+      console.warn(`Could not parse ${item.path}:`, parseError.message);
+    }
+    if (item.payloadHash) {
+      parserResults.set(item.payloadHash, parsed);
+    }
+    setParsedByPath(prev => ({ ...prev, [item.path]: parsed }));
+  };
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    const previewUrls = [];
+
+    (async () => {
+      setLoading(true);
+      setError(null);
+      setParsedByPath({});
+
+      // No permission prompt here: it needs a click (see handleAllowAccess)
+      const files = await getFolderFiles();
+      const entries = files.map(({ path }) => localBlueprints.get(path)).filter(Boolean);
+
+      const hubResult = await fetchBlueprintsForLocalFiles(
+        [...new Set(entries.flatMap(getEntryHashes))],
+        [...new Set(entries.map(e => e.hubId).filter(Boolean))]
+      );
+      if (!hubResult.success) {
+        setError("Couldn't check which blueprints are already on the hub");
+      }
+      const hubBlueprints = hubResult.success ? hubResult.data : [];
+
+      const nextItems = [];
+      for (const { file, path } of files) {
+        const entry = localBlueprints.get(path);
+        const hubBlueprint = findHubBlueprint(entry, hubBlueprints);
+        const isLegacy = file.name.toLowerCase().endsWith(".af");
+
+        let previewUrl = null;
+        let strippedFile = null;
+        if (!isLegacy) {
+          try {
+            const extracted = await extractBlueprintFromPng(file);
+            previewUrl = URL.createObjectURL(extracted.imageBlob);
+            previewUrls.push(previewUrl);
+            strippedFile = new File([extracted.strippedFile], file.name, { type: "image/png" });
+          } catch (extractError) {
+            console.warn(`Could not read ${file.name}:`, extractError.message);
+          }
+        }
+
+        nextItems.push({
+          path,
+          file,
+          payloadHash: entry?.payloadHash || null,
+          strippedFile,
+          previewUrl,
+          isLegacy,
+          hubBlueprint,
+          title: hubBlueprint?.title || titleFromFilename(file.name),
+        });
+      }
+
+      if (cancelled) return;
+      setItems(nextItems);
+      setLoading(false);
+
+      // Stats: hub data for published blueprints, a local decode (cached by payload hash) for the rest.
+      // Nothing is sent to the parser unless asked for (handleReadWithParser).
+      for (const item of nextItems) {
+        if (cancelled) return;
+        let parsed = null;
+        if (item.hubBlueprint) {
+          parsed = validateParsedData(getParsedData(item.hubBlueprint));
+        } else if (item.payloadHash && parserResults.has(item.payloadHash)) {
+          parsed = parserResults.get(item.payloadHash);
+        } else if (item.strippedFile) {
+          const decoded = await decodeBlueprintFile(item.strippedFile);
+          parsed = decoded ? validateParsedData(decoded.parsed) : null;
+        }
+        if (!cancelled) {
+          setParsedByPath(prev => ({ ...prev, [item.path]: parsed }));
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      previewUrls.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [isOpen, getFolderFiles, localBlueprints, accessGrantedAt]);
+
+  if (!isOpen) return null;
+
+  const publishedCount = items.filter(item => item.hubBlueprint).length;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center backdrop-blur-sm px-4 py-6" onClick={onClose}>
+      <div
+        style={{
+          backgroundColor: theme.colors.elementBg,
+          backgroundImage: `linear-gradient(to bottom, ${theme.colors.elementBg}, ${theme.colors.elementBgCard})`,
+          borderColor: theme.colors.elementBorder,
+        }}
+        className="rounded-lg w-full max-w-5xl max-h-[calc(100vh-3rem)] overflow-hidden flex flex-col border-2 relative"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div
+          style={{
+            background: `linear-gradient(to right, ${theme.colors.headerGradientFrom}, ${theme.colors.headerGradientVia}, ${theme.colors.headerGradientTo})`,
+          }}
+          className="flex-shrink-0 text-white px-4 py-4 md:px-6 md:py-5 flex items-center justify-between"
+        >
+          <FolderOpen style={{ color: theme.colors.accentYellow }} className="w-6 h-6 flex-shrink-0 mr-3" />
+          <h2 style={{ color: theme.colors.accentYellow }} className="text-xl md:text-2xl font-bold flex-1">
+            My Folder
+            {!loading && items.length > 0 && (
+              <span style={{ color: theme.colors.textSecondary }} className="text-sm font-medium ml-3">
+                {items.length} blueprints · {publishedCount} on the hub
+              </span>
+            )}
+          </h2>
+          <button onClick={onClose} className="p-1.5 md:p-2 hover:bg-white/10 rounded-lg transition">
+            <X className="w-5 h-5 md:w-6 md:h-6" />
+          </button>
+        </div>
+
+        {/* Content - Scrollable */}
+        <div className="flex-1 overflow-y-auto p-4 md:p-6 min-h-0">
+          {error && (
+            <p style={{ color: theme.colors.accentYellow }} className="text-sm mb-4 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </p>
+          )}
+
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader style={{ color: theme.colors.accentYellow }} className="w-8 h-8 animate-spin" />
+            </div>
+          ) : items.length === 0 ? (
+            <div style={{ color: theme.colors.textSecondary }} className="text-center py-12 space-y-3">
+              <p>No blueprint files to show. Sync your blueprints folder again to browse it here.</p>
+              {hasWritableFolder && (
+                <button
+                  type="button"
+                  onClick={handleAllowAccess}
+                  style={{ backgroundColor: `${theme.colors.buttonBg2}80`, color: theme.colors.textPrimary }}
+                  className="font-semibold px-4 py-2 rounded-lg transition shadow-md hover:opacity-60 inline-flex items-center gap-2 text-sm"
+                >
+                  <FolderOpen className="w-4 h-4" />
+                  Allow access to your blueprints folder
+                </button>
+              )}
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {items.map(item => (
+                <LibraryItem
+                  key={item.path}
+                  item={item}
+                  parsed={parsedByPath[item.path]}
+                  onReadWithParser={handleReadWithParser}
+                  onPublish={(publishItem) => {
+                    if (!user) {
+                      setError("Log in to publish blueprints");
+                      return;
+                    }
+                    onPublish?.(publishItem.file, publishItem.title);
+                  }}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function MyFolderModal({ isOpen, onClose, user, onPublish }) {
+  return (
+    <ErrorBoundary name="MyFolderModal">
+      <MyFolderModalContent isOpen={isOpen} onClose={onClose} user={user} onPublish={onPublish} />
+    </ErrorBoundary>
+  );
+}
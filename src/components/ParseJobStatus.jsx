@@ -0,0 +1,74 @@
+import { Clock, Loader, Check, AlertCircle, RefreshCw } from "lucide-react";
+import { useTheme } from "../lib/ThemeContext";
+import { PARSE_JOB_STATUS } from "../lib/blueprintParser";
+
+const STATUS_LABELS = {
+  [PARSE_JOB_STATUS.QUEUED]: "Queued",
+  [PARSE_JOB_STATUS.PARSING]: "Parsing",
+  [PARSE_JOB_STATUS.DONE]: "Done",
+  [PARSE_JOB_STATUS.FAILED]: "Failed",
+};
+
+const STATUS_ICONS = {
+  [PARSE_JOB_STATUS.QUEUED]: Clock,
+  [PARSE_JOB_STATUS.PARSING]: Loader,
+  [PARSE_JOB_STATUS.DONE]: Check,
+  [PARSE_JOB_STATUS.FAILED]: AlertCircle,
+};
+
+/**
+ * Live parser state per file (queued -> parsing -> done/failed) with a retry button on failures
+ *
+ * @param {Array<{key: string, label: string, job: Object}>} items
+ * @param {Function} onRetry - Called with the item key
+ * @param {Set<string>} retrying - Keys currently being retried
+ */
+export default function ParseJobStatus({ items, onRetry, retrying = new Set() }) {
+  const { theme } = useTheme();
+
+  if (!items || items.length === 0) return null;
+
+  return (
+    <div
+      style={{ backgroundColor: `${theme.colors.cardBg}33`, borderColor: theme.colors.cardBorder }}
+      className="border rounded-lg p-3 space-y-2"
+    >
+      <p style={{ color: theme.colors.textPrimary }} className="text-sm font-medium">Blueprint parsing</p>
+      {items.map(({ key, label, job }) => {
+        const status = job?.status || PARSE_JOB_STATUS.QUEUED;
+        const StatusIcon = STATUS_ICONS[status];
+        const isFailed = status === PARSE_JOB_STATUS.FAILED;
+        const isRetrying = retrying.has(key);
+
+        return (
+          <div key={key} className="flex items-center justify-between gap-2 text-sm">
+            <span style={{ color: theme.colors.textSecondary }} className="truncate">{label}</span>
+            <span className="flex items-center gap-2 flex-shrink-0">
+              <span
+                style={{ color: isFailed ? "#ef4444" : status === PARSE_JOB_STATUS.DONE ? theme.colors.accentYellow : theme.colors.textPrimary }}
+                className="flex items-center gap-1"
+                title={isFailed && job?.error ? job.error : undefined}
+              >
+                <StatusIcon className={`w-4 h-4 ${status === PARSE_JOB_STATUS.PARSING ? "animate-spin" : ""}`} />
+                {STATUS_LABELS[status]}
+                {job?.attempts > 1 && ` (attempt ${job.attempts})`}
+              </span>
+              {isFailed && onRetry && (
+                <button
+                  type="button"
+                  onClick={() => onRetry(key)}
+                  disabled={isRetrying}
+                  style={{ backgroundColor: `${theme.colors.buttonBg2}80`, color: theme.colors.textPrimary }}
+                  className="px-2 py-1 rounded-md text-xs font-semibold flex items-center gap-1 hover:opacity-70 disabled:opacity-50"
+                >
+                  <RefreshCw className={`w-3 h-3 ${isRetrying ? "animate-spin" : ""}`} />
+                  Retry
+                </button>
+              )}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
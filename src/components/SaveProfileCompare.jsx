@@ -0,0 +1,105 @@
+import { useState, useEffect } from "react";
+import { Save, ChevronDown } from "lucide-react";
+import { useTheme } from "../lib/ThemeContext";
+import { useSaveProfiles } from "../lib/SaveProfileContext";
+import { checkBlueprintCompatibility, loadProfileSaveData } from "../lib/saveManager";
+
+/**
+ * Which of the player's save profiles can build this blueprint
+ */
+export default function SaveProfileCompare({ blueprint }) {
+  const { theme } = useTheme();
+  const { profiles, activeProfileId, switchProfile } = useSaveProfiles();
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [results, setResults] = useState(null);
+
+  const profilesWithSaves = profiles.filter(profile => profile.hasSave);
+  const profilesKey = profilesWithSaves.map(profile => `${profile.id}:${profile.loadedAt}`).join(',');
+
+  useEffect(() => {
+    if (!isExpanded || !blueprint) return;
+
+    let cancelled = false;
+    setResults(null);
+    Promise.all(profilesWithSaves.map(async (profile) => {
+      const saveData = await loadProfileSaveData(profile.id);
+      const compatibility = saveData ? checkBlueprintCompatibility(blueprint, saveData) : null;
+      return {
+        profile,
+        compatible: !!compatibility && compatibility.compatible,
+        missing: compatibility ? Object.keys(compatibility.missingMaterials) : [],
+        reason: compatibility?.reason,
+      };
+    })).then(rows => {
+      if (!cancelled) setResults(rows);
+    });
+    return () => { cancelled = true; };
+  }, [isExpanded, blueprint?.id, profilesKey]);
+
+  if (profilesWithSaves.length < 2) {
+    return null;
+  }
+
+  return (
+    <div style={{ borderColor: theme.colors.cardBorder }} className="border-2 rounded-md overflow-hidden">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        style={{
+          backgroundImage: `linear-gradient(to right, ${theme.colors.gradientFrom}30, ${theme.colors.gradientTo}30)`,
+          color: theme.colors.accentYellow,
+        }}
+        className="w-full flex items-center justify-between px-4 py-3 font-bold hover:opacity-80 transition"
+      >
+        <span className="flex items-center gap-2">
+          <Save className="w-4 h-4" />
+          Compare Save Profiles
+        </span>
+        <ChevronDown className={`w-5 h-5 transition-transform ${isExpanded ? "rotate-180" : ""}`} />
+      </button>
+
+      {isExpanded && (
+        <div className="p-3 space-y-2">
+          {!results ? (
+            <p style={{ color: theme.colors.textSecondary }} className="text-sm">Checking profiles...</p>
+          ) : (
+            results.map(({ profile, compatible, missing, reason }) => (
+              <div
+                key={profile.id}
+                style={{
+                  backgroundColor: compatible ? '#22c55e17' : '#ef444417',
+                  borderColor: compatible ? '#22c55e52' : '#ef444452',
+                }}
+                className="border rounded-md px-3 py-2 flex items-start justify-between gap-3"
+              >
+                <div className="min-w-0">
+                  <div style={{ color: theme.colors.textPrimary }} className="font-semibold truncate">
+                    {profile.name}
+                    {profile.id === activeProfileId && (
+                      <span style={{ color: theme.colors.textSecondary }} className="ml-2 text-xs font-normal">(active)</span>
+                    )}
+                  </div>
+                  <div style={{ color: compatible ? '#22c55e' : '#bb3434' }} className="text-sm">
+                    {compatible
+                      ? '✓ Can build this blueprint'
+                      : missing.length > 0
+                        ? `⚠ Missing ${missing.length}: ${missing.slice(0, 6).join(', ')}${missing.length > 6 ? '…' : ''}`
+                        : `⚠ ${reason}`}
+                  </div>
+                </div>
+                {profile.id !== activeProfileId && (
+                  <button
+                    onClick={() => switchProfile(profile.id)}
+                    style={{ borderColor: theme.colors.cardBorder, color: theme.colors.textSecondary }}
+                    className="text-xs border rounded px-2 py-1 whitespace-nowrap hover:opacity-70 transition"
+                  >
+                    Switch
+                  </button>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+import { useState, useEffect, useMemo } from "react";
+import { X, History, Loader, AlertCircle, Sparkles } from "lucide-react";
+import { useTheme } from "../lib/ThemeContext";
+import { useSaveProfiles } from "../lib/SaveProfileContext";
+import { checkBlueprintCompatibility } from "../lib/saveManager";
+import { diffSnapshots } from "../lib/saveSnapshots";
+import { getItemDisplayName } from "../lib/blueprintMappings";
+import { fetchBlueprintFeed } from "../lib/blueprintService";
+import ErrorBoundary from "./ErrorBoundary";
+
+const MAX_LISTED = 12;
+
+const formatList = (items) =>
+  `${items.slice(0, MAX_LISTED).join(", ")}${items.length > MAX_LISTED ? ` and ${items.length - MAX_LISTED} more` : ""}`;
+
+function TimelineEntry({ entry, isLatest }) {
+  const { theme } = useTheme();
+  const { snapshot, diff, newlyBuildable, buildableCount, isFirst } = entry;
+  const unlocked = [...diff.newBuildings, ...diff.newMaterials].map(getItemDisplayName);
+  const tierChanged = !isFirst && diff.tierTo !== null && diff.tierTo !== diff.tierFrom;
+
+  return (
+    <li
+      style={{
+        backgroundColor: isLatest ? `${theme.colors.accentYellow}14` : `${theme.colors.cardBg}33`,
+        borderColor: isLatest ? theme.colors.accentYellow : theme.colors.cardBorder,
+      }}
+      className="border rounded-lg p-3 space-y-2"
+    >
+      <div className="flex items-center justify-between gap-3">
+        <div className="min-w-0">
+          <div style={{ color: theme.colors.textPrimary }} className="font-semibold truncate">
+            {new Date(snapshot.takenAt).toLocaleString()}
+          </div>
+          <div style={{ color: theme.colors.textSecondary }} className="text-xs truncate">
+            {snapshot.saveName}
+            {snapshot.save.PlayerTier !== null && ` · Tier ${snapshot.save.PlayerTier}`}
+            {tierChanged && <span style={{ color: theme.colors.accentYellow }}> (up from {diff.tierFrom ?? "?"})</span>}
+          </div>
+        </div>
+        {isLatest && !isFirst && (
+          <span style={{ color: theme.colors.accentYellow }} className="text-xs font-bold flex items-center gap-1 whitespace-nowrap">
+            <Sparkles className="w-3.5 h-3.5" />
+            Since last sync
+          </span>
+        )}
+      </div>
+
+      {isFirst ? (
+        <p style={{ color: theme.colors.textSecondary }} className="text-sm">
+          First sync · {buildableCount} hub {buildableCount === 1 ? "blueprint" : "blueprints"} buildable
+        </p>
+      ) : (
+        <>
+          <p style={{ color: theme.colors.textSecondary }} className="text-sm">
+            <span style={{ color: theme.colors.accentYellow }} className="font-semibold">Unlocked:</span>{" "}
+            {unlocked.length > 0 ? formatList(unlocked) : "nothing new"}
+          </p>
+          <p style={{ color: theme.colors.textSecondary }} className="text-sm">
+            <span style={{ color: theme.colors.accentYellow }} className="font-semibold">Now buildable:</span>{" "}
+            {newlyBuildable.length > 0 ? formatList(newlyBuildable.map(bp => bp.title)) : "no new hub blueprints"}
+          </p>
+        </>
+      )}
+    </li>
+  );
+}
+
+function SaveTimelineModalContent({ isOpen, onClose }) {
+  const { theme } = useTheme();
+  const { activeProfile, snapshots } = useSaveProfiles();
+  const [blueprints, setBlueprints] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    setError(null);
+    fetchBlueprintFeed({ all: true }).then(result => {
+      if (cancelled) return;
+      if (!result.success) {
+        setError("Couldn't load hub blueprints - showing unlocks only");
+      }
+      setBlueprints(result.success ? result.data.blueprints : []);
+    });
+    return () => { cancelled = true; };
+  }, [isOpen]);
+
+  // Newest first, each compared with the sync before it
+  const entries = useMemo(() => {
+    if (!blueprints) return [];
+    let previousBuildable = new Set();
+    return snapshots.map((snapshot, index) => {
+      const buildable = blueprints.filter(bp => checkBlueprintCompatibility(bp, snapshot.save).compatible);
+      const entry = {
+        snapshot,
+        isFirst: index === 0,
+        diff: diffSnapshots(snapshots[index - 1], snapshot),
+        buildableCount: buildable.length,
+        newlyBuildable: buildable.filter(bp => !previousBuildable.has(bp.id)),
+      };
+      previousBuildable = new Set(buildable.map(bp => bp.id));
+      return entry;
+    }).reverse();
+  }, [blueprints, snapshots]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center backdrop-blur-sm px-4 py-6" onClick={onClose}>
+      <div
+        style={{
+          backgroundColor: theme.colors.elementBg,
+          backgroundImage: `linear-gradient(to bottom, ${theme.colors.elementBg}, ${theme.colors.elementBgCard})`,
+          borderColor: theme.colors.elementBorder,
+        }}
+        className="rounded-lg w-full max-w-2xl max-h-[calc(100vh-3rem)] overflow-hidden flex flex-col border-2 relative"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div
+          style={{
+            background: `linear-gradient(to right, ${theme.colors.headerGradientFrom}, ${theme.colors.headerGradientVia}, ${theme.colors.headerGradientTo})`,
+          }}
+          className="flex-shrink-0 text-white px-4 py-4 md:px-6 md:py-5 flex items-center justify-between"
+        >
+          <History style={{ color: theme.colors.accentYellow }} className="w-6 h-6 flex-shrink-0 mr-3" />
+          <h2 style={{ color: theme.colors.accentYellow }} className="text-xl md:text-2xl font-bold flex-1 truncate">
+            Progression Timeline
+            {activeProfile && (
+              <span style={{ color: theme.colors.textSecondary }} className="text-sm font-medium ml-3">
+                {activeProfile.name} · {snapshots.length} {snapshots.length === 1 ? "sync" : "syncs"}
+              </span>
+            )}
+          </h2>
+          <button onClick={onClose} className="p-1.5 md:p-2 hover:bg-white/10 rounded-lg transition">
+            <X className="w-5 h-5 md:w-6 md:h-6" />
+          </button>
+        </div>
+
+        {/* Content - Scrollable */}
+        <div className="flex-1 overflow-y-auto p-4 md:p-6 min-h-0">
+          {error && (
+            <p style={{ color: theme.colors.accentYellow }} className="text-sm mb-4 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </p>
+          )}
+
+          {snapshots.length === 0 ? (
+            <p style={{ color: theme.colors.textSecondary }} className="text-center py-12">
+              No syncs recorded for this profile yet. Load a save to start its timeline.
+            </p>
+          ) : !blueprints ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader style={{ color: theme.colors.accentYellow }} className="w-8 h-8 animate-spin" />
+            </div>
+          ) : (
+            <ol className="space-y-3">
+              {entries.map((entry, index) => (
+                <TimelineEntry key={entry.snapshot.id} entry={entry} isLatest={index === 0} />
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function SaveTimelineModal({ isOpen, onClose }) {
+  return (
+    <ErrorBoundary name="SaveTimelineModal">
+      <SaveTimelineModalContent isOpen={isOpen} onClose={onClose} />
+    </ErrorBoundary>
+  );
+}
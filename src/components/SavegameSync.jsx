@@ -1,207 +1,165 @@
-import React, { useRef, useState, useEffect } from 'react';
-import { X, Upload, Save } from 'lucide-react';
+import React, { useRef, useState, useEffect, lazy, Suspense } from 'react';
+import { X, Save, ChevronDown, Plus, Edit2, Trash2, Check, Upload, History } from 'lucide-react';
 import { useTheme } from '../lib/ThemeContext';
-import { saveSaveData, getSaveMetadata, clearSaveData, hasSaveData } from '../lib/saveManager';
+import { useSaveProfiles } from '../lib/SaveProfileContext';
+import { MAX_PROFILE_NAME_LENGTH } from '../lib/saveManager';
+import { readSaveFile } from '../lib/saveFileReader';
+import { parseSaveFile } from '../lib/saveParserClient';
+
+const SaveTimelineModal = lazy(() => import('./SaveTimelineModal'));
+
+const hasUnlockData = (saveData) => {
+  const { CraftingOptionList = [], ConstructOptionList = [] } = saveData?.UnlockData || {};
+  return CraftingOptionList.length > 0 || ConstructOptionList.length > 0;
+};
+
+const formatTimeAgo = (isoDate) => {
+  if (!isoDate) return '';
+  const hoursAgo = Math.floor((Date.now() - new Date(isoDate).getTime()) / (1000 * 60 * 60));
+
+  if (hoursAgo === 0) return 'just now';
+  if (hoursAgo < 24) return `${hoursAgo}h ago`;
+  const daysAgo = Math.floor(hoursAgo / 24);
+  return `${daysAgo}d ago`;
+};
 
 export default function SavegameSync() {
   const { theme } = useTheme();
+  const {
+    profiles,
+    activeProfile,
+    activeProfileId,
+    saveMetadata,
+    hasSave,
+    profilesSupported,
+    snapshots,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    switchProfile,
+    storeSave,
+    clearSave,
+  } = useSaveProfiles();
   const fileInputRef = useRef(null);
+  const menuRef = useRef(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [error, setError] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
   const [progress, setProgress] = useState(0);
-  const [hasSave, setHasSave] = useState(() => hasSaveData());
-  const metadata = getSaveMetadata();
+  const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [isTimelineOpen, setIsTimelineOpen] = useState(false);
+
+  // Close the profile menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsMenuOpen(false);
+        setRenamingId(null);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const showResult = (result) => {
+    setError(result.success ? null : result.message);
+    return result.success;
+  };
 
   const handleFileSelect = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
 
     setIsLoading(true);
-    setError(false);
+    setIsMenuOpen(false);
+    setError(null);
+    setNotice(null);
     setProgress(0);
-    setHasSave(false);
 
     try {
       console.log('📁 Save file selected:', file.name, 'Size:', file.size, 'bytes');
 
-      const PARSER_HOST = 'https://alchemy-save-parser.faulty.ws';
-
-      // Step 1: Create a stream
-      console.log('🔗 Creating stream...');
-      const streamResp = await fetch(`${PARSER_HOST}/logs/create/stream`);
-      if (!streamResp.ok) {
-        throw new Error(`Failed to create stream: ${streamResp.status}`);
-      }
-      const { streamUrl, id } = await streamResp.json();
-      console.log('✅ Stream created with ID:', id);
-
-      // Helper to decompress JSONC fields
-      const decodeJSONCompressed = (jsonc) => {
-        const dict = jsonc._;
-        const decodeRow = (row) => {
-          if (Array.isArray(row[0])) {
-            return row.map(inner => decodeRow(inner));
-          }
-          const obj = {};
-          for (let i = 0; i < dict.length; i++) {
-            obj[dict[i]] = row[i];
-          }
-          return obj;
-        };
-        return jsonc.v.map(decodeRow);
-      };
-
-      console.log('📡 Opening SSE stream for events...');
-      const sseResp = fetch(`${PARSER_HOST}${streamUrl}`);
-
-      console.log('📤 Uploading file with stream ID:', id);
-      const fd = new FormData();
-      fd.append('file', file);
-      fd.append('id', id);
-      fd.append('fullParse', 'false');
-
-      const uploadResp = await fetch(`${PARSER_HOST}/parseSave`, {
-        method: 'POST',
-        body: fd,
-      });
-
-      if (!uploadResp.ok) {
-        throw new Error(`Upload failed: ${uploadResp.status}`);
-      }
-
-      console.log('✅ File uploaded, reading SSE stream for parsed data...');
-
-      // Now read the SSE stream that was initiated
-      const actualSseResp = await sseResp;
-      const reader = actualSseResp.body.getReader();
-      const decoder = new TextDecoder();
-
-      let parsedData = null;
-      let buffer = '';
-      let currentEvent = null;
-
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop();
-
-        for (const line of lines) {
-          if (line.startsWith('event: ')) {
-            currentEvent = line.slice(7).trim();
-            //console.log('📡 SSE event:', currentEvent);
-          }
-
-          if (line.startsWith('data: ')) {
-            //console.log('📊 SSE data line:', line.slice(0, 50));
-          }
-
-          // Handle parser progress events
-          if (currentEvent === 'parser' && line.startsWith('data: ')) {
-            try {
-              const progressData = JSON.parse(line.slice(6));
-              if (progressData.progress !== undefined) {
-                const progressPercent = Math.round(progressData.progress);
-                //console.log('⏳ Progress:', progressPercent + '%');
-                setProgress(progressPercent);
-              }
-            } catch (e) {
-              console.log('⚠️ Failed to parse parser event:', e.message);
-            }
-          }
-
-          // Handle progress events (backup, in case format changes)
-          if (currentEvent === 'progress' && line.startsWith('data: ')) {
-            try {
-              const progressData = JSON.parse(line.slice(6));
-              const progressPercent = Math.round(progressData.progress || 0);
-              //console.log('⏳ Progress:', progressPercent + '%');
-              setProgress(progressPercent);
-            } catch (e) {
-              console.log('⚠️ Failed to parse progress:', e.message);
-            }
-          }
-
-          if (currentEvent === 'save-data' && line.startsWith('data: ')) {
-            try {
-              const jsonStr = line.slice(6);
-              console.log('🔍 Parsing save-data JSON...');
-              parsedData = JSON.parse(jsonStr);
-
-              for (const key of Object.keys(parsedData)) {
-                if (parsedData[key] && parsedData[key]._ && parsedData[key].v) {
-                  console.log(`🔓 Decompressing field: ${key}`);
-                  parsedData[key] = decodeJSONCompressed(parsedData[key]);
-                }
-              }
-
-              console.log('✅ Decompressed save data:', parsedData);
-              console.log('🔍 UnlockData check:', parsedData.UnlockData);
-              reader.cancel();
-              break;
-            } catch (e) {
-              console.log('⚠️ Failed to parse JSON:', e.message);
-            }
-          }
+      const onProgress = (progressPercent) => setProgress(progressPercent);
+      let parsedData;
+      try {
+        parsedData = await readSaveFile(file, { onProgress });
+        if (!hasUnlockData(parsedData)) {
+          throw new Error('No unlock data found by the local reader');
         }
-
-        if (parsedData) break;
+        console.log('✅ Read save data:', parsedData);
+      } catch (localError) {
+        // Layouts the local reader doesn't understand go to the server parser
+        console.warn('Local save reader failed, falling back to the parser:', localError.message);
+        setProgress(0);
+        parsedData = await parseSaveFile(file, { onProgress });
+        console.log('✅ Parsed save data:', parsedData);
       }
 
-      if (!parsedData) {
-        throw new Error('No save data received from parser');
+      if (!hasUnlockData(parsedData)) {
+        throw new Error('No unlock data found in this save file');
       }
 
-      console.log('💾 Saving to localStorage...');
-      const result = saveSaveData(parsedData, file.name.replace(/\.[^/.]+$/, ''));
-
-      if (result.success) {
-        console.log('✅ Save data stored successfully');
-        setError(null);
-        setProgress(0);
-        setHasSave(true);
-        if (fileInputRef.current) {
-          fileInputRef.current.value = '';
-        }
-      } else {
+      const result = await storeSave(parsedData, file.name.replace(/\.[^/.]+$/, ''));
+      if (!result.success) {
         throw new Error(result.message);
       }
+      console.log('✅ Save data stored successfully');
+      if (!profilesSupported) {
+        setNotice('This browser blocks the storage save profiles need, so only this save is kept (it replaced any earlier one).');
+      }
     } catch (err) {
       console.error('❌ Error:', err);
       setError(err.message || 'Failed to process save file');
-      setProgress(0);
     } finally {
+      setProgress(0);
       setIsLoading(false);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
     }
   };
 
-  const handleClear = () => {
-    const result = clearSaveData();
-    if (result.success) {
-      setError(null);
-      setHasSave(false);
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (showResult(await createProfile(newProfileName))) {
+      setNewProfileName('');
     }
   };
 
-  const displayName = metadata?.saveName || 'Save Data';
-  const timeAgo = metadata
-    ? (() => {
-      const loadedAt = new Date(metadata.loadedAt);
-      const hoursAgo = Math.floor(
-        (Date.now() - loadedAt.getTime()) / (1000 * 60 * 60)
-      );
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (showResult(await renameProfile(renamingId, renameValue))) {
+      setRenamingId(null);
+    }
+  };
 
-      if (hoursAgo === 0) return 'just now';
-      if (hoursAgo < 24) return `${hoursAgo}h ago`;
-      const daysAgo = Math.floor(hoursAgo / 24);
-      return `${daysAgo}d ago`;
-    })()
-    : '';
+  const handleSwitch = async (profileId) => {
+    if (profileId !== activeProfileId) {
+      showResult(await switchProfile(profileId));
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete the profile "${profile.name}" and its save data?`)) {
+      return;
+    }
+    showResult(await deleteProfile(profile.id));
+  };
+
+  const buttonLabel = activeProfile?.name || 'Sync Save';
+  const tooltip = [
+    hasSave
+      ? `${activeProfile ? `${activeProfile.name}: ` : ''}${saveMetadata?.saveName} - Synced ${formatTimeAgo(saveMetadata?.loadedAt)}`
+      : 'Load a save file to check blueprint compatibility (read locally when possible)',
+    !profilesSupported && 'Save profiles are unavailable in this browser: loading a save replaces the current one',
+  ].filter(Boolean).join('. ');
 
   return (
-    <div className="relative">
+    <div className="relative" ref={menuRef}>
       <input
         ref={fileInputRef}
         type="file"
@@ -211,9 +169,9 @@ export default function SavegameSync() {
         disabled={isLoading}
       />
 
-      {hasSave ? (
+      <div style={{ position: 'relative', display: 'inline-block' }}>
         <button
-          onClick={() => fileInputRef.current?.click()}
+          onClick={() => (profiles.length === 0 ? fileInputRef.current?.click() : setIsMenuOpen(!isMenuOpen))}
           disabled={isLoading}
           style={{
             backgroundColor: hasSave
@@ -224,69 +182,175 @@ export default function SavegameSync() {
             borderColor: theme.colors.headerBorder,
             color: hasSave ? theme.colors.accentYellow : theme.colors.textPrimary,
           }}
-          className="inline-flex items-center gap-2 px-3 py-2.5 rounded-lg transition disabled:opacity-50 group shadow-lg hover:shadow-xl hover:scale-105 hover:opacity-70"
+          className="inline-flex items-center gap-2 px-3 py-2.5 rounded-lg transition disabled:opacity-50 shadow-lg hover:shadow-xl hover:scale-105 hover:opacity-70 relative z-10"
+          data-tooltip={tooltip}
           data-tooltip-position="bottom"
-          data-tooltip={`${displayName} - Synced ${timeAgo}`}
         >
-          <Save className="w-4 h-4" />
-          <span className="text-sm font-medium">Synced</span>
-          <X
-            className="w-4 h-4 ml-1 opacity-70 group-hover:opacity-100 transition"
-            onClick={(e) => {
-              e.stopPropagation();
-              handleClear();
-            }}
-          />
+          <span className="text-sm font-medium">
+            {isLoading && progress > 0 ? (
+              `⌛ Reading ${progress}%`
+            ) : (
+              <div style={{ display: 'flex', alignItems: 'center' }}>
+                <Save className="w-4 h-4" />
+                <span style={{ marginLeft: '0.5rem' }} className="max-w-[10rem] truncate">{buttonLabel}</span>
+                {profiles.length > 0 && <ChevronDown className="w-4 h-4 ml-1" />}
+              </div>
+            )}
+          </span>
         </button>
-      ) : (
-        <div style={{ position: 'relative', display: 'inline-block' }}>
-          <button
-            onClick={() => fileInputRef.current?.click()}
-            disabled={isLoading}
+
+        {/* Progress bar overlay */}
+        {isLoading && progress > 0 && (
+          <div
             style={{
-              backgroundColor: `${theme.colors.tertiary}80`,
-              borderWidth: '2px',
-              borderStyle: 'solid',
-              borderColor: theme.colors.headerBorder,
-              color: theme.colors.textPrimary,
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              height: '100%',
+              width: `${progress}%`,
+              backgroundColor: `${theme.colors.accentYellow}40`,
+              borderRadius: '6px',
+              borderTopLeftRadius: '6px',
+              borderBottomLeftRadius: '6px',
+              zIndex: 0,
+              transition: 'width 0.1s linear',
             }}
-            className="inline-flex items-center gap-2 px-3 py-2.5 rounded-lg transition disabled:opacity-50 shadow-lg hover:shadow-xl hover:scale-105 hover:opacity-70 relative z-10"
-            data-tooltip="Upload save file to check blueprint compatibility"
-            data-tooltip-position="bottom"
-          >
-            <span className="text-sm font-medium">
-              {isLoading && progress > 0 ? (
-                `⌛ Parsing ${progress}%`
-              ) : (
-                <div style={{ display: 'flex', alignItems: 'center' }}>
-                  <Save className="w-4 h-4" />
-                  <span style={{ marginLeft: '0.5rem' }}>Sync Save</span>
-                </div>
-              )}
-            </span>
-          </button>
+          />
+        )}
+      </div>
 
-          {/* Progress bar overlay */}
-          {isLoading && progress > 0 && (
-            <div
-              style={{
-                position: 'absolute',
-                top: 0,
-                left: 0,
-                height: '100%',
-                width: `${progress}%`,
-                backgroundColor: `${theme.colors.accentYellow}40`,
-                borderRadius: '6px',
-                borderTopLeftRadius: '6px',
-                borderBottomLeftRadius: '6px',
-                zIndex: 0,
-                transition: 'width 0.1s linear',
-              }}
+      {/* Profile menu */}
+      {isMenuOpen && (
+        <div
+          style={{ backgroundColor: theme.colors.cardBg, borderColor: theme.colors.cardBorder }}
+          className="absolute top-full mt-2 right-0 w-80 border-2 rounded-lg shadow-xl z-50 overflow-hidden"
+        >
+          <div style={{ color: theme.colors.textSecondary, borderColor: `${theme.colors.cardBorder}66` }} className="px-3 py-2 text-xs uppercase tracking-wide border-b">
+            Save Profiles
+          </div>
+
+          <div className="max-h-72 overflow-y-auto">
+            {profiles.map(profile => (
+              <div
+                key={profile.id}
+                style={{
+                  borderColor: `${theme.colors.cardBorder}33`,
+                  backgroundColor: profile.id === activeProfileId ? `${theme.colors.cardBorder}33` : 'transparent',
+                }}
+                className="flex items-center gap-2 px-3 py-2 border-b"
+              >
+                {renamingId === profile.id ? (
+                  <form onSubmit={handleRename} className="flex items-center gap-1 flex-1 min-w-0">
+                    <input
+                      autoFocus
+                      value={renameValue}
+                      maxLength={MAX_PROFILE_NAME_LENGTH}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      style={{ backgroundColor: `${theme.colors.tertiary}40`, borderColor: theme.colors.cardBorder, color: theme.colors.textPrimary }}
+                      className="flex-1 min-w-0 px-2 py-1 text-sm border rounded"
+                    />
+                    <button type="submit" style={{ color: theme.colors.accentYellow }} className="p-1 hover:opacity-70" title="Save name">
+                      <Check className="w-4 h-4" />
+                    </button>
+                    <button type="button" onClick={() => setRenamingId(null)} style={{ color: theme.colors.textSecondary }} className="p-1 hover:opacity-70" title="Cancel">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <button onClick={() => handleSwitch(profile.id)} className="flex-1 min-w-0 text-left">
+                      <div
+                        style={{ color: profile.id === activeProfileId ? theme.colors.accentYellow : theme.colors.textPrimary }}
+                        className="text-sm font-semibold truncate"
+                      >
+                        {profile.name}
+                      </div>
+                      <div style={{ color: theme.colors.textSecondary }} className="text-xs truncate">
+                        {profile.hasSave ? `${profile.saveName} · ${formatTimeAgo(profile.loadedAt)}` : 'No save loaded'}
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => { setRenamingId(profile.id); setRenameValue(profile.name); }}
+                      style={{ color: theme.colors.textSecondary }}
+                      className="p-1 hover:opacity-70"
+                      title="Rename profile"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(profile)}
+                      style={{ color: theme.colors.textSecondary }}
+                      className="p-1 hover:opacity-70"
+                      title="Delete profile"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <form onSubmit={handleCreate} style={{ borderColor: `${theme.colors.cardBorder}66` }} className="flex items-center gap-2 px-3 py-2 border-b">
+            <input
+              value={newProfileName}
+              maxLength={MAX_PROFILE_NAME_LENGTH}
+              onChange={(e) => setNewProfileName(e.target.value)}
+              placeholder="New profile name"
+              style={{ backgroundColor: `${theme.colors.tertiary}40`, borderColor: theme.colors.cardBorder, color: theme.colors.textPrimary }}
+              className="flex-1 min-w-0 px-2 py-1 text-sm border rounded"
             />
+            <button
+              type="submit"
+              disabled={!newProfileName.trim()}
+              style={{ color: theme.colors.accentYellow }}
+              className="p-1 hover:opacity-70 disabled:opacity-40"
+              title="Create profile"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+
+          <div className="flex items-center gap-2 px-3 py-2">
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              style={{ backgroundColor: `${theme.colors.tertiary}80`, borderColor: theme.colors.headerBorder, color: theme.colors.textPrimary }}
+              className="flex-1 min-w-0 flex items-center justify-center gap-2 px-3 py-1.5 text-sm border rounded hover:opacity-70 transition"
+            >
+              <Upload className="w-4 h-4 flex-shrink-0" />
+              <span className="truncate">Load .sav into {activeProfile?.name}</span>
+            </button>
+            {hasSave && (
+              <button
+                onClick={async () => showResult(await clearSave())}
+                style={{ borderColor: theme.colors.cardBorder, color: theme.colors.textSecondary }}
+                className="px-2 py-1.5 text-sm border rounded hover:opacity-70 transition"
+                title="Clear this profile's save data"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+
+          {snapshots.length > 0 && (
+            <button
+              onClick={() => { setIsTimelineOpen(true); setIsMenuOpen(false); }}
+              style={{ borderColor: `${theme.colors.cardBorder}66`, color: theme.colors.textPrimary }}
+              className="w-full flex items-center gap-2 px-3 py-2 text-sm border-t hover:opacity-70 transition"
+            >
+              <History className="w-4 h-4" />
+              Progression timeline ({snapshots.length} {snapshots.length === 1 ? 'sync' : 'syncs'})
+            </button>
           )}
         </div>
       )}
 
+      {isTimelineOpen && (
+        <Suspense fallback={null}>
+          <SaveTimelineModal isOpen={isTimelineOpen} onClose={() => setIsTimelineOpen(false)} />
+        </Suspense>
+      )}
+
       {error && (
         <div
           style={{
@@ -299,6 +363,21 @@ export default function SavegameSync() {
           {error}
         </div>
       )}
+
+      {notice && !error && (
+        <div
+          onClick={() => setNotice(null)}
+          style={{
+            backgroundColor: `${theme.colors.cardBg}cc`,
+            borderColor: theme.colors.accentYellow,
+            color: theme.colors.accentYellow,
+          }}
+          className="absolute top-full mt-1 right-0 w-72 text-xs border rounded px-2 py-1 z-50 cursor-pointer"
+          title="Dismiss"
+        >
+          {notice}
+        </div>
+      )}
     </div>
   );
 }
@@ -4,7 +4,7 @@ import { useTheme } from "../lib/ThemeContext";
 import ErrorBoundary from "./ErrorBoundary";
 import BlueprintUpload from "./BlueprintUpload";
 
-function UploadModalContent({ isOpen, onClose, user, onUploadSuccess }) {
+function UploadModalContent({ isOpen, onClose, user, onUploadSuccess, initialFile, initialTitle }) {
   const { theme } = useTheme();
 
   if (!isOpen) return null;
@@ -53,6 +53,8 @@ function UploadModalContent({ isOpen, onClose, user, onUploadSuccess }) {
               onClose();
             }}
             isEditMode={false}
+            initialFile={initialFile}
+            initialTitle={initialTitle}
           />
         </div>
       </div>
@@ -60,10 +62,10 @@ function UploadModalContent({ isOpen, onClose, user, onUploadSuccess }) {
   );
 }
 
-export default function UploadModal({ isOpen, onClose, user, onUploadSuccess }) {
+export default function UploadModal({ isOpen, onClose, user, onUploadSuccess, initialFile, initialTitle }) {
   return (
     <ErrorBoundary name="UploadModal">
-      <UploadModalContent isOpen={isOpen} onClose={onClose} user={user} onUploadSuccess={onUploadSuccess} />
+      <UploadModalContent isOpen={isOpen} onClose={onClose} user={user} onUploadSuccess={onUploadSuccess} initialFile={initialFile} initialTitle={initialTitle} />
     </ErrorBoundary>
   );
 }
@@ -1,10 +1,37 @@
-import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
+import {
+  isFolderAccessSupported,
+  loadFolderHandle,
+  saveFolderHandle,
+  clearFolderHandle,
+  pickFolderHandle,
+  hasFolderPermission,
+  listFolderFiles,
+  writeFolderFile,
+} from './blueprintFolderAccess';
+import {
+  scanBlueprintFile,
+  migrateCachedEntry,
+  buildLocalIndex,
+  getBlueprintInstallStatus,
+  findInstalledFile,
+} from './blueprintFolderMatching';
 
 const BlueprintFolderContext = createContext(null);
 
+const persistLocalBlueprints = (blueprintMap) => {
+  const dataToStore = Array.from(blueprintMap.entries());
+  localStorage.setItem('blueprintFolderData', JSON.stringify(dataToStore));
+};
+
 export function BlueprintFolderProvider({ children }) {
   const [localBlueprints, setLocalBlueprints] = useState(new Map());
   const [isScanning, setIsScanning] = useState(false);
+  const [folderHandle, setFolderHandle] = useState(null);
+  const localBlueprintsRef = useRef(localBlueprints);
+  localBlueprintsRef.current = localBlueprints;
+  // File objects from the last scan this session (not persisted)
+  const folderFilesRef = useRef([]);
 
   // Load from localStorage on mount
   useEffect(() => {
@@ -14,6 +41,15 @@ export function BlueprintFolderProvider({ children }) {
         const parsed = JSON.parse(savedData);
         // Convert array back to Map
         const blueprintMap = new Map(parsed);
+
+        // Caches from before content hashing stay unmatched until the next sync
+        const isHashedCache = Array.from(blueprintMap.values()).every(entry => 'downloadedHash' in entry);
+        if (!isHashedCache) {
+          blueprintMap.forEach((entry, key) => blueprintMap.set(key, migrateCachedEntry(entry)));
+          persistLocalBlueprints(blueprintMap);
+          console.log('📂 Cached folder data predates content hashing, sync the folder again for exact matching');
+        }
+
         setLocalBlueprints(blueprintMap);
         console.log(`📂 Restored ${blueprintMap.size} blueprint(s) from cache`);
       } catch (error) {
@@ -23,77 +59,29 @@ export function BlueprintFolderProvider({ children }) {
     }
   }, []);
 
-  const normalizeKey = (str) => {
-    return str
-      .toLowerCase()
-      .replace(/[\s_]+/g, '-')
-      .replace(/&/g, 'and')
-      .replace(/[^\w-]/g, '');
-  };
-
-  const formatTitleToFilename = (title) => {
-    return normalizeKey(title);
-  };
-
-  const extractTimestampFromFilename = (filename) => {
-    const match = filename.match(/_(\d+)\.[^.]+$/);
-    return match ? parseInt(match[1], 10) : null;
-  };
-
-  const extractBaseName = (filename) => {
-    return filename.replace(/\.[^.]+$/, '').replace(/_\d+$/, '');
-  };
-
-  /**
-   * Handle folder selection via webkitdirectory
-   * Extracts blueprint file info and stores mapping by base name
-   */
-  const handleFolderSelect = useCallback(async (fileList) => {
+  // Hash every file and replace the folder map
+  const scanFiles = useCallback(async (files) => {
     setIsScanning(true);
     console.log('🔍 Starting folder scan...');
     try {
       const blueprintMap = new Map();
 
-      for (const file of fileList) {
-        const filename = file.name;
-        
-        if (filename.endsWith('.af') || filename.endsWith('.png')) {
-          const baseName = extractBaseName(filename);
-          const normalizedKey = normalizeKey(baseName);
-          const serverTimestamp = extractTimestampFromFilename(filename);
-          
-          if (blueprintMap.has(normalizedKey)) {
-            const existing = blueprintMap.get(normalizedKey);
-            if (serverTimestamp && existing.serverTimestamp && serverTimestamp <= existing.serverTimestamp) {
-              continue;
-            }
-          }
-          
-          blueprintMap.set(normalizedKey, {
-            filename,
-            lastModified: file.lastModified,
-            lastModifiedDate: new Date(file.lastModified),
-            size: file.size,
-            path: file.webkitRelativePath,
-            serverTimestamp,
-          });
-        }
+      for (const { file, path } of files) {
+        const filename = file.name.toLowerCase();
+        if (!filename.endsWith('.af') && !filename.endsWith('.png')) continue;
+
+        const entry = await scanBlueprintFile(file, path);
+        blueprintMap.set(entry.path, entry);
       }
 
       console.log(`✅ Found ${blueprintMap.size} blueprint file(s)`);
-      if (blueprintMap.size > 0) {
-        const keys = Array.from(blueprintMap.entries()).map(([key, file]) => 
-          `${key} (local: ${file.serverTimestamp}, file: ${file.filename})`
-        );
-        //console.log('📍 Blueprint mapping:', keys.join(', '));
-      }
-      
+
+      folderFilesRef.current = files.filter(({ path }) => blueprintMap.has(path));
       setLocalBlueprints(blueprintMap);
       
       // Save to localStorage for persistence
       try {
-        const dataToStore = Array.from(blueprintMap.entries());
-        localStorage.setItem('blueprintFolderData', JSON.stringify(dataToStore));
+        persistLocalBlueprints(blueprintMap);
         localStorage.setItem('blueprintFolderSyncTime', new Date().toISOString());
         console.log('💾 Synced folder cached in localStorage');
       } catch (storageError) {
@@ -104,129 +92,208 @@ export function BlueprintFolderProvider({ children }) {
     } finally {
       setIsScanning(false);
     }
-  }, [extractBaseName, extractTimestampFromFilename, normalizeKey]);
+  }, []);
 
-   // Compare remote blueprint with local files by timestamp
-  const getInstallStatus = useCallback((blueprint) => {
-    if (!blueprint || !blueprint.title || localBlueprints.size === 0) {
-      return 'not-installed';
-    }
+  /**
+   * Handle folder selection via webkitdirectory (fallback when the File System Access API is missing)
+   * Hashes each blueprint's payload and stores entries by relative path
+   */
+  const handleFolderSelect = useCallback(async (fileList) => {
+    return scanFiles(Array.from(fileList, file => ({ file, path: file.webkitRelativePath || file.name })));
+  }, [scanFiles]);
 
-    let remoteTimestamp = null;
-    let remoteKey = null;
-    
-    if (blueprint.file_url) {
-      const urlParts = blueprint.file_url.split('/');
-      const downloadFilename = urlParts[urlParts.length - 1];
-      const match = downloadFilename.match(/_(\d+)\.[^.]+$/);
-      remoteTimestamp = match ? parseInt(match[1], 10) : null;
-      
-      if (remoteTimestamp) {
-        const baseName = extractBaseName(downloadFilename);
-        remoteKey = normalizeKey(baseName);
+  // Restore the stored directory handle; rescan right away if permission is still granted
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const handle = await loadFolderHandle();
+      if (!handle || cancelled) return;
+      setFolderHandle(handle);
+      try {
+        if (await hasFolderPermission(handle)) {
+          await scanFiles(await listFolderFiles(handle));
+        }
+      } catch (error) {
+        console.error('Error rescanning blueprint folder:', error);
       }
+    })();
+    return () => { cancelled = true; };
+  }, [scanFiles]);
+
+  /**
+   * Pick the game's blueprints folder with the File System Access API
+   * @returns {Promise<boolean|null>} - false if the API is unavailable (use the webkitdirectory input instead),
+   *   null if the picker was cancelled
+   */
+  const pickFolder = useCallback(async () => {
+    if (!isFolderAccessSupported()) return false;
+
+    const handle = await pickFolderHandle();
+    if (!handle) return null;
+
+    setFolderHandle(handle);
+    try {
+      await saveFolderHandle(handle);
+    } catch (error) {
+      console.error('Error saving folder handle:', error);
     }
+    await scanFiles(await listFolderFiles(handle));
+    return true;
+  }, [scanFiles]);
 
-    if (!remoteTimestamp) {
-      return 'not-installed';
+  /**
+   * Rescan the stored folder without picking it again.
+   * Call from a click handler so the browser can show the permission prompt.
+   */
+  const refreshFolder = useCallback(async () => {
+    if (!folderHandle) return false;
+    try {
+      if (!(await hasFolderPermission(folderHandle, { request: true }))) return false;
+      await scanFiles(await listFolderFiles(folderHandle));
+      return true;
+    } catch (error) {
+      console.error('Error rescanning blueprint folder:', error);
+      return false;
     }
+  }, [folderHandle, scanFiles]);
 
-    // Direct lookup using actual filename from file_url
-    if (remoteKey && localBlueprints.has(remoteKey)) {
-      const localFile = localBlueprints.get(remoteKey);
-      //console.log(`[getInstallStatus] "${blueprint.title}" matched by filename. local: ${localFile.serverTimestamp}, remote: ${remoteTimestamp}`);
-      
-      if (remoteTimestamp > localFile.serverTimestamp) {
-        //console.log(`✓ "${blueprint.title}": Update available (remote: ${remoteTimestamp}, local: ${localFile.serverTimestamp})`);
-        return 'update-available';
+  /**
+   * Current blueprint files in the folder, read fresh through the stored handle when possible.
+   * Only pass request: true from a click handler; elsewhere the browser can't show the prompt.
+   * @returns {Promise<Array<{file: File, path: string}>>} - empty if the folder must be picked again
+   *   (or, without request, until access is granted)
+   */
+  const getFolderFiles = useCallback(async ({ request = false } = {}) => {
+    if (folderHandle) {
+      try {
+        if (await hasFolderPermission(folderHandle, { request })) {
+          return await listFolderFiles(folderHandle);
+        }
+      } catch (error) {
+        console.error('Error reading blueprint folder:', error);
       }
-      
-      //console.log(`✓ "${blueprint.title}": Installed`);
-      return 'installed';
     }
+    return folderFilesRef.current;
+  }, [folderHandle]);
 
-    // Format the blueprint title to match the expected key format (fallback)
-    const expectedKey = formatTitleToFilename(blueprint.title);
-    
-    if (localBlueprints.has(expectedKey)) {
-      const localFile = localBlueprints.get(expectedKey);
-      //console.log(`[getInstallStatus] "${blueprint.title}" matched by title. local: ${localFile.serverTimestamp}, remote: ${remoteTimestamp}`);
-      
-      if (remoteTimestamp > localFile.serverTimestamp) {
-        //console.log(`✓ "${blueprint.title}": Update available (remote: ${remoteTimestamp}, local: ${localFile.serverTimestamp})`);
-        return 'update-available';
-      }
-      
-      //console.log(`✓ "${blueprint.title}": Installed`);
-      return 'installed';
+  /**
+   * Ask for write access to the stored folder.
+   * Call first thing in a click handler: browsers only show the prompt during the user gesture,
+   * which has expired once the handler has awaited a download.
+   * @returns {Promise<boolean>} - false without a folder or if access was denied
+   */
+  const requestFolderWriteAccess = useCallback(async () => {
+    if (!folderHandle) return false;
+    try {
+      return await hasFolderPermission(folderHandle, { request: true });
+    } catch (error) {
+      console.error('Error requesting blueprint folder access:', error);
+      return false;
     }
+  }, [folderHandle]);
 
-    // Fuzzy match (normalize and compare) - last resort
-    const expectedKeyNormalized = expectedKey.replace(/[-_\s]/g, '');
-    for (const [key, file] of localBlueprints.entries()) {
-      const keyNormalized = key.replace(/[-_\s]/g, '');
-      
-      if (keyNormalized === expectedKeyNormalized) {
-        //console.log(`[getInstallStatus] "${blueprint.title}" matched via fuzzy match. local: ${file.serverTimestamp}, remote: ${remoteTimestamp}`);
-        
-        if (remoteTimestamp > file.serverTimestamp) {
-          //console.log(`✓ "${blueprint.title}": Update available (remote: ${remoteTimestamp}, local: ${file.serverTimestamp})`);
-          return 'update-available';
-        }
-        
-        //console.log(`✓ "${blueprint.title}": Installed`);
-        return 'installed';
-      }
+  /**
+   * Write downloaded blueprint files straight into the game folder.
+   * Local copies (matched like the install status: by hash or hub metadata) are overwritten
+   * in place; new files use the hub filename. Needs write access from requestFolderWriteAccess.
+   *
+   * @param {Object} blueprint - Blueprint row
+   * @param {Array<{filename: string, blob: Blob, partNumber: number|null}>} files
+   */
+  const installBlueprintFiles = useCallback(async (blueprint, files) => {
+    if (!folderHandle) {
+      throw new Error('No blueprint folder selected');
+    }
+    if (!(await hasFolderPermission(folderHandle))) {
+      throw new Error('Permission to write to the blueprint folder was denied');
     }
 
-    return 'not-installed';
-  }, [localBlueprints, formatTitleToFilename, extractBaseName, normalizeKey]);
+    const updatedBlueprints = new Map(localBlueprintsRef.current);
 
-   // Cache a downloaded blueprint without needing folder sync
-  const cacheDownloadedBlueprint = useCallback((blueprint) => {
-    if (!blueprint || !blueprint.file_url) return;
+    for (const { filename, blob, partNumber } of files) {
+      const existing = findInstalledFile(buildLocalIndex(updatedBlueprints), blueprint, partNumber);
+      const path = existing ? existing.path : filename;
 
-    const urlParts = blueprint.file_url.split('/');
-    const downloadFilename = urlParts[urlParts.length - 1];
-    const serverTimestamp = extractTimestampFromFilename(downloadFilename);
-    
-    if (!serverTimestamp) return;
-    
-    const baseName = extractBaseName(downloadFilename);
-    const normalizedKey = normalizeKey(baseName);
-    
-    const updatedBlueprints = new Map(localBlueprints);
-    
-    if (updatedBlueprints.has(normalizedKey)) {
-      const existing = updatedBlueprints.get(normalizedKey);
-      if (serverTimestamp <= existing.serverTimestamp) {
-        return;
-      }
+      const written = await writeFolderFile(folderHandle, path, blob);
+      updatedBlueprints.set(path, await scanBlueprintFile(written, path));
     }
-    
-    updatedBlueprints.set(normalizedKey, {
-      filename: downloadFilename,
-      serverTimestamp,
-      lastModified: Date.now(),
-      lastModifiedDate: new Date(),
-      size: 0,
-      path: 'downloaded',
+
+    // Keep the ref current so back-to-back installs (update all) build on each other
+    localBlueprintsRef.current = updatedBlueprints;
+    setLocalBlueprints(updatedBlueprints);
+    try {
+      persistLocalBlueprints(updatedBlueprints);
+    } catch (storageError) {
+      console.error('Error saving to localStorage:', storageError);
+    }
+    console.log(`📥 Installed ${files.length} file(s) for: ${blueprint.title}`);
+  }, [folderHandle]);
+
+  const localIndex = useMemo(() => buildLocalIndex(localBlueprints), [localBlueprints]);
+
+  /**
+   * Per-part install status of a multi-part blueprint
+   * @returns {Array<{part_number: number, status: string}>}
+   */
+  const getPartInstallStatuses = useCallback((blueprint) => {
+    if (!blueprint || localBlueprints.size === 0) {
+      return [];
+    }
+    return getBlueprintInstallStatus(blueprint, localIndex).parts;
+  }, [localBlueprints, localIndex]);
+
+  // Compare remote blueprint with local files by payload hash
+  const getInstallStatus = useCallback((blueprint) => {
+    if (!blueprint || !blueprint.title || localBlueprints.size === 0) {
+      return 'not-installed';
+    }
+    return getBlueprintInstallStatus(blueprint, localIndex).status;
+  }, [localBlueprints, localIndex]);
+
+  // Cache a downloaded blueprint without needing folder sync
+  const cacheDownloadedBlueprint = useCallback((blueprint, partNumber = null) => {
+    if (!blueprint) return;
+
+    const files = blueprint.is_multi_part && Array.isArray(blueprint.parts)
+      ? blueprint.parts
+          .filter(part => partNumber === null || part.part_number === partNumber)
+          .map(part => ({ filename: part.filename || `${blueprint.slug || blueprint.id}_part${part.part_number}.png`, hash: part.file_hash || null, part: part.part_number }))
+      : [{ filename: blueprint.file_url ? blueprint.file_url.split('/').pop() : `${blueprint.slug || blueprint.id}.png`, hash: blueprint.filehash || null, part: null }];
+
+    const updatedBlueprints = new Map(localBlueprints);
+
+    files.forEach(file => {
+      updatedBlueprints.set(`downloaded/${blueprint.id}/${file.part ?? 0}`, {
+        filename: file.filename,
+        lastModified: Date.now(),
+        lastModifiedDate: new Date(),
+        size: 0,
+        path: 'downloaded',
+        payloadHash: file.hash,
+        fileHash: null,
+        hubId: blueprint.id,
+        hubVersion: Number.isInteger(blueprint.version) ? blueprint.version : 1,
+        hubPart: file.part,
+        downloadedHash: file.hash,
+      });
     });
     
     setLocalBlueprints(updatedBlueprints);
     
     // Save to localStorage for persistence
     try {
-      const dataToStore = Array.from(updatedBlueprints.entries());
-      localStorage.setItem('blueprintFolderData', JSON.stringify(dataToStore));
+      persistLocalBlueprints(updatedBlueprints);
       console.log(`📥 Cached downloaded blueprint: ${blueprint.title}`);
     } catch (storageError) {
       console.error('Error caching downloaded blueprint:', storageError);
     }
-  }, [localBlueprints, extractTimestampFromFilename, extractBaseName, normalizeKey]);
+  }, [localBlueprints]);
 
   const clearFolderSelection = useCallback(() => {
     setLocalBlueprints(new Map());
+    setFolderHandle(null);
+    folderFilesRef.current = [];
+    clearFolderHandle();
     localStorage.removeItem('blueprintFolderData');
     localStorage.removeItem('blueprintFolderSyncTime');
     console.log('🗑️ Folder sync cleared');
@@ -236,10 +303,17 @@ export function BlueprintFolderProvider({ children }) {
     localBlueprints,
     isScanning,
     handleFolderSelect,
+    pickFolder,
+    refreshFolder,
+    getFolderFiles,
+    requestFolderWriteAccess,
+    installBlueprintFiles,
     getInstallStatus,
+    getPartInstallStatuses,
     cacheDownloadedBlueprint,
     clearFolderSelection,
     hasFolderSelected: localBlueprints.size > 0,
+    hasWritableFolder: !!folderHandle,
   };
 
   return (
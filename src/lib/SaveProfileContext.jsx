@@ -0,0 +1,101 @@
+import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import {
+  initSaveProfiles,
+  listSaveProfiles,
+  createSaveProfile,
+  renameSaveProfile,
+  deleteSaveProfile,
+  switchSaveProfile,
+  saveSaveData,
+  clearSaveData,
+  getActiveProfileId,
+  getSaveData,
+  getSaveMetadata,
+} from './saveManager';
+import { isIndexedDbAvailable } from './indexedDbStore';
+import { listSaveSnapshots } from './saveSnapshots';
+
+const SaveProfileContext = createContext(null);
+
+export function SaveProfileProvider({ children }) {
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [saveData, setSaveData] = useState(null);
+  const [saveMetadata, setSaveMetadata] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [isReady, setIsReady] = useState(false);
+
+  // Pull the list and the in-memory active save back out of saveManager after any change
+  const refresh = useCallback(async () => {
+    setProfiles(await listSaveProfiles());
+    setActiveProfileId(getActiveProfileId());
+    setSaveData(getSaveData());
+    setSaveMetadata(getSaveMetadata());
+    setSnapshots(await listSaveSnapshots(getActiveProfileId()));
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    initSaveProfiles().then(() => {
+      if (cancelled) return;
+      refresh().finally(() => setIsReady(true));
+    });
+    return () => { cancelled = true; };
+  }, [refresh]);
+
+  const runAndRefresh = useCallback(async (action) => {
+    const result = await action();
+    await refresh();
+    return result;
+  }, [refresh]);
+
+  // New profiles become active so the next sync goes into them
+  const createProfile = useCallback((name) => runAndRefresh(async () => {
+    const result = await createSaveProfile(name);
+    if (result.success) {
+      await switchSaveProfile(result.profile.id);
+    }
+    return result;
+  }), [runAndRefresh]);
+
+  const renameProfile = useCallback((profileId, name) => runAndRefresh(() => renameSaveProfile(profileId, name)), [runAndRefresh]);
+  const deleteProfile = useCallback((profileId) => runAndRefresh(() => deleteSaveProfile(profileId)), [runAndRefresh]);
+  const switchProfile = useCallback((profileId) => runAndRefresh(() => switchSaveProfile(profileId)), [runAndRefresh]);
+  const storeSave = useCallback((data, saveName) => runAndRefresh(() => saveSaveData(data, saveName)), [runAndRefresh]);
+  const clearSave = useCallback(() => runAndRefresh(() => clearSaveData()), [runAndRefresh]);
+
+  const value = {
+    profiles,
+    activeProfileId,
+    activeProfile: profiles.find(profile => profile.id === activeProfileId) || null,
+    saveData,
+    saveMetadata,
+    hasSave: saveData !== null,
+    // False without IndexedDB: a single save is kept and each load replaces it
+    profilesSupported: isIndexedDbAvailable(),
+    // Progression history of the active profile, oldest first; the one before the latest is the "last sync"
+    snapshots,
+    previousSnapshot: snapshots.length >= 2 ? snapshots[snapshots.length - 2] : null,
+    isReady,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    switchProfile,
+    storeSave,
+    clearSave,
+  };
+
+  return (
+    <SaveProfileContext.Provider value={value}>
+      {children}
+    </SaveProfileContext.Provider>
+  );
+}
+
+export function useSaveProfiles() {
+  const context = useContext(SaveProfileContext);
+  if (!context) {
+    throw new Error('useSaveProfiles must be used within SaveProfileProvider');
+  }
+  return context;
+}
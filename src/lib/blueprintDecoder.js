@@ -0,0 +1,119 @@
+/**
+ * Local Blueprint Decoder
+ * Runs the payload decoder in a shared Web Worker so uploads get their stats
+ * without a round trip to the remote parser
+ */
+
+import { extractBlueprintPayload } from './pngBlueprintExtractor';
+import { decodeBlueprintPayload } from './blueprintPayloadDecoder';
+import { hashBlueprintPayload } from './pngBlueprintMetadata';
+
+let decoderWorker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+// Payload hash -> decode promise, so re-selecting a file (or one with only a new preview) skips the worker
+const MAX_CACHED_DECODES = 50;
+const decodeCache = new Map();
+
+function getDecoderWorker() {
+  if (typeof Worker === 'undefined') return null;
+
+  if (!decoderWorker) {
+    decoderWorker = new Worker(new URL('./blueprintDecoder.worker.js', import.meta.url), { type: 'module' });
+
+    decoderWorker.onmessage = (event) => {
+      const { id, ok, result, error } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      pendingRequests.delete(id);
+      if (ok) {
+        request.resolve(result);
+      } else {
+        request.reject(new Error(error));
+      }
+    };
+
+    decoderWorker.onerror = (event) => {
+      console.error('[Decoder] Worker failed:', event.message);
+      pendingRequests.forEach(request => request.reject(new Error('Blueprint decoder worker failed')));
+      pendingRequests.clear();
+      decoderWorker.terminate();
+      decoderWorker = null;
+    };
+  }
+
+  return decoderWorker;
+}
+
+function decodeInWorker(buffer) {
+  const worker = getDecoderWorker();
+
+  // No worker support (e.g. some test environments) - decode inline
+  if (!worker) {
+    return Promise.resolve(decodeBlueprintPayload(extractBlueprintPayload(buffer)));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { resolve, reject });
+    worker.postMessage({ id, buffer }, [buffer]);
+  });
+}
+
+async function decodeBuffer(buffer) {
+  try {
+    const result = await decodeInWorker(buffer);
+
+    if (!result.supported) {
+      console.log(`[Decoder] Payload version ${result.version ?? 'unknown'} not supported locally`);
+      return null;
+    }
+
+    return {
+      parsed: result.parsed,
+      version: result.version,
+    };
+  } catch (error) {
+    console.warn('[Decoder] Local decode failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Decode a blueprint PNG locally
+ * Returns null when the payload version is not recognised or decoding fails,
+ * so callers can fall back to the remote parser. Successful results are cached by payload hash.
+ * `parsed` is the decoder's raw output: writers check it strictly, views sanitize it with validateParsedData.
+ *
+ * @param {File|Blob} file - Blueprint PNG (full or stripped)
+ * @returns {Promise<{parsed: Object, version: number}|null>}
+ */
+export async function decodeBlueprintFile(file) {
+  let buffer;
+  let hash;
+  try {
+    buffer = await file.arrayBuffer();
+    // Hash before the buffer is transferred to the worker
+    hash = await hashBlueprintPayload(new Uint8Array(buffer));
+  } catch (error) {
+    console.warn('[Decoder] Could not read blueprint file:', error.message);
+    return null;
+  }
+
+  if (!decodeCache.has(hash)) {
+    if (decodeCache.size >= MAX_CACHED_DECODES) {
+      decodeCache.delete(decodeCache.keys().next().value);
+    }
+    const decoding = decodeBuffer(buffer);
+    decodeCache.set(hash, decoding);
+    // Only successful decodes stay cached; failures and unsupported payloads are retried next time
+    decoding.then(result => {
+      if (!result && decodeCache.get(hash) === decoding) {
+        decodeCache.delete(hash);
+      }
+    });
+  }
+  return decodeCache.get(hash);
+}
@@ -0,0 +1,19 @@
+/**
+ * Web Worker that decodes blueprint PNGs off the main thread
+ * Messages: { id, buffer } -> { id, ok, result } | { id, ok: false, error }
+ */
+
+import { extractBlueprintPayload } from './pngBlueprintExtractor';
+import { decodeBlueprintPayload } from './blueprintPayloadDecoder';
+
+self.onmessage = (event) => {
+  const { id, buffer } = event.data;
+
+  try {
+    const payload = extractBlueprintPayload(buffer);
+    const result = decodeBlueprintPayload(payload);
+    self.postMessage({ id, ok: true, result });
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: error.message });
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Blueprint Folder Access
+ * File System Access API helpers: keeps the game's blueprints directory handle in IndexedDB
+ * so the folder can be rescanned and written to without picking it again
+ */
+
+import { STORES, isIndexedDbAvailable, idbGet, idbSet, idbDelete } from './indexedDbStore';
+
+const HANDLE_KEY = 'blueprintFolder';
+const BLUEPRINT_EXTENSIONS = ['.png', '.af'];
+
+export function isFolderAccessSupported() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function' && isIndexedDbAvailable();
+}
+
+export async function loadFolderHandle() {
+  if (!isFolderAccessSupported()) return null;
+  try {
+    return (await idbGet(STORES.HANDLES, HANDLE_KEY)) || null;
+  } catch (error) {
+    console.error('Error loading folder handle:', error);
+    return null;
+  }
+}
+
+export async function saveFolderHandle(handle) {
+  await idbSet(STORES.HANDLES, HANDLE_KEY, handle);
+}
+
+export async function clearFolderHandle() {
+  if (!isIndexedDbAvailable()) return;
+  try {
+    await idbDelete(STORES.HANDLES, HANDLE_KEY);
+  } catch (error) {
+    console.error('Error clearing folder handle:', error);
+  }
+}
+
+/**
+ * Ask the user for the blueprints folder
+ * @returns {Promise<FileSystemDirectoryHandle|null>} - null if the picker was cancelled
+ */
+export async function pickFolderHandle() {
+  try {
+    return await window.showDirectoryPicker({ id: 'blueprints', mode: 'readwrite' });
+  } catch (error) {
+    if (error.name === 'AbortError') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check (and optionally request) read/write permission on a stored handle.
+ * Requesting only works during a user gesture.
+ */
+export async function hasFolderPermission(handle, { request = false } = {}) {
+  const options = { mode: 'readwrite' };
+  if ((await handle.queryPermission(options)) === 'granted') return true;
+  if (!request) return false;
+  return (await handle.requestPermission(options)) === 'granted';
+}
+
+/**
+ * List blueprint files in the folder (recursively)
+ * @returns {Promise<Array<{file: File, path: string}>>} - path is relative to the folder
+ */
+export async function listFolderFiles(handle, prefix = '') {
+  const files = [];
+  for await (const entry of handle.values()) {
+    const path = `${prefix}${entry.name}`;
+    if (entry.kind === 'directory') {
+      files.push(...await listFolderFiles(entry, `${path}/`));
+    } else if (BLUEPRINT_EXTENSIONS.some(ext => entry.name.toLowerCase().endsWith(ext))) {
+      files.push({ file: await entry.getFile(), path });
+    }
+  }
+  return files;
+}
+
+/**
+ * Write a file into the folder, overwriting any existing file at that path
+ * @returns {Promise<File>} - The written file as read back from disk
+ */
+export async function writeFolderFile(handle, path, blob) {
+  const segments = path.split('/');
+  const filename = segments.pop();
+
+  let directory = handle;
+  for (const segment of segments) {
+    directory = await directory.getDirectoryHandle(segment, { create: true });
+  }
+
+  const fileHandle = await directory.getFileHandle(filename, { create: true });
+  const writable = await fileHandle.createWritable();
+  try {
+    await writable.write(blob);
+    await writable.close();
+  } catch (error) {
+    await writable.abort();
+    throw error;
+  }
+  return fileHandle.getFile();
+}
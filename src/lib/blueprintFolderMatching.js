@@ -0,0 +1,189 @@
+/**
+ * Blueprint folder matching
+ * Matches local blueprint files to hub blueprints by content hash (payload or legacy whole-file)
+ * or by the hub id embedded in the afMD chunk; anything else stays unmatched
+ */
+
+import { hashBlueprintPayload, hashBlueprintFile, readBlueprintMetadata } from './pngBlueprintMetadata';
+
+export const extractBaseName = (filename) => {
+  return filename.replace(/\.[^.]+$/, '').replace(/_\d+$/, '');
+};
+
+/**
+ * Read one local blueprint file into a folder entry
+ * payloadHash is the current content hash; downloadedHash is the hash recorded
+ * in the afMD chunk when the file was downloaded from the hub; fileHash is the
+ * whole-file hash legacy hub rows were stored under
+ */
+export async function scanBlueprintFile(file, path = file.webkitRelativePath || file.name) {
+  const filename = file.name;
+  const entry = {
+    filename,
+    lastModified: file.lastModified,
+    lastModifiedDate: new Date(file.lastModified),
+    size: file.size,
+    path,
+    payloadHash: null,
+    fileHash: null,
+    hubId: null,
+    hubVersion: null,
+    hubPart: null,
+    downloadedHash: null,
+  };
+
+  if (!filename.toLowerCase().endsWith('.png')) {
+    return entry;
+  }
+
+  try {
+    entry.payloadHash = await hashBlueprintPayload(file);
+    entry.fileHash = await hashBlueprintFile(file);
+  } catch (error) {
+    console.warn(`Could not hash ${filename}:`, error.message);
+  }
+
+  const metadata = await readBlueprintMetadata(file);
+  if (metadata) {
+    entry.hubId = metadata.blueprintId;
+    entry.hubVersion = metadata.version;
+    entry.hubPart = metadata.part;
+    entry.downloadedHash = metadata.payloadHash;
+  }
+
+  return entry;
+}
+
+/**
+ * Bring a folder entry cached before content hashing up to the current shape.
+ * Without hashes or hub metadata it stays unmatched until the folder is synced again.
+ */
+export function migrateCachedEntry(entry) {
+  return {
+    payloadHash: null,
+    fileHash: null,
+    hubId: null,
+    hubVersion: null,
+    hubPart: null,
+    downloadedHash: null,
+    ...entry,
+  };
+}
+
+// Hashes a hub row may store for this local file: the payload hash, or the whole-file hash of legacy rows
+export const getEntryHashes = (entry) => [...new Set([entry.payloadHash, entry.fileHash].filter(Boolean))];
+
+function addToIndex(map, key, entry) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(entry);
+}
+
+// Lookup tables over the scanned folder entries
+export function buildLocalIndex(localBlueprints) {
+  const byHash = new Map();
+  const byHubId = new Map();
+
+  for (const entry of localBlueprints.values()) {
+    getEntryHashes(entry).forEach(hash => addToIndex(byHash, hash, entry));
+    addToIndex(byHubId, entry.hubId, entry);
+  }
+
+  return { byHash, byHubId };
+}
+
+// Local files that claim to be this blueprint (part) via their embedded hub metadata
+function findCandidates(index, blueprint, partNumber) {
+  return (index.byHubId.get(blueprint.id) || [])
+    .filter(entry => partNumber === null || entry.hubPart === partNumber);
+}
+
+/**
+ * Status of one file (single-part blueprint or one part)
+ * - installed: a local file has exactly the hub content
+ * - modified-locally: the local copy changed since it was downloaded
+ * - update-available: the local copy is an older hub version
+ */
+function resolveFileStatus(index, blueprint, remoteHash, partNumber) {
+  if (remoteHash && index.byHash.has(remoteHash)) {
+    return 'installed';
+  }
+
+  const candidates = findCandidates(index, blueprint, partNumber);
+  if (candidates.length === 0) {
+    return 'not-installed';
+  }
+
+  const untouched = candidates.filter(entry => !entry.downloadedHash || entry.downloadedHash === entry.payloadHash);
+  if (untouched.length === 0) {
+    return 'modified-locally';
+  }
+
+  if (!remoteHash) {
+    // Legacy rows without a stored hash: fall back to version numbers
+    const remoteVersion = Number.isInteger(blueprint.version) ? blueprint.version : 1;
+    const outdated = untouched.every(entry => entry.hubVersion !== null && entry.hubVersion < remoteVersion);
+    return outdated ? 'update-available' : 'installed';
+  }
+
+  return 'update-available';
+}
+
+// Stored hash of one file (single-part blueprint or one part)
+function getRemoteHash(blueprint, partNumber) {
+  if (partNumber === null || !blueprint.is_multi_part || !Array.isArray(blueprint.parts)) {
+    return blueprint.filehash;
+  }
+  return blueprint.parts.find(p => p.part_number === partNumber)?.file_hash;
+}
+
+/**
+ * Local file an install of this blueprint (part) should overwrite, found by the same rules
+ * as the install status: exact content hash, then embedded hub metadata.
+ * Files cached from a browser download have no real path and are never returned.
+ *
+ * @param {Object} index - from buildLocalIndex
+ * @param {Object} blueprint - Blueprint row
+ * @param {number|null} partNumber - Part number, or null for single-part blueprints
+ * @returns {Object|null} - Folder entry
+ */
+export function findInstalledFile(index, blueprint, partNumber) {
+  const hash = getRemoteHash(blueprint, partNumber);
+  const onDisk = (entries) => (entries || []).find(entry => entry.path !== 'downloaded') || null;
+  return (hash && onDisk(index.byHash.get(hash)))
+    || onDisk(findCandidates(index, blueprint, partNumber));
+}
+
+/**
+ * Install status of a hub blueprint against the scanned folder
+ *
+ * @returns {{status: string, parts: Array<{part_number: number, status: string}>}}
+ */
+export function getBlueprintInstallStatus(blueprint, index) {
+  if (!blueprint.is_multi_part || !Array.isArray(blueprint.parts)) {
+    return {
+      status: resolveFileStatus(index, blueprint, blueprint.filehash, null),
+      parts: [],
+    };
+  }
+
+  const parts = blueprint.parts.map(part => ({
+    part_number: part.part_number,
+    status: resolveFileStatus(index, blueprint, part.file_hash, part.part_number),
+  }));
+
+  const statuses = parts.map(p => p.status);
+  let status = 'not-installed';
+  if (statuses.includes('update-available')) {
+    status = 'update-available';
+  } else if (statuses.includes('modified-locally')) {
+    status = 'modified-locally';
+  } else if (statuses.every(s => s === 'installed')) {
+    status = 'installed';
+  } else if (statuses.includes('installed')) {
+    // Some parts are missing locally
+    status = 'update-available';
+  }
+
+  return { status, parts };
+}
@@ -180,6 +180,9 @@ export const BUILDING_MAPPINGS = {
   LiquidSupplier: { id: "liquidsupplier", name: "Liquid Supplier" },
 };
 
+// Display name of a material or building parser key, or the key itself if unmapped
+export const getItemDisplayName = (key) => MATERIAL_MAPPINGS[key]?.name || BUILDING_MAPPINGS[key]?.name || key;
+
 // Transform parsed materials data from the parser API to our format
 export function transformParsedMaterials(parsedMaterials) {
   if (!parsedMaterials || typeof parsedMaterials !== 'object' || Array.isArray(parsedMaterials)) {
@@ -1,127 +1,200 @@
-const PARSER_API_URL = "https://alchemy-save-parser.faulty.ws/queueBlueprint";
-const SITE_ID = "alchemy-factory-blueprints.vercel.app";
+import { decodeBlueprintFile } from "./blueprintDecoder";
+import { supabase } from "./supabase";
+import { LOCAL_DECODER_VERSION, stampParserVersion } from "./parserVersion";
 
-const getParserSecret = () => {
-  const secret = import.meta.env.VITE_PARSER_API_KEY;
-  if (!secret) {
-    console.error("VITE_PARSER_API_KEY environment variable is not set");
-    throw new Error("Parser configuration error");
-  }
-  return secret;
+const QUEUE_PARSE_URL = "/api/queue-parse";
+
+const PARSE_JOB_POLL_INTERVAL = 2000;
+const PARSE_JOB_WAIT_TIMEOUT = 60000;
+
+export const PARSE_JOB_STATUS = {
+  QUEUED: "queued",
+  PARSING: "parsing",
+  DONE: "done",
+  FAILED: "failed",
 };
 
-export async function sendBlueprintToParser(file, blueprintId = null, retries = 3, waitForParsing = false) {
-  try {
-    console.log(`[Parser] Processing: ${file.name} (${(file.size / 1024).toFixed(2)} KB)`);
-    
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        // Read file as binary buffer
-        const fileBuffer = await file.arrayBuffer();
-        
-        const formData = new FormData();
-        // Create a Blob with proper binary type
-        formData.append("file", new Blob([fileBuffer], { type: 'application/octet-stream' }), file.name);
-        formData.append("siteId", SITE_ID);
-        
-        if (blueprintId) {
-          formData.append("customId", blueprintId);
-        }
-        
-        // Build webhook URL as query parameter
-        const baseUrl = import.meta.env.VITE_NGROK_URL || window.location.origin;
-        let webhookUrl = `${baseUrl}/api/blueprint-parsed`;
-        
-        const parserUrl = new URL(PARSER_API_URL);
-        parserUrl.searchParams.append("webhookUrl", webhookUrl);
-        console.log(`[Parser] Webhook URL: ${webhookUrl}`);
-
-        const response = await fetch(parserUrl.toString(), {
-          method: "POST",
-          headers: {
-            "x-alchemy-secret": getParserSecret(),
-          },
-          body: formData,
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`[Parser] Error (${response.status}): ${errorText}`);
-          
-          // Retry on 5xx errors or timeout
-          if (response.status >= 500 || response.status === 408) {
-            if (attempt < retries) {
-              console.log(`[Parser] Retrying...`);
-              await new Promise(resolve => setTimeout(resolve, 1000));
-              continue;
-            }
-          }
-          throw new Error(`Parser API error: ${response.status} - ${errorText}`);
-        }
-
-        const data = await response.json();
-        console.log(`[Parser] Response: ${data.duplicate ? 'cached' : 'new'}, queued=${data.queued}, parsed=${data.parsed ? '✓' : '✗'}`);
-        
-        // If parser queued it and we need to wait for parsing, poll until it's done
-        if (data.queued && waitForParsing) {
-          console.log(`[Parser] Processing in background... waiting for completion`);
-          const maxWaitTime = 30000; // 30 seconds max
-          const pollInterval = 2000; // Poll every 2 seconds
-          const startTime = Date.now();
-          
-          while (Date.now() - startTime < maxWaitTime) {
-            await new Promise(resolve => setTimeout(resolve, pollInterval));
-            
-            // Resubmit to see if it's now cached/processed
-            try {
-              const pollBuffer = await file.arrayBuffer();
-              const pollFormData = new FormData();
-              pollFormData.append("file", new Blob([pollBuffer], { type: 'application/octet-stream' }), file.name);
-              pollFormData.append("siteId", SITE_ID);
-              if (blueprintId) {
-                pollFormData.append("customId", blueprintId);
-              }
-              
-              const pollResponse = await fetch(parserUrl.toString(), {
-                method: "POST",
-                headers: {
-                  "x-alchemy-secret": getParserSecret(),
-                },
-                body: pollFormData,
-              });
-              
-              if (pollResponse.ok) {
-                const pollData = await pollResponse.json();
-                
-                // If we got parsed data back, return it
-                if (pollData.duplicate && pollData.parsed) {
-                  console.log(`[Parser] ✓ Complete! Blueprint data parsed successfully`);
-                  return pollData;
-                }
-              }
-            } catch (pollError) {
-              // Silently continue polling on error
-            }
-          }
-          
-          console.log(`[Parser] Processing continues in background (will complete shortly)`);
-          return data;
-        }
-        
-        return data;
-      } catch (error) {
-        if (attempt < retries && (error.message.includes("Failed to fetch") || error.message.includes("NetworkError"))) {
-          console.log(`[Parser] Network error, retrying...`);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          continue;
-        }
-        throw error;
+/**
+ * Send a blueprint file to the parser through /api/queue-parse, which checks the session and blueprint
+ * ownership and holds the parser secret. For hub blueprints the server also opens (or reopens, when
+ * `job` is a failed job being retried) the parse job and returns it as `job`.
+ *
+ * Errors carry the job as `error.job` when the server recorded the failure on one.
+ */
+export async function sendBlueprintToParser(file, blueprintId = null, retries = 3, { partNumber = null, job = null } = {}) {
+  console.log(`[Parser] Processing: ${file.name} (${(file.size / 1024).toFixed(2)} KB)`);
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.access_token) {
+    throw new Error("You must be logged in to parse blueprints");
+  }
+
+  const url = new URL(QUEUE_PARSE_URL, window.location.origin);
+  url.searchParams.append("filename", file.name);
+  if (blueprintId) {
+    url.searchParams.append("blueprintId", blueprintId);
+  }
+  if (partNumber) {
+    url.searchParams.append("partNumber", String(partNumber));
+  }
+  if (job?.id) {
+    url.searchParams.append("jobId", job.id);
+  }
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    let response;
+    try {
+      response = await fetch(url.toString(), {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${session.access_token}`,
+          "Content-Type": "application/octet-stream",
+        },
+        body: file,
+      });
+    } catch (error) {
+      // Network errors never reach the server, so no job was touched and resending is safe
+      if (attempt < retries) {
+        console.log(`[Parser] Network error, retrying...`);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        continue;
+      }
+      console.error("[Parser] Error:", error.message);
+      throw error;
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.error(`[Parser] Error (${response.status}): ${data.error || "Unknown error"}`);
+      const error = new Error(data.error || `Parser API error: ${response.status}`);
+      error.job = data.job || null;
+      throw error;
+    }
+
+    console.log(`[Parser] Response: ${data.duplicate ? 'cached' : 'new'}, queued=${data.queued}, parsed=${data.parsed ? '✓' : '✗'}`);
+    return data;
+  }
+}
+
+export async function getParseJobStatus(jobId) {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.access_token) {
+    throw new Error("You must be logged in to check parse jobs");
+  }
+
+  const response = await fetch(`/api/parse-status?jobId=${encodeURIComponent(jobId)}`, {
+    headers: { "Authorization": `Bearer ${session.access_token}` },
+  });
+  if (!response.ok) {
+    throw new Error(`Parse status error: ${response.status}`);
+  }
+  const { job } = await response.json();
+  return job;
+}
+
+/**
+ * Poll /api/parse-status until the job is done or failed (or the wait times out)
+ * @returns {Promise<Object>} - Last known job state
+ */
+export async function waitForParseJob(jobId, onUpdate = null, timeout = PARSE_JOB_WAIT_TIMEOUT) {
+  const startTime = Date.now();
+  let job = null;
+
+  while (Date.now() - startTime < timeout) {
+    await new Promise(resolve => setTimeout(resolve, PARSE_JOB_POLL_INTERVAL));
+    try {
+      job = await getParseJobStatus(jobId);
+      onUpdate?.(job);
+      if (job.status === PARSE_JOB_STATUS.DONE || job.status === PARSE_JOB_STATUS.FAILED) {
+        return job;
       }
+    } catch (error) {
+      // Keep polling through transient errors
+      console.warn("[Parser] Status check failed:", error.message);
     }
+  }
+
+  console.log(`[Parser] Processing continues in background (will complete shortly)`);
+  return job;
+}
+
+/**
+ * Decode the blueprint in the browser when the payload version is known, otherwise use the remote parser.
+ * Local results use the same response shape as a cached parser hit, stamped LOCAL_DECODER_VERSION.
+ * For a hub blueprint the file is still queued with the parser, whose webhook result replaces the
+ * local one.
+ *
+ * Remote parses for a hub blueprint are tracked as a parse job. With waitForParsing the job is
+ * watched through /api/parse-status (the file is never resent); onJobUpdate receives each state.
+ * Pass an existing failed job as `job` to retry it.
+ */
+export async function parseBlueprint(file, blueprintId = null, retries = 3, waitForParsing = false, { partNumber = null, job = null, onJobUpdate = null } = {}) {
+  const decoded = await decodeBlueprintFile(file);
+  const fileHash = await calculateFileHash(file);
+
+  if (decoded) {
+    console.log(`[Parser] Decoded locally (payload v${decoded.version}): ${file.name}`);
+    const local = {
+      duplicate: true,
+      queued: false,
+      local: true,
+      parsed: stampParserVersion(decoded.parsed, LOCAL_DECODER_VERSION),
+      fileHash,
+    };
+    const jobId = blueprintId ? await confirmLocalDecode(file, blueprintId, retries, { partNumber, job }) : null;
+    onJobUpdate?.({ id: jobId || job?.id || null, partNumber, status: PARSE_JOB_STATUS.DONE, attempts: 1, error: null });
+    return { ...local, jobId };
+  }
+
+  if (!blueprintId) {
+    return sendBlueprintToParser(file, null, retries);
+  }
+
+  onJobUpdate?.({ id: job?.id || null, partNumber, status: PARSE_JOB_STATUS.QUEUED, attempts: (job?.attempts || 0) + 1, error: null });
+
+  let data;
+  try {
+    data = await sendBlueprintToParser(file, blueprintId, retries, { partNumber, job });
   } catch (error) {
-    console.error("[Parser] Error:", error.message);
+    onJobUpdate?.(error.job || { id: job?.id || null, partNumber, status: PARSE_JOB_STATUS.FAILED, attempts: (job?.attempts || 0) + 1, error: error.message });
     throw error;
   }
+
+  const currentJob = data.job;
+  onJobUpdate?.(currentJob);
+
+  if (currentJob.status === PARSE_JOB_STATUS.DONE) {
+    return { ...data, jobId: currentJob.id };
+  }
+
+  // The parser accepted the file; the webhook reports the result
+  if (!waitForParsing) {
+    return { ...data, jobId: currentJob.id };
+  }
+
+  console.log(`[Parser] Processing in background... waiting for completion`);
+  const finalJob = await waitForParseJob(currentJob.id, onJobUpdate) || currentJob;
+
+  if (finalJob.status === PARSE_JOB_STATUS.DONE) {
+    // The webhook already stored the parsed data on the blueprint
+    return { ...data, queued: false, completed: true, jobId: finalJob.id };
+  }
+  if (finalJob.status === PARSE_JOB_STATUS.FAILED) {
+    return { ...data, queued: false, failed: true, error: finalJob.error, jobId: finalJob.id };
+  }
+  return { ...data, jobId: finalJob.id };
+}
+
+// Queue the remote parse behind a local decode without waiting for it; the local result stays until then
+async function confirmLocalDecode(file, blueprintId, retries, { partNumber, job }) {
+  try {
+    const data = await sendBlueprintToParser(file, blueprintId, retries, { partNumber, job });
+    return data.job?.id || null;
+  } catch (error) {
+    console.warn(`[Parser] Could not queue ${file.name} to confirm the local decode:`, error.message);
+    return null;
+  }
 }
 
 export async function calculateFileHash(file) {
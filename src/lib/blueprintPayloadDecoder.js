@@ -0,0 +1,112 @@
+/**
+ * Blueprint Payload Decoder
+ * Reads the Unreal-style serialized payload stored after a blueprint PNG's IEND chunk
+ * and builds the same parsed object the remote alchemy-save-parser returns
+ */
+
+import { CURRENT_SCHEMA_VERSION } from './parsedDataSchema';
+import { UnrealReader, readPropertyList } from './unrealPropertyReader';
+
+// Payload versions this decoder understands - anything else goes to the remote parser
+export const SUPPORTED_PAYLOAD_VERSIONS = [1, 2];
+
+function toCountMap(value) {
+  const result = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return result;
+
+  for (const [key, count] of Object.entries(value)) {
+    if (Number.isInteger(count) && count > 0) {
+      result[key] = count;
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the parser-compatible object from the decoded property tree
+ * Buildings and material costs are summed from the placed constructs
+ */
+function buildParsedData(properties) {
+  const constructs = Array.isArray(properties.Constructs) ? properties.Constructs : [];
+
+  const Buildings = {};
+  const Materials = {};
+  const BuildingBreakdownCost = {};
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let minTier = 0;
+
+  constructs.forEach(construct => {
+    const buildingName = construct.ConstructId;
+    if (typeof buildingName !== 'string' || !buildingName) return;
+
+    Buildings[buildingName] = (Buildings[buildingName] || 0) + 1;
+
+    Object.entries(toCountMap(construct.Cost)).forEach(([materialName, cost]) => {
+      Materials[materialName] = (Materials[materialName] || 0) + cost;
+      if (!BuildingBreakdownCost[buildingName]) {
+        BuildingBreakdownCost[buildingName] = {};
+      }
+      BuildingBreakdownCost[buildingName][materialName] =
+        (BuildingBreakdownCost[buildingName][materialName] || 0) + cost;
+    });
+
+    const location = construct.GridLocation;
+    if (location && Number.isFinite(location.x) && Number.isFinite(location.y)) {
+      minX = Math.min(minX, location.x);
+      minY = Math.min(minY, location.y);
+      maxX = Math.max(maxX, location.x);
+      maxY = Math.max(maxY, location.y);
+    }
+
+    if (Number.isInteger(construct.Tier) && construct.Tier > minTier) {
+      minTier = construct.Tier;
+    }
+  });
+
+  const parsed = {
+    Materials,
+    Buildings,
+    BuildingBreakdownCost,
+    SupplyItems: toCountMap(properties.SupplyItems),
+    Recipes: toCountMap(properties.Recipes),
+    MinTierRequired: minTier,
+    InventorySlotsRequired: Object.keys(Materials).length,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+  };
+
+  const gridArea = properties.GridArea;
+  if (gridArea && Number.isInteger(gridArea.x) && Number.isInteger(gridArea.y)) {
+    parsed.GridArea = { x: gridArea.x, y: gridArea.y };
+  } else if (minX !== Infinity) {
+    parsed.GridArea = { x: Math.round(maxX - minX) + 1, y: Math.round(maxY - minY) + 1 };
+  }
+
+  ['Title', 'Description', 'ItemName', 'Icon', 'Color'].forEach(key => {
+    if (typeof properties[key] === 'string' && properties[key]) {
+      parsed[key] = properties[key];
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Decode the bytes following IEND (starting at the UploadedImage property)
+ *
+ * @param {Uint8Array} payload - Blueprint payload bytes
+ * @returns {{supported: boolean, version: number|null, parsed: Object|null}}
+ */
+export function decodeBlueprintPayload(payload) {
+  const reader = new UnrealReader(payload);
+  const properties = readPropertyList(reader);
+
+  const version = Number.isInteger(properties.BlueprintVersion) ? properties.BlueprintVersion : null;
+  if (!SUPPORTED_PAYLOAD_VERSIONS.includes(version)) {
+    return { supported: false, version, parsed: null };
+  }
+
+  return { supported: true, version, parsed: buildParsedData(properties) };
+}
@@ -2,25 +2,118 @@ import { supabase } from "./supabase";
 import { uploadToCloudinary } from "./cloudinary";
 import { deleteCloudinaryImage } from "./cloudinaryDelete";
 import { put } from "@vercel/blob";
-import { sendBlueprintToParser } from "./blueprintParser";
+import { parseBlueprint } from "./blueprintParser";
 import { handleError, handleSuccess, logError } from "./errorHandler";
+import { isValidUUID } from "./sanitization";
+import { upgradeParsedData, validateParsedDataStrict, formatSchemaErrors } from "./parsedDataSchema";
+
+// GET a cached read endpoint; the browser revalidates with the ETag, so repeat loads are 304s
+async function fetchApiJson(path) {
+  const response = await fetch(path);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed (${response.status})`);
+  }
+  return body;
+}
 
+/**
+ * BLUEPRINT QUERIES
+ * Fetch a page of lean gallery rows from /api/blueprints, or ranked hits from /api/search when searching
+ * (sort "relevance" is only valid with a search; hits carry a `highlight`)
+ * @param {Object} params - { sort, tags: string[], excludeTags: string[], search, creator, ids: string[] | null,
+ *   items: { buildings: {include, exclude}, materials: {include, exclude} },
+ *   bounds: { tierMin, tierMax, partsMin, partsMax, sizeMinX, sizeMinY, sizeMaxX, sizeMaxY }, page, pageSize, all }
+ * @returns {Promise<{success, data: {blueprints, total, page, pageSize, truncated}}>}
+ */
+export async function fetchBlueprintFeed({ sort = "newest", tags = [], excludeTags = [], search = "", creator = "", ids = null, items = null, bounds = {}, page = 1, pageSize, all = false } = {}) {
+  try {
+    const query = new URLSearchParams({ sort });
+    if (tags.length > 0) query.set("tags", tags.join(","));
+    if (excludeTags.length > 0) query.set("excludeTags", excludeTags.join(","));
+    if (search) query.set("q", search);
+    if (creator) query.set("creator", creator);
+    // An empty list still goes out: no bookmarks means no matches
+    if (ids) query.set("ids", ids.join(","));
+    if (items) {
+      [["buildings", "Buildings"], ["materials", "Materials"]].forEach(([field, suffix]) => {
+        if (items[field].include.length > 0) query.set(field, items[field].include.join(","));
+        if (items[field].exclude.length > 0) query.set(`exclude${suffix}`, items[field].exclude.join(","));
+      });
+    }
+    Object.entries(bounds).forEach(([name, value]) => query.set(name, String(value)));
+    if (all) {
+      query.set("all", "1");
+    } else {
+      query.set("page", String(page));
+      if (pageSize) query.set("pageSize", String(pageSize));
+    }
+
+    return handleSuccess(await fetchApiJson(`${search ? "/api/search" : "/api/blueprints"}?${query}`));
+  } catch (error) {
+    return handleError(error, 'FETCH_BLUEPRINT_FEED', { sort, page });
+  }
+}
 
 /**
  * BLUEPRINT QUERIES
- * Fetch all blueprints ordered by creation date
+ * Fetch the full row (parsed data included) for the detail view from /api/blueprint
  */
-export async function fetchAllBlueprints() {
+export async function fetchFullBlueprint(blueprintId) {
   try {
-    const { data, error } = await supabase
-      .from("blueprints")
-      .select("*")
-      .order("created_at", { ascending: false });
+    return handleSuccess(await fetchApiJson(`/api/blueprint?id=${encodeURIComponent(blueprintId)}`));
+  } catch (error) {
+    return handleError(error, 'FETCH_FULL_BLUEPRINT', { blueprintId });
+  }
+}
 
-    if (error) throw error;
-    return handleSuccess(data);
+/**
+ * BLUEPRINT QUERIES
+ * Totals across one creator's blueprints (blueprintCount, totalDownloads, totalLikes, ratingCount, averageRating)
+ */
+export async function fetchCreatorStats(userId) {
+  try {
+    return handleSuccess(await fetchApiJson(`/api/creator-stats?userId=${encodeURIComponent(userId)}`));
+  } catch (error) {
+    return handleError(error, 'FETCH_CREATOR_STATS', { userId });
+  }
+}
+
+/**
+ * BLUEPRINT QUERIES
+ * Blueprint count per tag, most used first: [{ tag, count }]
+ */
+export async function fetchPopularTags() {
+  try {
+    const { tags } = await fetchApiJson("/api/popular-tags");
+    return handleSuccess(tags || []);
+  } catch (error) {
+    return handleError(error, 'FETCH_POPULAR_TAGS');
+  }
+}
+
+/**
+ * BLUEPRINT QUERIES
+ * Blueprint count per building and material key, most used first: { buildings: [{ key, count }], materials }
+ */
+export async function fetchItemFacets() {
+  try {
+    const { buildings, materials } = await fetchApiJson("/api/item-facets");
+    return handleSuccess({ buildings: buildings || [], materials: materials || [] });
+  } catch (error) {
+    return handleError(error, 'FETCH_ITEM_FACETS');
+  }
+}
+
+/**
+ * BLUEPRINT QUERIES
+ * Catalogue-wide totals for the gallery dashboard (see /api/catalogue-stats for the shape)
+ */
+export async function fetchCatalogueStats() {
+  try {
+    return handleSuccess(await fetchApiJson("/api/catalogue-stats"));
   } catch (error) {
-    return handleError(error, 'FETCH_BLUEPRINTS');
+    return handleError(error, 'FETCH_CATALOGUE_STATS');
   }
 }
 
@@ -69,6 +162,40 @@ export async function fetchBlueprintByIdentifier(identifier) {
   }
 }
 
+/**
+ * BLUEPRINT QUERIES
+ * Fetch hub blueprints matching local files by payload hash (filehash or any part's file_hash) or embedded hub id
+ */
+export async function fetchBlueprintsForLocalFiles(hashes = [], ids = []) {
+  try {
+    // Values come from local files, so only well-formed hashes/ids reach the filter string
+    const safeHashes = hashes.filter(hash => /^[0-9a-f]{64}$/.test(hash));
+    const safeIds = ids.filter(id => isValidUUID(id));
+    const filters = [
+      ...safeHashes.map(hash => `filehash.eq.${hash}`),
+      ...safeHashes.map(hash => `parts.cs.[{"file_hash":"${hash}"}]`),
+      ...safeIds.map(id => `id.eq.${id}`),
+    ];
+
+    // Keep each request URL short
+    const chunkSize = 40;
+    const results = new Map();
+    for (let i = 0; i < filters.length; i += chunkSize) {
+      const { data, error } = await supabase
+        .from("blueprints")
+        .select("*")
+        .or(filters.slice(i, i + chunkSize).join(","));
+
+      if (error) throw error;
+      (data || []).forEach(blueprint => results.set(blueprint.id, blueprint));
+    }
+
+    return handleSuccess(Array.from(results.values()));
+  } catch (error) {
+    return handleError(error, 'FETCH_BLUEPRINTS_FOR_LOCAL_FILES', { count: hashes.length + ids.length });
+  }
+}
+
 /**
  * BLUEPRINT RATINGS
  * Fetch users ratings for blueprints (returns map of blueprintId -> rating)
@@ -121,6 +248,34 @@ export async function fetchUserLikes(userId) {
 // BLUEPRINT ACTIONS
 // ============================================================================
 
+/**
+ * Report a change written straight to Supabase so the API drops its cached responses for the blueprint.
+ * Never throws: cached entries expire on their own if this fails.
+ * @param {string} event - "parsed" | "upload" | "edit" | "delete" | "rating"
+ */
+export async function notifyBlueprintChanged(blueprintId, event) {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.access_token) return handleSuccess(null);
+
+    const response = await fetch("/api/cache-invalidate", {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${session.access_token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ blueprintId, event }),
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.error || `Cache invalidation failed (${response.status})`);
+    }
+    return handleSuccess(null);
+  } catch (error) {
+    return handleError(error, 'NOTIFY_BLUEPRINT_CHANGED', { blueprintId, event });
+  }
+}
+
 /**
  * Create a new blueprint record
  */
@@ -133,6 +288,7 @@ export async function createBlueprint(blueprintData) {
       .single();
 
     if (error) throw error;
+    await notifyBlueprintChanged(data.id, "upload");
     return handleSuccess(data, 'Blueprint created successfully');
   } catch (error) {
     return handleError(error, 'CREATE_BLUEPRINT', { name: blueprintData?.name });
@@ -152,6 +308,7 @@ export async function updateBlueprint(blueprintId, updates) {
       .single();
 
     if (error) throw error;
+    await notifyBlueprintChanged(blueprintId, "edit");
     return handleSuccess(data, 'Blueprint updated successfully');
   } catch (error) {
     return handleError(error, 'UPDATE_BLUEPRINT', { blueprintId });
@@ -169,6 +326,7 @@ export async function deleteBlueprint(blueprintId) {
       .eq("id", blueprintId);
 
     if (error) throw error;
+    await notifyBlueprintChanged(blueprintId, "delete");
     return handleSuccess(null, 'Blueprint deleted successfully');
   } catch (error) {
     return handleError(error, 'DELETE_BLUEPRINT', { blueprintId });
@@ -211,10 +369,12 @@ export async function rateBlueprint(blueprintId, userId, rating) {
         }
       );
       if (legacyError) throw legacyError;
+      await notifyBlueprintChanged(blueprintId, "rating");
       return handleSuccess(null, 'Blueprint liked');
     }
 
     if (error) throw error;
+    await notifyBlueprintChanged(blueprintId, "rating");
     return handleSuccess(null, `Rated ${rating} hearts`);
   } catch (error) {
     return handleError(error, 'RATE_BLUEPRINT', { blueprintId, userId, rating });
@@ -242,6 +402,7 @@ export async function unlikeBlueprint(blueprintId, userId) {
       .eq("user_id", userId);
 
     if (error) throw error;
+    await notifyBlueprintChanged(blueprintId, "rating");
     return handleSuccess(null, 'Rating removed');
   } catch (error) {
     return handleError(error, 'UNLIKE_BLUEPRINT', { blueprintId, userId });
@@ -327,13 +488,44 @@ export async function uploadBlobFile(file, filename) {
  */
 export async function parseBlueprintFile(file, blueprintId, retries = 3, waitForParsing = false) {
   try {
-    const result = await sendBlueprintToParser(file, blueprintId, retries, waitForParsing);
+    const result = await parseBlueprint(file, blueprintId, retries, waitForParsing);
     return handleSuccess(result, 'Blueprint parsed successfully');
   } catch (error) {
     return handleError(error, 'PARSE_BLUEPRINT_FILE', { blueprintId });
   }
 }
 
+/**
+ * BLUEPRINT PARSER API (faulty)
+ * Store parsed data returned directly by the parser on the blueprint file with this payload hash.
+ * Goes through merge_blueprint_parsed so concurrent part results can't overwrite each other.
+ * Data that doesn't match the current parsed-data schema is rejected instead of stored.
+ */
+export async function saveParsedResult(blueprintId, fileHash, parsed) {
+  try {
+    const upgraded = upgradeParsedData(parsed);
+    const validation = validateParsedDataStrict(upgraded);
+    if (!validation.valid) {
+      throw new Error(`Invalid parsed data: ${formatSchemaErrors(validation.errors)}`);
+    }
+
+    const { data: partNumber, error } = await supabase.rpc('merge_blueprint_parsed', {
+      p_blueprint_id: blueprintId,
+      p_file_hash: fileHash,
+      p_parsed: upgraded,
+    });
+
+    if (error) throw error;
+    if (partNumber === null) {
+      throw new Error('No blueprint file matches this file hash');
+    }
+    await notifyBlueprintChanged(blueprintId, "parsed");
+    return handleSuccess({ partNumber: partNumber || null });
+  } catch (error) {
+    return handleError(error, 'SAVE_PARSED_RESULT', { blueprintId, fileHash });
+  }
+}
+
 /**
  * MULTI PART BLUEPRINT HANDLING
  * Create or update multi-part blueprint entry
@@ -351,6 +543,7 @@ export async function updateMultiPartBlueprint(blueprintId, parts) {
       .single();
 
     if (error) throw error;
+    await notifyBlueprintChanged(blueprintId, "edit");
     return handleSuccess(data, 'Multi-part blueprint updated successfully');
   } catch (error) {
     return handleError(error, 'UPDATE_MULTIPART_BLUEPRINT', { blueprintId });
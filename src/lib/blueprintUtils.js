@@ -3,6 +3,8 @@
  * Handles combining, validating, and managing multi-part blueprints
  */
 
+import { upgradeParsedData } from './parsedDataSchema';
+
 export function combineParts(parts) {
   if (!Array.isArray(parts) || parts.length === 0) {
     return {
@@ -25,7 +27,7 @@ export function combineParts(parts) {
   parts.forEach(part => {
     if (!part.parsed) return;
 
-    const parsed = part.parsed;
+    const parsed = upgradeParsedData(part.parsed);
 
     // Merge materials - sum quantities
     if (parsed.Materials && typeof parsed.Materials === 'object') {
@@ -111,11 +113,30 @@ export function getPartDisplayName(partNumber) {
   return `Part ${partNumber}`;
 }
 
+/**
+ * Gallery feed rows (/api/blueprints) carry a `requirements` summary instead of parsed data
+ */
+export function isLeanBlueprint(blueprint) {
+  return !!blueprint && blueprint.parsed === undefined && !!blueprint.requirements;
+}
+
 export function getParsedData(blueprint) {
+  if (isLeanBlueprint(blueprint)) {
+    return upgradeParsedData(blueprint.requirements);
+  }
   if (blueprint.is_multi_part && blueprint.parts && Array.isArray(blueprint.parts)) {
     return combineParts(blueprint.parts);
   }
-  return blueprint.parsed || {};
+  return upgradeParsedData(blueprint.parsed) || {};
+}
+
+/**
+ * Minimum progression tier the blueprint needs (highest across parts), or null if the parser didn't report one
+ */
+export function getBlueprintTier(blueprint) {
+  if (!blueprint) return null;
+  const tier = getParsedData(blueprint).MinTierRequired;
+  return Number.isInteger(tier) ? tier : null;
 }
 
 export function getPartByNumber(blueprint, partNumber) {
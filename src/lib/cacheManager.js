@@ -11,9 +11,15 @@
  * 
  * IMPORTANT: Vercel Serverless Functions have volatile memory!
  * Each request can spin up a new instance, so in-memory caching won't persist.
- * Use Upstash Redis in production: https://upstash.com (free tier available)
+ * Use Upstash Redis in production: https://upstash.com (free tier available).
+ * Without it, production runs with caching disabled rather than on per-instance memory.
+ *
+ * Used by the read endpoints in /api (see api/_lib/blueprintCache.js); invalidation happens there too.
  */
 
+// Serverless functions read process.env; Vite injects import.meta.env in the browser build
+const env = typeof process !== 'undefined' && process.env ? process.env : (import.meta.env || {});
+
 const CACHE_CONFIG = {
   // Cache TTLs (in seconds)
   TTL: {
@@ -22,7 +28,10 @@ const CACHE_CONFIG = {
     TRENDING: 60 * 60,         // 1 hour
     FULL_BLUEPRINT: 30 * 60,   // 30 minutes
     USER_STATS: 15 * 60,       // 15 minutes
-    POPULAR_TAGS: 24 * 60 * 60 // 24 hours
+    POPULAR_TAGS: 24 * 60 * 60, // 24 hours
+    ITEM_FACETS: 24 * 60 * 60,  // 24 hours
+    CATALOGUE_STATS: 15 * 60,   // 15 minutes
+    BLUEPRINT_STATE: 24 * 60 * 60 // 24 hours
   },
   
   // Cache key prefixes
@@ -35,7 +44,12 @@ const CACHE_CONFIG = {
     BLUEPRINT_FULL_SUFFIX: ':full',
     USER_STATS: 'user:',
     USER_STATS_SUFFIX: ':stats',
-    POPULAR_TAGS: 'tags:popular'
+    POPULAR_TAGS: 'tags:popular',
+    ITEM_FACETS: 'facets:items',
+    CATALOGUE_STATS: 'stats:catalogue',
+    RATE_LIMIT: 'ratelimit:',
+    BLUEPRINT_STATE: 'blueprint:',
+    BLUEPRINT_STATE_SUFFIX: ':state'
   }
 };
 
@@ -65,6 +79,17 @@ class MemoryCache {
     return this.store.get(key) || null;
   }
 
+  // Counter that expires ttl seconds after its first increment
+  async incr(key, ttl = 60) {
+    const count = (this.store.get(key) || 0) + 1;
+    if (count === 1) {
+      await this.set(key, count, ttl);
+    } else {
+      this.store.set(key, count);
+    }
+    return count;
+  }
+
   async del(key) {
     this.store.delete(key);
     if (this.timers.has(key)) {
@@ -82,6 +107,12 @@ class MemoryCache {
     }
   }
 
+  async invalidateCatalogueStats() {
+    await this.cache.del(CACHE_CONFIG.KEYS.CATALOGUE_STATS);
+    console.log('[Cache CLEAR] Catalogue stats');
+    this.stats.deletes++;
+  }
+
   async clear() {
     for (const timer of this.timers.values()) {
       clearTimeout(timer);
@@ -127,10 +158,8 @@ class UpstashRedisCache {
           'Authorization': `Bearer ${this.token}`,
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          command: command,
-          args: args
-        })
+        // Upstash REST API takes the command and its arguments as one JSON array
+        body: JSON.stringify([command, ...args])
       });
 
       if (!response.ok) {
@@ -170,6 +199,15 @@ class UpstashRedisCache {
     await this.request('DEL', [key]);
   }
 
+  // Counter that expires ttl seconds after its first increment
+  async incr(key, ttl = 60) {
+    const count = await this.request('INCR', [key]);
+    if (count === 1) {
+      await this.request('EXPIRE', [key, ttl]);
+    }
+    return count ?? 0;
+  }
+
   async delPattern(pattern) {
     // SCAN for keys matching pattern, then delete them
     try {
@@ -178,7 +216,7 @@ class UpstashRedisCache {
       let keysToDelete = [];
       
       do {
-        const result = await this.request('SCAN', [cursor]);
+        const result = await this.request('SCAN', [cursor, 'COUNT', 500]);
         if (!result || result.length < 2) break;
         
         cursor = result[0];
@@ -199,6 +237,12 @@ class UpstashRedisCache {
     }
   }
 
+  async invalidateCatalogueStats() {
+    await this.cache.del(CACHE_CONFIG.KEYS.CATALOGUE_STATS);
+    console.log('[Cache CLEAR] Catalogue stats');
+    this.stats.deletes++;
+  }
+
   async clear() {
     await this.request('FLUSHDB', []);
   }
@@ -215,8 +259,15 @@ class UpstashRedisCache {
 class NoOpCache {
   async set(key, value, ttl) { /* no-op */ }
   async get(key) { return null; }
+  async incr(key, ttl) { return 0; }
   async del(key) { /* no-op */ }
   async delPattern(pattern) { /* no-op */ }
+  async invalidateCatalogueStats() {
+    await this.cache.del(CACHE_CONFIG.KEYS.CATALOGUE_STATS);
+    console.log('[Cache CLEAR] Catalogue stats');
+    this.stats.deletes++;
+  }
+
   async clear() { /* no-op */ }
   getStats() { return { size: 0, keys: [] }; }
 }
@@ -225,15 +276,19 @@ class NoOpCache {
 class CacheManager {
   constructor(backend = null) {
     // Auto-detect backend based on environment
+    const upstashUrl = env.UPSTASH_REDIS_REST_URL || env.VITE_UPSTASH_REDIS_REST_URL;
+    const upstashToken = env.UPSTASH_REDIS_REST_TOKEN || env.VITE_UPSTASH_REDIS_REST_TOKEN;
+
     if (!backend) {
-      const isProduction = import.meta.env.PROD;
-      const hasUpstash = import.meta.env.VITE_UPSTASH_REDIS_REST_URL && import.meta.env.VITE_UPSTASH_REDIS_REST_TOKEN;
+      const isProduction = env.NODE_ENV === 'production' || env.PROD === true;
+      const hasUpstash = upstashUrl && upstashToken;
       
       if (isProduction && hasUpstash) {
         backend = 'upstash';
       } else if (isProduction) {
-        console.warn('[Cache] Production detected but Upstash Redis not configured. Using memory cache (NOT RECOMMENDED for Vercel)');
-        backend = 'memory';
+        // A per-instance memory cache can't be invalidated across instances, so it would serve stale data
+        console.error('[Cache] Production detected but Upstash Redis is not configured (UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN). Caching is DISABLED.');
+        backend = 'none';
       } else {
         backend = 'memory';
       }
@@ -243,10 +298,7 @@ class CacheManager {
       this.cache = new MemoryCache();
       console.log('[Cache] Using in-memory cache (development only)');
     } else if (backend === 'upstash') {
-      this.cache = new UpstashRedisCache(
-        import.meta.env.VITE_UPSTASH_REDIS_REST_URL,
-        import.meta.env.VITE_UPSTASH_REDIS_REST_TOKEN
-      );
+      this.cache = new UpstashRedisCache(upstashUrl, upstashToken);
     } else {
       this.cache = new NoOpCache();
       console.log('[Cache] Caching disabled');
@@ -260,21 +312,21 @@ class CacheManager {
     };
   }
 
-  // Get blueprint feed page with caching
-  async getBlueprintFeed(page = 0, fetchFn) {
-    const key = `${CACHE_CONFIG.KEYS.FEED}${page}`;
+  // Get blueprint feed page with caching (pageKey identifies the filters, sort and page)
+  async getBlueprintFeed(pageKey = 0, fetchFn) {
+    const key = `${CACHE_CONFIG.KEYS.FEED}${pageKey}`;
     
     const cached = await this.cache.get(key);
     if (cached) {
       this.stats.hits++;
-      console.log(`[Cache HIT] Blueprint feed page ${page}`);
+      console.log(`[Cache HIT] Blueprint feed page ${pageKey}`);
       return cached;
     }
 
     this.stats.misses++;
     const data = await fetchFn();
     await this.cache.set(key, data, CACHE_CONFIG.TTL.FEED);
-    console.log(`[Cache SET] Blueprint feed page ${page} (${CACHE_CONFIG.TTL.FEED}s TTL)`);
+    console.log(`[Cache SET] Blueprint feed page ${pageKey} (${CACHE_CONFIG.TTL.FEED}s TTL)`);
     this.stats.sets++;
     
     return data;
@@ -300,14 +352,14 @@ class CacheManager {
     return data;
   }
 
-  // Get trending blueprints
-  async getTrendingBlueprints(days = 7, fetchFn) {
-    const key = `${CACHE_CONFIG.KEYS.TRENDING}${days}`;
+  // Get trending blueprints (listKey identifies the window and any filters)
+  async getTrendingBlueprints(listKey = 7, fetchFn) {
+    const key = `${CACHE_CONFIG.KEYS.TRENDING}${listKey}`;
     
     const cached = await this.cache.get(key);
     if (cached) {
       this.stats.hits++;
-      console.log(`[Cache HIT] Trending blueprints (${days} days)`);
+      console.log(`[Cache HIT] Trending blueprints (${listKey})`);
       return cached;
     }
 
@@ -380,6 +432,65 @@ class CacheManager {
     return data;
   }
 
+  // Get building/material facet counts
+  async getItemFacets(fetchFn) {
+    const key = CACHE_CONFIG.KEYS.ITEM_FACETS;
+    
+    const cached = await this.cache.get(key);
+    if (cached) {
+      this.stats.hits++;
+      console.log(`[Cache HIT] Item facets`);
+      return cached;
+    }
+
+    this.stats.misses++;
+    const data = await fetchFn();
+    await this.cache.set(key, data, CACHE_CONFIG.TTL.ITEM_FACETS);
+    console.log(`[Cache SET] Item facets (${CACHE_CONFIG.TTL.ITEM_FACETS}s TTL)`);
+    this.stats.sets++;
+    
+    return data;
+  }
+
+  // Get the catalogue-wide dashboard totals
+  async getCatalogueStats(fetchFn) {
+    const key = CACHE_CONFIG.KEYS.CATALOGUE_STATS;
+    
+    const cached = await this.cache.get(key);
+    if (cached) {
+      this.stats.hits++;
+      console.log(`[Cache HIT] Catalogue stats`);
+      return cached;
+    }
+
+    this.stats.misses++;
+    const data = await fetchFn();
+    await this.cache.set(key, data, CACHE_CONFIG.TTL.CATALOGUE_STATS);
+    console.log(`[Cache SET] Catalogue stats (${CACHE_CONFIG.TTL.CATALOGUE_STATS}s TTL)`);
+    this.stats.sets++;
+    
+    return data;
+  }
+
+  // Count one action by a user in the current window; callers compare the result against their limit
+  async countRateLimited(action, userId, windowSeconds) {
+    return this.cache.incr(`${CACHE_CONFIG.KEYS.RATE_LIMIT}${action}:${userId}`, windowSeconds);
+  }
+
+  /**
+   * Remember a blueprint's last reported state (e.g. its rating totals)
+   * @returns {Promise<boolean>} - false if it matches what was reported last time
+   */
+  async recordBlueprintState(blueprintId, state) {
+    const key = `${CACHE_CONFIG.KEYS.BLUEPRINT_STATE}${blueprintId}${CACHE_CONFIG.KEYS.BLUEPRINT_STATE_SUFFIX}`;
+    const serialized = JSON.stringify(state);
+    if ((await this.cache.get(key)) === serialized) {
+      return false;
+    }
+    await this.cache.set(key, serialized, CACHE_CONFIG.TTL.BLUEPRINT_STATE);
+    return true;
+  }
+
   async invalidateFeed() {
     await this.cache.delPattern(`^${CACHE_CONFIG.KEYS.FEED}.*`);
     console.log('[Cache CLEAR] All feed pages');
@@ -419,6 +530,18 @@ class CacheManager {
     this.stats.deletes++;
   }
 
+  async invalidateFacets() {
+    await this.cache.del(CACHE_CONFIG.KEYS.ITEM_FACETS);
+    console.log('[Cache CLEAR] Item facets');
+    this.stats.deletes++;
+  }
+
+  async invalidateCatalogueStats() {
+    await this.cache.del(CACHE_CONFIG.KEYS.CATALOGUE_STATS);
+    console.log('[Cache CLEAR] Catalogue stats');
+    this.stats.deletes++;
+  }
+
   async clear() {
     await this.cache.clear();
     console.log('[Cache CLEAR] All cache cleared');
@@ -471,8 +594,10 @@ export { CacheManager, MemoryCache, UpstashRedisCache, NoOpCache, CACHE_CONFIG }
  * 
  * 3. Set environment variables in Vercel:
  *    - Go to Vercel project settings → Environment Variables
- *    - Add: VITE_UPSTASH_REDIS_REST_URL=your_url
- *    - Add: VITE_UPSTASH_REDIS_REST_TOKEN=your_token
+ *    - Add: UPSTASH_REDIS_REST_URL=your_url
+ *    - Add: UPSTASH_REDIS_REST_TOKEN=your_token
+ *    - Server-only names: the cache runs in /api, so the token never needs to reach the browser
+ *      (the older VITE_-prefixed names are still read)
  * 
  * 4. Redeploy:
  *    - Push changes or redeploy from Vercel dashboard
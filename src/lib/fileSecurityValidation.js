@@ -3,7 +3,7 @@
  * checks for malicious files/PNG blueprints
  */
 
-const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+import { PNG_SIGNATURE, readPngContainer, isAncillaryChunk } from './pngContainer';
 
 // Verify file magic bytes (signature)
 export async function verifyFileSignature(file) {
@@ -79,143 +79,94 @@ export async function validatePNGFile(file) {
 }
 
 // Parse PNG file structure and validate chunks
-// Returns metadata and detects invalid/suspiciou s structures
+// Returns metadata and detects invalid/suspicious structures
 function parsePNGStructure(bytes) {
   const warnings = [];
 
-  for (let i = 0; i < PNG_SIGNATURE.length; i++) {
-    if (bytes[i] !== PNG_SIGNATURE[i]) {
-      return { valid: false, warnings: ['Invalid PNG signature'] };
-    }
-  }
-
-  // Parse IHDR chunk
-  let offset = 8;
-  let chunkCount = 0;
-  let width = 0;
-  let height = 0;
-  let bitDepth = 0;
-  let colorType = 0;
-  let hasIDAT = false;
-  let hasIEND = false;
-
+  let container;
   try {
-    const ihdrLength = readUInt32BE(bytes, offset);
-    const ihdrType = readChunkType(bytes, offset + 4);
-
-    if (ihdrType !== 'IHDR') {
-      return {
-        valid: false,
-        warnings: ['IHDR chunk error']
-      };
-    }
-
-    if (ihdrLength !== 13) {
-      return {
-        valid: false,
-        warnings: ['IHDR chunk has invalid length']
-      };
-    }
-
-    // Parse IHDR data
-    width = readUInt32BE(bytes, offset + 8);
-    height = readUInt32BE(bytes, offset + 12);
-    bitDepth = bytes[offset + 16];
-    colorType = bytes[offset + 17];
-
-    if (width === 0 || height === 0 || width > 1000000 || height > 1000000) {
-      warnings.push('PNG dimensions are unusual: ' + width + 'x' + height);
-    }
-
-    const validColorTypes = [0, 2, 3, 4, 6];
-    if (!validColorTypes.includes(colorType)) {
-      return {
-        valid: false,
-        warnings: ['Invalid PNG color type: ' + colorType]
-      };
-    }
-
-    const validBitDepths = {
-      0: [1, 2, 4, 8, 16],
-      2: [8, 16],
-      3: [1, 2, 4, 8],
-      4: [8, 16],
-      6: [8, 16]
+    container = readPngContainer(bytes);
+  } catch (error) {
+    return {
+      valid: false,
+      warnings: ['Failed to parse PNG structure: ' + error.message]
     };
+  }
 
-    if (!validBitDepths[colorType].includes(bitDepth)) {
-      warnings.push('Unusual bit depth for color type');
-    }
-
-    // Parse remaining chunks
-    offset += 8 + ihdrLength + 4; // Skip IHDR + CRC
-    chunkCount = 1;
+  const { chunks } = container;
+  const ihdr = chunks[0];
 
-    const maxChunks = 1000;
-    while (offset + 8 < bytes.length && chunkCount < maxChunks) {
-      const length = readUInt32BE(bytes, offset);
-      const type = readChunkType(bytes, offset + 4);
+  if (!ihdr || ihdr.type !== 'IHDR') {
+    return {
+      valid: false,
+      warnings: ['IHDR chunk error']
+    };
+  }
 
-      if (length > 1000000000) {
-        return {
-          valid: false,
-          warnings: ['Chunk with suspiciously large size detected: ' + length]
-        };
-      }
+  if (ihdr.length !== 13) {
+    return {
+      valid: false,
+      warnings: ['IHDR chunk has invalid length']
+    };
+  }
 
-      if (type === 'IDAT') {
-        hasIDAT = true;
-      } else if (type === 'IEND') {
-        hasIEND = true;
-        break;
-      }
+  // Parse IHDR data
+  const ihdrView = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+  const width = ihdrView.getUint32(0, false);
+  const height = ihdrView.getUint32(4, false);
+  const bitDepth = ihdr.data[8];
+  const colorType = ihdr.data[9];
 
-      if (type.charCodeAt(0) < 97 && !isKnownCriticalChunk(type)) {
-        warnings.push('Unknown critical chunk: ' + type);
-      }
+  if (width === 0 || height === 0 || width > 1000000 || height > 1000000) {
+    warnings.push('PNG dimensions are unusual: ' + width + 'x' + height);
+  }
 
-      offset += 12 + length; // length + type + data + CRC
-      chunkCount++;
-    }
+  const validColorTypes = [0, 2, 3, 4, 6];
+  if (!validColorTypes.includes(colorType)) {
+    return {
+      valid: false,
+      warnings: ['Invalid PNG color type: ' + colorType]
+    };
+  }
 
-    if (!hasIDAT) {
-      return {
-        valid: false,
-        warnings: ['PNG file missing IDAT chunk']
-      };
-    }
+  const validBitDepths = {
+    0: [1, 2, 4, 8, 16],
+    2: [8, 16],
+    3: [1, 2, 4, 8],
+    4: [8, 16],
+    6: [8, 16]
+  };
 
-    if (!hasIEND) {
-      return {
-        valid: false,
-        warnings: ['PNG file missing IEND chunk']
-      };
-    }
+  if (!validBitDepths[colorType].includes(bitDepth)) {
+    warnings.push('Unusual bit depth for color type');
+  }
 
-    if (chunkCount >= maxChunks) {
-      return {
-        valid: false,
-        warnings: ['PNG file has too many chunks']
-      };
+  chunks.forEach(chunk => {
+    if (!isAncillaryChunk(chunk.type) && !isKnownCriticalChunk(chunk.type)) {
+      warnings.push('Unknown critical chunk: ' + chunk.type);
     }
+  });
 
-    return {
-      valid: true,
-      width,
-      height,
-      bitDepth,
-      colorType,
-      chunkCount,
-      hasIDAT,
-      hasIEND,
-      warnings: warnings.length > 0 ? warnings : undefined
-    };
-  } catch (error) {
+  const hasIDAT = chunks.some(chunk => chunk.type === 'IDAT');
+  if (!hasIDAT) {
     return {
       valid: false,
-      warnings: ['Failed to parse PNG structure: ' + error.message]
+      warnings: ['PNG file missing IDAT chunk']
     };
   }
+
+  return {
+    valid: true,
+    width,
+    height,
+    bitDepth,
+    colorType,
+    chunkCount: chunks.length,
+    hasIDAT,
+    hasIEND: true,
+    trailerSize: container.trailer.length,
+    warnings: warnings.length > 0 ? warnings : undefined
+  };
 }
 
 function isKnownCriticalChunk(type) {
@@ -223,17 +174,6 @@ function isKnownCriticalChunk(type) {
   return knownCritical.includes(type);
 }
 
-function readUInt32BE(bytes, offset) {
-  return (bytes[offset] << 24) |
-         (bytes[offset + 1] << 16) |
-         (bytes[offset + 2] << 8) |
-         bytes[offset + 3];
-}
-
-function readChunkType(bytes, offset) {
-  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
-}
-
 // File upload validation
 export async function validateBlueprintFile(file) {
   if (!file || !(file instanceof File)) {
@@ -295,26 +235,6 @@ export async function scanFileForThreats(file, isPng = false) {
   }
 }
 
-// Find PNG chunk by type in file
-function findPNGChunk(bytes, chunkType) {
-  const chunkTypeBytes = new TextEncoder().encode(chunkType);
-  
-  for (let i = 8; i < bytes.length - 4; i++) {
-    let match = true;
-    for (let j = 0; j < 4; j++) {
-      if (bytes[i + j] !== chunkTypeBytes[j]) {
-        match = false;
-        break;
-      }
-    }
-    if (match) {
-      return i;
-    }
-  }
-  
-  return -1;
-}
-
 export function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
@@ -0,0 +1,70 @@
+/**
+ * IndexedDB Store
+ * Minimal promise wrapper for values that don't fit localStorage
+ * (structured-clone-only objects like directory handles, larger blobs)
+ */
+
+const DB_NAME = 'alchemy-factory-blueprints';
+const DB_VERSION = 3;
+
+export const STORES = {
+  HANDLES: 'handles',
+  SAVE_PROFILES: 'saveProfiles',
+  SAVE_SNAPSHOTS: 'saveSnapshots',
+};
+
+let dbPromise = null;
+
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(store => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function runRequest(store, mode, createRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const request = createRequest(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export function idbGet(store, key) {
+  return runRequest(store, 'readonly', objectStore => objectStore.get(key));
+}
+
+export function idbSet(store, key, value) {
+  return runRequest(store, 'readwrite', objectStore => objectStore.put(value, key));
+}
+
+export function idbDelete(store, key) {
+  return runRequest(store, 'readwrite', objectStore => objectStore.delete(key));
+}
+
+export function idbGetAll(store) {
+  return runRequest(store, 'readonly', objectStore => objectStore.getAll());
+}
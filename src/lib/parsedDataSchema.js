@@ -0,0 +1,197 @@
+/**
+ * Parsed Blueprint Data Schema
+ * Versioned shape of the `parsed` JSON stored on blueprints and parts. Rows written before versioning
+ * have no `schemaVersion` and are treated as version 1. Readers lift older shapes with
+ * upgradeParsedData(); writers check data with validateParsedDataStrict() before storing it.
+ *
+ * Version 2:
+ *   Materials, Buildings, SupplyItems, Recipes   { [key]: integer count }
+ *   BuildingBreakdownCost                        { [building]: { [material]: integer cost } }
+ *   GridArea                                     { x, y } integers
+ *   MinTierRequired, InventorySlotsRequired      integers
+ *   Title, Description, ItemName, Icon, Color    strings
+ *   parser_version                               string (see parserVersion.js)
+ *   schemaVersion                                2
+ */
+
+export const CURRENT_SCHEMA_VERSION = 2;
+
+export const MAX_COUNT = 999999;
+export const MAX_GRID_SIZE = 1000;
+export const MAX_TIER = 20;
+export const MAX_INVENTORY_SLOTS = 1000;
+const MAX_KEY_LENGTH = 100;
+const MAX_STRING_LENGTH = 10000;
+
+const COUNT_MAP_FIELDS = ['Materials', 'Buildings', 'SupplyItems', 'Recipes'];
+const STRING_FIELDS = ['Title', 'Description', 'ItemName', 'Icon', 'Color', 'parser_version'];
+const KNOWN_FIELDS = new Set([
+  ...COUNT_MAP_FIELDS,
+  ...STRING_FIELDS,
+  'BuildingBreakdownCost',
+  'GridArea',
+  'MinTierRequired',
+  'InventorySlotsRequired',
+  'schemaVersion',
+]);
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// "12" -> 12; anything else is left for the validator to report
+const toCount = (value) => (typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+/**
+ * Upgrades from version N to N + 1
+ */
+const UPGRADES = {
+  // v1 (unversioned): counts could arrive as numeric strings, GridArea as [x, y], the parser version
+  // as `parserVersion`, and empty maps were sometimes omitted
+  1: (data) => {
+    const upgraded = { ...data };
+
+    COUNT_MAP_FIELDS.forEach(field => {
+      upgraded[field] = isPlainObject(upgraded[field]) ? mapValues(upgraded[field], toCount) : {};
+    });
+    upgraded.BuildingBreakdownCost = isPlainObject(upgraded.BuildingBreakdownCost)
+      ? mapValues(upgraded.BuildingBreakdownCost, costs => (isPlainObject(costs) ? mapValues(costs, toCount) : costs))
+      : {};
+
+    if (Array.isArray(upgraded.GridArea) && upgraded.GridArea.length === 2) {
+      upgraded.GridArea = { x: upgraded.GridArea[0], y: upgraded.GridArea[1] };
+    }
+
+    if (upgraded.parserVersion !== undefined) {
+      if (upgraded.parser_version === undefined) {
+        upgraded.parser_version = String(upgraded.parserVersion);
+      }
+      delete upgraded.parserVersion;
+    }
+
+    upgraded.schemaVersion = 2;
+    return upgraded;
+  },
+};
+
+export function getSchemaVersion(parsed) {
+  return isPlainObject(parsed) && Number.isInteger(parsed.schemaVersion) ? parsed.schemaVersion : 1;
+}
+
+/**
+ * Lift parsed data to CURRENT_SCHEMA_VERSION. Non-objects and data from a newer
+ * schema are returned unchanged.
+ */
+export function upgradeParsedData(parsed) {
+  if (!isPlainObject(parsed)) return parsed;
+
+  let data = parsed;
+  let version = getSchemaVersion(data);
+  while (version < CURRENT_SCHEMA_VERSION && UPGRADES[version]) {
+    data = UPGRADES[version](data);
+    version += 1;
+  }
+  return data;
+}
+
+function checkInteger(errors, path, value, min, max) {
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    errors.push({ path, message: `must be an integer, got ${JSON.stringify(value)}` });
+  } else if (value < min || value > max) {
+    errors.push({ path, message: `must be between ${min} and ${max}, got ${value}` });
+  }
+}
+
+function checkKey(errors, path, key) {
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    errors.push({ path, message: `key must be 1-${MAX_KEY_LENGTH} characters` });
+  }
+}
+
+function checkCountMap(errors, path, value) {
+  if (!isPlainObject(value)) {
+    errors.push({ path, message: 'must be an object of counts' });
+    return;
+  }
+  Object.entries(value).forEach(([key, count]) => {
+    checkKey(errors, `${path}.${key}`, key);
+    checkInteger(errors, `${path}.${key}`, count, 0, MAX_COUNT);
+  });
+}
+
+/**
+ * Check parsed data against the current schema without changing it
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateParsedDataStrict(parsed) {
+  const errors = [];
+
+  if (!isPlainObject(parsed)) {
+    return { valid: false, errors: [{ path: '', message: 'must be an object' }] };
+  }
+
+  if (parsed.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+    errors.push({ path: 'schemaVersion', message: `must be ${CURRENT_SCHEMA_VERSION}, got ${JSON.stringify(parsed.schemaVersion)}` });
+  }
+
+  Object.keys(parsed).forEach(key => {
+    if (!KNOWN_FIELDS.has(key)) {
+      errors.push({ path: key, message: 'unknown key' });
+    }
+  });
+
+  COUNT_MAP_FIELDS.forEach(field => {
+    if (parsed[field] !== undefined) {
+      checkCountMap(errors, field, parsed[field]);
+    }
+  });
+
+  if (parsed.BuildingBreakdownCost !== undefined) {
+    if (!isPlainObject(parsed.BuildingBreakdownCost)) {
+      errors.push({ path: 'BuildingBreakdownCost', message: 'must be an object' });
+    } else {
+      Object.entries(parsed.BuildingBreakdownCost).forEach(([building, costs]) => {
+        checkKey(errors, `BuildingBreakdownCost.${building}`, building);
+        checkCountMap(errors, `BuildingBreakdownCost.${building}`, costs);
+      });
+    }
+  }
+
+  if (parsed.GridArea !== undefined) {
+    if (!isPlainObject(parsed.GridArea)) {
+      errors.push({ path: 'GridArea', message: 'must be an object with x and y' });
+    } else {
+      Object.keys(parsed.GridArea).forEach(key => {
+        if (key !== 'x' && key !== 'y') {
+          errors.push({ path: `GridArea.${key}`, message: 'unknown key' });
+        }
+      });
+      checkInteger(errors, 'GridArea.x', parsed.GridArea.x, 0, MAX_GRID_SIZE);
+      checkInteger(errors, 'GridArea.y', parsed.GridArea.y, 0, MAX_GRID_SIZE);
+    }
+  }
+
+  if (parsed.MinTierRequired !== undefined) {
+    checkInteger(errors, 'MinTierRequired', parsed.MinTierRequired, 0, MAX_TIER);
+  }
+  if (parsed.InventorySlotsRequired !== undefined) {
+    checkInteger(errors, 'InventorySlotsRequired', parsed.InventorySlotsRequired, 0, MAX_INVENTORY_SLOTS);
+  }
+
+  STRING_FIELDS.forEach(field => {
+    if (parsed[field] !== undefined && (typeof parsed[field] !== 'string' || parsed[field].length > MAX_STRING_LENGTH)) {
+      errors.push({ path: field, message: `must be a string of at most ${MAX_STRING_LENGTH} characters` });
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+// "Materials.Brick: must be an integer, got \"x\"; GridArea: ..." (first few errors)
+export function formatSchemaErrors(errors, limit = 5) {
+  const shown = errors.slice(0, limit).map(({ path, message }) => (path ? `${path}: ${message}` : message));
+  if (errors.length > limit) {
+    shown.push(`and ${errors.length - limit} more`);
+  }
+  return shown.join('; ');
+}
@@ -1,7 +1,10 @@
 /**
  * Validates and sanitizes parsed blueprint JSON data
+ * Lenient read-path cleanup for display; writes go through validateParsedDataStrict in parsedDataSchema.js
  */
 
+import { upgradeParsedData } from './parsedDataSchema';
+
 export function validateParsedData(parsed) {
   if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
     return {
@@ -14,7 +17,7 @@ export function validateParsedData(parsed) {
   }
 
   try {
-    const sanitized = { ...parsed };
+    const sanitized = { ...upgradeParsedData(parsed) };
     
     if (typeof sanitized.Title === 'string') {
       sanitized.Title = sanitizeString(sanitized.Title);
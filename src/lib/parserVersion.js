@@ -0,0 +1,52 @@
+/**
+ * Parser Version
+ * Every stored `parsed` object (and every `parts[].parsed`) carries the `parser_version` that produced it,
+ * so the catalogue can be re-parsed after a game or parser update. Bump CURRENT_PARSER_VERSION when
+ * the parser starts producing new or different fields.
+ *
+ * Results from the in-browser decoder are stamped LOCAL_DECODER_VERSION instead. They are provisional:
+ * they always count as outdated, and the remote parser's result replaces them.
+ */
+
+export const CURRENT_PARSER_VERSION = '1.1.0';
+
+export const LOCAL_DECODER_VERSION = 'local-decoder-1';
+
+export const PARSER_VERSION_KEY = 'parser_version';
+
+/**
+ * Compare dotted versions numerically ("1.10.0" > "1.9.2"); missing versions sort first
+ * @returns {number} - <0, 0 or >0
+ */
+export function compareParserVersions(a, b) {
+  if (!a && !b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+
+  const aParts = String(a).split('.').map(n => parseInt(n, 10) || 0);
+  const bParts = String(b).split('.').map(n => parseInt(n, 10) || 0);
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const diff = (aParts[i] || 0) - (bParts[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+export function getParserVersion(parsed) {
+  return parsed && typeof parsed === 'object' ? parsed[PARSER_VERSION_KEY] || null : null;
+}
+
+export function isLocalDecode(parsed) {
+  return String(getParserVersion(parsed) || '').startsWith('local-');
+}
+
+// Missing parsed data and local decodes count as outdated too
+export function isParserVersionOutdated(parsed, targetVersion = CURRENT_PARSER_VERSION) {
+  if (!parsed || isLocalDecode(parsed)) return true;
+  return compareParserVersions(getParserVersion(parsed), targetVersion) < 0;
+}
+
+export function stampParserVersion(parsed, version = CURRENT_PARSER_VERSION) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return parsed;
+  return { ...parsed, [PARSER_VERSION_KEY]: version || CURRENT_PARSER_VERSION };
+}
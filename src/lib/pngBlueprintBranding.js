@@ -3,85 +3,11 @@
  * Embeds a <1kb 'Alchemy Factory Blueprint File' PNG image into blueprint PNG files as a custom PNG chunk
  */
 
-function bufferToArray(buffer) {
-  if (buffer instanceof Uint8Array) return buffer;
-  if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
-  return new Uint8Array(buffer);
-}
-
-function arrayToBuffer(array) {
-  return array;
-}
-
-// PNG chunk structure helpers
-function createPngChunk(type, data) {
-  const typeBytes = new TextEncoder().encode(type);
-  const dataArray = bufferToArray(data);
-  
-  // Create length (4 bytes, big-endian)
-  const length = new Uint8Array(4);
-  const dataView = new DataView(length.buffer);
-  dataView.setUint32(0, dataArray.length + typeBytes.length, false); // big-endian
-  
-  // Combine: length + type + data + CRC
-  const crcData = new Uint8Array(typeBytes.length + dataArray.length);
-  crcData.set(typeBytes, 0);
-  crcData.set(dataArray, typeBytes.length);
-  
-  const crc = calculateCrc(crcData);
-  const crcBuffer = new Uint8Array(4);
-  const crcView = new DataView(crcBuffer.buffer);
-  crcView.setUint32(0, crc, false); // big-endian
-  
-  const chunk = new Uint8Array(length.length + crcData.length + crcBuffer.length);
-  chunk.set(length, 0);
-  chunk.set(crcData, length.length);
-  chunk.set(crcBuffer, length.length + crcData.length);
-  
-  return chunk;
-}
-
-function calculateCrc(buf) {
-  const CRC_TABLE = [];
-  for (let n = 0; n < 256; n++) {
-    let c = n;
-    for (let k = 0; k < 8; k++) {
-      c = ((c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1));
-    }
-    CRC_TABLE[n] = c;
-  }
-  
-  let crc = 0xffffffff;
-  const array = bufferToArray(buf);
-  for (let i = 0; i < array.length; i++) {
-    crc = CRC_TABLE[(crc ^ array[i]) & 0xff] ^ (crc >>> 8);
-  }
-  return (crc ^ 0xffffffff) >>> 0;
-}
+import { toUint8Array, readPngContainer, getAncillaryChunk, insertChunksBeforeIend } from './pngContainer';
 
-function findIendChunkPosition(pngBuffer) {
-  const array = bufferToArray(pngBuffer);
-  const iendSignature = new Uint8Array([0x49, 0x45, 0x4e, 0x44]);
-  
-  let pos = array.length - 12; // IEND chunk is 12 bytes (4 len + 4 type + 4 CRC)
-  
-  // Scan backwards to find IEND
-  while (pos > 0) {
-    let found = true;
-    for (let i = 0; i < 4; i++) {
-      if (array[pos + i] !== iendSignature[i]) {
-        found = false;
-        break;
-      }
-    }
-    if (found) {
-      return pos;
-    }
-    pos -= 1;
-  }
-  
-  return -1;
-}
+// Using 'afBR' as chunk type (Alchemy Factory BRanding)
+// First letter lowercase = ancillary (optional), won't break PNG readers
+const BRANDING_CHUNK_TYPE = 'afBR';
 
 /**
  * Embed branding image into blueprint PNG
@@ -99,7 +25,7 @@ export async function embedBrandingImage(blueprintPngBuffer) {
     } else if (blueprintPngBuffer instanceof ArrayBuffer) {
       pngArray = new Uint8Array(blueprintPngBuffer);
     } else {
-      pngArray = bufferToArray(blueprintPngBuffer);
+      pngArray = toUint8Array(blueprintPngBuffer);
     }
     
     // Fetch branding image from public folder
@@ -118,23 +44,16 @@ export async function embedBrandingImage(blueprintPngBuffer) {
       return new Blob([pngArray], { type: 'image/png' });
     }
     
-    // Create custom PNG chunk for branding
-    // Using 'afBR' as chunk type (Alchemy Factory BRanding)
-    // First letter lowercase = ancillary (optional), won't break PNG readers
-    const brandingChunk = createPngChunk('afBR', brandingImage);
-    
-    // Find IEND chunk position
-    const iendPos = findIendChunkPosition(pngArray);
-    if (iendPos === -1) {
-      console.warn('Invalid PNG file: IEND chunk not found');
+    let container;
+    try {
+      container = readPngContainer(pngArray);
+    } catch (structureError) {
+      console.warn('Invalid PNG file:', structureError.message);
       return new Blob([pngArray], { type: 'image/png' });
     }
-    
-    // Insert branding chunk before IEND
-    const modifiedPng = new Uint8Array(iendPos + brandingChunk.length + (pngArray.length - iendPos));
-    modifiedPng.set(pngArray.subarray(0, iendPos), 0);
-    modifiedPng.set(brandingChunk, iendPos);
-    modifiedPng.set(pngArray.subarray(iendPos), iendPos + brandingChunk.length);
+
+    // Insert branding chunk before IEND (replacing any existing one)
+    const modifiedPng = insertChunksBeforeIend(container, [{ type: BRANDING_CHUNK_TYPE, data: brandingImage }]);
     
     return new Blob([modifiedPng], { type: 'image/png' });
   } catch (error) {
@@ -143,7 +62,7 @@ export async function embedBrandingImage(blueprintPngBuffer) {
     if (blueprintPngBuffer instanceof Blob) {
       return blueprintPngBuffer;
     }
-    const array = bufferToArray(blueprintPngBuffer);
+    const array = toUint8Array(blueprintPngBuffer);
     return new Blob([array], { type: 'image/png' });
   }
 }
@@ -157,37 +76,8 @@ export async function embedBrandingImage(blueprintPngBuffer) {
  */
 export function extractBrandingImage(blueprintPngBuffer) {
   try {
-    const array = bufferToArray(blueprintPngBuffer);
-    const brandingChunkType = new TextEncoder().encode('afBR');
-    let pos = 8; // Skip PNG signature
-    
-    while (pos < array.length - 12) {
-      // Read chunk length (big-endian)
-      const lengthView = new DataView(array.buffer, array.byteOffset + pos, 4);
-      const length = lengthView.getUint32(0, false);
-      
-      // Read chunk type
-      const chunkType = array.subarray(pos + 4, pos + 8);
-      
-      // Compare chunk type
-      let isMatch = true;
-      for (let i = 0; i < 4; i++) {
-        if (chunkType[i] !== brandingChunkType[i]) {
-          isMatch = false;
-          break;
-        }
-      }
-      
-      if (isMatch) {
-        // Found branding chunk - extract data
-        return array.subarray(pos + 8, pos + 8 + length);
-      }
-      
-      // Move to next chunk (length + type + data + CRC)
-      pos += 12 + length;
-    }
-    
-    return null; // Branding image not found
+    const container = readPngContainer(toUint8Array(blueprintPngBuffer));
+    return getAncillaryChunk(container, BRANDING_CHUNK_TYPE);
   } catch (error) {
     console.error('Error extracting branding image:', error);
     return null;
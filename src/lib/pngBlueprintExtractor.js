@@ -1,6 +1,6 @@
-// PNG Blueprint signatures
-const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
-const IEND_CHUNK = new Uint8Array([0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82]);
+import { PNG_SIGNATURE, IEND_CHUNK, readPngContainer, getImageBytes, getBlueprintPayload } from './pngContainer';
+
+// PNG Blueprint signature (UploadedImage FString at the start of the payload)
 const BLUEPRINT_PNG_SIGNATURE = new Uint8Array([0x0E, 0x00, 0x00, 0x00, 0x55, 0x70, 0x6C, 0x6F, 0x61, 0x64, 0x65, 0x64, 0x49, 0x6D, 0x61, 0x67, 0x65]);
 
 const arrayEquals = (a, b) => {
@@ -11,52 +11,13 @@ const arrayEquals = (a, b) => {
   return true;
 };
 
-// Find the index of a byte pattern within a larger Uint8Array
-const findBytePattern = (haystack, needle) => {
-  for (let i = 0; i <= haystack.length - needle.length; i++) {
-    let found = true;
-    for (let j = 0; j < needle.length; j++) {
-      if (haystack[i + j] !== needle[j]) {
-        found = false;
-        break;
-      }
-    }
-    if (found) return i;
-  }
-  return -1;
-};
-
-// Validate that a file starts with PNG signature
-const validatePngSignature = (buffer) => {
-  if (buffer.length < PNG_SIGNATURE.length) {
-    throw new Error("File too small to be a valid PNG");
-  }
-  
-  const fileSignature = new Uint8Array(buffer.slice(0, PNG_SIGNATURE.length));
-  if (!arrayEquals(fileSignature, PNG_SIGNATURE)) {
-    throw new Error("Invalid PNG file signature");
-  }
-};
-
-// Find the IEND chunk position in PNG data
-const findIendChunk = (buffer) => {
-  const bufferArray = new Uint8Array(buffer);
-  const iendIndex = findBytePattern(bufferArray, IEND_CHUNK);
-  
-  if (iendIndex === -1) {
-    throw new Error("Invalid PNG file structure - IEND chunk not found");
-  }
-  
-  return iendIndex;
-};
-
 // Validate blueprint signature in extracted data
 const validateBlueprintSignature = (blueprintData) => {
   if (blueprintData.length < BLUEPRINT_PNG_SIGNATURE.length) {
     throw new Error("PNG does not contain valid blueprint data");
   }
   
-  const dataSignature = new Uint8Array(blueprintData.slice(0, BLUEPRINT_PNG_SIGNATURE.length));
+  const dataSignature = blueprintData.subarray(0, BLUEPRINT_PNG_SIGNATURE.length);
   if (!arrayEquals(dataSignature, BLUEPRINT_PNG_SIGNATURE)) {
     throw new Error("PNG does not contain a valid blueprint signature");
   }
@@ -71,59 +32,55 @@ const validateBlueprintSignature = (blueprintData) => {
  * @returns {Promise<{strippedFile: Blob, originalSize: number, strippedSize: number, imageBlob: Blob}>}
  */
 export const extractBlueprintFromPng = async (pngFile) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      try {
-        const buffer = e.target.result;
-        const originalSize = buffer.byteLength;
-        
-        validatePngSignature(buffer);
-        
-        const iendIndex = findIendChunk(buffer);
-        const blueprintDataStart = iendIndex;
-        const blueprintData = buffer.slice(blueprintDataStart);
-        const dataAfterIend = buffer.slice(iendIndex + IEND_CHUNK.length);
-        
-        validateBlueprintSignature(dataAfterIend);
-        
-        // Extract the PNG image portion (everything up to and including IEND)
-        const pngImageData = buffer.slice(0, iendIndex + IEND_CHUNK.length);
-        const imageBlob = new Blob([pngImageData], { type: 'image/png' });
-        
-        // Create stripped file with just PNG header + IEND + blueprint data
-        const strippedSize = PNG_SIGNATURE.length + IEND_CHUNK.length + dataAfterIend.byteLength;
-        const strippedBuffer = new Uint8Array(strippedSize);
-
-        let offset = 0;
-        strippedBuffer.set(PNG_SIGNATURE, offset);
-        offset += PNG_SIGNATURE.length;
-        strippedBuffer.set(IEND_CHUNK, offset);
-        offset += IEND_CHUNK.length;
-        strippedBuffer.set(new Uint8Array(dataAfterIend), offset);
-        
-        const strippedBlob = new Blob([strippedBuffer], { type: 'image/png' });
-        
-        resolve({
-          strippedFile: strippedBlob,
-          originalSize,
-          strippedSize: strippedBlob.size,
-          compressionRatio: ((1 - strippedBlob.size / originalSize) * 100).toFixed(1),
-          imageBlob // Include the extracted PNG image
-        });
-        
-      } catch (error) {
-        reject(error);
-      }
-    };
-    
-    reader.onerror = () => {
-      reject(new Error("Failed to read PNG file"));
-    };
-    
-    reader.readAsArrayBuffer(pngFile);
-  });
+  let buffer;
+  try {
+    buffer = await pngFile.arrayBuffer();
+  } catch (error) {
+    throw new Error("Failed to read PNG file");
+  }
+
+  const originalSize = buffer.byteLength;
+  const container = readPngContainer(buffer);
+  const dataAfterIend = getBlueprintPayload(container);
+
+  validateBlueprintSignature(dataAfterIend);
+
+  // Extract the PNG image portion (everything up to and including IEND)
+  const imageBlob = new Blob([getImageBytes(container)], { type: 'image/png' });
+
+  // Create stripped file with just PNG header + IEND + blueprint data
+  const strippedBuffer = new Uint8Array(PNG_SIGNATURE.length + IEND_CHUNK.length + dataAfterIend.byteLength);
+
+  let offset = 0;
+  strippedBuffer.set(PNG_SIGNATURE, offset);
+  offset += PNG_SIGNATURE.length;
+  strippedBuffer.set(IEND_CHUNK, offset);
+  offset += IEND_CHUNK.length;
+  strippedBuffer.set(dataAfterIend, offset);
+
+  const strippedBlob = new Blob([strippedBuffer], { type: 'image/png' });
+
+  return {
+    strippedFile: strippedBlob,
+    originalSize,
+    strippedSize: strippedBlob.size,
+    compressionRatio: ((1 - strippedBlob.size / originalSize) * 100).toFixed(1),
+    imageBlob // Include the extracted PNG image
+  };
+};
+
+/**
+ * Get the serialized blueprint payload (everything after IEND) from a blueprint PNG
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Uint8Array}
+ */
+export const extractBlueprintPayload = (buffer) => {
+  const dataAfterIend = getBlueprintPayload(readPngContainer(buffer));
+
+  validateBlueprintSignature(dataAfterIend);
+
+  return dataAfterIend;
 };
 
 export const isPngBlueprint = (filename) => {
@@ -142,57 +99,27 @@ export const formatBytes = (bytes) => {
  * Replace the preview image in a blueprint PNG with a watermark/branding image
  */
 export const replaceBlueprintPreviewImage = async (blueprintPng, replacementImage) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      try {
-        const buffer = e.target.result;
-        validatePngSignature(buffer);
-        
-        const iendIndex = findIendChunk(buffer);
-        const dataAfterIend = buffer.slice(iendIndex + IEND_CHUNK.length);
-        
-        validateBlueprintSignature(dataAfterIend);
-        
-        const imageReader = new FileReader();
-        imageReader.onload = (imageEvent) => {
-          try {
-            const replacementBuffer = imageEvent.target.result;
-            validatePngSignature(replacementBuffer);
-            
-            const replacementIendIndex = findIendChunk(replacementBuffer);
-            const replacementImageData = replacementBuffer.slice(0, replacementIendIndex + IEND_CHUNK.length);
-            
-            const resultSize = replacementImageData.byteLength + dataAfterIend.byteLength;
-            const resultBuffer = new Uint8Array(resultSize);
-            
-            let offset = 0;
-            resultBuffer.set(new Uint8Array(replacementImageData), offset);
-            offset += replacementImageData.byteLength;
-            resultBuffer.set(new Uint8Array(dataAfterIend), offset);
-            
-            const resultBlob = new Blob([resultBuffer], { type: 'image/png' });
-            resolve(resultBlob);
-          } catch (error) {
-            reject(error);
-          }
-        };
-        
-        imageReader.onerror = () => {
-          reject(new Error("Failed to read replacement image"));
-        };
-        
-        imageReader.readAsArrayBuffer(replacementImage);
-      } catch (error) {
-        reject(error);
-      }
-    };
-    
-    reader.onerror = () => {
-      reject(new Error("Failed to read blueprint PNG"));
-    };
-    
-    reader.readAsArrayBuffer(blueprintPng);
-  });
+  let blueprintBuffer;
+  let replacementBuffer;
+  try {
+    blueprintBuffer = await blueprintPng.arrayBuffer();
+  } catch (error) {
+    throw new Error("Failed to read blueprint PNG");
+  }
+  try {
+    replacementBuffer = await replacementImage.arrayBuffer();
+  } catch (error) {
+    throw new Error("Failed to read replacement image");
+  }
+
+  const dataAfterIend = getBlueprintPayload(readPngContainer(blueprintBuffer));
+  validateBlueprintSignature(dataAfterIend);
+
+  const replacementImageData = getImageBytes(readPngContainer(replacementBuffer));
+
+  const resultBuffer = new Uint8Array(replacementImageData.byteLength + dataAfterIend.byteLength);
+  resultBuffer.set(replacementImageData, 0);
+  resultBuffer.set(dataAfterIend, replacementImageData.byteLength);
+
+  return new Blob([resultBuffer], { type: 'image/png' });
 };
@@ -0,0 +1,134 @@
+/**
+ * Blueprint Hub Metadata
+ * Stores hub identity (id, slug, version, creator, part, payload hash) in a private 'afMD' PNG chunk
+ * so local files can be matched to hub blueprints without guessing from filenames
+ */
+
+import {
+  PNG_SIGNATURE,
+  IEND_CHUNK,
+  toUint8Array,
+  readPngContainer,
+  getAncillaryChunk,
+  getBlueprintPayload,
+  insertChunksBeforeIend,
+  concatBytes,
+} from './pngContainer';
+
+// 'afMD' = Alchemy Factory MetaData (ancillary + private, ignored by image viewers and the game)
+export const METADATA_CHUNK_TYPE = 'afMD';
+const METADATA_FORMAT_VERSION = 1;
+const MAX_METADATA_BYTES = 4096;
+
+async function toBytes(input) {
+  if (input instanceof Blob) {
+    return new Uint8Array(await input.arrayBuffer());
+  }
+  return toUint8Array(input);
+}
+
+async function sha256Hex(bytes) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(hashBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Hash of the stripped form (signature + IEND + payload) that the hub stores as filehash/file_hash
+function hashPayload(container) {
+  return sha256Hex(concatBytes([PNG_SIGNATURE, IEND_CHUNK, getBlueprintPayload(container)]));
+}
+
+/**
+ * Hash only the serialized blueprint data after IEND, so the same blueprint
+ * hashes identically whatever preview image or chunks surround it.
+ * Equal to the SHA-256 of the file produced by extractBlueprintFromPng().strippedFile.
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Blueprint PNG
+ * @returns {Promise<string>} - Hex SHA-256 of the stripped blueprint
+ */
+export async function hashBlueprintPayload(input) {
+  const container = readPngContainer(await toBytes(input), { verifyCrc: false });
+  return hashPayload(container);
+}
+
+/**
+ * Hash the whole file. Blueprints uploaded before payload hashing are stored under this hash,
+ * so a copy downloaded back then still matches its hub row by it.
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Blueprint file
+ * @returns {Promise<string>} - Hex SHA-256 of the file
+ */
+export async function hashBlueprintFile(input) {
+  return sha256Hex(await toBytes(input));
+}
+
+/**
+ * Build the metadata record for a hub blueprint (or one of its parts)
+ *
+ * @param {Object} blueprint - Blueprint row
+ * @param {Object} [options]
+ * @param {number|null} [options.partNumber] - Part number for multi-part blueprints
+ * @param {string|null} [options.payloadHash] - Precomputed payload hash
+ */
+export function buildBlueprintMetadata(blueprint, { partNumber = null, payloadHash = null } = {}) {
+  return {
+    v: METADATA_FORMAT_VERSION,
+    blueprintId: blueprint.id,
+    slug: blueprint.slug || null,
+    version: Number.isInteger(blueprint.version) ? blueprint.version : 1,
+    creator: blueprint.creator_name || null,
+    part: partNumber,
+    payloadHash,
+  };
+}
+
+/**
+ * Write (or refresh) the metadata chunk in a blueprint PNG
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Blueprint PNG
+ * @param {Object} metadata - From buildBlueprintMetadata
+ * @returns {Promise<Blob>}
+ */
+export async function embedBlueprintMetadata(input, metadata) {
+  const bytes = await toBytes(input);
+  const container = readPngContainer(bytes, { verifyCrc: false });
+
+  const record = {
+    ...metadata,
+    payloadHash: metadata.payloadHash || await hashPayload(container),
+  };
+  const data = new TextEncoder().encode(JSON.stringify(record));
+
+  return new Blob([insertChunksBeforeIend(container, [{ type: METADATA_CHUNK_TYPE, data }])], { type: 'image/png' });
+}
+
+/**
+ * Read the metadata chunk from a blueprint PNG
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array} input - Blueprint PNG
+ * @returns {Promise<Object|null>} - Metadata, or null if absent/invalid
+ */
+export async function readBlueprintMetadata(input) {
+  try {
+    const container = readPngContainer(await toBytes(input), { verifyCrc: false });
+    const data = getAncillaryChunk(container, METADATA_CHUNK_TYPE);
+    if (!data || data.length > MAX_METADATA_BYTES) return null;
+
+    const metadata = JSON.parse(new TextDecoder('utf-8').decode(data));
+    if (!metadata || metadata.v !== METADATA_FORMAT_VERSION || typeof metadata.blueprintId !== 'string') {
+      return null;
+    }
+
+    return {
+      blueprintId: metadata.blueprintId,
+      slug: typeof metadata.slug === 'string' ? metadata.slug : null,
+      version: Number.isInteger(metadata.version) ? metadata.version : 1,
+      creator: typeof metadata.creator === 'string' ? metadata.creator : null,
+      part: Number.isInteger(metadata.part) ? metadata.part : null,
+      payloadHash: typeof metadata.payloadHash === 'string' ? metadata.payloadHash : null,
+    };
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * PNG Container Reader
+ * Walks PNG chunks by length and type (verifying CRCs) instead of scanning for byte patterns.
+ * Blueprint PNGs are a normal PNG image followed by the serialized blueprint payload after IEND.
+ */
+
+export const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+export const IEND_CHUNK = new Uint8Array([0x00, 0x00, 0x00, 0x00, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82]);
+
+const CHUNK_OVERHEAD = 12; // length + type + CRC
+const DEFAULT_MAX_CHUNKS = 10000;
+
+export class PngContainerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PngContainerError';
+  }
+}
+
+let crcTable = null;
+
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+// CRC-32 as used by PNG (over chunk type + data)
+export function crc32(bytes, start = 0, end = bytes.length) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function toUint8Array(buffer) {
+  if (buffer instanceof Uint8Array) return buffer;
+  if (buffer instanceof ArrayBuffer) return new Uint8Array(buffer);
+  if (ArrayBuffer.isView(buffer)) return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  throw new PngContainerError('Unsupported buffer type');
+}
+
+export function hasPngSignature(bytes) {
+  const array = toUint8Array(bytes);
+  if (array.length < PNG_SIGNATURE.length) return false;
+  return PNG_SIGNATURE.every((byte, i) => array[i] === byte);
+}
+
+// Ancillary chunks have a lowercase first letter, private ones a lowercase second letter (e.g. afBR)
+export function isAncillaryChunk(type) {
+  return type.charCodeAt(0) >= 97;
+}
+
+export function isPrivateChunk(type) {
+  return type.charCodeAt(1) >= 97;
+}
+
+function readUint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readChunkType(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Parse the chunk layout of a PNG buffer
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {Object} [options]
+ * @param {boolean} [options.verifyCrc=true] - Throw on CRC mismatch
+ * @param {number} [options.maxChunks=10000] - Guard against malformed files
+ * @returns {{bytes: Uint8Array, chunks: Array<Object>, imageEnd: number, trailer: Uint8Array}}
+ */
+export function readPngContainer(buffer, { verifyCrc = true, maxChunks = DEFAULT_MAX_CHUNKS } = {}) {
+  const bytes = toUint8Array(buffer);
+
+  if (bytes.length < PNG_SIGNATURE.length) {
+    throw new PngContainerError('File too small to be a valid PNG');
+  }
+  if (!hasPngSignature(bytes)) {
+    throw new PngContainerError('Invalid PNG file signature');
+  }
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + CHUNK_OVERHEAD <= bytes.length) {
+    if (chunks.length >= maxChunks) {
+      throw new PngContainerError('PNG file has too many chunks');
+    }
+
+    const length = readUint32BE(bytes, offset);
+    const type = readChunkType(bytes, offset + 4);
+    const dataOffset = offset + 8;
+    const end = dataOffset + length + 4;
+
+    if (!/^[A-Za-z]{4}$/.test(type)) {
+      throw new PngContainerError(`Invalid PNG chunk type at offset ${offset}`);
+    }
+    if (end > bytes.length) {
+      throw new PngContainerError(`PNG chunk ${type} is truncated`);
+    }
+
+    const crc = readUint32BE(bytes, dataOffset + length);
+    if (verifyCrc && crc32(bytes, offset + 4, dataOffset + length) !== crc) {
+      throw new PngContainerError(`PNG chunk ${type} failed CRC check`);
+    }
+
+    chunks.push({
+      type,
+      offset,
+      length,
+      dataOffset,
+      data: bytes.subarray(dataOffset, dataOffset + length),
+      crc,
+    });
+
+    offset = end;
+
+    if (type === 'IEND') {
+      return {
+        bytes,
+        chunks,
+        imageEnd: offset,
+        trailer: bytes.subarray(offset),
+      };
+    }
+  }
+
+  throw new PngContainerError('Invalid PNG file structure - IEND chunk not found');
+}
+
+// Standard image chunks (IHDR, IDAT, PLTE, tEXt, ...), excluding private ones like afBR
+export function getImageChunks(container) {
+  return container.chunks.filter(chunk => !isPrivateChunk(chunk.type));
+}
+
+// All chunks of the given ancillary type, in file order
+export function getAncillaryChunks(container, type) {
+  return container.chunks.filter(chunk => chunk.type === type);
+}
+
+// Data of the first chunk of the given ancillary type, or null
+export function getAncillaryChunk(container, type) {
+  const chunk = container.chunks.find(c => c.type === type);
+  return chunk ? chunk.data : null;
+}
+
+// PNG image portion: signature through the end of IEND
+export function getImageBytes(container) {
+  return container.bytes.subarray(0, container.imageEnd);
+}
+
+// Serialized blueprint data stored after IEND
+export function getBlueprintPayload(container) {
+  return container.trailer;
+}
+
+/**
+ * Encode a PNG chunk (length + type + data + CRC)
+ *
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Uint8Array}
+ */
+export function createPngChunk(type, data) {
+  const dataArray = toUint8Array(data);
+  const chunk = new Uint8Array(CHUNK_OVERHEAD + dataArray.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, dataArray.length, false);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(dataArray, 8);
+  view.setUint32(8 + dataArray.length, crc32(chunk, 4, 8 + dataArray.length), false);
+
+  return chunk;
+}
+
+export function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+/**
+ * Rebuild a PNG with new chunks inserted before IEND, keeping the trailing payload.
+ * Existing chunks of the same types are replaced.
+ *
+ * @param {Object} container - Result of readPngContainer
+ * @param {Array<{type: string, data: Uint8Array}>} newChunks
+ * @returns {Uint8Array}
+ */
+export function insertChunksBeforeIend(container, newChunks) {
+  const replacedTypes = new Set(newChunks.map(chunk => chunk.type));
+  const parts = [PNG_SIGNATURE];
+
+  container.chunks.forEach(chunk => {
+    if (chunk.type === 'IEND' || replacedTypes.has(chunk.type)) return;
+    parts.push(container.bytes.subarray(chunk.offset, chunk.dataOffset + chunk.length + 4));
+  });
+
+  newChunks.forEach(chunk => parts.push(createPngChunk(chunk.type, chunk.data)));
+  parts.push(IEND_CHUNK, container.trailer);
+
+  return concatBytes(parts);
+}
@@ -0,0 +1,69 @@
+/**
+ * Local Save File Reader
+ * Reads .sav files in a Web Worker so the save stays on the player's machine (SavegameSync only falls
+ * back to uploading it through saveParserClient when this reader fails)
+ */
+
+import { decodeSaveGame } from './saveGameDecoder';
+
+let saveWorker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+function getSaveWorker() {
+  if (typeof Worker === 'undefined') return null;
+
+  if (!saveWorker) {
+    saveWorker = new Worker(new URL('./saveGameDecoder.worker.js', import.meta.url), { type: 'module' });
+
+    saveWorker.onmessage = (event) => {
+      const { id, ok, result, error, progress } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      if (progress !== undefined) {
+        request.onProgress?.(progress);
+        return;
+      }
+
+      pendingRequests.delete(id);
+      if (ok) {
+        request.resolve(result);
+      } else {
+        request.reject(new Error(error));
+      }
+    };
+
+    saveWorker.onerror = (event) => {
+      console.error('[SaveReader] Worker failed:', event.message);
+      pendingRequests.forEach(request => request.reject(new Error('Save reader worker failed')));
+      pendingRequests.clear();
+      saveWorker.terminate();
+      saveWorker = null;
+    };
+  }
+
+  return saveWorker;
+}
+
+/**
+ * @param {File} file - The .sav file
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with 0-100
+ * @returns {Promise<Object>} - Save data (UnlockData, PlayerTier, Progression, Inventory)
+ */
+export async function readSaveFile(file, { onProgress } = {}) {
+  const buffer = await file.arrayBuffer();
+  const worker = getSaveWorker();
+
+  // No worker support - read inline
+  if (!worker) {
+    return decodeSaveGame(new Uint8Array(buffer), { onProgress });
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    worker.postMessage({ id, buffer }, [buffer]);
+  });
+}
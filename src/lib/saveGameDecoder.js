@@ -0,0 +1,213 @@
+/**
+ * Save Game Decoder
+ * Reads an Unreal GVAS .sav file and pulls out what compatibility checks need: the unlock lists,
+ * tier/progression values and inventory counts. The result has the same shape as the remote
+ * parser's save data, so saveManager can store either.
+ */
+
+import { UnrealReader, UnrealDecodeError, readPropertyList } from './unrealPropertyReader';
+
+const GVAS_MAGIC = 'GVAS';
+
+// SaveGameVersion from which the header carries a UE5 package version
+const UE5_SAVEGAME_VERSION = 3;
+
+const TIER_KEYS = ['PlayerTier', 'CurrentTier', 'Tier', 'TierLevel', 'UnlockedTier', 'MaxTier'];
+const PROGRESSION_PATTERN = /tier|level|progress|research|stage|chapter/i;
+const INVENTORY_PATTERN = /inventor|storage|stash|chest|container|backpack|hotbar/i;
+const ITEM_KEYS = ['Item', 'ItemId', 'ItemID', 'ItemName', 'ItemKey', 'Id', 'ID', 'Name', 'Key'];
+const COUNT_KEYS = ['Count', 'Amount', 'Quantity', 'Num', 'StackCount', 'StackSize', 'Stack', 'Value'];
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+
+/**
+ * "/Game/Items/DA_BronzeRivet.DA_BronzeRivet", "EItem::BronzeRivet" -> "BronzeRivet"
+ */
+export function normalizeItemId(value) {
+  if (typeof value !== 'string') return null;
+  const id = value.split(/::|[./]/).filter(Boolean).pop() || '';
+  return id.replace(/^(DA|BP|DT)_/, '') || null;
+}
+
+function readHeader(reader) {
+  const magic = new TextDecoder('ascii').decode(reader.readBytes(4));
+  if (magic !== GVAS_MAGIC) {
+    throw new UnrealDecodeError('Not an Unreal save file (missing GVAS header)', 0);
+  }
+
+  const saveGameVersion = reader.readInt32();
+  const packageVersion = reader.readInt32();
+  const packageVersionUE5 = saveGameVersion >= UE5_SAVEGAME_VERSION ? reader.readInt32() : null;
+
+  const engineVersion = [reader.readUint16(), reader.readUint16(), reader.readUint16()].join('.');
+  reader.readUint32(); // changelist
+  reader.readFString(); // branch
+
+  reader.readInt32(); // custom version format
+  const customVersionCount = reader.readInt32();
+  if (customVersionCount < 0 || customVersionCount > 10000) {
+    throw new UnrealDecodeError(`Custom version count ${customVersionCount} out of range`, reader.offset - 4);
+  }
+  reader.skip(customVersionCount * 20); // 16-byte guid + int32 version each
+
+  const saveGameClass = reader.readFString();
+
+  return { saveGameVersion, packageVersion, packageVersionUE5, engineVersion, saveGameClass };
+}
+
+// Depth-first search for the first value stored under `key`
+function findProperty(node, key, depth = 0) {
+  if (depth > 32 || !node || typeof node !== 'object' || ArrayBuffer.isView(node)) return undefined;
+
+  if (isPlainObject(node) && Object.prototype.hasOwnProperty.call(node, key)) {
+    return node[key];
+  }
+  for (const child of Object.values(node)) {
+    const found = findProperty(child, key, depth + 1);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Visits every plain-object property as (name, value, path)
+function walkProperties(node, visit, path = '', depth = 0) {
+  if (depth > 32 || !node || typeof node !== 'object' || ArrayBuffer.isView(node)) return;
+
+  if (Array.isArray(node)) {
+    node.forEach((child, index) => walkProperties(child, visit, `${path}[${index}]`, depth + 1));
+    return;
+  }
+  Object.entries(node).forEach(([name, value]) => {
+    const childPath = path ? `${path}.${name}` : name;
+    visit(name, value, childPath);
+    walkProperties(value, visit, childPath, depth + 1);
+  });
+}
+
+function toIdList(value) {
+  if (!Array.isArray(value)) return [];
+
+  const ids = new Set();
+  value.forEach(entry => {
+    const raw = isPlainObject(entry)
+      ? ITEM_KEYS.map(key => entry[key]).find(item => typeof item === 'string')
+      : entry;
+    const id = normalizeItemId(raw);
+    if (id && id !== 'None') ids.add(id);
+  });
+  return [...ids].sort();
+}
+
+function extractUnlockData(properties) {
+  const unlockData = findProperty(properties, 'UnlockData');
+  const source = isPlainObject(unlockData) ? unlockData : properties;
+
+  return {
+    CraftingOptionList: toIdList(findProperty(source, 'CraftingOptionList')),
+    ConstructOptionList: toIdList(findProperty(source, 'ConstructOptionList')),
+  };
+}
+
+// Numeric values whose names look like progression, keyed by their property path
+function extractProgression(properties) {
+  const progression = {};
+  walkProperties(properties, (name, value, path) => {
+    if (PROGRESSION_PATTERN.test(name) && Number.isInteger(value) && !path.includes('[')) {
+      progression[path] = value;
+    }
+  });
+  return progression;
+}
+
+function extractPlayerTier(properties, progression) {
+  for (const key of TIER_KEYS) {
+    const value = findProperty(properties, key);
+    if (Number.isInteger(value) && value >= 0) return value;
+  }
+  const tiers = Object.entries(progression)
+    .filter(([path]) => /tier/i.test(path.split('.').pop()))
+    .map(([, value]) => value);
+  return tiers.length > 0 ? Math.max(...tiers) : null;
+}
+
+function addCount(counts, item, count) {
+  const id = normalizeItemId(item);
+  if (!id || id === 'None' || !Number.isInteger(count) || count <= 0) return;
+  counts[id] = (counts[id] || 0) + count;
+}
+
+function collectInventory(value, counts) {
+  if (Array.isArray(value)) {
+    value.forEach(entry => {
+      if (!isPlainObject(entry)) return;
+      const item = ITEM_KEYS.map(key => entry[key]).find(candidate => typeof candidate === 'string');
+      const count = COUNT_KEYS.map(key => entry[key]).find(candidate => Number.isInteger(candidate));
+      if (item !== undefined && count !== undefined) {
+        addCount(counts, item, count);
+      } else {
+        // Slots that wrap the stack in another struct, e.g. { Slot: { Item, Count } }
+        collectInventory(Object.values(entry).filter(child => typeof child === 'object'), counts);
+      }
+    });
+  } else if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => {
+      if (Number.isInteger(child)) {
+        addCount(counts, key, child);
+      } else if (typeof child === 'object') {
+        collectInventory(child, counts);
+      }
+    });
+  }
+}
+
+function extractInventory(properties) {
+  const counts = {};
+  const visited = new Set();
+
+  walkProperties(properties, (name, value, path) => {
+    if (!INVENTORY_PATTERN.test(name) || typeof value !== 'object' || value === null) return;
+    // Nested inventory-named properties are already covered by their parent
+    if ([...visited].some(parent => path.startsWith(`${parent}.`) || path.startsWith(`${parent}[`))) return;
+    visited.add(path);
+    collectInventory(value, counts);
+  });
+
+  return Object.entries(counts)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([Item, Count]) => ({ Item, Count }));
+}
+
+/**
+ * Decode a .sav file
+ *
+ * @param {Uint8Array} bytes - Raw .sav bytes
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with 0-100 as the property tree is read
+ * @returns {{UnlockData: Object, PlayerTier: number|null, Progression: Object, Inventory: Array, SaveInfo: Object}}
+ */
+export function decodeSaveGame(bytes, { onProgress } = {}) {
+  const reader = new UnrealReader(bytes, {
+    onProgress: onProgress
+      ? (offset, length) => onProgress(Math.min(99, Math.round((offset / length) * 100)))
+      : null,
+  });
+
+  const header = readHeader(reader);
+  const properties = readPropertyList(reader, 0, { lenient: true });
+  const progression = extractProgression(properties);
+
+  const saveData = {
+    UnlockData: extractUnlockData(properties),
+    PlayerTier: extractPlayerTier(properties, progression),
+    Progression: progression,
+    Inventory: extractInventory(properties),
+    SaveInfo: {
+      engineVersion: header.engineVersion,
+      saveGameClass: header.saveGameClass,
+      saveGameVersion: header.saveGameVersion,
+    },
+  };
+
+  onProgress?.(100);
+  return saveData;
+}
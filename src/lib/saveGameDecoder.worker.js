@@ -0,0 +1,19 @@
+/**
+ * Web Worker that reads .sav files off the main thread
+ * Messages: { id, buffer } -> { id, progress }* then { id, ok, result } | { id, ok: false, error }
+ */
+
+import { decodeSaveGame } from './saveGameDecoder';
+
+self.onmessage = (event) => {
+  const { id, buffer } = event.data;
+
+  try {
+    const result = decodeSaveGame(new Uint8Array(buffer), {
+      onProgress: (progress) => self.postMessage({ id, progress }),
+    });
+    self.postMessage({ id, ok: true, result });
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: error.message });
+  }
+};
@@ -1,61 +1,332 @@
 /**
- * Save Manager - Handles save file uploads and localStorage management
+ * Save Manager - Named save profiles and blueprint compatibility checks
+ *
+ * Each profile keeps one parsed save, gzip-compressed in IndexedDB. The active profile's save
+ * is held in memory so compatibility checks stay synchronous; SaveProfileContext drives the
+ * async functions and re-renders consumers when the active profile changes.
+ *
+ * Without IndexedDB there are no profiles: a single save is kept in localStorage as before.
  */
 
 import { MATERIAL_MAPPINGS, BUILDING_MAPPINGS } from './blueprintMappings';
-import { combineParts } from './blueprintUtils';
+import { getParsedData, getBlueprintTier } from './blueprintUtils';
+import { STORES, isIndexedDbAvailable, idbGet, idbGetAll, idbSet, idbDelete } from './indexedDbStore';
+import { recordSaveSnapshot, deleteProfileSnapshots } from './saveSnapshots';
 
-const SAVE_STORAGE_KEY = 'blueprintCompanionSaveData';
-const SAVE_METADATA_KEY = 'blueprintCompanionSaveMetadata';
+// Single-save storage from before profiles, imported once into a profile (and still used without IndexedDB)
+const LEGACY_SAVE_STORAGE_KEY = 'blueprintCompanionSaveData';
+const LEGACY_SAVE_METADATA_KEY = 'blueprintCompanionSaveMetadata';
+const ACTIVE_PROFILE_KEY = 'blueprintCompanionActiveProfile';
+
+export const MAX_PROFILE_NAME_LENGTH = 40;
+
+let activeProfileId = null;
+let activeSaveData = null;
+let activeMetadata = null;
+
+// gzip through CompressionStream where available, plain JSON otherwise
+async function compressSaveData(saveData) {
+  const json = JSON.stringify(saveData);
+  if (typeof CompressionStream === 'undefined') {
+    return { data: json, compressed: false };
+  }
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  return { data: await new Response(stream).blob(), compressed: true };
+}
+
+async function decompressSaveData(record) {
+  if (!record?.data) return null;
+  if (!record.compressed) return JSON.parse(record.data);
+
+  const stream = record.data.stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+}
+
+function toProfileSummary({ data, compressed, ...profile }) {
+  return { ...profile, hasSave: !!data };
+}
+
+function createProfileId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `profile-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+async function validateProfileName(name, excludeId = null) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    return { valid: false, message: 'Profile name is required' };
+  }
+  if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    return { valid: false, message: `Profile name must be ${MAX_PROFILE_NAME_LENGTH} characters or less` };
+  }
+  const profiles = await idbGetAll(STORES.SAVE_PROFILES);
+  const taken = profiles.some(profile => profile.id !== excludeId && profile.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) {
+    return { valid: false, message: `A profile named "${trimmed}" already exists` };
+  }
+  return { valid: true, name: trimmed };
+}
+
+function setActiveState(record, saveData) {
+  activeProfileId = record?.id || null;
+  activeSaveData = saveData || null;
+  activeMetadata = record && saveData
+    ? { loadedAt: record.loadedAt, saveName: record.saveName, profileName: record.name }
+    : null;
+
+  if (activeProfileId) {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, activeProfileId);
+  } else {
+    localStorage.removeItem(ACTIVE_PROFILE_KEY);
+  }
+}
+
+async function importLegacySave() {
+  const legacyData = localStorage.getItem(LEGACY_SAVE_STORAGE_KEY);
+  if (!legacyData) return null;
 
-// Stores parsed save data in localStorage
-export function saveSaveData(saveData, saveName = 'Loaded Save') {
   try {
-    console.log('💾 saveSaveData called with name:', saveName);
-    console.log('📊 Save data object:', saveData);
-    
-    const metadata = {
-      loadedAt: new Date().toISOString(),
-      saveName: saveName,
+    const metadata = JSON.parse(localStorage.getItem(LEGACY_SAVE_METADATA_KEY) || '{}');
+    const now = new Date().toISOString();
+    const record = {
+      id: createProfileId(),
+      name: metadata.saveName || 'My World',
+      saveName: metadata.saveName || 'Loaded Save',
+      createdAt: now,
+      updatedAt: now,
+      loadedAt: metadata.loadedAt || now,
+      ...(await compressSaveData(JSON.parse(legacyData))),
     };
-    
-    localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(saveData));
-    localStorage.setItem(SAVE_METADATA_KEY, JSON.stringify(metadata));
-    
-    console.log('✅ Save data successfully stored in localStorage');
-    console.log('📋 Metadata:', metadata);
-    
-    return { success: true, message: `Save "${saveName}" loaded successfully` };
+    await idbSet(STORES.SAVE_PROFILES, record.id, record);
+
+    // Only drop the old copy once the profile is safely written; a failed import retries next load
+    localStorage.removeItem(LEGACY_SAVE_STORAGE_KEY);
+    localStorage.removeItem(LEGACY_SAVE_METADATA_KEY);
+    console.log(`💾 Imported previous save into profile "${record.name}"`);
+    return record.id;
   } catch (error) {
-    console.error('❌ Error saving to localStorage:', error);
-    return { success: false, message: 'Failed to save data locally' };
+    console.error('Error importing previous save data:', error);
+    return null;
   }
 }
 
-export function getSaveData() {
+// Single save in localStorage, for browsers without IndexedDB
+function loadLocalStorageSave() {
   try {
-    const data = localStorage.getItem(SAVE_STORAGE_KEY);
-    return data ? JSON.parse(data) : null;
+    const data = localStorage.getItem(LEGACY_SAVE_STORAGE_KEY);
+    if (!data) return;
+    const metadata = JSON.parse(localStorage.getItem(LEGACY_SAVE_METADATA_KEY) || '{}');
+    activeSaveData = JSON.parse(data);
+    activeMetadata = { loadedAt: metadata.loadedAt || null, saveName: metadata.saveName || 'Loaded Save', profileName: null };
   } catch (error) {
     console.error('Error retrieving save data:', error);
-    return null;
   }
 }
 
-export function getSaveMetadata() {
+function storeLocalStorageSave(saveData, saveName) {
+  const metadata = { loadedAt: new Date().toISOString(), saveName };
+  localStorage.setItem(LEGACY_SAVE_STORAGE_KEY, JSON.stringify(saveData));
+  localStorage.setItem(LEGACY_SAVE_METADATA_KEY, JSON.stringify(metadata));
+  activeSaveData = saveData;
+  activeMetadata = { ...metadata, profileName: null };
+}
+
+/**
+ * Load the profile list and the active profile's save into memory
+ * @returns {Promise<{profiles: Array, activeProfileId: string|null}>}
+ */
+export async function initSaveProfiles() {
+  if (!isIndexedDbAvailable()) {
+    loadLocalStorageSave();
+    return { profiles: [], activeProfileId: null };
+  }
+
   try {
-    const metadata = localStorage.getItem(SAVE_METADATA_KEY);
-    return metadata ? JSON.parse(metadata) : null;
+    const importedId = await importLegacySave();
+    const profiles = await listSaveProfiles();
+    const storedId = importedId || localStorage.getItem(ACTIVE_PROFILE_KEY);
+    const activeId = profiles.some(profile => profile.id === storedId) ? storedId : profiles[0]?.id;
+
+    if (activeId) {
+      await switchSaveProfile(activeId);
+    }
+    return { profiles, activeProfileId };
   } catch (error) {
-    console.error('Error retrieving save metadata:', error);
+    console.error('Error loading save profiles:', error);
+    return { profiles: [], activeProfileId: null };
+  }
+}
+
+// Profiles without their save payloads, oldest first
+export async function listSaveProfiles() {
+  if (!isIndexedDbAvailable()) return [];
+  const profiles = await idbGetAll(STORES.SAVE_PROFILES);
+  return profiles
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toProfileSummary);
+}
+
+export async function createSaveProfile(name) {
+  if (!isIndexedDbAvailable()) {
+    return { success: false, message: 'Save profiles are not supported in this browser' };
+  }
+
+  try {
+    const validation = await validateProfileName(name);
+    if (!validation.valid) {
+      return { success: false, message: validation.message };
+    }
+
+    const now = new Date().toISOString();
+    const record = { id: createProfileId(), name: validation.name, saveName: null, createdAt: now, updatedAt: now, loadedAt: null, data: null, compressed: false };
+    await idbSet(STORES.SAVE_PROFILES, record.id, record);
+    return { success: true, profile: toProfileSummary(record), message: `Profile "${record.name}" created` };
+  } catch (error) {
+    console.error('Error creating save profile:', error);
+    return { success: false, message: 'Failed to create profile' };
+  }
+}
+
+export async function renameSaveProfile(profileId, name) {
+  try {
+    const record = await idbGet(STORES.SAVE_PROFILES, profileId);
+    if (!record) {
+      return { success: false, message: 'Profile not found' };
+    }
+
+    const validation = await validateProfileName(name, profileId);
+    if (!validation.valid) {
+      return { success: false, message: validation.message };
+    }
+
+    const updated = { ...record, name: validation.name, updatedAt: new Date().toISOString() };
+    await idbSet(STORES.SAVE_PROFILES, profileId, updated);
+    if (profileId === activeProfileId && activeMetadata) {
+      activeMetadata = { ...activeMetadata, profileName: updated.name };
+    }
+    return { success: true, profile: toProfileSummary(updated), message: `Profile renamed to "${updated.name}"` };
+  } catch (error) {
+    console.error('Error renaming save profile:', error);
+    return { success: false, message: 'Failed to rename profile' };
+  }
+}
+
+// Deleting the active profile switches to the oldest remaining one
+export async function deleteSaveProfile(profileId) {
+  try {
+    await idbDelete(STORES.SAVE_PROFILES, profileId);
+    await deleteProfileSnapshots(profileId);
+
+    if (profileId === activeProfileId) {
+      const [next] = await listSaveProfiles();
+      if (next) {
+        await switchSaveProfile(next.id);
+      } else {
+        setActiveState(null, null);
+      }
+    }
+    return { success: true, message: 'Profile deleted' };
+  } catch (error) {
+    console.error('Error deleting save profile:', error);
+    return { success: false, message: 'Failed to delete profile' };
+  }
+}
+
+export async function switchSaveProfile(profileId) {
+  try {
+    const record = await idbGet(STORES.SAVE_PROFILES, profileId);
+    if (!record) {
+      return { success: false, message: 'Profile not found' };
+    }
+    setActiveState(record, await decompressSaveData(record));
+    return { success: true, message: `Switched to "${record.name}"` };
+  } catch (error) {
+    console.error('Error switching save profile:', error);
+    return { success: false, message: 'Failed to load profile' };
+  }
+}
+
+// Parsed save of any profile, for comparing worlds without switching
+export async function loadProfileSaveData(profileId) {
+  if (profileId === activeProfileId) return activeSaveData;
+  try {
+    return await decompressSaveData(await idbGet(STORES.SAVE_PROFILES, profileId));
+  } catch (error) {
+    console.error('Error loading profile save data:', error);
     return null;
   }
 }
 
-export function clearSaveData() {
+/**
+ * Store parsed save data in the active profile, creating one named after the save if there is none
+ */
+export async function saveSaveData(saveData, saveName = 'Loaded Save') {
   try {
-    localStorage.removeItem(SAVE_STORAGE_KEY);
-    localStorage.removeItem(SAVE_METADATA_KEY);
+    console.log('💾 saveSaveData called with name:', saveName);
+
+    if (!isIndexedDbAvailable()) {
+      storeLocalStorageSave(saveData, saveName);
+      return { success: true, message: `Save "${saveName}" loaded successfully` };
+    }
+
+    if (!activeProfileId) {
+      const created = await createSaveProfile(saveName);
+      if (!created.success) {
+        return created;
+      }
+      activeProfileId = created.profile.id;
+    }
+
+    const record = await idbGet(STORES.SAVE_PROFILES, activeProfileId);
+    const now = new Date().toISOString();
+    const updated = {
+      ...record,
+      saveName,
+      loadedAt: now,
+      updatedAt: now,
+      ...(await compressSaveData(saveData)),
+    };
+    await idbSet(STORES.SAVE_PROFILES, updated.id, updated);
+    setActiveState(updated, saveData);
+    await recordSaveSnapshot(updated.id, saveData, saveName);
+
+    console.log(`✅ Save data stored in profile "${updated.name}"`);
+    return { success: true, message: `Save "${saveName}" loaded into "${updated.name}"` };
+  } catch (error) {
+    console.error('❌ Error storing save data:', error);
+    return { success: false, message: 'Failed to save data locally' };
+  }
+}
+
+export function getActiveProfileId() {
+  return activeProfileId;
+}
+
+export function getSaveData() {
+  return activeSaveData;
+}
+
+export function getSaveMetadata() {
+  return activeMetadata;
+}
+
+// Removes the active profile's save but keeps the profile
+export async function clearSaveData() {
+  try {
+    if (!isIndexedDbAvailable()) {
+      localStorage.removeItem(LEGACY_SAVE_STORAGE_KEY);
+      localStorage.removeItem(LEGACY_SAVE_METADATA_KEY);
+      activeSaveData = null;
+      activeMetadata = null;
+    } else if (activeProfileId) {
+      const record = await idbGet(STORES.SAVE_PROFILES, activeProfileId);
+      if (record) {
+        const updated = { ...record, data: null, compressed: false, saveName: null, loadedAt: null, updatedAt: new Date().toISOString() };
+        await idbSet(STORES.SAVE_PROFILES, updated.id, updated);
+        setActiveState(updated, null);
+      }
+    }
     return { success: true, message: 'Save data cleared' };
   } catch (error) {
     console.error('Error clearing save data:', error);
@@ -67,7 +338,38 @@ export function hasSaveData() {
   return getSaveData() !== null;
 }
 
+/**
+ * Stored item counts from a save, keyed by parser item name
+ * Returns null for saves synced without inventory data
+ */
+export function getInventoryCounts(saveData = null) {
+  const save = saveData || getSaveData();
+  if (!save || !Array.isArray(save.Inventory)) return null;
+
+  const counts = {};
+  save.Inventory.forEach(({ Item, Count }) => {
+    if (typeof Item === 'string' && Number.isFinite(Count)) {
+      counts[Item] = (counts[Item] || 0) + Count;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Player progression tier from the save, or null when the save didn't expose one
+ */
+export function getPlayerTier(saveData = null) {
+  const save = saveData || getSaveData();
+  return Number.isInteger(save?.PlayerTier) ? save.PlayerTier : null;
+}
+
+// "need 340 Bronze Rivet, have 120"
+export function formatShortfall(displayName, { need, have }) {
+  return `need ${need} ${displayName}, have ${have}`;
+}
+
 // Checks blueprint compatibility against loaded save
+// `affordable` additionally requires the stored inventory to cover every material quantity
 export function checkBlueprintCompatibility(blueprint, saveData = null) {
   const save = saveData || getSaveData();
   
@@ -75,28 +377,50 @@ export function checkBlueprintCompatibility(blueprint, saveData = null) {
     //console.warn('⚠️ No save data loaded for compatibility check');
     return {
       compatible: false,
+      affordable: false,
+      hasInventory: false,
       reason: 'No save data loaded',
       missingMaterials: {},
       hasMaterials: {},
-      materials: {}
+      materials: {},
+      materialCounts: {},
+      shortfalls: {},
+      requiredTier: null,
+      playerTier: null,
+      tiersOutOfReach: 0
     };
   }
 
+  const inventoryCounts = getInventoryCounts(save);
+
+  // Tier check - skipped when either side is unknown
+  const requiredTier = getBlueprintTier(blueprint);
+  const playerTier = getPlayerTier(save);
+  const tiersOutOfReach = requiredTier !== null && playerTier !== null
+    ? Math.max(0, requiredTier - playerTier)
+    : 0;
+  const tierReason = `Requires tier ${requiredTier} (${tiersOutOfReach} above yours)`;
+
   //console.log('🔍 Checking blueprint compatibility...');
   //console.log('📦 Blueprint:', blueprint.name);
 
-  const { parsed } = blueprint.is_multi_part
-    ? { parsed: getParsedDataForCompatibility(blueprint) }
-    : { parsed: blueprint.parsed };
+  const parsed = getParsedData(blueprint);
 
   if (!parsed || !parsed.Materials) {
     //console.log('✅ No materials required for this blueprint');
     return {
-      compatible: true,
-      reason: 'All items unlocked',
+      compatible: tiersOutOfReach === 0,
+      affordable: tiersOutOfReach === 0,
+      hasInventory: inventoryCounts !== null,
+      reason: tiersOutOfReach > 0 ? tierReason : 'All items unlocked',
       missingMaterials: {},
       hasMaterials: {},
-      materials: {}
+      materials: {},
+      materialCounts: {},
+      shortfalls: {},
+      requiredTier,
+      playerTier,
+      tiersOutOfReach
     };
   }
 
@@ -113,12 +437,22 @@ export function checkBlueprintCompatibility(blueprint, saveData = null) {
   
   const missingMaterialsByDisplay = {};
   const hasMaterials = {};
+  const materialCounts = {};
+  const shortfalls = {};
   let isCompatible = true;
 
   // Check each material required by the blueprint
   Object.entries(blueprintMaterials).forEach(([parserKey, required]) => {
     const mapping = MATERIAL_MAPPINGS[parserKey];
     const displayName = mapping?.name || parserKey;
+
+    if (inventoryCounts) {
+      const have = inventoryCounts[parserKey] || 0;
+      materialCounts[displayName] = { need: required, have };
+      if (have < required) {
+        shortfalls[displayName] = { need: required, have, short: required - have };
+      }
+    }
     
     if (!unlockedMaterials.has(parserKey)) {
       //console.warn(`🔒 Material locked: ${displayName} (${parserKey})`);
@@ -144,12 +478,25 @@ export function checkBlueprintCompatibility(blueprint, saveData = null) {
     }
   });
 
+  if (tiersOutOfReach > 0) {
+    isCompatible = false;
+  }
+
   const result = {
     compatible: isCompatible,
-    reason: isCompatible ? 'All items unlocked' : 'Missing unlocked items',
+    affordable: isCompatible && inventoryCounts !== null && Object.keys(shortfalls).length === 0,
+    hasInventory: inventoryCounts !== null,
+    reason: Object.keys(missingMaterialsByDisplay).length > 0
+      ? 'Missing unlocked items'
+      : tiersOutOfReach > 0 ? tierReason : 'All items unlocked',
     missingMaterials: missingMaterialsByDisplay,
     hasMaterials,
     materials: blueprintMaterials,
+    materialCounts,
+    shortfalls,
+    requiredTier,
+    playerTier,
+    tiersOutOfReach,
     unlockedMaterials,
     unlockedBuildings
   };
@@ -160,14 +507,16 @@ export function checkBlueprintCompatibility(blueprint, saveData = null) {
   return result;
 }
 
-// Helper to get parsed data for multi-part blueprints
-function getParsedDataForCompatibility(blueprint) {
-  if (!blueprint.is_multi_part || !blueprint.parts) {
-    return blueprint.parsed || {};
-  }
-
-  // Use combineParts from blueprintUtils to properly combine all data
-  return combineParts(blueprint.parts);
+/**
+ * Ids of blueprints buildable with the current save that weren't with an earlier one
+ */
+export function getNewlyBuildableIds(blueprints, previousSave, currentSave) {
+  if (!previousSave || !currentSave) return new Set();
+  return new Set(
+    blueprints
+      .filter(bp => checkBlueprintCompatibility(bp, currentSave).compatible && !checkBlueprintCompatibility(bp, previousSave).compatible)
+      .map(bp => bp.id)
+  );
 }
 
 export function getSaveDisplayName() {
@@ -175,7 +524,7 @@ export function getSaveDisplayName() {
   if (!metadata) return null;
   
   const loadedAt = new Date(metadata.loadedAt);
-  const hoursAgo = Math.floor((Date.Now() - loadedAt.getTime()) / (1000 * 60 * 60));
+  const hoursAgo = Math.floor((Date.now() - loadedAt.getTime()) / (1000 * 60 * 60));
   
   let timeStr = '';
   if (hoursAgo === 0) {
@@ -187,7 +536,9 @@ export function getSaveDisplayName() {
     timeStr = `${daysAgo}d ago`;
   }
   
-  return `${metadata.saveName} (${timeStr})`;
+  // No profile name without IndexedDB
+  const prefix = metadata.profileName ? `${metadata.profileName}: ` : '';
+  return `${prefix}${metadata.saveName} (${timeStr})`;
 }
 
 // Checks if recipes and supply items are unlocked
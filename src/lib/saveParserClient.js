@@ -0,0 +1,104 @@
+/**
+ * Save Parser Client
+ * Uploads a .sav file to /api/parse-save and reads the typed SSE events it relays back
+ * (progress, save-data, error, done)
+ */
+
+const PARSE_SAVE_URL = '/api/parse-save';
+
+// Expand a JSONC field ({ _: keys, v: rows }) into an array of objects
+export function decodeJSONCompressed(jsonc) {
+  const dict = jsonc._;
+  const decodeRow = (row) => {
+    if (Array.isArray(row[0])) {
+      return row.map(inner => decodeRow(inner));
+    }
+    const obj = {};
+    for (let i = 0; i < dict.length; i++) {
+      obj[dict[i]] = row[i];
+    }
+    return obj;
+  };
+  return jsonc.v.map(decodeRow);
+}
+
+export function decodeSaveData(saveData) {
+  const decoded = { ...saveData };
+  for (const key of Object.keys(decoded)) {
+    if (decoded[key] && decoded[key]._ && decoded[key].v) {
+      decoded[key] = decodeJSONCompressed(decoded[key]);
+    }
+  }
+  return decoded;
+}
+
+/**
+ * @param {File} file - The .sav file
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with 0-100
+ * @returns {Promise<Object>} - Decoded save data
+ */
+export async function parseSaveFile(file, { onProgress } = {}) {
+  const formData = new FormData();
+  formData.append('save', file);
+
+  const response = await fetch(PARSE_SAVE_URL, {
+    method: 'POST',
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const { error } = await response.json().catch(() => ({}));
+    throw new Error(error || `Save upload failed: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let dataLines = [];
+  let saveData = null;
+  let parserError = null;
+
+  const dispatch = () => {
+    if (dataLines.length === 0) return;
+    const payload = JSON.parse(dataLines.join('\n'));
+
+    if (event === 'progress') {
+      onProgress?.(payload.progress);
+    } else if (event === 'save-data') {
+      saveData = decodeSaveData(payload);
+    } else if (event === 'error') {
+      parserError = payload.error;
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line === '') {
+        dispatch();
+        event = 'message';
+        dataLines = [];
+      } else if (line.startsWith('event: ')) {
+        event = line.slice(7).trim();
+      } else if (line.startsWith('data: ')) {
+        dataLines.push(line.slice(6));
+      }
+    }
+  }
+
+  if (parserError) {
+    throw new Error(parserError);
+  }
+  if (!saveData) {
+    throw new Error('No save data received from parser');
+  }
+  return saveData;
+}
@@ -0,0 +1,78 @@
+/**
+ * Save Snapshots - Progression history per save profile
+ *
+ * Every save sync records the unlocks, tier and inventory it contained, so the timeline can show
+ * what changed between syncs. Snapshots are small (no full save payload) and kept uncompressed.
+ */
+
+import { STORES, isIndexedDbAvailable, idbGetAll, idbSet, idbDelete } from './indexedDbStore';
+
+// Oldest snapshots beyond this are pruned when a new one is recorded
+export const MAX_SNAPSHOTS_PER_PROFILE = 50;
+
+function createSnapshotId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `snapshot-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Snapshots of one profile, oldest first
+ * @returns {Promise<Array<{id, profileId, takenAt, saveName, save: {UnlockData, PlayerTier, Inventory}}>>}
+ */
+export async function listSaveSnapshots(profileId) {
+  if (!profileId || !isIndexedDbAvailable()) return [];
+  const snapshots = await idbGetAll(STORES.SAVE_SNAPSHOTS);
+  return snapshots
+    .filter(snapshot => snapshot.profileId === profileId)
+    .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+}
+
+export async function recordSaveSnapshot(profileId, saveData, saveName) {
+  const unlockData = saveData?.UnlockData || {};
+  const snapshot = {
+    id: createSnapshotId(),
+    profileId,
+    takenAt: new Date().toISOString(),
+    saveName,
+    // Same shape as parsed save data so compatibility checks accept it directly
+    save: {
+      UnlockData: {
+        CraftingOptionList: unlockData.CraftingOptionList || [],
+        ConstructOptionList: unlockData.ConstructOptionList || [],
+      },
+      PlayerTier: Number.isInteger(saveData?.PlayerTier) ? saveData.PlayerTier : null,
+      Inventory: Array.isArray(saveData?.Inventory) ? saveData.Inventory : null,
+    },
+  };
+  await idbSet(STORES.SAVE_SNAPSHOTS, snapshot.id, snapshot);
+
+  const snapshots = await listSaveSnapshots(profileId);
+  const excess = snapshots.slice(0, Math.max(0, snapshots.length - MAX_SNAPSHOTS_PER_PROFILE));
+  await Promise.all(excess.map(old => idbDelete(STORES.SAVE_SNAPSHOTS, old.id)));
+  return snapshot;
+}
+
+export async function deleteProfileSnapshots(profileId) {
+  const snapshots = await listSaveSnapshots(profileId);
+  await Promise.all(snapshots.map(snapshot => idbDelete(STORES.SAVE_SNAPSHOTS, snapshot.id)));
+}
+
+/**
+ * What a later snapshot gained over an earlier one (null = first snapshot, everything is new)
+ * @returns {{newMaterials: string[], newBuildings: string[], tierFrom: number|null, tierTo: number|null}}
+ */
+export function diffSnapshots(previous, current) {
+  const listOf = (snapshot, key) => snapshot?.save?.UnlockData?.[key] || [];
+  const added = (key) => {
+    const before = new Set(listOf(previous, key));
+    return listOf(current, key).filter(item => !before.has(item));
+  };
+
+  return {
+    newMaterials: added('CraftingOptionList'),
+    newBuildings: added('ConstructOptionList'),
+    tierFrom: previous?.save?.PlayerTier ?? null,
+    tierTo: current?.save?.PlayerTier ?? null,
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Search highlights - /api/search wraps matched words in these markers (ts_headline StartSel/StopSel
+ * in search_blueprints) instead of HTML, so user text is never rendered as markup.
+ */
+
+export const HIGHLIGHT_START = '⦃';
+export const HIGHLIGHT_END = '⦄';
+
+/**
+ * Split highlighted text into plain and matched segments
+ * @returns {Array<{text: string, highlighted: boolean}>}
+ */
+export function splitHighlights(text) {
+  if (!text) return [];
+  return text.split(HIGHLIGHT_START).flatMap((chunk, index) => {
+    if (index === 0) return chunk ? [{ text: chunk, highlighted: false }] : [];
+    const [match, ...rest] = chunk.split(HIGHLIGHT_END);
+    const after = rest.join(HIGHLIGHT_END);
+    return [
+      ...(match ? [{ text: match, highlighted: true }] : []),
+      ...(after ? [{ text: after, highlighted: false }] : []),
+    ];
+  });
+}
+
+export const hasHighlights = (text) => !!text && text.includes(HIGHLIGHT_START);
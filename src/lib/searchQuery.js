@@ -0,0 +1,351 @@
+/**
+ * Gallery search query language
+ *
+ *   building:BlastFurnace   material:SteelIngot   tag:compact   creator:"Some Name"
+ *   -building:Athanor  -material:GoldIngot  -tag:experimental     (exclude)
+ *   size<=20x20   tier<=3   tier>=2   parts:>1   parts:1          (compare with < <= = >= >)
+ *
+ * Anything else is free text for the full-text search; quote it ("tier: 3") to search it literally.
+ * Buildings and materials accept the parser key, an alias or the display name without spaces.
+ */
+
+import { BUILDING_MAPPINGS, MATERIAL_MAPPINGS } from './blueprintMappings';
+import { AVAILABLE_TAGS } from './tags';
+import { getParsedData } from './blueprintUtils';
+
+export const QUERY_KEYS = {
+  building: { kind: 'list', negatable: true, description: 'Uses this building' },
+  material: { kind: 'list', negatable: true, description: 'Needs this material' },
+  tag: { kind: 'list', negatable: true, description: 'Has this tag' },
+  creator: { kind: 'text', negatable: false, description: 'Made by this creator' },
+  size: { kind: 'size', negatable: false, description: 'Grid size, e.g. size<=20x20' },
+  tier: { kind: 'number', negatable: false, description: 'Minimum tier, e.g. tier<=3' },
+  parts: { kind: 'number', negatable: false, description: 'Number of parts, e.g. parts:>1' },
+};
+
+const OPERATORS = ['<=', '>=', '<', '>', '='];
+const COMPARE = {
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '=': (a, b) => a === b,
+};
+
+// key, separator, value: building:X, tier<=3, parts:>1
+const FILTER_PATTERN = /^(-?)([a-z]+)(<=|>=|<|>|=|:)(.*)$/i;
+
+const normalizeName = (value) => value.toLowerCase().replace(/[\s_-]+/g, '');
+
+// Lookup of every accepted spelling -> parser key
+const buildItemIndex = (mappings) => {
+  const index = new Map();
+  Object.entries(mappings).forEach(([key, { name, aliases = [] }]) => {
+    [key, name, ...aliases].forEach(spelling => {
+      if (!index.has(normalizeName(spelling))) index.set(normalizeName(spelling), key);
+    });
+  });
+  return index;
+};
+
+const ITEM_INDEXES = {
+  building: buildItemIndex(BUILDING_MAPPINGS),
+  material: buildItemIndex(MATERIAL_MAPPINGS),
+};
+
+const ITEM_MAPPINGS = { building: BUILDING_MAPPINGS, material: MATERIAL_MAPPINGS };
+
+/**
+ * Split into tokens on whitespace, keeping "quoted phrases" (also as filter values) together
+ * @returns {Array<{raw: string, value: string, start: number, end: number, quoted: boolean}>}
+ */
+export function tokenizeQuery(input) {
+  const tokens = [];
+  const pattern = /(\S*?)"([^"]*)("?)|\S+/g;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    const raw = match[0];
+    const quoted = match[2] !== undefined;
+    tokens.push({
+      raw,
+      value: quoted ? `${match[1]}${match[2]}` : raw,
+      start: match.index,
+      end: match.index + raw.length,
+      quoted,
+      // A bare opening quote with nothing before it is a free-text phrase
+      phrase: quoted && match[1] === '',
+      unterminated: quoted && match[3] === '',
+    });
+  }
+  return tokens;
+}
+
+const emptyFilters = () => ({
+  buildings: { include: [], exclude: [] },
+  materials: { include: [], exclude: [] },
+  tags: { include: [], exclude: [] },
+  creator: null,
+  size: [],
+  tier: [],
+  parts: [],
+});
+
+const parseComparison = (separator, value) => {
+  if (separator !== ':') return { op: separator, operand: value };
+  const op = OPERATORS.find(candidate => value.startsWith(candidate));
+  return op ? { op, operand: value.slice(op.length) } : { op: '=', operand: value };
+};
+
+/**
+ * Parse a search box query
+ * @returns {{text: string, filters: Object, errors: Array<{message, start, end}>, hasFilters: boolean}}
+ */
+export function parseSearchQuery(input = '') {
+  const filters = emptyFilters();
+  const errors = [];
+  const textParts = [];
+  let hasFilters = false;
+
+  tokenizeQuery(input).forEach(token => {
+    const fail = (message) => errors.push({ message, start: token.start, end: token.end });
+
+    if (token.unterminated) {
+      fail('Missing closing quote');
+      return;
+    }
+
+    const match = token.phrase ? null : token.value.match(FILTER_PATTERN);
+    if (!match) {
+      textParts.push(token.phrase ? `"${token.value}"` : token.value);
+      return;
+    }
+
+    const [, negation, rawKey, separator, rawValue] = match;
+    const key = rawKey.toLowerCase();
+    const spec = QUERY_KEYS[key];
+    if (!spec) {
+      fail(`Unknown filter "${rawKey}" (quote it to search for the text)`);
+      return;
+    }
+    if (negation && !spec.negatable) {
+      fail(`${key} can't be excluded with "-"`);
+      return;
+    }
+    const value = rawValue.trim();
+    if (!value) {
+      fail(`${key} needs a value`);
+      return;
+    }
+
+    if (spec.kind === 'list' || spec.kind === 'text') {
+      if (separator !== ':') {
+        fail(`Use ${key}:value`);
+        return;
+      }
+    }
+
+    if (key === 'building' || key === 'material') {
+      const itemKey = ITEM_INDEXES[key].get(normalizeName(value));
+      if (!itemKey) {
+        fail(`Unknown ${key} "${value}"`);
+        return;
+      }
+      const bucket = filters[`${key}s`];
+      (negation ? bucket.exclude : bucket.include).push(itemKey);
+    } else if (key === 'tag') {
+      const tag = value.toLowerCase();
+      (negation ? filters.tags.exclude : filters.tags.include).push(tag);
+    } else if (key === 'creator') {
+      if (filters.creator !== null) {
+        fail('Only one creator filter is allowed');
+        return;
+      }
+      filters.creator = value;
+    } else if (key === 'size') {
+      const { op, operand } = parseComparison(separator, value);
+      const size = operand.match(/^(\d+)x(\d+)$/i);
+      if (!size) {
+        fail('Size must look like 20x20');
+        return;
+      }
+      filters.size.push({ op, x: Number(size[1]), y: Number(size[2]) });
+    } else {
+      const { op, operand } = parseComparison(separator, value);
+      if (!/^\d+$/.test(operand)) {
+        fail(`${key} must be a whole number`);
+        return;
+      }
+      filters[key].push({ op, value: Number(operand) });
+    }
+    hasFilters = true;
+  });
+
+  return { text: textParts.join(' '), filters, errors, hasFilters };
+}
+
+const mergeSelection = (a, b) => ({
+  include: [...new Set([...a.include, ...b.include])],
+  exclude: [...new Set([...a.exclude, ...b.exclude])],
+});
+
+/**
+ * Add the gallery's building/material picker selections to parsed query filters
+ * @param {{buildings: {include, exclude}, materials: {include, exclude}}} itemFilters
+ */
+export function mergeItemFilters(filters, itemFilters) {
+  return {
+    ...filters,
+    buildings: mergeSelection(filters.buildings, itemFilters.buildings),
+    materials: mergeSelection(filters.materials, itemFilters.materials),
+  };
+}
+
+// Narrow inclusive integer bounds `min`/`max` to also satisfy `<op> value`
+const addComparison = (bounds, min, max, op, value) => {
+  if (op === '<=' || op === '<' || op === '=') {
+    const limit = op === '<' ? value - 1 : value;
+    bounds[max] = bounds[max] === undefined ? limit : Math.min(bounds[max], limit);
+  }
+  if (op === '>=' || op === '>' || op === '=') {
+    const limit = op === '>' ? value + 1 : value;
+    bounds[min] = bounds[min] === undefined ? limit : Math.max(bounds[min], limit);
+  }
+};
+
+/**
+ * Tier, part count and size comparisons as the feed's inclusive bounds
+ * (tierMin, tierMax, partsMin, partsMax, sizeMinX, sizeMinY, sizeMaxX, sizeMaxY); same results as matchesSearchFilters
+ */
+export function toFeedBounds(filters) {
+  const bounds = {};
+  filters.tier.forEach(({ op, value }) => addComparison(bounds, 'tierMin', 'tierMax', op, value));
+  filters.parts.forEach(({ op, value }) => addComparison(bounds, 'partsMin', 'partsMax', op, value));
+  if (filters.size.length > 0) {
+    // Blueprints without a grid size never match a size filter
+    bounds.sizeMinX = 1;
+    bounds.sizeMinY = 1;
+    filters.size.forEach(({ op, x, y }) => {
+      addComparison(bounds, 'sizeMinX', 'sizeMaxX', op, x);
+      addComparison(bounds, 'sizeMinY', 'sizeMaxY', op, y);
+    });
+  }
+  return bounds;
+}
+
+export function getPartCount(blueprint) {
+  return blueprint.is_multi_part && Array.isArray(blueprint.parts) ? blueprint.parts.length : 1;
+}
+
+/**
+ * Check a blueprint (full or lean row) against the parsed filters.
+ * Blueprints without parsed data only pass when no building, material, size or tier filter applies.
+ */
+export function matchesSearchFilters(blueprint, filters) {
+  const tags = (blueprint.tags || []).map(tag => tag.toLowerCase());
+  if (!filters.tags.include.every(tag => tags.includes(tag))) return false;
+  if (filters.tags.exclude.some(tag => tags.includes(tag))) return false;
+  if (filters.creator && (blueprint.creator_name || '').toLowerCase() !== filters.creator.toLowerCase()) return false;
+
+  const partCount = getPartCount(blueprint);
+  if (!filters.parts.every(({ op, value }) => COMPARE[op](partCount, value))) return false;
+
+  const needsParsed = filters.buildings.include.length > 0 || filters.buildings.exclude.length > 0 ||
+    filters.materials.include.length > 0 || filters.materials.exclude.length > 0 ||
+    filters.size.length > 0 || filters.tier.length > 0;
+  if (!needsParsed) return true;
+
+  let parsed;
+  try {
+    parsed = getParsedData(blueprint);
+  } catch {
+    return false;
+  }
+  if (!parsed) return false;
+
+  // Parsed data may report a building under one of its aliases (Assembler_Sym)
+  const uses = (field, mappings, key) =>
+    [key, ...(mappings[key]?.aliases || [])].some(spelling => (parsed[field]?.[spelling] || 0) > 0);
+  if (!filters.buildings.include.every(key => uses('Buildings', BUILDING_MAPPINGS, key))) return false;
+  if (filters.buildings.exclude.some(key => uses('Buildings', BUILDING_MAPPINGS, key))) return false;
+  if (!filters.materials.include.every(key => uses('Materials', MATERIAL_MAPPINGS, key))) return false;
+  if (filters.materials.exclude.some(key => uses('Materials', MATERIAL_MAPPINGS, key))) return false;
+
+  if (filters.tier.length > 0) {
+    if (!Number.isInteger(parsed.MinTierRequired)) return false;
+    if (!filters.tier.every(({ op, value }) => COMPARE[op](parsed.MinTierRequired, value))) return false;
+  }
+
+  if (filters.size.length > 0) {
+    const grid = parsed.GridArea;
+    if (!grid || !(grid.x > 0) || !(grid.y > 0)) return false;
+    if (!filters.size.every(({ op, x, y }) => COMPARE[op](grid.x, x) && COMPARE[op](grid.y, y))) return false;
+  }
+
+  return true;
+}
+
+// Quote values with spaces so they stay one token
+export const formatQueryValue = (value) => (/[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+
+const MAX_SUGGESTIONS = 8;
+
+const KEY_SUGGESTIONS = [
+  { insert: 'building:', label: 'building:', description: QUERY_KEYS.building.description },
+  { insert: '-building:', label: '-building:', description: 'Doesn\'t use this building' },
+  { insert: 'material:', label: 'material:', description: QUERY_KEYS.material.description },
+  { insert: '-material:', label: '-material:', description: 'Never needs this material' },
+  { insert: 'tag:', label: 'tag:', description: QUERY_KEYS.tag.description },
+  { insert: '-tag:', label: '-tag:', description: 'Doesn\'t have this tag' },
+  { insert: 'creator:', label: 'creator:', description: QUERY_KEYS.creator.description },
+  { insert: 'size<=', label: 'size<=WxH', description: QUERY_KEYS.size.description },
+  { insert: 'tier<=', label: 'tier<=N', description: QUERY_KEYS.tier.description },
+  { insert: 'parts:>', label: 'parts:>N', description: QUERY_KEYS.parts.description },
+];
+
+/**
+ * Autocomplete for the token under the cursor
+ * @returns {{start: number, end: number, suggestions: Array<{insert, label, description}>}}
+ */
+export function getQuerySuggestions(input, cursor) {
+  const token = tokenizeQuery(input).find(candidate => candidate.start <= cursor && cursor <= candidate.end);
+  const start = token ? token.start : cursor;
+  const end = token ? token.end : cursor;
+  const current = token ? token.raw : '';
+  const none = { start, end, suggestions: [] };
+  if (token?.quoted) return none;
+
+  const match = current.match(/^(-?)([a-z]+):(.*)$/i);
+  if (!match) {
+    if (!current) return none;
+    const needle = current.toLowerCase();
+    const suggestions = KEY_SUGGESTIONS
+      .filter(suggestion => suggestion.insert.startsWith(needle) && suggestion.insert !== needle)
+      .slice(0, MAX_SUGGESTIONS);
+    return { start, end, suggestions };
+  }
+
+  const [, negation, rawKey, rawValue] = match;
+  const key = rawKey.toLowerCase();
+  const prefix = `${negation}${key}:`;
+  const needle = normalizeName(rawValue);
+
+  if (key === 'building' || key === 'material') {
+    const suggestions = Object.entries(ITEM_MAPPINGS[key])
+      .filter(([itemKey, { name }]) => itemKey !== 'None' &&
+        (normalizeName(itemKey).includes(needle) || normalizeName(name).includes(needle)))
+      .sort(([, a], [, b]) => Number(!normalizeName(a.name).startsWith(needle)) - Number(!normalizeName(b.name).startsWith(needle)) || a.name.localeCompare(b.name))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(([itemKey, { name, id }]) => ({ insert: `${prefix}${itemKey} `, label: name, description: itemKey, spriteId: id, kind: key }));
+    return { start, end, suggestions };
+  }
+
+  if (key === 'tag') {
+    const suggestions = AVAILABLE_TAGS
+      .filter(tag => tag.includes(rawValue.toLowerCase()))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(tag => ({ insert: `${prefix}${tag} `, label: tag, description: negation ? 'exclude' : 'include' }));
+    return { start, end, suggestions };
+  }
+
+  return none;
+}
@@ -6,9 +6,6 @@ export const AVAILABLE_TAGS = [
   "crafting",
   "currency",
   "decorative",
-  "early-game",
-  "mid-game",
-  "late-game",
   "enchanting",
   "experimental",
   "extraction",
@@ -33,6 +30,7 @@ export const TAG_EMOJIS = {
   "crafting": "⚒️",
   "currency": "💎",
   "decorative": "✨",
+  // Retired game-stage tags (replaced by the computed tier filter), kept for older blueprints
   "early-game": "🌱",
   "mid-game": "⚙️",
   "late-game": "👑",
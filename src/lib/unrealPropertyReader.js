@@ -0,0 +1,399 @@
+/**
+ * Unreal Property Reader
+ * Little-endian reader for Unreal tagged property lists, shared by the blueprint payload
+ * decoder and the local GVAS save decoder
+ */
+
+const MAX_STRING_LENGTH = 65536;
+const MAX_ARRAY_LENGTH = 1000000;
+const MAX_NESTING_DEPTH = 32;
+
+// Structs serialized as raw values instead of tagged property lists
+const NATIVE_STRUCTS = {
+  Vector: (reader, size) => (size === 24
+    ? { x: reader.readFloat64(), y: reader.readFloat64(), z: reader.readFloat64() }
+    : { x: reader.readFloat32(), y: reader.readFloat32(), z: reader.readFloat32() }),
+  Vector2D: (reader, size) => (size === 16
+    ? { x: reader.readFloat64(), y: reader.readFloat64() }
+    : { x: reader.readFloat32(), y: reader.readFloat32() }),
+  Rotator: (reader, size) => (size === 24
+    ? { pitch: reader.readFloat64(), yaw: reader.readFloat64(), roll: reader.readFloat64() }
+    : { pitch: reader.readFloat32(), yaw: reader.readFloat32(), roll: reader.readFloat32() }),
+  Quat: (reader, size) => (size === 32
+    ? { x: reader.readFloat64(), y: reader.readFloat64(), z: reader.readFloat64(), w: reader.readFloat64() }
+    : { x: reader.readFloat32(), y: reader.readFloat32(), z: reader.readFloat32(), w: reader.readFloat32() }),
+  IntPoint: (reader) => ({ x: reader.readInt32(), y: reader.readInt32() }),
+  IntVector: (reader) => ({ x: reader.readInt32(), y: reader.readInt32(), z: reader.readInt32() }),
+  LinearColor: (reader) => ({ r: reader.readFloat32(), g: reader.readFloat32(), b: reader.readFloat32(), a: reader.readFloat32() }),
+  Color: (reader) => ({ b: reader.readUint8(), g: reader.readUint8(), r: reader.readUint8(), a: reader.readUint8() }),
+  Guid: (reader) => reader.readGuid(),
+  DateTime: (reader) => reader.readInt64(),
+  Timespan: (reader) => reader.readInt64(),
+};
+
+export class UnrealDecodeError extends Error {
+  constructor(message, offset) {
+    super(`${message} (offset ${offset})`);
+    this.name = 'UnrealDecodeError';
+    this.offset = offset;
+  }
+}
+
+/**
+ * Little-endian cursor over serialized bytes
+ * `onProgress(offset, length)` is called as property lists are read, at most once per `progressStep` bytes
+ */
+export class UnrealReader {
+  constructor(bytes, { onProgress = null, progressStep = 64 * 1024 } = {}) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+    this.onProgress = onProgress;
+    this.progressStep = progressStep;
+    this.lastReportedOffset = 0;
+  }
+
+  ensure(length) {
+    if (length < 0 || this.offset + length > this.bytes.length) {
+      throw new UnrealDecodeError('Unexpected end of data', this.offset);
+    }
+  }
+
+  seek(offset) {
+    if (offset < 0 || offset > this.bytes.length) {
+      throw new UnrealDecodeError(`Seek to ${offset} out of range`, this.offset);
+    }
+    this.offset = offset;
+  }
+
+  reportProgress() {
+    if (this.onProgress && this.offset - this.lastReportedOffset >= this.progressStep) {
+      this.lastReportedOffset = this.offset;
+      this.onProgress(this.offset, this.bytes.length);
+    }
+  }
+
+  readUint8() {
+    this.ensure(1);
+    return this.bytes[this.offset++];
+  }
+
+  readUint16() {
+    this.ensure(2);
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  readInt32() {
+    this.ensure(4);
+    const value = this.view.getInt32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  readUint32() {
+    this.ensure(4);
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  // Sizes and counts stay well under 2^53, so a Number is safe here
+  readInt64() {
+    const low = this.readUint32();
+    const high = this.readInt32();
+    return high * 0x100000000 + low;
+  }
+
+  readFloat32() {
+    this.ensure(4);
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  readFloat64() {
+    this.ensure(8);
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  readBytes(length) {
+    this.ensure(length);
+    const slice = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  skip(length) {
+    this.ensure(length);
+    this.offset += length;
+  }
+
+  readGuid() {
+    return Array.from(this.readBytes(16), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // FString: int32 length (including null terminator), negative length means UTF-16
+  readFString() {
+    const length = this.readInt32();
+    if (length === 0) return '';
+
+    if (Math.abs(length) > MAX_STRING_LENGTH) {
+      throw new UnrealDecodeError(`String length ${length} out of range`, this.offset - 4);
+    }
+
+    if (length > 0) {
+      const raw = this.readBytes(length);
+      return new TextDecoder('utf-8').decode(raw.subarray(0, length - 1));
+    }
+
+    const raw = this.readBytes(-length * 2);
+    return new TextDecoder('utf-16le').decode(raw.subarray(0, raw.length - 2));
+  }
+
+  // Optional property GUID: one flag byte, followed by 16 bytes when set
+  readOptionalGuid() {
+    if (this.readUint8() !== 0) {
+      this.skip(16);
+    }
+  }
+}
+
+function readScalar(reader, type) {
+  switch (type) {
+    case 'IntProperty':
+      return reader.readInt32();
+    case 'UInt32Property':
+      return reader.readUint32();
+    case 'Int64Property':
+    case 'UInt64Property':
+      return reader.readInt64();
+    case 'FloatProperty':
+      return reader.readFloat32();
+    case 'DoubleProperty':
+      return reader.readFloat64();
+    case 'BoolProperty':
+    case 'ByteProperty':
+      return reader.readUint8();
+    case 'StrProperty':
+    case 'NameProperty':
+    case 'EnumProperty':
+    case 'ObjectProperty':
+    case 'SoftObjectProperty':
+      return reader.readFString();
+    default:
+      throw new UnrealDecodeError(`Unsupported element type ${type}`, reader.offset);
+  }
+}
+
+function readStructValue(reader, structName, size, depth) {
+  const native = NATIVE_STRUCTS[structName];
+  if (native) {
+    return native(reader, size);
+  }
+  return readPropertyList(reader, depth + 1);
+}
+
+function readArrayValue(reader, size, depth) {
+  const innerType = reader.readFString();
+  reader.readOptionalGuid();
+
+  const start = reader.offset;
+  const count = reader.readInt32();
+  if (count < 0 || count > MAX_ARRAY_LENGTH) {
+    throw new UnrealDecodeError(`Array length ${count} out of range`, start);
+  }
+
+  if (innerType === 'ByteProperty' && size - 4 === count) {
+    return reader.readBytes(count);
+  }
+
+  if (innerType === 'StructProperty') {
+    // Arrays of structs repeat a single property header before the elements
+    reader.readFString();
+    reader.readFString();
+    const elementsSize = reader.readInt64();
+    const structName = reader.readFString();
+    reader.skip(16);
+    reader.readOptionalGuid();
+
+    const elementSize = count > 0 ? elementsSize / count : 0;
+    const items = [];
+    for (let i = 0; i < count; i++) {
+      items.push(readStructValue(reader, structName, elementSize, depth));
+    }
+    return items;
+  }
+
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push(readScalar(reader, innerType));
+  }
+  return items;
+}
+
+function readMapValue(reader, depth) {
+  const keyType = reader.readFString();
+  const valueType = reader.readFString();
+  reader.readOptionalGuid();
+
+  const removedCount = reader.readInt32();
+  for (let i = 0; i < removedCount; i++) {
+    readScalar(reader, keyType);
+  }
+
+  const count = reader.readInt32();
+  if (count < 0 || count > MAX_ARRAY_LENGTH) {
+    throw new UnrealDecodeError(`Map length ${count} out of range`, reader.offset - 4);
+  }
+
+  const map = {};
+  for (let i = 0; i < count; i++) {
+    const key = keyType === 'StructProperty'
+      ? JSON.stringify(readPropertyList(reader, depth + 1))
+      : String(readScalar(reader, keyType));
+    map[key] = valueType === 'StructProperty'
+      ? readPropertyList(reader, depth + 1)
+      : readScalar(reader, valueType);
+  }
+  return map;
+}
+
+function readPropertyValue(reader, type, size, depth) {
+  switch (type) {
+    case 'BoolProperty': {
+      const value = reader.readUint8() !== 0;
+      reader.readOptionalGuid();
+      return value;
+    }
+    case 'StructProperty': {
+      const structName = reader.readFString();
+      reader.skip(16);
+      reader.readOptionalGuid();
+      return readStructValue(reader, structName, size, depth);
+    }
+    case 'ArrayProperty':
+    case 'SetProperty':
+      return readArrayValue(reader, size, depth);
+    case 'MapProperty':
+      return readMapValue(reader, depth);
+    case 'ByteProperty': {
+      const enumName = reader.readFString();
+      reader.readOptionalGuid();
+      return enumName === 'None' ? reader.readUint8() : reader.readFString();
+    }
+    case 'EnumProperty': {
+      reader.readFString();
+      reader.readOptionalGuid();
+      return reader.readFString();
+    }
+    default: {
+      reader.readOptionalGuid();
+      const start = reader.offset;
+      try {
+        return readScalar(reader, type);
+      } catch (error) {
+        // Unknown property types are skipped using their declared size
+        if (!(error instanceof UnrealDecodeError) || reader.offset !== start) throw error;
+        reader.skip(size);
+        return undefined;
+      }
+    }
+  }
+}
+
+/**
+ * Tagged property list, terminated by a property named "None"
+ *
+ * @param {UnrealReader} reader
+ * @param {number} [depth]
+ * @param {Object} [options]
+ * @param {boolean} [options.lenient] - Skip values that fail to decode using their declared size
+ *   instead of throwing (struct/array/map headers are still read strictly)
+ * @returns {Object} - Property name -> decoded value
+ */
+export function readPropertyList(reader, depth = 0, { lenient = false } = {}) {
+  if (depth > MAX_NESTING_DEPTH) {
+    throw new UnrealDecodeError('Property list is nested too deeply', reader.offset);
+  }
+
+  const properties = {};
+  while (reader.offset < reader.bytes.length) {
+    reader.reportProgress();
+
+    const name = reader.readFString();
+    if (name === 'None' || name === '') break;
+
+    const type = reader.readFString();
+    const size = reader.readInt64();
+
+    const value = lenient
+      ? readLenientValue(reader, type, size, depth)
+      : readPropertyValue(reader, type, size, depth);
+    if (value !== undefined) {
+      properties[name] = value;
+    }
+  }
+  return properties;
+}
+
+// Tag header bytes that sit between the size and the value for each property type
+function readTagHeader(reader, type) {
+  switch (type) {
+    case 'StructProperty':
+      reader.readFString();
+      reader.skip(16);
+      break;
+    case 'ArrayProperty':
+    case 'SetProperty':
+    case 'ByteProperty':
+    case 'EnumProperty':
+      reader.readFString();
+      break;
+    case 'MapProperty':
+      reader.readFString();
+      reader.readFString();
+      break;
+    case 'BoolProperty':
+      reader.readUint8();
+      break;
+    default:
+      break;
+  }
+  reader.readOptionalGuid();
+}
+
+// Decode one value; when that fails, rewind and skip past it using the tag's declared size
+function readLenientValue(reader, type, size, depth) {
+  const tagStart = reader.offset;
+  try {
+    return type === 'StructProperty'
+      ? readLenientStruct(reader, size, depth)
+      : readPropertyValue(reader, type, size, depth);
+  } catch (error) {
+    if (!(error instanceof UnrealDecodeError)) throw error;
+    reader.seek(tagStart);
+    readTagHeader(reader, type);
+    reader.skip(size);
+    return undefined;
+  }
+}
+
+// Structs nested inside structs are read leniently too, so one unknown field doesn't drop the whole branch
+function readLenientStruct(reader, size, depth) {
+  const structName = reader.readFString();
+  reader.skip(16);
+  reader.readOptionalGuid();
+
+  const valueStart = reader.offset;
+  const value = NATIVE_STRUCTS[structName]
+    ? NATIVE_STRUCTS[structName](reader, size)
+    : readPropertyList(reader, depth + 1, { lenient: true });
+
+  // Trust the declared size over whatever the struct reader consumed
+  reader.seek(valueStart + size);
+  return value;
+}
@@ -3,12 +3,15 @@ import ReactDOM from "react-dom/client";
 import App from "./App";
 import { ThemeProvider } from "./lib/ThemeContext";
 import { BlueprintFolderProvider } from "./lib/BlueprintFolderContext";
+import { SaveProfileProvider } from "./lib/SaveProfileContext";
 import "./index.css";
 
 const Root = (
   <ThemeProvider>
     <BlueprintFolderProvider>
-      <App />
+      <SaveProfileProvider>
+        <App />
+      </SaveProfileProvider>
     </BlueprintFolderProvider>
   </ThemeProvider>
 );